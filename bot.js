@@ -1,6 +1,18 @@
 require('dotenv').config();
 const { Client, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, Events, MessageFlags, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ChannelType, PermissionFlagsBits, AttachmentBuilder, ChannelSelectMenuBuilder, RoleSelectMenuBuilder, ActivityType } = require('discord.js');
-const { pool: db, initializeDatabase } = require('./database');
+const { pool: db, initializeDatabase, withTransaction } = require('./database');
+const economy = require('./economy');
+const scheduler = require('./scheduler');
+const fairness = require('./fairness');
+const resources = require('./resources');
+const inventory = require('./inventory');
+const subscriptions = require('./subscriptions');
+const promotions = require('./promotions');
+const purchases = require('./purchases');
+const orders = require('./orders');
+const invites = require('./invites');
+const rewards = require('./rewards');
+const voice = require('./voice');
 const express = require('express');
 const { GoogleSpreadsheet } = require('google-spreadsheet');
 const { JWT } = require('google-auth-library');
@@ -112,9 +124,14 @@ const client = new Client({
   ],
 });
 
-const cachedInvites = new Map(); // code -> uses
-const voiceTimes = new Map(); // userId -> startTime
+const cachedInvites = new Map(); // guildId -> Map(code -> { uses, maxUses, inviterId })
+const cachedVanityUses = new Map(); // guildId -> vanity URL uses
+const inviteQueues = new Map(); // guildId -> promise of the last invite lookup
+const INVITE_RECHECK_MS = 60 * 60 * 1000; // how often a pending invite short of messages is checked again
+const VOICE_TICK_MS = 60 * 1000; // how often open voice sessions are counted
+let voiceSessionsResumed = false; // nothing is counted until sessions from before a restart are picked up
 const ticketCreationSessions = new Map(); // userId -> { catId, answers: [] }
+const pendingGiveawaySetups = new Map(); // giveaway modal token -> setup from readGiveawayOptions
 
 // Configuration: Roles that cannot join giveaways (from .env)
 const EXCLUDED_GIVEAWAY_ROLES = (process.env.EXCLUDED_GIVEAWAY_ROLES || 'bot,bots,muted,banned,restricted,excluded').split(',');
@@ -156,8 +173,17 @@ async function logActivity(title, message, color = 'Blue', attachment = null, gu
   }
 }
 
+// Purchases sheet layout: one column per resource type between the user and the cost.
+// An existing sheet keeps its columns and gets new resource types appended, so rows
+// already logged stay under the right headers.
+function getPurchaseSheetHeaders(guildId, existingHeaders = []) {
+  const names = resources.listResourceTypes(guildId).map(type => type.name);
+  if (!existingHeaders.length) return ['Timestamp', 'User', ...names, 'HP Cost', 'Discount'];
+  return [...existingHeaders, ...[...names, 'Discount'].filter(name => !existingHeaders.includes(name))];
+}
+
 // --- Google Sheets Reset Function ---
-async function resetGoogleSheet() {
+async function resetGoogleSheet(guildId) {
   const { GOOGLE_SHEET_ID, GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY } = process.env;
 
   if (!GOOGLE_SHEET_ID || !GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) {
@@ -196,11 +222,11 @@ async function resetGoogleSheet() {
     try {
       await sheet.loadHeaderRow();
       if (!sheet.headerValues || sheet.headerValues.length === 0) {
-        await sheet.setHeaderRow(['Timestamp', 'User', 'Gold', 'Wood', 'Food', 'Stone', 'HP Cost']);
+        await sheet.setHeaderRow(getPurchaseSheetHeaders(guildId));
       }
     } catch (headerError) {
       // If loading header row fails, set headers
-      await sheet.setHeaderRow(['Timestamp', 'User', 'Gold', 'Wood', 'Food', 'Stone', 'HP Cost']);
+      await sheet.setHeaderRow(getPurchaseSheetHeaders(guildId));
     }
 
     console.log(`✅ Reset Google Sheet "${sheetTitle}": Deleted ${rowCount} rows`);
@@ -212,7 +238,7 @@ async function resetGoogleSheet() {
 }
 
 // --- Google Sheets Logging Function ---
-async function logPurchaseToSheet(username, resource, resourceAmount, cost) {
+async function logPurchaseToSheet(guildId, username, resource, resourceAmount, cost, discount = 0) {
   const { GOOGLE_SHEET_ID, GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY } = process.env;
 
   if (!GOOGLE_SHEET_ID || !GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) {
@@ -235,7 +261,7 @@ async function logPurchaseToSheet(username, resource, resourceAmount, cost) {
 
     if (!sheet) {
       console.log(`Sheet "${sheetTitle}" not found. Creating it now...`);
-      sheet = await doc.addSheet({ title: sheetTitle, headerValues: ['Timestamp', 'User', 'Gold', 'Wood', 'Food', 'Stone', 'HP Cost'] });
+      sheet = await doc.addSheet({ title: sheetTitle, headerValues: getPurchaseSheetHeaders(guildId) });
     } else {
       // If sheet exists, ensure headers are loaded and correct
       try {
@@ -243,42 +269,49 @@ async function logPurchaseToSheet(username, resource, resourceAmount, cost) {
         // Check if headers are empty or incorrect
         if (!sheet.headerValues || sheet.headerValues.length === 0) {
           console.log(`Sheet "${sheetTitle}" has no headers. Setting headers now...`);
-          await sheet.setHeaderRow(['Timestamp', 'User', 'Gold', 'Wood', 'Food', 'Stone', 'HP Cost']);
+          await sheet.setHeaderRow(getPurchaseSheetHeaders(guildId));
         }
       } catch (headerError) {
         // If loading header row fails (sheet is empty), set headers
         if (headerError.message.includes('No values in the header row') || headerError.message.includes('header')) {
           console.log(`Sheet "${sheetTitle}" has no headers. Setting headers now...`);
-          await sheet.setHeaderRow(['Timestamp', 'User', 'Gold', 'Wood', 'Food', 'Stone', 'HP Cost']);
+          await sheet.setHeaderRow(getPurchaseSheetHeaders(guildId));
         } else {
           throw headerError; // Re-throw if it's a different error
         }
       }
     }
 
+    // Resource types added since the sheet was made get a column at the end
+    const headers = getPurchaseSheetHeaders(guildId, sheet.headerValues);
+    if (headers.length !== sheet.headerValues.length) {
+      await sheet.setHeaderRow(headers);
+    }
+    const resourceColumns = headers.filter(header => !['Timestamp', 'User', 'HP Cost', 'Discount'].includes(header));
+    const resourceColumnName = resources.describeResource(guildId, resource).name;
+
     // --- Find existing user row or add/update ---
     const rows = await sheet.getRows();
     let userRow = rows.find(r => r.get('User') === username && r.get('Timestamp') !== 'TOTALS');
 
     if (userRow) {
       // Update existing row by adding the new amounts
-      const resourceColumnName = resource.charAt(0).toUpperCase() + resource.slice(1);
       const currentResourceAmount = parseFloat(userRow.get(resourceColumnName)) || 0;
       const currentCost = parseFloat(userRow.get('HP Cost')) || 0;
+      const currentDiscount = parseFloat(userRow.get('Discount')) || 0;
 
       userRow.set(resourceColumnName, currentResourceAmount + resourceAmount);
       userRow.set('HP Cost', currentCost + cost);
+      userRow.set('Discount', currentDiscount + discount);
       await userRow.save();
     } else {
       // Add a new row for the user's first purchase
       const newRowData = {
         Timestamp: new Date().toLocaleString('en-US', { timeZone: 'UTC' }),
         User: username,
-        Gold: resource === 'gold' ? resourceAmount : 0,
-        Wood: resource === 'wood' ? resourceAmount : 0,
-        Food: resource === 'food' ? resourceAmount : 0,
-        Stone: resource === 'stone' ? resourceAmount : 0,
+        ...Object.fromEntries(resourceColumns.map(name => [name, name === resourceColumnName ? resourceAmount : 0])),
         'HP Cost': cost,
+        Discount: discount,
       };
       await sheet.addRow(newRowData);
     }
@@ -290,15 +323,13 @@ async function logPurchaseToSheet(username, resource, resourceAmount, cost) {
     }
 
     // Calculate totals from all purchase rows
-    const totals = { Gold: 0, Wood: 0, Food: 0, Stone: 0, 'HP Cost': 0 };
+    const totals = Object.fromEntries([...resourceColumns, 'HP Cost', 'Discount'].map(name => [name, 0]));
     // We need to re-fetch the rows after potential deletion and addition
     const updatedRows = await sheet.getRows();
     updatedRows.forEach(row => {
-      totals.Gold += parseFloat(row.get('Gold')) || 0;
-      totals.Wood += parseFloat(row.get('Wood')) || 0;
-      totals.Food += parseFloat(row.get('Food')) || 0;
-      totals.Stone += parseFloat(row.get('Stone')) || 0;
-      totals['HP Cost'] += parseFloat(row.get('HP Cost')) || 0;
+      for (const name of Object.keys(totals)) {
+        totals[name] += parseFloat(row.get(name)) || 0;
+      }
     });
 
     // Add the new totals row at the very end
@@ -317,7 +348,7 @@ async function logPurchaseToSheet(username, resource, resourceAmount, cost) {
 }
 
 
-async function logItemPurchaseToSheet(username, itemName, price) {
+async function logItemPurchaseToSheet(username, itemName, price, discount = 0) {
   const { GOOGLE_SHEET_ID, GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY } = process.env;
   if (!GOOGLE_SHEET_ID || !GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY) return;
 
@@ -335,11 +366,14 @@ async function logItemPurchaseToSheet(username, itemName, price) {
     let sheet = doc.sheetsByTitle[sheetTitle];
 
     if (!sheet) {
-      sheet = await doc.addSheet({ title: sheetTitle, headerValues: ['Timestamp', 'User', 'Item', 'Price'] });
+      sheet = await doc.addSheet({ title: sheetTitle, headerValues: ['Timestamp', 'User', 'Item', 'Price', 'Discount'] });
     } else {
       try { await sheet.loadHeaderRow(); } catch (e) { }
       if (!sheet.headerValues || sheet.headerValues.length === 0) {
-        await sheet.setHeaderRow(['Timestamp', 'User', 'Item', 'Price']);
+        await sheet.setHeaderRow(['Timestamp', 'User', 'Item', 'Price', 'Discount']);
+      } else if (!sheet.headerValues.includes('Discount')) {
+        // Sheets from before shop promotions get the column at the end
+        await sheet.setHeaderRow([...sheet.headerValues, 'Discount']);
       }
     }
 
@@ -347,7 +381,8 @@ async function logItemPurchaseToSheet(username, itemName, price) {
       Timestamp: new Date().toLocaleString('en-US', { timeZone: 'UTC' }),
       User: username,
       Item: itemName,
-      Price: price
+      Price: price,
+      Discount: discount
     });
     console.log(`Successfully logged item purchase to "${sheetTitle}".`);
   } catch (error) {
@@ -401,30 +436,25 @@ function parseDuration(durationString) {
   return milliseconds;
 }
 
-// Helper function to seed the shop with default items
-// Helper function to seed the shop with default items
+// Gives servers with an empty catalog a package for each of their resource types
 async function seedShop() {
   try {
     console.log('🛍️ Checking shop defaults...');
-    const defaults = [
-      { name: 'Gold Package', price: 10, emoji: '🪙', description: '50,000 Gold', resource: 'gold', quantity: 50000 },
-      { name: 'Wood Package', price: 10, emoji: '🪵', description: '150,000 Wood', resource: 'wood', quantity: 150000 },
-      { name: 'Food Package', price: 10, emoji: '🌽', description: '150,000 Food', resource: 'food', quantity: 150000 },
-      { name: 'Stone Package', price: 10, emoji: '🪨', description: '112,000 Stone', resource: 'stone', quantity: 112000 },
-    ];
-
-    for (const item of defaults) {
-      const { rows } = await safeQuery('SELECT * FROM shop_items WHERE name = $1', [item.name]);
-      if (rows.length === 0) {
-        console.log(`Adding missing default item: ${item.name}`);
-        // Calculate ID manually for Postgres compatibility without sequence
-        const { rows: maxRows } = await safeQuery('SELECT MAX(id) as max_id FROM shop_items');
-        const nextId = (maxRows[0]?.max_id || 0) + 1;
-
-        await safeQuery(
-          'INSERT INTO shop_items (id, name, price, emoji, description, resource_type, quantity, requires_ticket, stock) VALUES ($1, $2, $3, $4, $5, $6, $7, 0, -1)',
-          [nextId, item.name, item.price, item.emoji, item.description, item.resource, item.quantity]
-        );
+    for (const guildId of client.guilds.cache.keys()) {
+      const { rows } = await safeQuery('SELECT COUNT(*) AS count FROM shop_items WHERE guild_id = $1', [guildId]);
+      if (Number(rows[0]?.count) > 0) continue;
+
+      for (const type of resources.listResourceTypes(guildId)) {
+        console.log(`Adding default item for ${guildId}: ${type.name} Package`);
+        await addShopItem(guildId, {
+          name: `${type.name} Package`,
+          price: type.package_price,
+          emoji: type.emoji,
+          description: `${type.package_size.toLocaleString('en-US')} ${type.name}`,
+          resource_type: type.key,
+          quantity: type.package_size,
+          category: 'Resources',
+        });
       }
     }
   } catch (error) {
@@ -441,24 +471,89 @@ const updateBotPresence = () => {
   });
 };
 
+// Giveaways end from the database on startup and every sweep, not from in-memory timers alone
+scheduler.register('giveaway_end', {
+  load: async () => {
+    const { rows } = await db.query('SELECT id, end_time FROM giveaways WHERE ended = FALSE');
+    return rows.map(row => ({ id: row.id, runAt: row.end_time }));
+  },
+  run: endGiveaway,
+});
+
+scheduler.register('giveaway_schedule', {
+  load: async () => {
+    const { rows } = await db.query('SELECT id, next_run FROM giveaway_schedules');
+    return rows.map(row => ({ id: row.id, runAt: row.next_run }));
+  },
+  run: runScheduledGiveaway,
+});
+
+// Pending invite rewards, keyed `${guildId}:${memberId}`
+scheduler.register('invite_hold', {
+  load: async () => {
+    const rows = await invites.getPendingInvites();
+    return rows.map(row => ({ id: `${row.guild_id}:${row.invited_member_id}`, runAt: row.confirm_at || new Date() }));
+  },
+  run: runInviteHold,
+});
+
+scheduler.register('market_expiry', {
+  load: async () => {
+    const { rows } = await db.query("SELECT id, expires_at FROM market_listings WHERE status = 'active'");
+    return rows.map(row => ({ id: row.id, runAt: row.expires_at }));
+  },
+  run: expireMarketListing,
+});
+
+// Boosts simply stop counting once their row is gone
+scheduler.register('item_effect', {
+  load: async () => {
+    const { rows } = await db.query('SELECT id, expires_at FROM item_effects');
+    return rows.map(row => ({ id: row.id, runAt: row.expires_at }));
+  },
+  run: inventory.endEffect,
+});
+
+scheduler.register('role_grant_expiry', {
+  load: async () => {
+    const { rows } = await db.query('SELECT id, expires_at FROM role_grants');
+    return rows.map(row => ({ id: row.id, runAt: row.expires_at }));
+  },
+  run: expireRoleGrant,
+});
+
+scheduler.register('role_grant_reminder', {
+  load: async () => {
+    const { rows } = await db.query('SELECT id, expires_at FROM role_grants WHERE reminded = FALSE');
+    return rows.map(row => ({ id: row.id, runAt: new Date(new Date(row.expires_at).getTime() - subscriptions.REMINDER_LEAD_MS) }));
+  },
+  run: remindRoleGrant,
+});
+
 client.once(Events.ClientReady, async () => {
   console.log(`Logged in as ${client.user.tag}!`);
   updateBotPresence();
 
-  client.guilds.cache.forEach(async (guild) => {
-    try {
-      const invites = await guild.invites.fetch();
-      invites.forEach(invite => {
-        cachedInvites.set(invite.code, invite.uses);
-      });
-    } catch (err) {
-      console.log(`Failed to fetch invites for guild ${guild.name}: ${err.message}`);
-    }
-  });
+  client.guilds.cache.forEach(guild => cacheGuildInvites(guild));
 
   // Seed the shop if empty
   await seedShop();
 
+  // End giveaways that finished while offline and re-arm the rest
+  await scheduler.start();
+
+  try {
+    await resumeVoiceSessions();
+  } catch (err) {
+    console.error('Failed to resume voice sessions:', err);
+  }
+
+  try {
+    await rewards.loadSuspensions();
+  } catch (err) {
+    console.error('Failed to load reward suspensions:', err);
+  }
+
   // Database Migrations (Auto-Add Columns for Advanced Ticket Features)
   try {
     await db.query(`ALTER TABLE ticket_categories ADD COLUMN IF NOT EXISTS claim_enabled BOOLEAN DEFAULT FALSE`);
@@ -530,6 +625,24 @@ setInterval(async () => {
   }
 }, 60 * 1000); // Check every minute
 
+// Voice Time Tick
+setInterval(async () => {
+  try {
+    await accrueVoiceSessions();
+  } catch (err) {
+    console.error('Error in voice time tick:', err);
+  }
+}, VOICE_TICK_MS);
+
+// Anti-Farming Cleanup: forget message checks that have run out (every 10 minutes)
+setInterval(async () => {
+  try {
+    await rewards.pruneMessageStates();
+  } catch (err) {
+    console.error('Error pruning message reward checks:', err);
+  }
+}, 10 * 60 * 1000);
+
 // Backup Cleanup Scheduler (Check every hour)
 setInterval(async () => {
   try {
@@ -719,7 +832,10 @@ client.on('messageCreate', async message => {
     }
   }
 
-  await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [message.author.id]);
+  // Currency rewards only apply inside a guild
+  if (!message.guild) return;
+
+  await economy.ensureUser(message.guildId, message.author.id);
 
   /*
   // Increment total message count
@@ -736,99 +852,62 @@ client.on('messageCreate', async message => {
 
   // Increment total and daily message count  
   const todayStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-  const { rows } = await db.query(`
-      INSERT INTO message_counts (user_id, count, rewarded_messages, daily_count, last_message_date)
-      VALUES ($1, 1, 0, 1, $2)
-      ON CONFLICT (user_id)
+  await db.query(`
+      INSERT INTO message_counts (guild_id, user_id, count, rewarded_messages, daily_count, last_message_date)
+      VALUES ($1, $2, 1, 0, 1, $3)
+      ON CONFLICT (guild_id, user_id)
       DO UPDATE SET 
         count = message_counts.count + 1,
         daily_count = CASE 
-          WHEN message_counts.last_message_date = $2 THEN message_counts.daily_count + 1 
+          WHEN message_counts.last_message_date = $3 THEN message_counts.daily_count + 1 
           ELSE 1 
         END,
-        last_message_date = $2
-      RETURNING count, rewarded_messages
-  `, [message.author.id, todayStr]);
+        last_message_date = $3
+  `, [message.guildId, message.author.id, todayStr]);
 
-  const { count, rewarded_messages } = rows[0];
-  const unrewardedCount = count - rewarded_messages;
+  const settings = await getActivityRewardSettings(message.guildId);
+  const multiplier = rewards.getMultiplier(await rewards.getRules(message.guildId), getRewardChannelIds(message.channel), [...(message.member?.roles.cache.keys() || [])]);
+  if (multiplier <= 0) return;
 
-  if (unrewardedCount >= 100) {
-    const rewardsToGive = Math.floor(unrewardedCount / 100);
-    const totalReward = rewardsToGive * 5;
-    await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [totalReward, message.author.id]);
-    await db.query('UPDATE message_counts SET rewarded_messages = rewarded_messages + $1 WHERE user_id = $2', [rewardsToGive * 100, message.author.id]);
-    logActivity('💬 Message Reward', `<@${message.author.id}> received **${totalReward}** 💰 for sending ${rewardsToGive * 100} messages.`, 'Green');
+  const screen = await rewards.screenMessage({ guildId: message.guildId, userId: message.author.id, content: message.content, stickerCount: message.stickers.size, settings });
+  if (screen.suspended) {
+    logActivity(
+      '🚨 Reward Farming Suspected',
+      `<@${message.author.id}> sent too many short, repeated or emoji-only messages in <#${message.channelId}>. They earn nothing from messages until <t:${Math.floor(screen.suspendedUntil / 1000)}:t> (<t:${Math.floor(screen.suspendedUntil / 1000)}:R>).`,
+      'Red', null, message.guildId
+    );
+  }
+  if (screen.failed.length) return;
+
+  await db.query('UPDATE message_counts SET eligible_count = COALESCE(eligible_count, 0) + 1 WHERE guild_id = $1 AND user_id = $2', [message.guildId, message.author.id]);
+
+  const result = await rewards.addProgress({
+    guildId: message.guildId,
+    userId: message.author.id,
+    kind: 'message',
+    progress: multiplier,
+    amount: settings.message_reward_amount,
+    threshold: settings.message_reward_threshold,
+    dailyCap: settings.activity_daily_cap,
+  });
+  if (result.units > 0) {
+    const capNote = result.capped ? ` (daily cap of ${settings.activity_daily_cap.toLocaleString('en-US')} 💰 reached)` : '';
+    logActivity('💬 Message Reward', `<@${message.author.id}> received **${result.paid.toLocaleString('en-US')}** 💰 for sending ${(result.units * settings.message_reward_threshold).toLocaleString('en-US')} messages${capNote}.`, 'Green', null, message.guildId);
   }
 });
 
 client.on('voiceStateUpdate', async (oldState, newState) => {
   const member = newState.member || oldState.member;
-  if (member.user.bot) return;
-  await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [member.id]);
-  if (oldState.channelId && !newState.channelId) { // left
-    const start = voiceTimes.get(member.id);
-    if (start) {
-      const minutesInSession = Math.floor((Date.now() - start) / 60000);
-      voiceTimes.delete(member.id);
-
-      if (minutesInSession > 0) {
-        const { rows } = await db.query(`
-          INSERT INTO voice_times (user_id, minutes, rewarded_minutes)
-          VALUES ($1, $2, 0)
-          ON CONFLICT (user_id)
-          DO UPDATE SET minutes = voice_times.minutes + $2
-          RETURNING minutes, rewarded_minutes
-        `, [member.id, minutesInSession]);
-
-        const { minutes, rewarded_minutes } = rows[0];
-        const unrewardedMinutes = minutes - rewarded_minutes;
-
-        if (unrewardedMinutes >= 60) {
-          const hoursToReward = Math.floor(unrewardedMinutes / 60);
-          const totalReward = hoursToReward * 20;
-          await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [totalReward, member.id]);
-          await db.query('UPDATE voice_times SET rewarded_minutes = rewarded_minutes + $1 WHERE user_id = $2', [hoursToReward * 60, member.id]);
-
-          logActivity('🎙️ Voice Reward', `<@${member.id}> received **${totalReward}** 💰 for spending ${hoursToReward} hour(s) in voice channels.`, 'Green');
-        }
-
-        // --- Leveling System (Voice XP) ---
-        // Reward per minute (tracked in minutes variable) is tricky because 'minutes' in DB is cumulative total.
-        // But here we just calculated 'minutesSpent' (diff).
-        // Wait, the logic above (lines 680-700) tracks 'minutes' for currency rewards which resets or accumulates?
-        // Ah, logic: 'minutes' is total. 'rewarded_minutes' is tracked.
-        // We can replicate logic for XP or just give XP for minutesSpent.
-
-        // We don't have 'minutesSpent' variable exposed easily in lines 690-700 without reading the diff.
-        // The diff is implied by 'minutes - rewarded_minutes'.
-        // Currency is given per HOUR (60 mins).
-        // XP should be per MINUTE. 
-
-        // Use separate query/logic for XP or hook into the update?
-        // Let's hook into the "minute update" logic if it exists. 
-        // Currently, the bot updates voice_times on JOIN/LEAVE.
-        // If someone is in VC for 5 hours, they get rewards on LEAVE?
-        // Line 704: `} else if (!oldState.channelId && newState.channelId) { // joined`
-        // Line 651: `if (oldState.channelId && !newState.channelId) { // left`
-        // It calculates duration on LEAVE.
-
-        const durationMs = Date.now() - startTime;
-        const minutesSpent = Math.floor(durationMs / 1000 / 60);
-
-        if (minutesSpent > 0) {
-          // Get rate
-          const { rows: configRows } = await safeQuery('SELECT xp_rate_voice FROM guild_configs WHERE guild_id = $1', [member.guild.id]);
-          const xpRateVoice = configRows[0]?.xp_rate_voice || 10;
-          const xpToGive = Math.floor(minutesSpent * xpRateVoice);
-          if (xpToGive > 0) {
-            await addXp(member.guild.id, member.id, xpToGive);
-          }
-        }
-      }
-    }
-  } else if (!oldState.channelId && newState.channelId) { // joined
-    voiceTimes.set(member.id, Date.now());
+  if (!member || member.user.bot) return;
+
+  // Count the time up to this change in the state it was spent in
+  const session = oldState.channelId ? await voice.getSession(member.guild.id, member.id) : null;
+  if (session) await accrueVoiceSession(session, oldState);
+
+  if (!newState.channelId) { // left
+    await voice.closeSession(member.guild.id, member.id);
+  } else if (!session || newState.channelId !== oldState.channelId) { // joined or switched
+    await voice.openSession(member.guild.id, member.id, newState.channelId);
   }
 });
 
@@ -850,11 +929,10 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
       const newBoosts = currentBoosts - rewardedBoosts;
       if (newBoosts > 0) {
         const reward = newBoosts * 500;
-        await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [newMember.id]);
-        await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [reward, newMember.id]);
-        await db.query('INSERT INTO boosts (user_id, boosts) VALUES ($1, $2) ON CONFLICT (user_id) DO UPDATE SET boosts = boosts.boosts + $2', [newMember.id, newBoosts]);
+        await economy.adjustBalance({ guildId: guild.id, userId: newMember.id, amount: reward, reason: 'boost_reward' });
+        await db.query('INSERT INTO boosts (guild_id, user_id, boosts) VALUES ($1, $2, $3) ON CONFLICT (guild_id, user_id) DO UPDATE SET boosts = boosts.boosts + $3', [guild.id, newMember.id, newBoosts]);
         await db.query('INSERT INTO server_stats (id, rewarded_boosts) VALUES ($1, $2) ON CONFLICT (id) DO UPDATE SET rewarded_boosts = $2', [guild.id, currentBoosts]);
-        logActivity('🚀 Server Boost Reward', `<@${newMember.id}> received **${reward}** 💰 for **${newBoosts}** new boost(s).`, 'Gold');
+        logActivity('🚀 Server Boost Reward', `<@${newMember.id}> received **${reward}** 💰 for **${newBoosts}** new boost(s).`, 'Gold', null, guild.id);
       }
       return;
     }
@@ -863,16 +941,15 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
 
     if (newBoosts > 0) {
       const reward = newBoosts * 500;
-      await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [newMember.id]);
-      await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [reward, newMember.id]);
+      await economy.adjustBalance({ guildId: guild.id, userId: newMember.id, amount: reward, reason: 'boost_reward' });
 
       // Update the user's personal boost count
-      await db.query('INSERT INTO boosts (user_id, boosts) VALUES ($1, $2) ON CONFLICT (user_id) DO UPDATE SET boosts = boosts.boosts + $2', [newMember.id, newBoosts]);
+      await db.query('INSERT INTO boosts (guild_id, user_id, boosts) VALUES ($1, $2, $3) ON CONFLICT (guild_id, user_id) DO UPDATE SET boosts = boosts.boosts + $3', [guild.id, newMember.id, newBoosts]);
 
       // Update the total rewarded boosts for the server
       await db.query('INSERT INTO server_stats (id, rewarded_boosts) VALUES ($1, $2) ON CONFLICT (id) DO UPDATE SET rewarded_boosts = $2', [guild.id, currentBoosts]);
 
-      logActivity('🚀 Server Boost Reward', `<@${newMember.id}> received **${reward}** 💰 for **${newBoosts}** new boost(s).`, 'Gold');
+      logActivity('🚀 Server Boost Reward', `<@${newMember.id}> received **${reward}** 💰 for **${newBoosts}** new boost(s).`, 'Gold', null, guild.id);
     }
   }
 });
@@ -936,16 +1013,12 @@ client.on('messageDelete', async (message) => {
 
   try {
     // Find the giveaway in database
-    const { rows } = await db.query('SELECT * FROM giveaways WHERE id = $1 AND ended = FALSE', [giveawayId]);
+    const { rows } = await db.query('SELECT id FROM giveaways WHERE id = $1 AND ended = FALSE', [giveawayId]);
     if (rows.length === 0) return;
 
-    const giveaway = rows[0];
-
-    // Cancel the giveaway
+    // Cancel the giveaway (cancelGiveaway logs it)
     await cancelGiveaway(giveawayId, 'Message deleted');
 
-    logActivity('❌ Giveaway Cancelled', `Giveaway **${giveaway.prize}** was cancelled because the message was deleted.`, 'Red');
-
   } catch (error) {
     console.error('Error handling giveaway message deletion:', error);
   }
@@ -957,6 +1030,7 @@ client.on('guildCreate', async (guild) => {
     // Initialize server pool with 100k
     await db.query('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 100000) ON CONFLICT (id) DO NOTHING', [guild.id]);
     logActivity('🏦 Server Pool Initialized', `The bot joined a new server. The pool has been initialized with **100,000** 💰.`, 'Green');
+    await cacheGuildInvites(guild);
   } catch (err) {
     console.error('Failed to initialize server pool on guild join:', err.message);
   }
@@ -967,7 +1041,21 @@ client.on('interactionCreate', async interaction => {
 
   if (interaction.isAutocomplete()) {
     const commandName = interaction.commandName;
-    if (commandName === 'ticket-category') {
+    const focusedOption = interaction.options.getFocused(true);
+    if (focusedOption.name === 'resource' || focusedOption.name === 'prize_type') {
+      // This server's resource types; pounds where currency is allowed, shop items for prizes
+      const choices = resources.listResourceTypes(interaction.guildId).map(type => ({ name: `${type.emoji} ${type.name}`, value: type.key }));
+      if (focusedOption.name === 'prize_type' || ['pay', 'transactions'].includes(commandName)) {
+        choices.unshift({ name: '💰 Sovereign Pounds', value: 'pounds' });
+      }
+      if (focusedOption.name === 'prize_type') {
+        choices.push({ name: '🛍️ Shop Item', value: 'item' });
+      }
+      const focusedValue = String(focusedOption.value).toLowerCase();
+      await interaction.respond(
+        choices.filter(choice => choice.name.toLowerCase().includes(focusedValue) || choice.value.includes(focusedValue)).slice(0, 25)
+      ).catch(error => console.error('Error handling resource autocomplete:', error));
+    } else if (commandName === 'ticket-category') {
       const focusedValue = interaction.options.getFocused();
       try {
         const { rows } = await safeQuery(
@@ -981,116 +1069,402 @@ client.on('interactionCreate', async interaction => {
       } catch (error) {
         console.error('Error handling autocomplete:', error);
       }
+    } else if ((commandName === 'use' || commandName === 'gift') && focusedOption.name === 'item') {
+      // Items the member owns; only consumables can be used
+      const focusedValue = String(focusedOption.value).toLowerCase();
+      try {
+        const items = await inventory.getInventory(interaction.guildId, interaction.user.id);
+        const choices = items
+          .filter(item => commandName === 'gift' || item.effect_type)
+          .map(item => ({
+            name: `${item.emoji || '📦'} ${item.name || `Item #${item.item_id}`} ×${item.owned.toLocaleString('en-US')}`.substring(0, 100),
+            value: item.item_id.toString()
+          }))
+          .filter(choice => choice.name.toLowerCase().includes(focusedValue))
+          .slice(0, 25);
+        await interaction.respond(choices);
+      } catch (error) {
+        console.error('Error handling inventory autocomplete:', error);
+      }
+    } else if (commandName === 'coupon' && focusedOption.name === 'code') {
+      const focusedValue = String(focusedOption.value).toUpperCase();
+      try {
+        const coupons = await promotions.listCoupons(interaction.guildId);
+        const choices = coupons
+          .filter(coupon => coupon.code.includes(focusedValue))
+          .slice(0, 25)
+          .map(coupon => ({ name: `${coupon.code} (${coupon.uses} used)`, value: coupon.code }));
+        await interaction.respond(choices);
+      } catch (error) {
+        console.error('Error handling coupon autocomplete:', error);
+      }
+    } else if (commandName === 'shop-sale' && focusedOption.name === 'sale') {
+      const focusedValue = String(focusedOption.value).toLowerCase();
+      try {
+        const sales = await promotions.listSales(interaction.guildId);
+        const choices = sales
+          .map(sale => ({ name: `#${sale.id} • ${sale.percent}% off ${sale.category || 'the whole shop'}`.substring(0, 100), value: sale.id }))
+          .filter(choice => choice.name.toLowerCase().includes(focusedValue))
+          .slice(0, 25);
+        await interaction.respond(choices);
+      } catch (error) {
+        console.error('Error handling sale autocomplete:', error);
+      }
+    } else if (commandName === 'market' && focusedOption.name === 'listing') {
+      // Other members' listings to buy, your own to cancel
+      const focusedValue = String(focusedOption.value).toLowerCase();
+      const ownListings = interaction.options.getSubcommand() === 'cancel';
+      try {
+        const { rows } = await safeQuery(
+          `SELECT * FROM market_listings WHERE guild_id = $1 AND status = 'active' AND expires_at > $2 AND seller_id ${ownListings ? '=' : '!='} $3 ORDER BY price / amount ASC, id ASC LIMIT 50`,
+          [interaction.guildId, new Date(), interaction.user.id]
+        );
+        const choices = rows
+          .map(row => ({
+            name: `#${row.id} • ${Number(row.amount).toLocaleString('en-US')} ${resources.describeUnit(interaction.guildId, row.resource)} for ${row.price.toLocaleString('en-US')} 💰`.substring(0, 100),
+            value: row.id
+          }))
+          .filter(choice => choice.name.toLowerCase().includes(focusedValue))
+          .slice(0, 25);
+        await interaction.respond(choices);
+      } catch (error) {
+        console.error('Error handling market autocomplete:', error);
+      }
+    } else if ((commandName === 'giveaway' || commandName === 'giveaway-schedule') && focusedOption.name === 'prize_item') {
+      // Shop items by name
+      const focusedValue = interaction.options.getFocused().toLowerCase();
+      try {
+        await interaction.respond(await getShopItemChoices(interaction.guildId, focusedValue));
+      } catch (error) {
+        console.error('Error handling autocomplete:', error);
+      }
+    } else if (['shop-edit', 'shop-remove', 'shop-stock', 'coupon'].includes(commandName) && focusedOption.name === 'item') {
+      const focusedValue = String(focusedOption.value).toLowerCase();
+      try {
+        await interaction.respond(await getShopItemChoices(interaction.guildId, focusedValue));
+      } catch (error) {
+        console.error('Error handling shop item autocomplete:', error);
+      }
+    } else if (['shop', 'shop-add', 'shop-edit', 'coupon', 'shop-sale'].includes(commandName) && focusedOption.name === 'category') {
+      // Categories in use; admins adding or editing an item may also type a new one
+      const typed = String(focusedOption.value).trim().substring(0, 32);
+      const allowNew = commandName === 'shop-add' || commandName === 'shop-edit';
+      try {
+        const { rows } = commandName === 'shop'
+          ? await safeQuery('SELECT DISTINCT category FROM shop_items WHERE guild_id = $1 AND hidden = 0 ORDER BY category ASC', [interaction.guildId])
+          : await safeQuery('SELECT DISTINCT category FROM shop_items WHERE guild_id = $1 ORDER BY category ASC', [interaction.guildId]);
+        const categories = rows.map(row => row.category).filter(Boolean);
+        const choices = categories.filter(name => name.toLowerCase().includes(typed.toLowerCase()));
+        if (allowNew && typed && !categories.some(name => name.toLowerCase() === typed.toLowerCase())) {
+          choices.unshift(typed);
+        }
+        await interaction.respond(choices.slice(0, 25).map(name => ({ name, value: name })));
+      } catch (error) {
+        console.error('Error handling shop category autocomplete:', error);
+      }
+    } else if (commandName === 'giveaway-schedule') {
+      // Schedules to remove, matched on id, channel name or prize
+      const focusedValue = String(interaction.options.getFocused()).toLowerCase();
+      try {
+        const { rows } = await safeQuery('SELECT * FROM giveaway_schedules WHERE guild_id = $1 ORDER BY next_run ASC LIMIT 50', [interaction.guildId]);
+        const choices = rows
+          .map(row => ({
+            name: `#${row.id} • ${describeRepeatRule(row.repeat_rule)} • ${interaction.guild.channels.cache.get(row.channel_id)?.name || row.channel_id} • ${describeScheduledPrize(row.guild_id, row.settings)}`.substring(0, 100),
+            value: row.id
+          }))
+          .filter(choice => choice.name.toLowerCase().includes(focusedValue))
+          .slice(0, 25);
+        await interaction.respond(choices);
+      } catch (error) {
+        console.error('Error handling autocomplete:', error);
+      }
+    } else if (['giveaway-end', 'giveaway-cancel', 'giveaway-reroll', 'giveaway-verify'].includes(commandName)) {
+      // Running giveaways for end/cancel, finished ones for reroll/verify
+      const focusedValue = interaction.options.getFocused().toLowerCase();
+      const ended = commandName === 'giveaway-reroll' || commandName === 'giveaway-verify';
+      try {
+        const { rows } = await safeQuery(
+          `SELECT g.*, s.name AS prize_item_name FROM giveaways g LEFT JOIN shop_items s ON s.id = g.prize_item_id WHERE g.guild_id = $1 AND g.ended = $2 ORDER BY g.end_time ${ended ? 'DESC' : 'ASC'} LIMIT 50`,
+          [interaction.guildId, ended]
+        );
+        const choices = rows
+          .filter(row => row.id.toLowerCase().includes(focusedValue))
+          .slice(0, 25)
+          .map(row => ({
+            name: `${describeGiveawayPrize(row)} • ${(row.participants || []).length} joined • ${row.id}`.substring(0, 100),
+            value: row.id
+          }));
+        await interaction.respond(choices);
+      } catch (error) {
+        console.error('Error handling giveaway autocomplete:', error);
+      }
     }
     return;
   }
 
   if (interaction.isChatInputCommand()) { // Handle Slash Commands
     const { commandName } = interaction;
-    await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [interaction.user.id]);
+    if (interaction.guildId) await economy.ensureUser(interaction.guildId, interaction.user.id);
 
     if (commandName === 'balance') {
       // Defer the reply to prevent interaction timeout
       await interaction.deferReply();
-      const { rows } = await db.query('SELECT * FROM users WHERE id = $1', [interaction.user.id]);
-      const row = rows[0];
+      const balance = await economy.getBalance(interaction.guildId, interaction.user.id);
+      const held = await economy.getResourceBalances(interaction.guildId, interaction.user.id);
+      const resourceLines = resources.listResourceTypes(interaction.guildId)
+        .map(type => `${type.emoji} ${type.name}: ${(held[type.key] || 0).toLocaleString('en-US')}`);
       const embed = new EmbedBuilder()
         .setColor('Blue')
         .setDescription(`# 📊 ${interaction.user.username}'s Balance\n\n` +
-          `💰 **${(row?.balance || 0).toLocaleString('en-US')}** Sovereign Pounds\n\n` +
-          `**Inventory**\n` +
-          `🪙 Gold: ${(row?.gold || 0).toLocaleString('en-US')}\n` +
-          `🪵 Wood: ${(row?.wood || 0).toLocaleString('en-US')}\n` +
-          `🌽 Food: ${(row?.food || 0).toLocaleString('en-US')}\n` +
-          `🪨 Stone: ${(row?.stone || 0).toLocaleString('en-US')}`
+          `💰 **${balance.toLocaleString('en-US')}** Sovereign Pounds` +
+          (resourceLines.length ? `\n\n**Resources**\n${resourceLines.join('\n')}` : '')
         );
 
 
       await interaction.editReply({ embeds: [embed] });
     } else if (commandName === 'shop') {
       try {
-        // Fetch shop items from database
-        const { rows: items } = await safeQuery('SELECT * FROM shop_items ORDER BY price ASC');
+        // A coupon stays applied for this member's purchases until it runs out or /shop is opened without one
+        const couponKey = `${interaction.guildId}:${interaction.user.id}`;
+        const code = interaction.options.getString('coupon');
+        if (code) {
+          const coupon = await promotions.getCoupon(interaction.guildId, code);
+          const problem = coupon ? promotions.getCouponProblem(coupon) : 'does not exist';
+          if (problem) {
+            return interaction.reply({ content: `❌ Coupon **${promotions.normalizeCode(code)}** ${problem}.`, ephemeral: true });
+          }
+          if (coupon.per_user_limit > 0 && (await promotions.countRedemptions(coupon.id, interaction.user.id)) >= coupon.per_user_limit) {
+            return interaction.reply({ content: `❌ You have already used coupon **${coupon.code}** the maximum number of times.`, ephemeral: true });
+          }
+          shopCoupons.set(couponKey, coupon.code);
+        } else {
+          shopCoupons.delete(couponKey);
+        }
+
+        const page = await buildShopPage(interaction.guildId, interaction.member, {
+          category: interaction.options.getString('category') || '',
+          sort: interaction.options.getString('sort') || 'price',
+        });
+        await interaction.reply({ ...page, ephemeral: true });
+      } catch (error) {
+        console.error('Error in shop command:', error);
+        await interaction.reply({ content: `❌ An error occurred while opening the shop.`, ephemeral: true });
+      }
+
+    } else if (commandName === 'inventory') {
+      const targetUser = interaction.options.getUser('user') || interaction.user;
+      if (targetUser.id !== interaction.user.id) {
+        const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+        const adminRole = configRows[0]?.admin_role_id;
+        if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+          return interaction.reply({ content: '🚫 You can only view your own inventory.', ephemeral: true });
+        }
+      }
 
-        // Check balance
-        const { rows: userRows } = await safeQuery('SELECT balance FROM users WHERE users.id = $1', [interaction.user.id]);
-        const balance = userRows[0]?.balance || 0;
+      try {
+        const items = await inventory.getInventory(interaction.guildId, targetUser.id);
+        const effects = await inventory.getActiveEffects(interaction.guildId, targetUser.id);
 
-        let description = `Select an item below to purchase.\n\n💰 **Your Balance:** ${balance.toLocaleString('en-US')} 💰\n\n`;
+        const itemLines = items.map(item => {
+          const name = item.name ? `${item.emoji || '📦'} **${item.name}**` : `📦 **Item #${item.item_id}** (no longer sold)`;
+          const effect = item.effect_type ? `\n> ✨ ${describeItemEffect(item)} • \`/use\`` : '';
+          return `${name} ×${item.owned.toLocaleString('en-US')}${effect}`;
+        });
+        const effectLines = effects.map(effect => `${effect.multiplier}× ${effect.effect_type === 'xp_boost' ? 'XP' : 'daily reward'} until <t:${Math.floor(new Date(effect.expires_at).getTime() / 1000)}:f>`);
 
-        if (items.length > 0) {
-          description += `**__Available Items__**\n`;
-          items.slice(0, 20).forEach(item => {
-            const stockDisplay = item.stock === -1 ? '♾️ Infinite' : item.stock;
-            const itemDesc = item.description ? `\n> *${item.description}*` : '';
-            description += `> ${item.emoji || '📦'} **${item.name}** \`ID: ${item.id}\` — **${item.price.toLocaleString('en-US')}** 💰\n> 📦 Stock: ${stockDisplay}${itemDesc}\n\n`;
-          });
-          if (items.length > 20) description += `\n*(...and ${items.length - 20} more items in the menu)*`;
-        } else {
-          description += '\n🚫 The shop is currently empty.';
+        const embed = new EmbedBuilder()
+          .setTitle(`🎒 ${targetUser.username}'s Inventory`)
+          .setDescription((itemLines.length ? itemLines.join('\n') : 'No items yet. Browse the `/shop` to get some.').substring(0, 4096))
+          .setColor('Blue');
+        if (effectLines.length) {
+          embed.addFields({ name: '✨ Active Boosts', value: effectLines.join('\n').substring(0, 1024) });
+        }
+        embed.setFooter({ text: 'Timed roles are listed in /subscriptions' });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+      } catch (error) {
+        console.error('Error showing inventory:', error);
+        await interaction.reply({ content: '❌ An error occurred while loading the inventory.', ephemeral: true });
+      }
+
+    } else if (commandName === 'subscriptions') {
+      const targetUser = interaction.options.getUser('user') || interaction.user;
+      if (targetUser.id !== interaction.user.id) {
+        const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+        const adminRole = configRows[0]?.admin_role_id;
+        if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+          return interaction.reply({ content: '🚫 You can only view your own subscriptions.', ephemeral: true });
         }
+      }
+
+      try {
+        const grants = await subscriptions.getActiveGrants(interaction.guildId, targetUser.id);
+        const lines = grants.map(grant => {
+          const endsAt = Math.floor(new Date(grant.expires_at).getTime() / 1000);
+          return `<@&${grant.role_id}> • ends <t:${endsAt}:R> (<t:${endsAt}:f>)${grant.item_name ? `\n> from **${grant.item_name}**` : ''}`;
+        });
 
         const embed = new EmbedBuilder()
-          .setColor('Blue')
-          .setTitle(`💰 Sovereign Empire Shop`)
-          .setDescription(description.substring(0, 4096));
-
-        if (items.length === 0) {
-          return await interaction.reply({ embeds: [embed], ephemeral: true });
-        }
-
-        const selectMenu = new StringSelectMenuBuilder()
-          .setCustomId('shop_buy_select')
-          .setPlaceholder('Browse the catalog...');
-
-        // Discord limits Select Menu to 25 items
-        items.slice(0, 25).forEach(item => {
-          // Parse emoji: If it's a custom ID string, use it. If unicode, use it.
-          // StringSelectMenuOptionBuilder setEmoji accepts ID or Unicode.
-          // My EMOJIS const has full string `<:name:id>`. extract ID.
-          let emojiIdOrChar = '📦';
-          if (item.emoji) {
-            const match = item.emoji.match(/:(\d+)>/);
-            emojiIdOrChar = match ? match[1] : item.emoji;
-          }
+          .setTitle(`⏳ ${targetUser.username}'s Timed Roles`)
+          .setDescription((lines.length ? lines.join('\n') : 'No timed roles right now. Timed roles from the `/shop` show up here.').substring(0, 4096))
+          .setFooter({ text: 'Getting the same role again adds to the remaining time' })
+          .setColor('Blue');
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+      } catch (error) {
+        console.error('Error showing subscriptions:', error);
+        await interaction.reply({ content: '❌ An error occurred while loading the subscriptions.', ephemeral: true });
+      }
 
-          selectMenu.addOptions(
-            new StringSelectMenuOptionBuilder()
-              .setLabel(`${item.name}`)
-              .setValue(item.id.toString())
-              .setDescription(`${item.price.toLocaleString('en-US')} 💰 - ${item.description || ''}`.substring(0, 100))
-              .setEmoji(emojiIdOrChar)
-          );
+    } else if (commandName === 'use') {
+      const itemId = parseInt(interaction.options.getString('item'), 10);
+      const { rows } = isNaN(itemId) ? { rows: [] } : await safeQuery('SELECT * FROM shop_items WHERE id = $1', [itemId]);
+      const item = rows[0];
+      if (!item) {
+        return interaction.reply({ content: '❌ Unknown item. Pick one from the list.', ephemeral: true });
+      }
+      if (!item.effect_type) {
+        return interaction.reply({ content: `❌ **${item.name}** cannot be used. It stays in your \`/inventory\`.`, ephemeral: true });
+      }
+      const days = Number(item.effect_days) || 0;
+      const role = item.effect_type === 'role' ? interaction.guild.roles.cache.get(item.effect_role_id) : null;
+      if (item.effect_type === 'role' && !role) {
+        return interaction.reply({ content: '❌ The role this item grants no longer exists. Please contact staff.', ephemeral: true });
+      }
+
+      await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+      try {
+        // The item is only spent if its effect applies
+        const result = await withTransaction(async (tx) => {
+          if (!(await inventory.removeItem({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, itemId: item.id }))) return null;
+
+          // The ticket is opened once the item is spent, outside the transaction
+          if (item.effect_type === 'ticket') return { ticket: true };
+          // The role is added once the item is spent, outside the transaction
+          if (role) {
+            if (days <= 0) return { role };
+            const grant = await subscriptions.grantTimedRole({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, roleId: role.id, days, source: 'item', itemId: item.id });
+            return { role, grant };
+          }
+          const effect = await inventory.startEffect({
+            client: tx,
+            guildId: interaction.guildId,
+            userId: interaction.user.id,
+            effectType: item.effect_type,
+            multiplier: item.effect_multiplier || 1,
+            days,
+            itemId: item.id,
+          });
+          return { effect };
         });
 
-        const row = new ActionRowBuilder().addComponents(selectMenu);
-        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+        if (!result) {
+          return interaction.editReply({ content: `❌ You do not have **${item.name}** in your inventory.` });
+        }
+        if (result.ticket) {
+          try {
+            const thread = await createOrderTicket(interaction.channel, interaction.user, item, `used **${item.name}** from their inventory.`, 'Item Use Ticket', { source: 'item_use' });
+            result.note = `🎫 **Ticket created:** <#${thread.id}>`;
+          } catch (error) {
+            // Give the item back; the ticket never opened
+            await inventory.addItem({ guildId: interaction.guildId, userId: interaction.user.id, itemId: item.id });
+            throw error;
+          }
+        }
+        if (result.role) {
+          try {
+            await interaction.member.roles.add(role);
+          } catch (error) {
+            // Give the item back and put any timed grant back how it was
+            await withTransaction(async (tx) => {
+              await inventory.addItem({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, itemId: item.id });
+              if (result.grant) await subscriptions.undoGrant({ client: tx, grant: result.grant });
+            });
+            throw error;
+          }
+          if (result.grant) {
+            result.note = describeRoleGrant(role, result.grant);
+          } else {
+            // Held for good now, so any timed grant on it no longer applies
+            await subscriptions.removeGrant({ guildId: interaction.guildId, userId: interaction.user.id, roleId: role.id });
+            result.note = `You now have the **${role.name}** role.`;
+          }
+        }
+        if (result.effect) {
+          scheduler.schedule('item_effect', result.effect.id, result.effect.expiresAt);
+        }
+        if (result.grant) {
+          scheduleRoleGrant(result.grant);
+        }
 
+        const note = result.note || `${describeItemEffect(item)}, active until <t:${Math.floor(result.effect.expiresAt.getTime() / 1000)}:f>.`;
+        await interaction.editReply({ content: `✅ Used ${item.emoji || '📦'} **${item.name}**. ${note}` });
+        logActivity('🎒 Item Used', `<@${interaction.user.id}> used **${item.name}**. ${note}`, 'Blue', null, interaction.guildId);
       } catch (error) {
-        console.error('Error in shop command:', error);
-        await interaction.reply({ content: `❌ An error occurred while opening the shop.`, ephemeral: true });
+        console.error('Error using item:', error);
+        await interaction.editReply({ content: '❌ The item could not be used, so it is still in your inventory. Please contact staff if this keeps happening.' });
+      }
+
+    } else if (commandName === 'gift') {
+      const recipient = interaction.options.getUser('user');
+      const itemId = parseInt(interaction.options.getString('item'), 10);
+      const quantity = interaction.options.getInteger('quantity') || 1;
+
+      if (!interaction.options.getMember('user')) {
+        return interaction.reply({ content: '❌ That user is not a member of this server.', ephemeral: true });
+      }
+      if (recipient.bot) {
+        return interaction.reply({ content: '❌ You cannot gift items to a bot.', ephemeral: true });
+      }
+      if (recipient.id === interaction.user.id) {
+        return interaction.reply({ content: '❌ You cannot gift items to yourself.', ephemeral: true });
+      }
+      if (isNaN(itemId)) {
+        return interaction.reply({ content: '❌ Unknown item. Pick one from the list.', ephemeral: true });
+      }
+
+      try {
+        const { rows } = await safeQuery('SELECT name, emoji FROM shop_items WHERE id = $1', [itemId]);
+        const itemName = rows[0] ? `${rows[0].emoji || '📦'} ${rows[0].name}` : `📦 Item #${itemId}`;
+
+        if (!(await inventory.giftItem({ guildId: interaction.guildId, fromId: interaction.user.id, toId: recipient.id, itemId, quantity }))) {
+          return interaction.reply({ content: `❌ You do not have ${quantity.toLocaleString('en-US')}× **${itemName}** to give.`, ephemeral: true });
+        }
+
+        await interaction.reply({ content: `🎁 <@${interaction.user.id}> gifted **${quantity.toLocaleString('en-US')}× ${itemName}** to <@${recipient.id}>.` });
+        logActivity('🎁 Item Gifted', `<@${interaction.user.id}> gifted **${quantity.toLocaleString('en-US')}× ${itemName}** to <@${recipient.id}>.`, 'Green', null, interaction.guildId);
+      } catch (error) {
+        console.error('Error gifting item:', error);
+        await interaction.reply({ content: '❌ An error occurred while gifting the item.', ephemeral: true });
       }
 
     } else if (commandName === 'help') {
+      const inviteSettings = await getInviteSettings(interaction.guildId);
+      const rewardSettings = await getActivityRewardSettings(interaction.guildId);
       const embed = new EmbedBuilder()
         .setColor('Blue')
         .setTitle(`💰 Sovereign Empire Bot Help`)
         .setDescription(`# Command List
         
 **Earn Currency**
-> **Invites**: 20 💰
-> **Messages**: 5 💰 / 100 msgs
-> **Voice**: 5 💰 / hour
+> **Invites**: ${inviteSettings.invite_reward.toLocaleString('en-US')} 💰
+> **Messages**: ${rewardSettings.message_reward_amount.toLocaleString('en-US')} 💰 / ${rewardSettings.message_reward_threshold.toLocaleString('en-US')} msgs
+> **Voice**: ${rewardSettings.voice_reward_amount.toLocaleString('en-US')} 💰 / ${rewardSettings.voice_reward_minutes.toLocaleString('en-US')} min${rewardSettings.activity_daily_cap > 0 ? `\n> **Daily Cap**: ${rewardSettings.activity_daily_cap.toLocaleString('en-US')} 💰 from messages and voice` : ''}
 > **Boosts**: 500 💰
 
 **User Commands**
 \`/balance\` \`/shop\` \`/daily\`
-\`/stats\` \`/leaderboard\` \`/help\`
+\`/stats\` \`/leaderboard\` \`/invites\` \`/help\`
+\`/transactions\` \`/pay\`
+\`/sell\` \`/market\`
+\`/inventory\` \`/use\` \`/gift\` \`/subscriptions\` \`/my-orders\`
 
 **Admin Commands**
-\`/pool\` \`/give\` \`/take\`
-\`/shop-add\` \`/shop-remove\`
-\`/giveaway\` \`/add-emoji\`
+\`/pool\` \`/give\` \`/take\` \`/take-resource\`
+\`/resource\` \`/shop-add\` \`/shop-edit\` \`/shop-remove\` \`/shop-stock\`
+\`/coupon\` \`/shop-sale\` \`/shop-discount\` \`/orders\`
+\`/invite-review\`
+\`/giveaway\` \`/giveaway-end\` \`/giveaway-reroll\`
+\`/giveaway-cancel\` \`/giveaway-list\` \`/add-emoji\`
+\`/giveaway-schedule\` \`/giveaway-verify\` (anyone)
 \`/ticket-setup\` \`/reset-all\``)
         .setFooter({ text: 'Sovereign Empire Economy', iconURL: interaction.guild.iconURL() });
 
@@ -1104,7 +1478,7 @@ client.on('interactionCreate', async interaction => {
         // Query message_counts for daily_count and last_message_date
         const todayStr = new Date().toISOString().split('T')[0];
 
-        const { rows } = await db.query('SELECT daily_count, last_message_date FROM message_counts WHERE user_id = $1', [targetUser.id]);
+        const { rows } = await db.query('SELECT daily_count, last_message_date FROM message_counts WHERE guild_id = $1 AND user_id = $2', [interaction.guildId, targetUser.id]);
         const row = rows[0];
 
         let dailyCount = 0;
@@ -1123,7 +1497,7 @@ client.on('interactionCreate', async interaction => {
         const todayStr = today.toISOString().slice(0, 10); // YYYY-MM-DD
 
         try {
-          const { rows } = await db.query('SELECT last_daily, daily_streak FROM users WHERE id = $1', [userId]);
+          const { rows } = await db.query('SELECT last_daily, daily_streak FROM users WHERE guild_id = $1 AND id = $2', [interaction.guildId, userId]);
           const row = rows[0];
 
           const lastDaily = row?.last_daily ? new Date(row.last_daily).toISOString().slice(0, 10) : null;
@@ -1151,16 +1525,21 @@ client.on('interactionCreate', async interaction => {
 
           // Cap the streak at 15 and calculate reward (5 + streak, max 20)
           const cappedStreak = Math.min(streak, 15);
-          const reward = 5 + cappedStreak;
+          const baseReward = 5 + cappedStreak;
+
+          // Daily reward boosts from used items
+          const multiplier = await inventory.getActiveMultiplier(interaction.guildId, userId, 'daily_multiplier');
+          const reward = Math.round(baseReward * multiplier * 100) / 100;
 
-          await db.query('UPDATE users SET balance = balance + $1, last_daily = $2, daily_streak = $3 WHERE id = $4', [reward, todayStr, streak, userId]);
+          await db.query('UPDATE users SET last_daily = $1, daily_streak = $2 WHERE guild_id = $3 AND id = $4', [todayStr, streak, interaction.guildId, userId]);
+          await economy.adjustBalance({ guildId: interaction.guildId, userId, amount: reward, reason: 'daily_claim' });
 
           const replyEmbed = new EmbedBuilder()
             .setColor('Gold')
-            .setDescription(`## 🎉 Daily Reward\nReceived **${reward}** 💰\nStreak: ${streak} days`);
+            .setDescription(`## 🎉 Daily Reward\nReceived **${reward}** 💰${multiplier > 1 ? ` (${multiplier}× boost)` : ''}\nStreak: ${streak} days`);
 
           await interaction.editReply({ embeds: [replyEmbed] });
-          logActivity(`🎁 Daily Reward`, `<@${userId}> claimed their daily reward of **${reward}** 💰 (Streak: ${streak}).`, 'Aqua');
+          logActivity(`🎁 Daily Reward`, `<@${userId}> claimed their daily reward of **${reward}** 💰 (Streak: ${streak}).`, 'Aqua', null, interaction.guildId);
         } catch (err) {
           console.error(err);
           return await interaction.editReply({ content: '❌ An error occurred while processing your daily reward.' });
@@ -1178,22 +1557,35 @@ client.on('interactionCreate', async interaction => {
       const user = interaction.options.getUser('user') || interaction.user;
 
       const statsPromises = [
-        db.query('SELECT invites FROM invites WHERE user_id = $1', [user.id]),
-        db.query('SELECT boosts FROM boosts WHERE user_id = $1', [user.id]),
-        db.query('SELECT count, rewarded_messages FROM message_counts WHERE user_id = $1', [user.id]),
-        db.query('SELECT minutes, rewarded_minutes FROM voice_times WHERE user_id = $1', [user.id]),
+        db.query('SELECT invites FROM invites WHERE guild_id = $1 AND user_id = $2', [interaction.guildId, user.id]),
+        db.query('SELECT boosts FROM boosts WHERE guild_id = $1 AND user_id = $2', [interaction.guildId, user.id]),
+        db.query('SELECT count, reward_progress FROM message_counts WHERE guild_id = $1 AND user_id = $2', [interaction.guildId, user.id]),
+        db.query('SELECT minutes, reward_progress FROM voice_times WHERE guild_id = $1 AND user_id = $2', [interaction.guildId, user.id]),
+        db.query("SELECT * FROM market_listings WHERE guild_id = $1 AND status = 'sold' AND (seller_id = $2 OR buyer_id = $2) ORDER BY closed_at DESC", [interaction.guildId, user.id]),
       ];
 
-      await Promise.all(statsPromises).then(async ([invitesRes, boostsRes, messagesRes, voiceMinutesRes]) => {
+      const rewardSettings = await getActivityRewardSettings(interaction.guildId);
+      const earnedToday = await rewards.getEarnedToday(interaction.guildId, user.id);
+
+      await Promise.all(statsPromises).then(async ([invitesRes, boostsRes, messagesRes, voiceMinutesRes, marketRes]) => {
         const invites = invitesRes.rows[0]?.invites || 0;
         const boosts = boostsRes.rows[0]?.boosts || 0;
         const totalMessages = messagesRes.rows[0]?.count || 0;
-        const rewardedMessages = messagesRes.rows[0]?.rewarded_messages || 0;
         const totalVoiceMinutes = voiceMinutesRes.rows[0]?.minutes || 0;
-        const rewardedVoiceMinutes = voiceMinutesRes.rows[0]?.rewarded_minutes || 0;
 
-        const messageProgress = ((totalMessages - rewardedMessages) % 100);
-        const voiceProgress = ((totalVoiceMinutes - rewardedVoiceMinutes) % 60);
+        const messageProgress = Math.floor(Number(messagesRes.rows[0]?.reward_progress) || 0);
+        const suspendedUntil = rewards.getSuspension(interaction.guildId, user.id);
+        const voiceProgress = Math.floor(Number(voiceMinutesRes.rows[0]?.reward_progress) || 0);
+        const voiceState = interaction.guild?.voiceStates.cache.get(user.id);
+        const voiceIdleReason = voiceState?.channelId ? getVoiceIdleReason(voiceState) : null;
+
+        const marketSales = marketRes.rows.filter(row => row.seller_id === user.id);
+        const marketPurchases = marketRes.rows.filter(row => row.buyer_id === user.id);
+        const marketTotal = rows => rows.reduce((sum, row) => sum + row.price, 0).toLocaleString('en-US');
+        const recentTrades = marketRes.rows.slice(0, 3).map(row => {
+          const sold = row.seller_id === user.id;
+          return `${sold ? '📤 Sold' : '📥 Bought'} ${Number(row.amount).toLocaleString('en-US')} ${resources.describeUnit(interaction.guildId, row.resource)} for ${row.price.toLocaleString('en-US')} 💰 <t:${Math.floor(new Date(row.closed_at).getTime() / 1000)}:R>`;
+        });
 
         const statsEmbed = new EmbedBuilder()
           .setTitle(`📈 Stats for ${user.username}`)
@@ -1202,16 +1594,27 @@ client.on('interactionCreate', async interaction => {
           .addFields(
             { name: '💌 Invites', value: `**${invites}** total`, inline: true },
             { name: '🚀 Server Boosts', value: `**${boosts}** total`, inline: true },
-            { name: '💬 Lifetime Messages', value: `**${totalMessages.toLocaleString('en-US')}** sent\n(${messageProgress}/100 for next reward)`, inline: true },
-            { name: '🎙️ Lifetime Voice Chat', value: `**${totalVoiceMinutes}** minutes\n(${voiceProgress}/60 for next reward)`, inline: true }
+            { name: '💬 Lifetime Messages', value: `**${totalMessages.toLocaleString('en-US')}** sent\n(${messageProgress}/${rewardSettings.message_reward_threshold} for next ${rewardSettings.message_reward_amount.toLocaleString('en-US')} 💰)${suspendedUntil ? `\n⛔ Not earning until <t:${Math.floor(suspendedUntil.getTime() / 1000)}:R>` : ''}`, inline: true },
+            { name: '🎙️ Lifetime Voice Chat', value: `**${totalVoiceMinutes}** minutes\n(${voiceProgress}/${rewardSettings.voice_reward_minutes} for next ${rewardSettings.voice_reward_amount.toLocaleString('en-US')} 💰)${voiceIdleReason ? `\n⏸️ Not counting: ${voiceIdleReason}` : ''}`, inline: true },
+            { name: '🏪 Market', value: `**${marketSales.length}** sold for ${marketTotal(marketSales)} 💰\n**${marketPurchases.length}** bought for ${marketTotal(marketPurchases)} 💰`, inline: true }
           );
+        if (rewardSettings.activity_daily_cap > 0) {
+          statsEmbed.addFields({ name: '📅 Activity Earned Today', value: `**${earnedToday.toLocaleString('en-US')}**/${rewardSettings.activity_daily_cap.toLocaleString('en-US')} 💰`, inline: true });
+        }
+        if (recentTrades.length) {
+          statsEmbed.addFields({ name: '🧾 Recent Trades', value: recentTrades.join('\n') });
+        }
         await interaction.editReply({ embeds: [statsEmbed] });
       });
 
     } else if (commandName === 'leaderboard') {
       try {
         await interaction.deferReply();
-        const { rows: allUsers } = await db.query('SELECT id, balance FROM users ORDER BY balance DESC');
+        if (interaction.options.getString('type') === 'invites') {
+          return await interaction.editReply({ embeds: [await buildInviteLeaderboard(interaction.guildId, interaction.user.id)] });
+        }
+
+        const { rows: allUsers } = await db.query('SELECT id, balance FROM users WHERE guild_id = $1 ORDER BY balance DESC', [interaction.guildId]);
 
         const top10Users = allUsers.slice(0, 10);
         const embed = new EmbedBuilder()
@@ -1248,73 +1651,381 @@ client.on('interactionCreate', async interaction => {
         console.error(err);
         return await interaction.editReply({ content: '❌ An error occurred while fetching the leaderboard.' });
       }
-    } else if (commandName === 'pool') {
-      const adminIds = (process.env.ADMIN_IDS || '').split(',');
-      if (!adminIds.includes(interaction.user.id)) {
-        return interaction.reply('🚫 You do not have permission to use this command.');
-      }
-      // Defer the reply and make it ephemeral
-      await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
-
+    } else if (commandName === 'invites') {
+      const target = interaction.options.getUser('user') || interaction.user;
       try {
-        // Ensure server_stats record exists
-        await safeQuery('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 100000) ON CONFLICT (id) DO NOTHING', [interaction.guildId]);
+        const stats = await invites.getInviterStats(interaction.guildId, target.id);
+        const settings = await getInviteSettings(interaction.guildId);
 
-        const result = await safeQuery('SELECT pool_balance FROM server_stats WHERE id = $1', [interaction.guildId]);
-        if (!result || !result.rows || result.rows.length === 0) {
-          return await interaction.editReply({ content: '❌ Error: Could not access server pool. Please try again.' });
-        }
+        const recent = stats.recent.map(describeInviteRecord);
 
-        const poolBalance = result.rows[0]?.pool_balance || 0;
         const embed = new EmbedBuilder()
-          .setTitle('🏦 Server Pool Balance')
-          .setDescription(`The server pool currently holds **${poolBalance.toLocaleString('en-US')}** 💰.`)
-          .setColor('Aqua');
-        await interaction.editReply({ embeds: [embed] });
+          .setTitle(`📨 Invites: ${target.username}`)
+          .setColor('Blue')
+          .addFields(
+            { name: 'Invites', value: stats.invites.toLocaleString('en-US'), inline: true },
+            { name: 'Earned', value: `${stats.earned.toLocaleString('en-US')} 💰`, inline: true },
+            { name: '\u200b', value: '\u200b', inline: true },
+            ...Object.entries(invites.STATUSES).map(([status, label]) => ({ name: label, value: stats.counts[status].toLocaleString('en-US'), inline: true })),
+            { name: 'Recent Invites', value: recent.length ? recent.join('\n').substring(0, 1024) : 'No one yet.' }
+          )
+          .setFooter({ text: `Each new member earns ${settings.invite_reward.toLocaleString('en-US')} 💰. ${describeInviteChecks(settings)}${settings.invite_leave_window_days > 0 ? ` Taken back if they leave within ${settings.invite_leave_window_days} days.` : ''}` });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
       } catch (error) {
-        console.error('Error checking pool balance:', error);
-        try {
-          await interaction.editReply({ content: `❌ Error checking pool balance: ${error.message}. Please check the console for more details.` });
-        } catch (replyError) {
-          console.error('Error replying to interaction:', replyError);
-        }
+        console.error('Error fetching invites:', error);
+        await interaction.reply({ content: '❌ An error occurred while fetching invites.', ephemeral: true });
       }
-    } else if (commandName === 'give') {
-      try {
-        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
-        const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
-        const adminRole = configRows[0]?.admin_role_id;
-        if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
-          return await interaction.editReply({ content: '🚫 You do not have permission to use this command.' });
-        }
 
-        const targetUser = interaction.options.getUser('user');
-        const amount = interaction.options.getNumber('amount');
+    } else if (commandName === 'invite-review') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      const adminIds = (process.env.ADMIN_IDS || '').split(',');
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole)) && !adminIds.includes(interaction.user.id)) {
+        return interaction.reply({ content: '🚫 Only staff can review invites.', ephemeral: true });
+      }
 
-        if (!targetUser || !amount || amount <= 0) {
-          return await interaction.editReply({ content: '❌ Invalid user or amount provided.' });
+      const subcommand = interaction.options.getSubcommand();
+      try {
+        if (subcommand === 'list') {
+          const status = interaction.options.getString('status') || 'pending';
+          const inviter = interaction.options.getUser('inviter');
+          const rows = await invites.listInvites(interaction.guildId, { status: status === 'all' ? null : status, inviterId: inviter?.id });
+          const lines = rows.map(record => `${describeInviteRecord(record)} • by <@${record.inviter_id}>`);
+          const embed = new EmbedBuilder()
+            .setTitle(`📨 Invites • ${status === 'all' ? 'All' : invites.STATUSES[status]}${inviter ? ` • ${inviter.username}` : ''}`)
+            .setDescription(lines.length ? lines.join('\n').substring(0, 4096) : 'No invites match.')
+            .setFooter({ text: 'Approve or revoke one with /invite-review approve or revoke' })
+            .setColor('Blue');
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } else if (subcommand === 'approve') {
+          const member = interaction.options.getUser('member');
+          const record = await invites.approveInvite({ guildId: interaction.guildId, memberId: member.id, staffId: interaction.user.id });
+          if (!record) {
+            return interaction.reply({ content: `❌ <@${member.id}> has no pending or fake invite to approve, or already counts for someone.`, ephemeral: true });
+          }
+          scheduler.cancel('invite_hold', `${interaction.guildId}:${member.id}`);
+          await interaction.reply({ content: `✅ Approved <@${member.id}>'s invite. <@${record.inviter_id}> received **${Number(record.reward).toLocaleString('en-US')}** 💰.`, ephemeral: true });
+          logActivity('📨 Invite Approved', `<@${interaction.user.id}> approved <@${record.inviter_id}>'s invite of <@${member.id}>, paying **${Number(record.reward).toLocaleString('en-US')}** 💰.`, 'Green', null, interaction.guildId);
+
+        } else if (subcommand === 'revoke') {
+          const member = interaction.options.getUser('member');
+          const reason = interaction.options.getString('reason') || 'revoked by staff';
+          const result = await invites.revokeInvite({ guildId: interaction.guildId, memberId: member.id, staffId: interaction.user.id, reason });
+          if (!result) {
+            return interaction.reply({ content: `❌ <@${member.id}> has no pending or confirmed invite to revoke.`, ephemeral: true });
+          }
+          scheduler.cancel('invite_hold', `${interaction.guildId}:${member.id}`);
+          const { record, reversed } = result;
+          const taken = record.status === 'confirmed' ? ` and took back **${reversed.toLocaleString('en-US')}** 💰` : '';
+          await interaction.reply({ content: `🚫 Marked <@${member.id}>'s invite by <@${record.inviter_id}> as fake${taken}.`, ephemeral: true });
+          logActivity('🚫 Invite Revoked', `<@${interaction.user.id}> marked <@${record.inviter_id}>'s invite of <@${member.id}> as fake${taken}.\n**Reason:** ${reason}`, 'Orange', null, interaction.guildId);
         }
+      } catch (error) {
+        console.error('Error reviewing invites:', error);
+        await interaction.reply({ content: '❌ An error occurred while reviewing invites.', ephemeral: true });
+      }
 
-        // Ensure server_stats record exists
-        await safeQuery('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 100000) ON CONFLICT (id) DO NOTHING', [interaction.guildId]);
+    } else if (commandName === 'transactions') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      const isStaff = hasAdminPermission(interaction.member) || (adminRole && interaction.member.roles.cache.has(adminRole));
 
-        const result = await safeQuery('SELECT pool_balance FROM server_stats WHERE id = $1', [interaction.guildId]);
-        if (!result || !result.rows || result.rows.length === 0) {
-          return await interaction.editReply({ content: '❌ Error: Could not access server pool. Please try again.' });
-        }
+      const targetUser = interaction.options.getUser('user');
+      if (targetUser && targetUser.id !== interaction.user.id && !isStaff) {
+        return interaction.reply({ content: '🚫 You can only view your own transactions. Only admins can view transactions for other users.', ephemeral: true });
+      }
 
-        const poolBalance = result.rows[0]?.pool_balance || 0;
+      await interaction.deferReply({ ephemeral: true });
+
+      // Staff without a user filter see the whole server ledger
+      const filters = {
+        userId: targetUser ? targetUser.id : (isStaff ? null : interaction.user.id),
+        resource: interaction.options.getString('resource'),
+        reason: interaction.options.getString('reason'),
+      };
+
+      try {
+        await interaction.editReply(await buildTransactionsPage(interaction.guildId, filters, 0));
+      } catch (error) {
+        console.error('Error fetching transactions:', error);
+        await interaction.editReply({ content: '❌ An error occurred while fetching transactions.' });
+      }
+
+    } else if (commandName === 'pay') {
+      const recipient = interaction.options.getUser('user');
+      const amount = interaction.options.getNumber('amount');
+      const resource = interaction.options.getString('resource') || 'pounds';
+
+      if (!interaction.options.getMember('user')) {
+        return interaction.reply({ content: '❌ That user is not a member of this server.', ephemeral: true });
+      }
+      if (resource !== 'pounds' && !resources.getResourceType(interaction.guildId, resource)) {
+        return interaction.reply({ content: '❌ Unknown resource. Pick one from the list.', ephemeral: true });
+      }
+      if (resource !== 'pounds' && !Number.isInteger(amount)) {
+        return interaction.reply({ content: '❌ Resources can only be sent in whole amounts.', ephemeral: true });
+      }
+
+      try {
+        const settings = await getPaySettings(interaction.guildId);
+        const requirementError = await checkPayRequirements(interaction, recipient, amount, resource, settings);
+        if (requirementError) {
+          return interaction.reply({ content: requirementError, ephemeral: true });
+        }
+
+        const unit = resources.describeUnit(interaction.guildId, resource);
+        const tax = getTransferTax(amount, resource, settings);
+
+        const embed = new EmbedBuilder()
+          .setTitle('💸 Confirm Transfer')
+          .setDescription(`You are about to send **${amount.toLocaleString('en-US')}** ${unit} to ${recipient}.`)
+          .addFields(
+            { name: 'Recipient Receives', value: `${(amount - tax).toLocaleString('en-US')} ${unit}`, inline: true },
+            { name: 'Transfer Tax', value: tax > 0 ? `${tax.toLocaleString('en-US')} ${unit} (${settings.pay_tax_percent}%)` : 'None', inline: true }
+          )
+          .setColor('Yellow');
+
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(`pay_confirm_${recipient.id}_${resource}_${amount}`).setLabel('Confirm').setStyle(ButtonStyle.Success),
+          new ButtonBuilder().setCustomId('pay_cancel').setLabel('Cancel').setStyle(ButtonStyle.Danger)
+        );
+
+        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+      } catch (error) {
+        console.error('Error preparing transfer:', error);
+        await interaction.reply({ content: '❌ An error occurred while preparing the transfer.', ephemeral: true });
+      }
+
+    } else if (commandName === 'sell') {
+      const resource = interaction.options.getString('resource');
+      const amount = interaction.options.getInteger('amount');
+      const type = resources.getResourceType(interaction.guildId, resource);
+      if (!type) {
+        return interaction.reply({ content: '❌ Unknown resource. Pick one from the list.', ephemeral: true });
+      }
+      const unit = resources.describeUnit(interaction.guildId, resource);
+
+      try {
+        const settings = await getMarketSettings(interaction.guildId);
+        if (settings.sell_spread_percent >= 100) {
+          return interaction.reply({ content: '❌ This server does not buy resources back. Use `/market list` to sell to other members.', ephemeral: true });
+        }
+        const payout = getSellBackPrice(type, amount, settings);
+        if (payout <= 0) {
+          return interaction.reply({ content: `⚠️ That much ${unit} is not worth a penny. Sell a larger amount.`, ephemeral: true });
+        }
+        const available = await economy.getBalance(interaction.guildId, interaction.user.id, resource);
+        if (available < amount) {
+          return interaction.reply({ content: `❌ You only have **${available.toLocaleString('en-US')}** ${unit}.`, ephemeral: true });
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle('💱 Confirm Sale')
+          .setDescription(`You are about to sell **${amount.toLocaleString('en-US')} ${unit}** to the server pool for **${payout.toLocaleString('en-US')}** 💰.`)
+          .addFields({ name: 'Buy-Back Spread', value: `${settings.sell_spread_percent}% below the shop price`, inline: true })
+          .setColor('Yellow');
+
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(`sell_confirm_${resource}_${amount}_${payout}`).setLabel('Confirm').setStyle(ButtonStyle.Success),
+          new ButtonBuilder().setCustomId('sell_cancel').setLabel('Cancel').setStyle(ButtonStyle.Danger)
+        );
+
+        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+      } catch (error) {
+        console.error('Error preparing resource sale:', error);
+        await interaction.reply({ content: '❌ An error occurred while preparing the sale.', ephemeral: true });
+      }
+
+    } else if (commandName === 'market') {
+      const subcommand = interaction.options.getSubcommand();
+
+      try {
+        if (subcommand === 'list') {
+          const resource = interaction.options.getString('resource');
+          const amount = interaction.options.getInteger('amount');
+          const price = interaction.options.getNumber('price');
+          if (!resources.getResourceType(interaction.guildId, resource)) {
+            return interaction.reply({ content: '❌ Unknown resource. Pick one from the list.', ephemeral: true });
+          }
+          const unit = resources.describeUnit(interaction.guildId, resource);
+
+          const { rows: countRows } = await safeQuery("SELECT COUNT(*) AS total FROM market_listings WHERE guild_id = $1 AND seller_id = $2 AND status = 'active'", [interaction.guildId, interaction.user.id]);
+          if (parseInt(countRows[0]?.total || 0) >= MAX_MARKET_LISTINGS) {
+            return interaction.reply({ content: `⚠️ You already have ${MAX_MARKET_LISTINGS} active listings. Cancel one with \`/market cancel\` first.`, ephemeral: true });
+          }
+
+          const settings = await getMarketSettings(interaction.guildId);
+          const fee = getMarketFee(price, settings);
+          const expiresAt = new Date(Date.now() + settings.market_listing_hours * 60 * 60 * 1000);
+
+          let listing;
+          try {
+            listing = await withTransaction(async (tx) => {
+              const { rows } = await tx.query(
+                'INSERT INTO market_listings (guild_id, seller_id, resource, amount, price, fee, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+                [interaction.guildId, interaction.user.id, resource, amount, price, fee, expiresAt]
+              );
+              await economy.adjustBalance({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, amount: -amount, resource, counterpartyId: economy.ESCROW, reason: 'market_escrow', referenceId: `listing_${rows[0].id}` });
+              return rows[0];
+            });
+          } catch (error) {
+            if (!(error instanceof economy.InsufficientFundsError)) throw error;
+            const available = await economy.getBalance(interaction.guildId, interaction.user.id, resource);
+            return interaction.reply({ content: `❌ You only have **${available.toLocaleString('en-US')}** ${unit}.`, ephemeral: true });
+          }
+          scheduler.schedule('market_expiry', listing.id, expiresAt);
+
+          const embed = new EmbedBuilder()
+            .setTitle('🏪 New Market Listing')
+            .setDescription(`<@${interaction.user.id}> is selling **${amount.toLocaleString('en-US')} ${unit}** for **${price.toLocaleString('en-US')}** 💰.`)
+            .addFields(
+              { name: 'Listing', value: `#${listing.id}`, inline: true },
+              { name: 'Price Each', value: `${describeUnitPrice(price, amount)} 💰`, inline: true },
+              { name: 'Expires', value: `<t:${Math.floor(expiresAt.getTime() / 1000)}:R>`, inline: true }
+            )
+            .setFooter({ text: `Buy it with /market buy listing:${listing.id}${fee > 0 ? ` • ${settings.market_fee_percent}% market fee paid by the seller` : ''}` })
+            .setColor('Blue');
+          await interaction.reply({ embeds: [embed] });
+          logActivity('🏪 Market Listing', `<@${interaction.user.id}> listed **${amount.toLocaleString('en-US')} ${unit}** for **${price.toLocaleString('en-US')}** 💰 (listing #${listing.id}).`, 'Blue', null, interaction.guildId);
+
+        } else if (subcommand === 'browse') {
+          const resource = interaction.options.getString('resource');
+          const params = [interaction.guildId, new Date()];
+          if (resource) params.push(resource);
+          const { rows } = await safeQuery(
+            `SELECT * FROM market_listings WHERE guild_id = $1 AND status = 'active' AND expires_at > $2${resource ? ' AND resource = $3' : ''} ORDER BY price / amount ASC, id ASC LIMIT 15`,
+            params
+          );
+
+          const lines = rows.map(row => {
+            const amount = Number(row.amount);
+            return `\`#${row.id}\` **${amount.toLocaleString('en-US')} ${resources.describeUnit(interaction.guildId, row.resource)}** for **${row.price.toLocaleString('en-US')}** 💰 (${describeUnitPrice(row.price, amount)} each)\n> <@${row.seller_id}> • ends <t:${Math.floor(new Date(row.expires_at).getTime() / 1000)}:R>`;
+          });
+
+          const embed = new EmbedBuilder()
+            .setTitle(resource ? `🏪 Market: ${resources.describeUnit(interaction.guildId, resource)}` : '🏪 Resource Market')
+            .setDescription(lines.length ? lines.join('\n') : 'Nothing is listed right now. Sell your own resources with `/market list`.')
+            .setFooter({ text: 'Cheapest first • Buy with /market buy' })
+            .setColor('Blue');
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } else if (subcommand === 'buy') {
+          const listingId = interaction.options.getInteger('listing');
+
+          let result;
+          try {
+            result = await buyMarketListing(interaction.guildId, listingId, interaction.user.id);
+          } catch (error) {
+            if (!(error instanceof economy.InsufficientFundsError)) throw error;
+            return interaction.reply({ content: '❌ You do not have enough Sovereign Pounds for this listing.', ephemeral: true });
+          }
+          if (result.error) {
+            return interaction.reply({ content: result.error, ephemeral: true });
+          }
+
+          const { listing } = result;
+          scheduler.cancel('market_expiry', listing.id);
+          const summary = `**${Number(listing.amount).toLocaleString('en-US')} ${resources.describeUnit(interaction.guildId, listing.resource)}** from <@${listing.seller_id}> for **${listing.price.toLocaleString('en-US')}** 💰`;
+          await interaction.reply({ content: `🏪 <@${interaction.user.id}> bought ${summary}.` });
+          logActivity('🏪 Market Sale', `<@${interaction.user.id}> bought ${summary} (listing #${listing.id}).${listing.fee > 0 ? `\nFee: **${listing.fee.toLocaleString('en-US')}** 💰` : ''}`, 'Green', null, interaction.guildId);
+
+        } else if (subcommand === 'cancel') {
+          const listingId = interaction.options.getInteger('listing');
+          const { rows } = await safeQuery('SELECT * FROM market_listings WHERE id = $1 AND guild_id = $2', [listingId, interaction.guildId]);
+          const listing = rows[0];
+          if (!listing || listing.status !== 'active') {
+            return interaction.reply({ content: '❌ That listing is not on the market.', ephemeral: true });
+          }
+
+          // Staff can take down anyone's listing
+          if (listing.seller_id !== interaction.user.id) {
+            const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+            const adminRole = configRows[0]?.admin_role_id;
+            if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+              return interaction.reply({ content: '🚫 You can only cancel your own listings.', ephemeral: true });
+            }
+          }
+
+          if (!(await returnMarketListing(listing.id, 'cancelled'))) {
+            return interaction.reply({ content: '❌ That listing was just sold or expired.', ephemeral: true });
+          }
+          scheduler.cancel('market_expiry', listing.id);
+
+          const returned = `**${Number(listing.amount).toLocaleString('en-US')} ${resources.describeUnit(interaction.guildId, listing.resource)}**`;
+          await interaction.reply({ content: `✅ Cancelled listing #${listing.id}. ${returned} went back to <@${listing.seller_id}>.`, ephemeral: true });
+          logActivity('🏪 Market Listing Cancelled', `<@${interaction.user.id}> cancelled listing #${listing.id} by <@${listing.seller_id}> (${returned}).`, 'Orange', null, interaction.guildId);
+        }
+      } catch (error) {
+        console.error('Error handling market command:', error);
+        await interaction.reply({ content: '❌ An error occurred with the market.', ephemeral: true });
+      }
+
+    } else if (commandName === 'pool') {
+      const adminIds = (process.env.ADMIN_IDS || '').split(',');
+      if (!adminIds.includes(interaction.user.id)) {
+        return interaction.reply('🚫 You do not have permission to use this command.');
+      }
+      // Defer the reply and make it ephemeral
+      await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+      try {
+        // Ensure server_stats record exists
+        await safeQuery('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 100000) ON CONFLICT (id) DO NOTHING', [interaction.guildId]);
+
+        const result = await safeQuery('SELECT pool_balance FROM server_stats WHERE id = $1', [interaction.guildId]);
+        if (!result || !result.rows || result.rows.length === 0) {
+          return await interaction.editReply({ content: '❌ Error: Could not access server pool. Please try again.' });
+        }
+
+        const poolBalance = result.rows[0]?.pool_balance || 0;
+        const embed = new EmbedBuilder()
+          .setTitle('🏦 Server Pool Balance')
+          .setDescription(`The server pool currently holds **${poolBalance.toLocaleString('en-US')}** 💰.`)
+          .setColor('Aqua');
+        await interaction.editReply({ embeds: [embed] });
+      } catch (error) {
+        console.error('Error checking pool balance:', error);
+        try {
+          await interaction.editReply({ content: `❌ Error checking pool balance: ${error.message}. Please check the console for more details.` });
+        } catch (replyError) {
+          console.error('Error replying to interaction:', replyError);
+        }
+      }
+    } else if (commandName === 'give') {
+      try {
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+        const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+        const adminRole = configRows[0]?.admin_role_id;
+        if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+          return await interaction.editReply({ content: '🚫 You do not have permission to use this command.' });
+        }
+
+        const targetUser = interaction.options.getUser('user');
+        const amount = interaction.options.getNumber('amount');
+
+        if (!targetUser || !amount || amount <= 0) {
+          return await interaction.editReply({ content: '❌ Invalid user or amount provided.' });
+        }
+
+        // Ensure server_stats record exists
+        await safeQuery('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 100000) ON CONFLICT (id) DO NOTHING', [interaction.guildId]);
+
+        const result = await safeQuery('SELECT pool_balance FROM server_stats WHERE id = $1', [interaction.guildId]);
+        if (!result || !result.rows || result.rows.length === 0) {
+          return await interaction.editReply({ content: '❌ Error: Could not access server pool. Please try again.' });
+        }
+
+        const poolBalance = result.rows[0]?.pool_balance || 0;
 
         if (amount > poolBalance) {
           return await interaction.editReply({ content: `❌ Not enough funds in the server pool! The pool only has **${poolBalance.toLocaleString('en-US')}** 💰.` });
         }
 
-        await db.query('UPDATE server_stats SET pool_balance = pool_balance - $1 WHERE id = $2', [amount, interaction.guildId]);
-        await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [targetUser.id]);
-        await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [amount, targetUser.id]);
+        await economy.adjustBalance({ guildId: interaction.guildId, userId: targetUser.id, amount, counterpartyId: economy.POOL, reason: 'admin_give' });
 
         await interaction.editReply({ content: `✅ Successfully gave **${amount.toLocaleString('en-US')}** 💰 to ${targetUser}.` });
-        logActivity('💸 Admin Give', `<@${interaction.user.id}> gave **${amount.toLocaleString('en-US')}** 💰 to ${targetUser}.`, 'Yellow');
+        logActivity('💸 Admin Give', `<@${interaction.user.id}> gave **${amount.toLocaleString('en-US')}** 💰 to ${targetUser}.`, 'Yellow', null, interaction.guildId);
       } catch (error) {
         console.error('Error giving currency:', error);
         await interaction.editReply({ content: `❌ An error occurred while giving currency.` });
@@ -1336,18 +2047,18 @@ client.on('interactionCreate', async interaction => {
           return await interaction.editReply({ content: '❌ Invalid user or amount provided.' });
         }
 
-        const userBalanceResult = await db.query('SELECT balance FROM users WHERE id = $1', [targetUser.id]);
-        const userBalance = userBalanceResult.rows[0]?.balance || 0;
-
-        if (userBalance < amount) {
+        try {
+          // The debit only applies if the balance still covers it when the row is written
+          await economy.adjustBalance({ guildId: interaction.guildId, userId: targetUser.id, amount: -amount, counterpartyId: economy.POOL, reason: 'admin_take' });
+        } catch (error) {
+          if (!(error instanceof economy.InsufficientFundsError)) throw error;
+          const { rows: userRows } = await db.query('SELECT balance FROM users WHERE guild_id = $1 AND id = $2', [interaction.guildId, targetUser.id]);
+          const userBalance = userRows[0]?.balance || 0;
           return await interaction.editReply({ content: `❌ The user only has **${userBalance.toLocaleString('en-US')}** 💰.` });
         }
 
-        await db.query('UPDATE server_stats SET pool_balance = pool_balance + $1 WHERE id = $2', [amount, interaction.guildId]);
-        await db.query('UPDATE users SET balance = balance - $1 WHERE id = $2', [amount, targetUser.id]);
-
         await interaction.editReply({ content: `✅ Successfully took **${amount.toLocaleString('en-US')}** 💰 from ${targetUser}.` });
-        logActivity('💸 Admin Take', `<@${interaction.user.id}> took **${amount.toLocaleString('en-US')}** 💰 from ${targetUser}.`, 'Orange');
+        logActivity('💸 Admin Take', `<@${interaction.user.id}> took **${amount.toLocaleString('en-US')}** 💰 from ${targetUser}.`, 'Orange', null, interaction.guildId);
       } catch (error) {
         console.error('Error taking currency:', error);
         await interaction.editReply({ content: `❌ An error occurred while taking currency.` });
@@ -1363,31 +2074,107 @@ client.on('interactionCreate', async interaction => {
         }
 
         const targetUser = interaction.options.getUser('user');
-        const resource = interaction.options.getString('resource'); // wood, food, stone, gold
+        const resource = interaction.options.getString('resource');
         const amount = interaction.options.getInteger('amount');
 
         if (!targetUser || !amount || amount <= 0) {
           return await interaction.editReply({ content: '❌ Invalid user or amount provided.' });
         }
-
-        // Check user balance
-        const { rows: userRows } = await safeQuery(`SELECT ${resource} FROM users WHERE id = $1`, [targetUser.id]);
-        const currentAmount = userRows[0]?.[resource] || 0;
-
-        if (currentAmount < amount) {
-          return await interaction.editReply({ content: `❌ User only has **${currentAmount.toLocaleString('en-US')}** ${resource}.` });
+        if (!resources.getResourceType(interaction.guildId, resource)) {
+          return await interaction.editReply({ content: '❌ Unknown resource. Pick one from the list.' });
         }
+        const unit = resources.describeUnit(interaction.guildId, resource);
 
-        await safeQuery(`UPDATE users SET ${resource} = ${resource} - $1 WHERE id = $2`, [amount, targetUser.id]);
+        try {
+          // The debit only applies if the balance still covers it when the row is written
+          await economy.adjustBalance({ guildId: interaction.guildId, userId: targetUser.id, amount: -amount, resource, reason: 'admin_take_resource' });
+        } catch (error) {
+          if (!(error instanceof economy.InsufficientFundsError)) throw error;
+          const currentAmount = await economy.getBalance(interaction.guildId, targetUser.id, resource);
+          return await interaction.editReply({ content: `❌ User only has **${currentAmount.toLocaleString('en-US')}** ${unit}.` });
+        }
 
-        await interaction.editReply({ content: `✅ Successfully took **${amount.toLocaleString('en-US')}** ${resource} from ${targetUser}.` });
-        logActivity('🪵 Admin Take Resource', `<@${interaction.user.id}> took **${amount.toLocaleString('en-US')}** ${resource} from ${targetUser}.`, 'Orange', null, interaction.guildId);
+        await interaction.editReply({ content: `✅ Successfully took **${amount.toLocaleString('en-US')}** ${unit} from ${targetUser}.` });
+        logActivity('🪵 Admin Take Resource', `<@${interaction.user.id}> took **${amount.toLocaleString('en-US')}** ${unit} from ${targetUser}.`, 'Orange', null, interaction.guildId);
 
       } catch (error) {
         console.error('Error taking resource:', error);
         await interaction.editReply({ content: `❌ An error occurred while taking resources.` });
       }
 
+    } else if (commandName === 'resource') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      const changes = {
+        name: interaction.options.getString('name')?.trim() || undefined,
+        emoji: interaction.options.getString('emoji')?.trim() || undefined,
+        packageSize: interaction.options.getInteger('package_size') ?? undefined,
+        packagePrice: interaction.options.getNumber('package_price') ?? undefined,
+      };
+
+      try {
+        if (subcommand === 'add') {
+          const key = interaction.options.getString('key').trim().toLowerCase();
+          if (!resources.KEY_PATTERN.test(key) || ['pounds', 'item', 'any'].includes(key)) {
+            return interaction.reply({ content: '⚠️ The key must be 1-20 lowercase letters or digits, and cannot be `pounds`, `item` or `any`.', ephemeral: true });
+          }
+          if (resources.getResourceType(interaction.guildId, key)) {
+            return interaction.reply({ content: `⚠️ This server already has a resource with the key \`${key}\`. Use \`/resource edit\` to change it.`, ephemeral: true });
+          }
+
+          const type = await resources.addResourceType(interaction.guildId, {
+            key,
+            name: changes.name,
+            emoji: changes.emoji || '📦',
+            packageSize: changes.packageSize || 1,
+            packagePrice: changes.packagePrice || 10,
+          }, interaction.user.id);
+          await interaction.reply({ content: `✅ Added ${type.emoji} **${type.name}** (\`${type.key}\`). One package is ${type.package_size.toLocaleString('en-US')} for ${type.package_price.toLocaleString('en-US')} 💰.`, ephemeral: true });
+          logActivity('📦 Resource Added', `<@${interaction.user.id}> added the resource ${type.emoji} **${type.name}** (\`${type.key}\`).`, 'Blue', null, interaction.guildId);
+
+        } else if (subcommand === 'edit') {
+          const key = interaction.options.getString('resource');
+          if (!resources.getResourceType(interaction.guildId, key)) {
+            return interaction.reply({ content: '❌ Unknown resource. Pick one from the list.', ephemeral: true });
+          }
+          if (Object.values(changes).every(value => value === undefined)) {
+            return interaction.reply({ content: '⚠️ Nothing to change. Set at least one of the options.', ephemeral: true });
+          }
+
+          const type = await resources.updateResourceType(interaction.guildId, key, changes, interaction.user.id);
+          await interaction.reply({ content: `✅ Updated ${type.emoji} **${type.name}** (\`${type.key}\`). One package is ${type.package_size.toLocaleString('en-US')} for ${type.package_price.toLocaleString('en-US')} 💰.`, ephemeral: true });
+          logActivity('📦 Resource Updated', `<@${interaction.user.id}> updated the resource ${type.emoji} **${type.name}** (\`${type.key}\`).`, 'Blue', null, interaction.guildId);
+
+        } else if (subcommand === 'remove') {
+          const key = interaction.options.getString('resource');
+          const type = resources.getResourceType(interaction.guildId, key);
+          if (!type) {
+            return interaction.reply({ content: '❌ Unknown resource. Pick one from the list.', ephemeral: true });
+          }
+
+          await resources.removeResourceType(interaction.guildId, key);
+          await interaction.reply({ content: `✅ Removed ${type.emoji} **${type.name}**. Shop items and giveaways stop paying it out. Member balances are kept and come back if you add \`${key}\` again.`, ephemeral: true });
+          logActivity('📦 Resource Removed', `<@${interaction.user.id}> removed the resource ${type.emoji} **${type.name}** (\`${type.key}\`).`, 'Orange', null, interaction.guildId);
+
+        } else if (subcommand === 'list') {
+          const types = resources.listResourceTypes(interaction.guildId);
+          const lines = types.map(type => `${type.emoji} **${type.name}** (\`${type.key}\`) • ${type.package_size.toLocaleString('en-US')} for ${type.package_price.toLocaleString('en-US')} 💰`);
+          const embed = new EmbedBuilder()
+            .setTitle('📦 Resource Types')
+            .setDescription(lines.length ? lines.join('\n') : 'This server has no resources yet. Add one with `/resource add`.')
+            .setColor('Blue');
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+      } catch (error) {
+        console.error('Error managing resources:', error);
+        await interaction.reply({ content: '❌ Failed to update resources.', ephemeral: true });
+      }
+
     } else if (commandName === 'shop-add') {
       const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
       const adminRole = configRows[0]?.admin_role_id;
@@ -1403,20 +2190,133 @@ client.on('interactionCreate', async interaction => {
       const resource = interaction.options.getString('resource');
       const quantity = interaction.options.getInteger('quantity') || 1;
       const requiresTicket = interaction.options.getBoolean('requires_ticket') || false;
+      const effect = interaction.options.getString('effect');
+      const effectRole = interaction.options.getRole('effect_role');
+      const effectMultiplier = interaction.options.getNumber('effect_multiplier') || 1;
+      const effectDays = interaction.options.getNumber('effect_days') || 0;
+      const roleDays = interaction.options.getNumber('role_days') || 0;
+      const hidden = interaction.options.getBoolean('hidden') || false;
+      const disabled = interaction.options.getBoolean('disabled') || false;
+      const category = interaction.options.getString('category')?.trim() ||
+        defaultShopCategory({ resource_type: resource, role_id: role?.id, effect_type: effect, requires_ticket: requiresTicket });
+      const cooldownInput = interaction.options.getString('cooldown');
+      const cooldownMinutes = cooldownInput ? parseCooldownMinutes(cooldownInput) : 0;
+      if (cooldownMinutes === null) {
+        return interaction.reply({ content: '❌ Invalid cooldown. Use a format like `30m`, `12h` or `1d`.', ephemeral: true });
+      }
+      const purchaseRules = {
+        limit_total: interaction.options.getInteger('limit_total') || 0,
+        limit_daily: interaction.options.getInteger('limit_daily') || 0,
+        limit_weekly: interaction.options.getInteger('limit_weekly') || 0,
+        cooldown_minutes: cooldownMinutes,
+        required_role_id: interaction.options.getRole('required_role')?.id || null,
+        min_level: interaction.options.getInteger('min_level') || 0,
+      };
+
+      if (roleDays > 0 && !role) {
+        return interaction.reply({ content: '❌ `role_days` sets how long the purchased `role` lasts, so it needs a `role`.', ephemeral: true });
+      }
+      if (resource && !resources.getResourceType(interaction.guildId, resource)) {
+        return interaction.reply({ content: '❌ Unknown resource. Pick one from the list or add it with `/resource add`.', ephemeral: true });
+      }
+      if (effect === 'role' && !effectRole) {
+        return interaction.reply({ content: '❌ A Temporary Role item needs an `effect_role`.', ephemeral: true });
+      }
+      if ((effect === 'xp_boost' || effect === 'daily_multiplier') && (effectMultiplier <= 1 || effectDays <= 0)) {
+        return interaction.reply({ content: '❌ Boost items need an `effect_multiplier` above 1 and `effect_days` above 0.', ephemeral: true });
+      }
+      const effectItem = { effect_type: effect, effect_role_id: effectRole?.id, effect_multiplier: effectMultiplier, effect_days: effectDays };
+
+      try {
+        await addShopItem(interaction.guildId, {
+          name,
+          price,
+          emoji,
+          description,
+          role_id: role?.id,
+          resource_type: resource,
+          quantity,
+          requires_ticket: requiresTicket ? 1 : 0,
+          stock: -1,
+          effect_type: effect,
+          effect_role_id: effectRole?.id,
+          effect_multiplier: effectMultiplier,
+          effect_days: effectDays,
+          role_duration_days: roleDays,
+          category,
+          hidden: hidden ? 1 : 0,
+          disabled: disabled ? 1 : 0,
+          ...purchaseRules,
+        });
+
+        const effectText = effect ? ` Members keep it in their inventory and \`/use\` it: ${describeItemEffect(effectItem)}.` : '';
+        const roleText = role && roleDays > 0 ? ` Buyers get **${role.name}** for ${roleDays} day${roleDays === 1 ? '' : 's'}.` : '';
+        const visibilityText = hidden ? ' It is hidden from `/shop`.' : (disabled ? ' It is listed but not for sale until you enable it with `/shop-edit`.' : '');
+        const rulesText = describePurchaseRules(purchaseRules).replace(/\n> /g, '\n');
+        await interaction.reply({ content: `✅ Added **${name}** to the shop under **${category}** for ${price} 💰.${roleText}${effectText}${visibilityText}${rulesText}`, ephemeral: true });
+      } catch (error) {
+        console.error('Error adding shop item:', error);
+        await interaction.reply({ content: `❌ Failed to add item.`, ephemeral: true });
+      }
+
+    } else if (commandName === 'shop-edit') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const hidden = interaction.options.getBoolean('hidden');
+      const disabled = interaction.options.getBoolean('disabled');
+      const cooldownInput = interaction.options.getString('cooldown');
+      const cooldownMinutes = cooldownInput ? parseCooldownMinutes(cooldownInput) : null;
+      if (cooldownInput && cooldownMinutes === null) {
+        return interaction.reply({ content: '❌ Invalid cooldown. Use a format like `30m`, `12h` or `1d`, or `0` for none.', ephemeral: true });
+      }
+      const requiredRole = interaction.options.getRole('required_role');
+      if (requiredRole && interaction.options.getBoolean('remove_required_role')) {
+        return interaction.reply({ content: '❌ Set `required_role` or `remove_required_role`, not both.', ephemeral: true });
+      }
+      // Option -> column; options left out keep their value
+      const changes = {
+        name: interaction.options.getString('name'),
+        price: interaction.options.getNumber('price'),
+        emoji: interaction.options.getString('emoji'),
+        description: interaction.options.getString('description'),
+        category: interaction.options.getString('category')?.trim() || null,
+        hidden: hidden === null ? null : (hidden ? 1 : 0),
+        disabled: disabled === null ? null : (disabled ? 1 : 0),
+        limit_total: interaction.options.getInteger('limit_total'),
+        limit_daily: interaction.options.getInteger('limit_daily'),
+        limit_weekly: interaction.options.getInteger('limit_weekly'),
+        cooldown_minutes: cooldownMinutes,
+        required_role_id: requiredRole?.id ?? null,
+        min_level: interaction.options.getInteger('min_level'),
+      };
+      const updates = Object.entries(changes).filter(([, value]) => value !== null);
+      if (interaction.options.getBoolean('remove_required_role')) updates.push(['required_role_id', null]);
+      if (updates.length === 0) {
+        return interaction.reply({ content: '❌ Nothing to change. Set at least one option.', ephemeral: true });
+      }
 
       try {
-        const { rows: maxRows } = await safeQuery('SELECT MAX(id) as max_id FROM shop_items');
-        const nextId = (maxRows[0]?.max_id || 0) + 1;
+        const item = await findShopItem(interaction.guildId, interaction.options.getString('item'));
+        if (!item) return interaction.reply({ content: '❌ Item not found. Pick one from the list.', ephemeral: true });
 
+        const assignments = updates.map(([column], index) => `${column} = $${index + 1}`).join(', ');
         await safeQuery(
-          'INSERT INTO shop_items (id, name, price, emoji, description, role_id, resource_type, quantity, requires_ticket, stock) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, -1)',
-          [nextId, name, price, emoji, description, role?.id, resource, quantity, requiresTicket ? 1 : 0]
+          `UPDATE shop_items SET ${assignments} WHERE id = $${updates.length + 1} AND guild_id = $${updates.length + 2}`,
+          [...updates.map(([, value]) => value), item.id, interaction.guildId]
         );
 
-        await interaction.reply({ content: `✅ Added **${name}** to the shop for ${price} 💰.`, ephemeral: true });
+        const updated = { ...item, ...Object.fromEntries(updates) };
+        const status = updated.hidden ? 'hidden from `/shop`' : (updated.disabled ? 'listed but not for sale' : 'for sale');
+        const rulesText = describePurchaseRules(updated).replace(/\n> /g, '\n');
+        await interaction.reply({ content: `✅ Updated ${updated.emoji || '📦'} **${updated.name}** (${updated.category}, ${updated.price.toLocaleString('en-US')} 💰). It is ${status}.${rulesText}`, ephemeral: true });
+        logActivity('🛍️ Shop Item Edited', `<@${interaction.user.id}> changed **${item.name}**: ${updates.map(([column]) => column).join(', ')}.`, 'Blue', null, interaction.guildId);
       } catch (error) {
-        console.error('Error adding shop item:', error);
-        await interaction.reply({ content: `❌ Failed to add item.`, ephemeral: true });
+        console.error('Error editing shop item:', error);
+        await interaction.reply({ content: '❌ Failed to update the item.', ephemeral: true });
       }
 
     } else if (commandName === 'shop-remove') {
@@ -1426,10 +2326,12 @@ client.on('interactionCreate', async interaction => {
         return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
       }
 
-      const id = interaction.options.getInteger('id');
       try {
-        await safeQuery('DELETE FROM shop_items WHERE id = $1', [id]);
-        await interaction.reply({ content: `✅ Removed shop item ID **${id}**.`, ephemeral: true });
+        const item = await findShopItem(interaction.guildId, interaction.options.getString('item'));
+        if (!item) return interaction.reply({ content: '❌ Item not found. Pick one from the list.', ephemeral: true });
+
+        await safeQuery('DELETE FROM shop_items WHERE id = $1 AND guild_id = $2', [item.id, interaction.guildId]);
+        await interaction.reply({ content: `✅ Removed **${item.name}** from the shop.`, ephemeral: true });
       } catch (error) {
         console.error('Error removing shop item:', error);
         await interaction.reply({ content: `❌ Failed to remove item.`, ephemeral: true });
@@ -1442,7 +2344,6 @@ client.on('interactionCreate', async interaction => {
         return interaction.reply({ content: '🚫 Admin only.', ephemeral: true });
       }
 
-      const id = interaction.options.getInteger('id');
       const amountStr = interaction.options.getString('amount');
 
       let amount;
@@ -1460,10 +2361,10 @@ client.on('interactionCreate', async interaction => {
       }
 
       try {
-        const { rows } = await safeQuery('SELECT * FROM shop_items WHERE id = $1', [id]);
-        if (rows.length === 0) return interaction.reply({ content: '❌ Item not found.', ephemeral: true });
+        const item = await findShopItem(interaction.guildId, interaction.options.getString('item'));
+        if (!item) return interaction.reply({ content: '❌ Item not found. Pick one from the list.', ephemeral: true });
 
-        const current = rows[0].stock;
+        const current = item.stock;
         let newStock;
 
         if (setInfinite) {
@@ -1477,43 +2378,261 @@ client.on('interactionCreate', async interaction => {
           if (newStock < 0) newStock = 0;
         }
 
-        await safeQuery('UPDATE shop_items SET stock = $1 WHERE id = $2', [newStock, id]);
-        await interaction.reply({ content: `✅ Updated stock for **${rows[0].name}**. Old: ${current === -1 ? 'Infinite' : current}, Added: ${amount}, New: **${newStock}**.` });
+        await safeQuery('UPDATE shop_items SET stock = $1 WHERE id = $2', [newStock, item.id]);
+        await interaction.reply({ content: `✅ Updated stock for **${item.name}**. Old: ${current === -1 ? 'Infinite' : current}, Added: ${amount}, New: **${newStock}**.` });
       } catch (e) {
         console.error(e);
         interaction.reply({ content: '❌ Error updating stock.', ephemeral: true });
       }
 
-    } else if (commandName === 'qotd-setup') {
-      await interaction.deferReply({ ephemeral: true });
+    } else if (commandName === 'orders') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
       const adminIds = (process.env.ADMIN_IDS || '').split(',');
-      if (!adminIds.includes(interaction.user.id)) return interaction.editReply({ content: '🚫 Admin only.' });
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole)) && !adminIds.includes(interaction.user.id)) {
+        return interaction.reply({ content: '🚫 Only staff can view the order queue.', ephemeral: true });
+      }
 
-      const channel = interaction.options.getChannel('channel');
-      const role = interaction.options.getRole('role');
+      const status = interaction.options.getString('status') || 'open';
+      const user = interaction.options.getUser('user');
+      try {
+        const rows = await orders.listOrders(interaction.guildId, { status: status === 'all' ? null : status, userId: user?.id });
+        const lines = rows.map(order => `${describeOrder(order)} • <@${order.user_id}>${order.claimed_by ? ` • 🛠️ <@${order.claimed_by}>` : ''}`);
+        const statusLabel = status === 'open' ? 'Open' : (status === 'all' ? 'All' : orders.STATUSES[status]);
+        const embed = new EmbedBuilder()
+          .setTitle(`📋 Orders • ${statusLabel}${user ? ` • ${user.username}` : ''}`)
+          .setDescription(lines.length ? lines.join('\n').substring(0, 4096) : 'No orders match.')
+          .setFooter({ text: 'Claim, fulfil or refund an order with the buttons in its thread' })
+          .setColor('Blue');
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+      } catch (error) {
+        console.error('Error listing orders:', error);
+        await interaction.reply({ content: '❌ Failed to load orders.', ephemeral: true });
+      }
 
-      await safeQuery(`
-            INSERT INTO qotd_settings (guild_id, channel_id, role_id)
-            VALUES ($1, $2, $3)
-            ON CONFLICT (guild_id) DO UPDATE SET channel_id = $2, role_id = $3
-        `, [interaction.guildId, channel.id, role.id]);
+    } else if (commandName === 'my-orders') {
+      try {
+        const rows = await orders.listOrders(interaction.guildId, { status: null, userId: interaction.user.id, limit: 15 });
+        const embed = new EmbedBuilder()
+          .setTitle('🛍️ Your Orders')
+          .setDescription(rows.length ? rows.map(describeOrder).join('\n').substring(0, 4096) : 'You have no orders. Items that staff deliver by hand show up here after you buy them.')
+          .setColor('Blue');
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+      } catch (error) {
+        console.error('Error listing member orders:', error);
+        await interaction.reply({ content: '❌ Failed to load your orders.', ephemeral: true });
+      }
 
-      await interaction.editReply({ content: `✅ QOTD configured: Channel ${channel}, Role ${role}.` });
+    } else if (commandName === 'coupon') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
 
-    } else if (commandName === 'qotd-add') {
-      const adminIds = (process.env.ADMIN_IDS || '').split(',');
-      if (!adminIds.includes(interaction.user.id)) return interaction.reply({ content: '🚫 Admin only.', ephemeral: true });
+      const subcommand = interaction.options.getSubcommand();
+      try {
+        if (subcommand === 'create') {
+          const code = promotions.normalizeCode(interaction.options.getString('code'));
+          const discountType = interaction.options.getString('type');
+          const value = interaction.options.getNumber('value');
+          const expiresInput = interaction.options.getString('expires');
+          const itemInput = interaction.options.getString('item');
+          const category = interaction.options.getString('category')?.trim() || null;
+
+          if (!promotions.COUPON_CODE_PATTERN.test(code)) {
+            return interaction.reply({ content: '❌ Codes are 3-20 letters, numbers or dashes.', ephemeral: true });
+          }
+          if (discountType === 'percent' && value > 100) {
+            return interaction.reply({ content: '❌ A percent coupon can take at most 100% off.', ephemeral: true });
+          }
+          if (itemInput && category) {
+            return interaction.reply({ content: '❌ Limit the coupon to an `item` or a `category`, not both.', ephemeral: true });
+          }
+          const expiresAt = expiresInput ? parseScheduleStart(expiresInput) : null;
+          if (expiresInput && (!expiresAt || expiresAt <= new Date())) {
+            return interaction.reply({ content: '❌ Invalid expiry. Use a delay like `7d` or a future UTC date like `2025-06-01 18:00`.', ephemeral: true });
+          }
+          const item = itemInput ? await findShopItem(interaction.guildId, itemInput) : null;
+          if (itemInput && !item) {
+            return interaction.reply({ content: '❌ Item not found. Pick one from the list.', ephemeral: true });
+          }
 
-      const dateStr = interaction.options.getString('date');
-      const question = interaction.options.getString('question');
+          const coupon = await promotions.createCoupon({
+            guildId: interaction.guildId,
+            code,
+            discountType,
+            value,
+            maxUses: interaction.options.getInteger('uses') || 0,
+            perUserLimit: interaction.options.getInteger('per_user') ?? 1,
+            itemId: item?.id ?? null,
+            category,
+            expiresAt,
+            createdBy: interaction.user.id,
+          });
+          if (!coupon) {
+            return interaction.reply({ content: `❌ A coupon called **${code}** already exists.`, ephemeral: true });
+          }
 
-      // Validate date
-      // Validate date
-      if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-        return interaction.reply({ content: '❌ Invalid date format. Use YYYY-MM-DD.', ephemeral: true });
+          await interaction.reply({ content: `✅ Created coupon **${coupon.code}**: ${describeCoupon(coupon, item)}. Members apply it with \`/shop coupon:${coupon.code}\`.`, ephemeral: true });
+          logActivity('🎟️ Coupon Created', `<@${interaction.user.id}> created coupon **${coupon.code}**: ${describeCoupon(coupon, item)}.`, 'Blue', null, interaction.guildId);
+
+        } else if (subcommand === 'list') {
+          const coupons = await promotions.listCoupons(interaction.guildId);
+          const { rows: itemRows } = await safeQuery('SELECT id, name FROM shop_items WHERE guild_id = $1', [interaction.guildId]);
+          const items = new Map(itemRows.map(item => [item.id, item]));
+          const lines = coupons.map(coupon => {
+            const problem = promotions.getCouponProblem(coupon);
+            const uses = `${coupon.uses}${coupon.max_uses > 0 ? `/${coupon.max_uses}` : ''} used`;
+            return `${problem ? '⚫' : '🟢'} **${coupon.code}** • ${describeCoupon(coupon, items.get(coupon.item_id))} • ${uses}${problem ? ` (${problem})` : ''}`;
+          });
+          const embed = new EmbedBuilder()
+            .setTitle('🎟️ Coupons')
+            .setDescription(lines.length ? lines.join('\n').substring(0, 4096) : 'No coupons yet. Create one with `/coupon create`.')
+            .setColor('Blue');
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } else if (subcommand === 'delete') {
+          const code = promotions.normalizeCode(interaction.options.getString('code'));
+          if (!(await promotions.deleteCoupon(interaction.guildId, code))) {
+            return interaction.reply({ content: `❌ No coupon called **${code}**.`, ephemeral: true });
+          }
+          await interaction.reply({ content: `✅ Deleted coupon **${code}**.`, ephemeral: true });
+          logActivity('🎟️ Coupon Deleted', `<@${interaction.user.id}> deleted coupon **${code}**.`, 'Orange', null, interaction.guildId);
+        }
+      } catch (error) {
+        console.error('Error managing coupons:', error);
+        await interaction.reply({ content: '❌ Failed to update coupons.', ephemeral: true });
       }
 
-      const { rows: maxRows } = await safeQuery('SELECT MAX(id) as max_id FROM qotd_questions');
+    } else if (commandName === 'shop-sale') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      try {
+        if (subcommand === 'start') {
+          const percent = interaction.options.getNumber('percent');
+          const durationMs = parseDuration(interaction.options.getString('duration'));
+          const startsInput = interaction.options.getString('starts');
+          const category = interaction.options.getString('category')?.trim() || null;
+
+          if (!durationMs) {
+            return interaction.reply({ content: '❌ Invalid duration. Use a format like `30m`, `6h` or `2d`.', ephemeral: true });
+          }
+          const startsAt = startsInput ? parseScheduleStart(startsInput) : new Date();
+          if (!startsAt) {
+            return interaction.reply({ content: '❌ Invalid start. Use a delay like `2h` or a UTC date like `2025-06-01 18:00`.', ephemeral: true });
+          }
+          const endsAt = new Date(startsAt.getTime() + durationMs);
+          if (endsAt <= new Date()) {
+            return interaction.reply({ content: '❌ That sale would already be over.', ephemeral: true });
+          }
+
+          const sale = await promotions.startSale({ guildId: interaction.guildId, percent, category, startsAt, endsAt, createdBy: interaction.user.id });
+          const startText = startsAt > new Date() ? `starts <t:${Math.floor(startsAt.getTime() / 1000)}:F> and ` : '';
+          await interaction.reply({ content: `✅ Sale **#${sale.id}**: **${percent}% off ${category || 'the whole shop'}** ${startText}ends <t:${Math.floor(endsAt.getTime() / 1000)}:F>.`, ephemeral: true });
+          logActivity('🔥 Shop Sale', `<@${interaction.user.id}> set up sale #${sale.id}: **${percent}% off ${category || 'the whole shop'}** from <t:${Math.floor(startsAt.getTime() / 1000)}:F> to <t:${Math.floor(endsAt.getTime() / 1000)}:F>.`, 'Gold', null, interaction.guildId);
+
+        } else if (subcommand === 'end') {
+          const saleId = interaction.options.getInteger('sale');
+          if (!(await promotions.endSale(interaction.guildId, saleId))) {
+            return interaction.reply({ content: '❌ No running or upcoming sale with that ID in this server.', ephemeral: true });
+          }
+          await interaction.reply({ content: `✅ Ended sale **#${saleId}**.`, ephemeral: true });
+          logActivity('🔥 Shop Sale Ended', `<@${interaction.user.id}> ended sale #${saleId}.`, 'Orange', null, interaction.guildId);
+
+        } else if (subcommand === 'list') {
+          const now = new Date();
+          const sales = await promotions.listSales(interaction.guildId);
+          const lines = sales.map(sale => {
+            const startsAt = new Date(sale.starts_at);
+            const timing = startsAt > now
+              ? `starts <t:${Math.floor(startsAt.getTime() / 1000)}:R>`
+              : `ends <t:${Math.floor(new Date(sale.ends_at).getTime() / 1000)}:R>`;
+            return `${startsAt > now ? '🕒' : '🔥'} **#${sale.id}** • ${sale.percent}% off ${sale.category || 'the whole shop'} • ${timing}`;
+          });
+          const embed = new EmbedBuilder()
+            .setTitle('🔥 Shop Sales')
+            .setDescription(lines.length ? lines.join('\n').substring(0, 4096) : 'No sales running or planned. Start one with `/shop-sale start`.')
+            .setColor('Gold');
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+      } catch (error) {
+        console.error('Error managing shop sales:', error);
+        await interaction.reply({ content: '❌ Failed to update sales.', ephemeral: true });
+      }
+
+    } else if (commandName === 'shop-discount') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+      try {
+        if (subcommand === 'set') {
+          const role = interaction.options.getRole('role');
+          const percent = interaction.options.getNumber('percent');
+          await promotions.setRoleDiscount(interaction.guildId, role.id, percent);
+          await interaction.reply({ content: `✅ Members with ${role} now get **${percent}%** off in the shop. Members with several discounted roles get the biggest one.`, ephemeral: true });
+          logActivity('🏷️ Role Discount Set', `<@${interaction.user.id}> set a **${percent}%** shop discount for ${role}.`, 'Blue', null, interaction.guildId);
+
+        } else if (subcommand === 'remove') {
+          const role = interaction.options.getRole('role');
+          if (!(await promotions.removeRoleDiscount(interaction.guildId, role.id))) {
+            return interaction.reply({ content: `❌ ${role} has no shop discount.`, ephemeral: true });
+          }
+          await interaction.reply({ content: `✅ Removed the shop discount for ${role}.`, ephemeral: true });
+          logActivity('🏷️ Role Discount Removed', `<@${interaction.user.id}> removed the shop discount for ${role}.`, 'Orange', null, interaction.guildId);
+
+        } else if (subcommand === 'list') {
+          const discounts = await promotions.getRoleDiscounts(interaction.guildId);
+          const embed = new EmbedBuilder()
+            .setTitle('🏷️ Role Discounts')
+            .setDescription(discounts.length ? discounts.map(discount => `<@&${discount.role_id}> • **${discount.percent}%** off`).join('\n') : 'No role discounts. Add one with `/shop-discount set`.')
+            .setColor('Blue');
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+      } catch (error) {
+        console.error('Error managing role discounts:', error);
+        await interaction.reply({ content: '❌ Failed to update role discounts.', ephemeral: true });
+      }
+
+    } else if (commandName === 'qotd-setup') {
+      await interaction.deferReply({ ephemeral: true });
+      const adminIds = (process.env.ADMIN_IDS || '').split(',');
+      if (!adminIds.includes(interaction.user.id)) return interaction.editReply({ content: '🚫 Admin only.' });
+
+      const channel = interaction.options.getChannel('channel');
+      const role = interaction.options.getRole('role');
+
+      await safeQuery(`
+            INSERT INTO qotd_settings (guild_id, channel_id, role_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (guild_id) DO UPDATE SET channel_id = $2, role_id = $3
+        `, [interaction.guildId, channel.id, role.id]);
+
+      await interaction.editReply({ content: `✅ QOTD configured: Channel ${channel}, Role ${role}.` });
+
+    } else if (commandName === 'qotd-add') {
+      const adminIds = (process.env.ADMIN_IDS || '').split(',');
+      if (!adminIds.includes(interaction.user.id)) return interaction.reply({ content: '🚫 Admin only.', ephemeral: true });
+
+      const dateStr = interaction.options.getString('date');
+      const question = interaction.options.getString('question');
+
+      // Validate date
+      // Validate date
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+        return interaction.reply({ content: '❌ Invalid date format. Use YYYY-MM-DD.', ephemeral: true });
+      }
+
+      const { rows: maxRows } = await safeQuery('SELECT MAX(id) as max_id FROM qotd_questions');
       const nextId = (maxRows[0]?.max_id || 0) + 1;
 
       await safeQuery('INSERT INTO qotd_questions (id, date, question) VALUES ($1, $2, $3)', [nextId, dateStr, question]);
@@ -1947,7 +3066,8 @@ client.on('interactionCreate', async interaction => {
           { name: '📢 Welcome Module', value: 'Customize welcome messages, images, and auto-roles.', inline: true },
           { name: '🎫 Ticket System', value: 'Manage support tickets and panels.', inline: true },
           { name: '🛡️ Logging', value: 'Set up audit logs for server events.', inline: true },
-          { name: '📈 Leveling System', value: 'Configure XP rates and level-up rewards.', inline: true }
+          { name: '📈 Leveling System', value: 'Configure XP rates and level-up rewards.', inline: true },
+          { name: '💬 Activity Rewards', value: 'Set what messages and voice time pay.', inline: true }
         )
         .setColor('Blurple')
         .setFooter({ text: 'All In One Bot • Setup Wizard' });
@@ -1956,12 +3076,14 @@ client.on('interactionCreate', async interaction => {
         new ButtonBuilder().setCustomId('setup_welcome_btn').setLabel('Welcome').setStyle(ButtonStyle.Primary).setEmoji('📢'),
         new ButtonBuilder().setCustomId('setup_tickets_btn').setLabel('Tickets').setStyle(ButtonStyle.Primary).setEmoji('🎫'),
         new ButtonBuilder().setCustomId('setup_logs_btn').setLabel('Logging').setStyle(ButtonStyle.Primary).setEmoji('🛡️'),
-        new ButtonBuilder().setCustomId('setup_levels_btn').setLabel('Leveling').setStyle(ButtonStyle.Success).setEmoji('📈')
+        new ButtonBuilder().setCustomId('setup_levels_btn').setLabel('Leveling').setStyle(ButtonStyle.Success).setEmoji('📈'),
+        new ButtonBuilder().setCustomId('setup_rewards_btn').setLabel('Activity Rewards').setStyle(ButtonStyle.Success).setEmoji('💬')
       );
 
       const row2 = new ActionRowBuilder().addComponents(
         new ButtonBuilder().setCustomId('setup_admin_btn').setLabel('Admin Role').setStyle(ButtonStyle.Secondary).setEmoji('👮'),
         new ButtonBuilder().setCustomId('setup_giveaways_btn').setLabel('Giveaways').setStyle(ButtonStyle.Secondary).setEmoji('🎁'),
+        new ButtonBuilder().setCustomId('setup_economy_btn').setLabel('Economy').setStyle(ButtonStyle.Secondary).setEmoji('💰'),
         new ButtonBuilder().setCustomId('setup_close_btn').setLabel('Close').setStyle(ButtonStyle.Danger).setEmoji('❌')
       );
 
@@ -1978,66 +3100,96 @@ client.on('interactionCreate', async interaction => {
       try {
         console.log('🔄 Starting data reset...');
 
-        // Reset user balances and resources
-        const usersResult = await db.query(`
-          UPDATE users 
-          SET balance = 0, 
-              gold = 0, 
-              wood = 0, 
-              food = 0, 
-              stone = 0,
-              daily_streak = 0,
-              last_daily = NULL
-        `);
-        console.log(`✅ Reset ${usersResult.rowCount || 0} user records`);
-
-        // Reset message counts
-        const messagesResult = await db.query(`
-          UPDATE message_counts 
-          SET count = 0, 
-              rewarded_messages = 0
-        `);
-        console.log(`✅ Reset ${messagesResult.rowCount || 0} message count records`);
-
-        // Reset voice times
-        const voiceResult = await db.query(`
-          UPDATE voice_times 
-          SET minutes = 0, 
-              rewarded_minutes = 0
-        `);
-        console.log(`✅ Reset ${voiceResult.rowCount || 0} voice time records`);
-
-        // Reset invites
-        const invitesResult = await db.query(`
-          UPDATE invites 
-          SET invites = 0
-        `);
-        console.log(`✅ Reset ${invitesResult.rowCount || 0} invite records`);
-
-        // Reset boosts
-        const boostsResult = await db.query(`
-          UPDATE boosts 
-          SET boosts = 0
-        `);
-        console.log(`✅ Reset ${boostsResult.rowCount || 0} boost records`);
+        // All or nothing, so a failure cannot leave a partial wipe. Returns the
+        // jobs whose rows are gone, to cancel once it has committed.
+        const cleared = await withTransaction(async (tx) => {
+          // Balances, resources and the pool, recorded in the ledger as a reset
+          const reset = await economy.resetBalances({ client: tx, guildId: interaction.guildId, poolBalance: 100000 });
+          console.log(`✅ Reset ${reset.wallets} balances and ${reset.holdings} resource balances`);
+          console.log(`✅ Reset server pool to 100,000`);
+
+          const usersResult = await tx.query(`
+            UPDATE users 
+            SET daily_streak = 0,
+                last_daily = NULL
+            WHERE guild_id = $1
+          `, [interaction.guildId]);
+          console.log(`✅ Reset ${usersResult.rowCount || 0} user records`);
+
+          const inventoryResult = await tx.query('DELETE FROM inventory WHERE guild_id = $1', [interaction.guildId]);
+          console.log(`✅ Deleted ${inventoryResult.rowCount || 0} inventory entries`);
+
+          // Listings hold escrowed resources, which were taken from their sellers when listed
+          const listingsResult = await tx.query('DELETE FROM market_listings WHERE guild_id = $1 RETURNING id', [interaction.guildId]);
+          console.log(`✅ Deleted ${listingsResult.rowCount || 0} market listings`);
+
+          // Boosts bought with the old balances
+          const effectsResult = await tx.query('DELETE FROM item_effects WHERE guild_id = $1 RETURNING id', [interaction.guildId]);
+          console.log(`✅ Deleted ${effectsResult.rowCount || 0} active boosts`);
+
+          // Reset message counts
+          const messagesResult = await tx.query(`
+            UPDATE message_counts 
+            SET count = 0, 
+                eligible_count = 0,
+                rewarded_messages = 0,
+                reward_progress = 0
+            WHERE guild_id = $1
+          `, [interaction.guildId]);
+          console.log(`✅ Reset ${messagesResult.rowCount || 0} message count records`);
+
+          // Reset voice times
+          const voiceResult = await tx.query(`
+            UPDATE voice_times 
+            SET minutes = 0, 
+                rewarded_minutes = 0,
+                reward_progress = 0
+            WHERE guild_id = $1
+          `, [interaction.guildId]);
+          console.log(`✅ Reset ${voiceResult.rowCount || 0} voice time records`);
+
+          // Reset invites
+          const invitesResult = await tx.query(`
+            UPDATE invites 
+            SET invites = 0
+            WHERE guild_id = $1
+          `, [interaction.guildId]);
+          console.log(`✅ Reset ${invitesResult.rowCount || 0} invite records`);
+
+          // Reset boosts
+          const boostsResult = await tx.query(`
+            UPDATE boosts 
+            SET boosts = 0
+            WHERE guild_id = $1
+          `, [interaction.guildId]);
+          console.log(`✅ Reset ${boostsResult.rowCount || 0} boost records`);
+
+          // Reset invited_members tracking, which also drops pending invite holds
+          const invitedResult = await tx.query(`
+            DELETE FROM invited_members
+            WHERE guild_id = $1
+            RETURNING invited_member_id
+          `, [interaction.guildId]);
+          console.log(`✅ Deleted ${invitedResult.rowCount || 0} invited member records`);
+
+          const suspensionsResult = await tx.query('DELETE FROM reward_suspensions WHERE guild_id = $1', [interaction.guildId]);
+          console.log(`✅ Lifted ${suspensionsResult.rowCount || 0} message reward suspensions`);
+
+          // Members in voice keep their session but only earn from now on
+          const now = new Date();
+          const sessionsResult = await tx.query('UPDATE voice_sessions SET started_at = $2, last_accrued_at = $2 WHERE guild_id = $1', [interaction.guildId, now]);
+          console.log(`✅ Restarted ${sessionsResult.rowCount || 0} voice sessions`);
 
-        // Reset invited_members tracking
-        const invitedResult = await db.query(`
-          DELETE FROM invited_members
-        `);
-        console.log(`✅ Deleted ${invitedResult.rowCount || 0} invited member records`);
+          return { listings: listingsResult.rows, effects: effectsResult.rows, invited: invitedResult.rows };
+        });
 
-        // Ensure server_stats exists and reset pool to default
-        await db.query(`
-          INSERT INTO server_stats (id, pool_balance) 
-          VALUES ($1, 100000) 
-          ON CONFLICT (id) 
-          DO UPDATE SET pool_balance = 100000
-        `, [interaction.guildId]);
-        console.log(`✅ Reset server pool to 100,000`);
+        for (const listing of cleared.listings) scheduler.cancel('market_expiry', listing.id);
+        for (const effect of cleared.effects) scheduler.cancel('item_effect', effect.id);
+        for (const invited of cleared.invited) scheduler.cancel('invite_hold', `${interaction.guildId}:${invited.invited_member_id}`);
+        rewards.forgetGuild(interaction.guildId);
 
         // Reset Google Sheet
-        const sheetResetResult = await resetGoogleSheet();
+        const sheetResetResult = await resetGoogleSheet(interaction.guildId);
         if (sheetResetResult.success) {
           console.log(`✅ ${sheetResetResult.message}`);
         } else {
@@ -2045,10 +3197,10 @@ client.on('interactionCreate', async interaction => {
         }
 
         console.log('🎉 All data reset completed successfully!');
-        const resetMessage = '✅ **All data has been reset successfully!**\n\n- All user balances: **0** 💰\n- All resources (Gold, Wood, Food, Stone): **0**\n- All message counts: **0**\n- All voice times: **0**\n- All invites: **0**\n- All boosts: **0**\n- Server pool: **100,000** 💰\n- Invite tracking: **Cleared**' +
+        const resetMessage = '✅ **All data has been reset successfully!**\n\n- All user balances: **0** 💰\n- All resources: **0**\n- All inventories: **Cleared**\n- All message counts: **0**\n- All voice times: **0**\n- All invites: **0**\n- All boosts: **0**\n- Market listings: **Cleared**\n- Active boosts: **Cleared**\n- Server pool: **100,000** 💰\n- Invite tracking: **Cleared**\n- Message reward suspensions: **Lifted**\n\nTimed roles and shop orders are kept.' +
           (sheetResetResult.success ? '\n- Google Sheet: **Reset** ✅' : '\n- Google Sheet: **Reset failed** ⚠️');
         await interaction.editReply({ content: resetMessage });
-        logActivity('🔄 Admin Reset', `<@${interaction.user.id}> reset ALL user data (balances, stats, resources${sheetResetResult.success ? ', Google Sheet' : ''}).`, 'Red');
+        logActivity('🔄 Admin Reset', `<@${interaction.user.id}> reset ALL user data (balances, stats, resources${sheetResetResult.success ? ', Google Sheet' : ''}).`, 'Red', null, interaction.guildId);
       } catch (error) {
         console.error('❌ Error resetting data:', error);
         await interaction.editReply({ content: `❌ Error resetting data: ${error.message}\n\nPlease check the console for more details.` });
@@ -2064,21 +3216,27 @@ client.on('interactionCreate', async interaction => {
       await interaction.deferReply({ ephemeral: true });
 
       try {
-        // Fetch all users data
-        const { rows: users } = await safeQuery('SELECT * FROM users');
-        const { rows: messageCounts } = await safeQuery('SELECT * FROM message_counts');
-        const { rows: voiceTimes } = await safeQuery('SELECT * FROM voice_times');
-        const { rows: invites } = await safeQuery('SELECT * FROM invites');
-        const { rows: boosts } = await safeQuery('SELECT * FROM boosts');
+        // Fetch all users data for this server
+        const { rows: users } = await safeQuery('SELECT * FROM users WHERE guild_id = $1', [interaction.guildId]);
+        const { rows: messageCounts } = await safeQuery('SELECT * FROM message_counts WHERE guild_id = $1', [interaction.guildId]);
+        const { rows: voiceTimes } = await safeQuery('SELECT * FROM voice_times WHERE guild_id = $1', [interaction.guildId]);
+        const { rows: invites } = await safeQuery('SELECT * FROM invites WHERE guild_id = $1', [interaction.guildId]);
+        const { rows: boosts } = await safeQuery('SELECT * FROM boosts WHERE guild_id = $1', [interaction.guildId]);
+        const { rows: resourceRows } = await safeQuery('SELECT user_id, resource, amount FROM user_resources WHERE guild_id = $1', [interaction.guildId]);
+
+        // One column per resource type; names are quoted since admins choose them
+        const resourceTypes = resources.listResourceTypes(interaction.guildId);
+        const resourceHeaders = resourceTypes.map(type => `"${type.name.replace(/"/g, '""')}"`);
 
         // Create CSV content
-        let csv = 'User ID,Balance,Gold,Wood,Food,Stone,Last Daily,Daily Streak,Messages,Voice Minutes,Invites,Boosts\n';
+        let csv = ['User ID', 'Balance', ...resourceHeaders, 'Last Daily', 'Daily Streak', 'Messages', 'Voice Minutes', 'Invites', 'Boosts'].join(',') + '\n';
 
         // Create a map for quick lookups
         const msgMap = new Map(messageCounts.map(m => [m.user_id, m.count || 0]));
         const voiceMap = new Map(voiceTimes.map(v => [v.user_id, v.minutes || 0]));
         const inviteMap = new Map(invites.map(i => [i.user_id, i.invites || 0]));
         const boostMap = new Map(boosts.map(b => [b.user_id, b.boosts || 0]));
+        const resourceMap = new Map(resourceRows.map(r => [`${r.user_id}:${r.resource}`, Number(r.amount) || 0]));
 
         for (const user of users) {
           const msgs = msgMap.get(user.id) || 0;
@@ -2086,7 +3244,9 @@ client.on('interactionCreate', async interaction => {
           const inv = inviteMap.get(user.id) || 0;
           const boost = boostMap.get(user.id) || 0;
 
-          csv += `${user.id},${user.balance || 0},${user.gold || 0},${user.wood || 0},${user.food || 0},${user.stone || 0},${user.last_daily || ''},${user.daily_streak || 0},${msgs},${voice},${inv},${boost}\n`;
+          const held = resourceTypes.map(type => resourceMap.get(`${user.id}:${type.key}`) || 0);
+
+          csv += `${user.id},${user.balance || 0},${held.map(amount => `${amount},`).join('')}${user.last_daily || ''},${user.daily_streak || 0},${msgs},${voice},${inv},${boost}\n`;
         }
 
         const buffer = Buffer.from(csv, 'utf-8');
@@ -2178,12 +3338,19 @@ client.on('interactionCreate', async interaction => {
       const winnerCount = interaction.options.getInteger('winners') || 1;
       const entryCost = interaction.options.getNumber('entry_cost') || 10;
 
-      let pingRole = interaction.options.getRole('ping_role');
+      const { setup, error } = await readGiveawayOptions(interaction);
+      if (error) {
+        return interaction.reply({ content: error, ephemeral: true });
+      }
+      const { prizeType, tiersInput } = setup;
 
-      // Automatic fallback removed per user request
+      // The modal can only carry an ID, so the rest of the setup waits here until it is submitted
+      const modalToken = Date.now().toString();
+      pendingGiveawaySetups.set(modalToken, setup);
+      setTimeout(() => pendingGiveawaySetups.delete(modalToken), 15 * 60 * 1000);
 
       const modal = new ModalBuilder()
-        .setCustomId(`giveaway_modal_${Date.now()}_${pingRole ? pingRole.id : 'none'}`)
+        .setCustomId(`giveaway_modal_${modalToken}`)
         .setTitle('Create Giveaway');
 
       const durationInput = new TextInputBuilder()
@@ -2194,13 +3361,25 @@ client.on('interactionCreate', async interaction => {
         .setStyle(TextInputStyle.Short)
         .setRequired(true);
 
-      const totalPrizeInput = new TextInputBuilder()
-        .setCustomId('giveaway_total_prize')
-        .setLabel('Total Prize (Sovereign Pounds)')
-        .setPlaceholder('Enter the total amount to distribute...')
-        .setValue(totalPrize.toString())
-        .setStyle(TextInputStyle.Short)
-        .setRequired(true);
+      // Item prizes have no amount; tiered prizes take one amount per place instead of a total
+      let prizeInput = null;
+      if (tiersInput) {
+        prizeInput = new TextInputBuilder()
+          .setCustomId('giveaway_prize_tiers')
+          .setLabel(`Prize per Place (${resources.describeResource(interaction.guildId, prizeType).name})`.substring(0, 45))
+          .setPlaceholder('5000, 3000, 1000')
+          .setValue(tiersInput)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true);
+      } else if (prizeType !== 'item') {
+        prizeInput = new TextInputBuilder()
+          .setCustomId('giveaway_total_prize')
+          .setLabel(`Total Prize (${resources.describeResource(interaction.guildId, prizeType).name})`.substring(0, 45))
+          .setPlaceholder('Enter the total amount to distribute...')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true);
+        if (totalPrize) prizeInput.setValue(totalPrize.toString());
+      }
 
       const entryCostInput = new TextInputBuilder()
         .setCustomId('giveaway_entry_cost')
@@ -2218,14 +3397,300 @@ client.on('interactionCreate', async interaction => {
         .setStyle(TextInputStyle.Short)
         .setRequired(true);
 
+      // With tiers the number of winners is the number of places
       modal.addComponents(
-        new ActionRowBuilder().addComponents(durationInput),
-        new ActionRowBuilder().addComponents(totalPrizeInput),
-        new ActionRowBuilder().addComponents(entryCostInput),
-        new ActionRowBuilder().addComponents(winnersInput)
+        [durationInput, prizeInput, entryCostInput, tiersInput ? null : winnersInput]
+          .filter(Boolean)
+          .map(input => new ActionRowBuilder().addComponents(input))
       );
 
       await interaction.showModal(modal);
+
+    } else if (commandName === 'giveaway-end' || commandName === 'giveaway-cancel') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const giveawayId = interaction.options.getString('id');
+      await interaction.deferReply({ ephemeral: true });
+
+      const { rows } = await safeQuery('SELECT id FROM giveaways WHERE id = $1 AND guild_id = $2 AND ended = FALSE', [giveawayId, interaction.guildId]);
+      if (rows.length === 0) {
+        return interaction.editReply({ content: '❌ No running giveaway with that ID in this server.' });
+      }
+
+      if (commandName === 'giveaway-end') {
+        // Record the real end time so /giveaway-list shows when it actually ended
+        await safeQuery('UPDATE giveaways SET end_time = $1 WHERE id = $2 AND ended = FALSE', [new Date(), giveawayId]);
+        await endGiveaway(giveawayId);
+      } else {
+        const reason = interaction.options.getString('reason') || `Cancelled by ${interaction.user.tag}`;
+        await cancelGiveaway(giveawayId, reason);
+      }
+
+      // Both helpers report their own errors, so confirm from the stored state
+      const { rows: updatedRows } = await safeQuery('SELECT ended FROM giveaways WHERE id = $1', [giveawayId]);
+      if (!updatedRows[0]?.ended) {
+        return interaction.editReply({ content: '❌ Could not settle the giveaway. Check the bot logs and try again.' });
+      }
+
+      const action = commandName === 'giveaway-end' ? 'ended early' : 'cancelled and all entries refunded';
+      await interaction.editReply({ content: `✅ Giveaway \`${giveawayId}\` has been ${action}.` });
+      logActivity(commandName === 'giveaway-end' ? '⏹️ Giveaway Ended Early' : '❌ Giveaway Cancelled by Staff', `<@${interaction.user.id}> ${action} giveaway \`${giveawayId}\`.`, 'Orange', null, interaction.guildId);
+
+    } else if (commandName === 'giveaway-reroll') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const giveawayId = interaction.options.getString('id');
+      const count = interaction.options.getInteger('count') || 1;
+      await interaction.deferReply({ ephemeral: true });
+
+      // Replacement winners are paid from the server pool, since the original prize was already paid out
+      let result;
+      try {
+        result = await withTransaction(async (tx) => {
+          const { rows } = await tx.query('SELECT * FROM giveaways WHERE id = $1 AND guild_id = $2 FOR UPDATE', [giveawayId, interaction.guildId]);
+          if (rows.length === 0) return { error: '❌ No giveaway with that ID in this server.' };
+
+          const giveaway = rows[0];
+          if (!giveaway.ended) return { error: '❌ This giveaway is still running. Use `/giveaway-end` to end it first.' };
+
+          const previousWinners = giveaway.winners || [];
+          if (previousWinners.length === 0) return { error: '❌ This giveaway had no winners to replace (it was cancelled or nobody joined).' };
+
+          const eligible = (giveaway.participants || []).filter(id => !previousWinners.includes(id));
+          if (eligible.length === 0) return { error: '❌ Every participant has already won this giveaway.' };
+
+          // Replacements take the places after the original winners, so tiered
+          // giveaways pay them the lowest tier
+          // Seeded draws continue the original sequence so /giveaway-verify can replay them.
+          // Giveaways drawn before seeds existed pick from the remaining entries with a fresh seed.
+          const drawEntries = getDrawEntries(giveaway);
+          const newWinners = giveaway.server_seed
+            ? fairness.drawWinners(giveaway.server_seed, drawEntries, previousWinners.length + count).slice(previousWinners.length)
+            : fairness.drawWinners(fairness.generateSeed(), drawEntries.filter(({ id }) => eligible.includes(id)), count);
+          const item = await getGiveawayPrizeItem(giveaway, tx);
+          for (const [index, winnerId] of newWinners.entries()) {
+            await creditGiveawayPrize(tx, giveaway, winnerId, previousWinners.length + index, item, economy.POOL);
+          }
+
+          await tx.query('UPDATE giveaways SET winners = $1 WHERE id = $2', [[...previousWinners, ...newWinners], giveawayId]);
+          return { giveaway, newWinners, previousCount: previousWinners.length, item };
+        });
+      } catch (error) {
+        if (!(error instanceof economy.InsufficientFundsError)) {
+          console.error('Error rerolling giveaway:', error);
+          return interaction.editReply({ content: '❌ An error occurred while rerolling the giveaway.' });
+        }
+        return interaction.editReply({ content: '❌ The server pool does not have enough funds to pay the replacement winners.' });
+      }
+
+      if (result.error) {
+        return interaction.editReply({ content: result.error });
+      }
+
+      const { giveaway, newWinners, previousCount, item } = result;
+      const winnerMentions = newWinners.map(id => `<@${id}>`).join(', ');
+      const winnerLines = newWinners.map((id, index) => `<@${id}> — ${describePlacePrize(giveaway, previousCount + index, item)}`).join('\n');
+
+      const channel = await client.channels.fetch(giveaway.channel_id).catch(() => null);
+      if (item) {
+        for (const winnerId of newWinners) await deliverGiveawayItem(giveaway, winnerId, item, channel);
+      }
+
+      try {
+        if (channel) {
+          const embed = new EmbedBuilder()
+            .setTitle('🔄 Giveaway Rerolled')
+            .setDescription(`**🏆 New Winner(s):**\n${winnerLines}\n\nCongratulations! 🎊`)
+            .setColor('Gold')
+            .setFooter({ text: `Giveaway ID: ${giveawayId}` })
+            .setTimestamp();
+          await channel.send({ content: `🎉 ${winnerMentions}`, embeds: [embed] });
+        }
+      } catch (error) {
+        console.error('Error announcing giveaway reroll:', error);
+      }
+
+      const paidFrom = (giveaway.prize_type || 'pounds') === 'pounds' ? '\nPaid from the server pool.' : '';
+      await interaction.editReply({ content: `✅ Rerolled giveaway \`${giveawayId}\`. New winner(s):\n${winnerLines}${paidFrom}` });
+      logActivity('🔄 Giveaway Rerolled', `<@${interaction.user.id}> rerolled giveaway \`${giveawayId}\`. New winner(s): ${winnerMentions}`, 'Gold', null, interaction.guildId);
+
+    } else if (commandName === 'giveaway-list') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const listQuery = 'SELECT g.*, s.name AS prize_item_name FROM giveaways g LEFT JOIN shop_items s ON s.id = g.prize_item_id WHERE g.guild_id = $1 AND g.ended = $2';
+      const { rows: activeRows } = await safeQuery(`${listQuery} ORDER BY g.end_time ASC LIMIT 10`, [interaction.guildId, false]);
+      const { rows: recentRows } = await safeQuery(`${listQuery} ORDER BY g.end_time DESC LIMIT 5`, [interaction.guildId, true]);
+
+      const formatGiveaway = (g) => {
+        const prize = describeGiveawayPrize(g);
+        const endsAt = Math.floor(new Date(g.end_time).getTime() / 1000);
+        const status = g.ended
+          ? `${(g.winners || []).length} winner(s) • ended <t:${endsAt}:R>`
+          : `ends <t:${endsAt}:R>`;
+        return `\`${g.id}\`\n> **${prize}** • ${(g.participants || []).length} joined (${countGiveawayEntries(g)} entries) • ${status} • <#${g.channel_id}>`;
+      };
+
+      const embed = new EmbedBuilder()
+        .setTitle('🎁 Giveaways')
+        .addFields(
+          { name: `Active (${activeRows.length})`, value: activeRows.length ? activeRows.map(formatGiveaway).join('\n').substring(0, 1024) : 'No running giveaways.' },
+          { name: 'Recently Ended', value: recentRows.length ? recentRows.map(formatGiveaway).join('\n').substring(0, 1024) : 'None yet.' }
+        )
+        .setColor('Purple')
+        .setTimestamp();
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+
+    } else if (commandName === 'giveaway-verify') {
+      const giveawayId = interaction.options.getString('id');
+      const { rows } = await safeQuery('SELECT * FROM giveaways WHERE id = $1 AND guild_id = $2', [giveawayId, interaction.guildId]);
+      if (rows.length === 0) {
+        return interaction.reply({ content: '❌ No giveaway with that ID in this server.', ephemeral: true });
+      }
+
+      const giveaway = rows[0];
+      if (!giveaway.seed_hash) {
+        return interaction.reply({ content: '❌ This giveaway was created before verifiable draws, so no seed hash was published for it.', ephemeral: true });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('🔍 Giveaway Draw Verification')
+        .setColor('Blue')
+        .setFooter({ text: `Giveaway ID: ${giveawayId}` })
+        .setTimestamp();
+
+      if (!giveaway.ended) {
+        embed.setDescription(`**🔒 Published Hash:** \`${giveaway.seed_hash}\`\n\nThis giveaway is still running. Its seed is revealed when it ends, and the winners are drawn from that seed and the final entry list.`);
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      const winners = giveaway.winners || [];
+      const entries = getDrawEntries(giveaway);
+      const { seedMatches, winnersMatch, expectedWinners } = fairness.verifyDraw({ seed: giveaway.server_seed, seedHash: giveaway.seed_hash, entries, winners });
+      const tickets = entries.reduce((sum, { weight }) => sum + weight, 0);
+
+      const drawText = winners.length === 0
+        ? 'No winners were drawn (the giveaway was cancelled or did not have enough participants).'
+        : `**Recomputed Winners:** ${expectedWinners.map(id => `<@${id}>`).join(', ')}\n` +
+          (winnersMatch ? '✅ The recorded winners match the recomputed draw.' : '❌ The recorded winners do **not** match the recomputed draw.');
+
+      embed
+        .setColor(seedMatches && (winnersMatch || winners.length === 0) ? 'Green' : 'Red')
+        .setDescription(`**🔒 Published Hash:** \`${giveaway.seed_hash}\`\n` +
+          `**🔐 Revealed Seed:** \`${giveaway.server_seed}\`\n` +
+          `${seedMatches ? '✅ The seed matches the published hash.' : '❌ The seed does **not** match the published hash.'}\n\n` +
+          `**Entries:** ${entries.length} participants, ${tickets} tickets\n${drawText}\n\n` +
+          `To check it yourself, run \`node fairness.js <seed> <entries> ${winners.length}\` from the bot's source with the attached entry list.`);
+
+      const attachment = new AttachmentBuilder(Buffer.from(fairness.formatEntries(entries), 'utf-8'), { name: `${giveawayId}-entries.txt` });
+      await interaction.reply({ embeds: [embed], files: [attachment], ephemeral: true });
+
+    } else if (commandName === 'giveaway-schedule') {
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole))) {
+        return interaction.reply({ content: '🚫 You do not have permission to use this command.', ephemeral: true });
+      }
+
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'create') {
+        const channel = interaction.options.getChannel('channel');
+        if (!channel.isTextBased()) {
+          return interaction.reply({ content: '⚠️ Please pick a text channel for the giveaway.', ephemeral: true });
+        }
+
+        const durationMs = parseDuration(interaction.options.getString('duration'));
+        if (!durationMs) {
+          return interaction.reply({ content: '⚠️ Please provide a valid duration (e.g., 1h, 30m, 2d).', ephemeral: true });
+        }
+
+        const startInput = interaction.options.getString('start');
+        const repeatRule = interaction.options.getString('repeat')?.trim().toLowerCase() || null;
+        if (!startInput && !repeatRule) {
+          return interaction.reply({ content: '⚠️ Give a `start` time, a `repeat` rule, or both.', ephemeral: true });
+        }
+        if (repeatRule && !parseRepeatRule(repeatRule)) {
+          return interaction.reply({ content: '⚠️ Repeat rules look like `daily 18:00` or `weekly sun 18:00` (UTC).', ephemeral: true });
+        }
+
+        const firstRun = startInput ? parseScheduleStart(startInput) : getNextRepeatRun(repeatRule);
+        if (!firstRun || firstRun <= new Date()) {
+          return interaction.reply({ content: '⚠️ The start must be a future UTC time like `2025-06-01 18:00` or a delay like `2h`.', ephemeral: true });
+        }
+
+        const { setup, error } = await readGiveawayOptions(interaction);
+        if (error) {
+          return interaction.reply({ content: error, ephemeral: true });
+        }
+
+        const amounts = resolveGiveawayAmounts({
+          prizeType: setup.prizeType,
+          tiersInput: setup.tiersInput,
+          totalPrize: interaction.options.getNumber('total_prize'),
+          winnerCount: interaction.options.getInteger('winners') || 1
+        });
+        if (amounts.error) {
+          return interaction.reply({ content: amounts.error, ephemeral: true });
+        }
+
+        const settings = { ...setup, ...amounts, entryCost: interaction.options.getNumber('entry_cost') || 10, durationMs };
+        const { rows } = await db.query(
+          'INSERT INTO giveaway_schedules (guild_id, channel_id, creator_id, settings, repeat_rule, next_run) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+          [interaction.guildId, channel.id, interaction.user.id, settings, repeatRule, firstRun]
+        );
+        const scheduleId = rows[0].id;
+        scheduler.schedule('giveaway_schedule', scheduleId, firstRun);
+
+        const prizeText = describeScheduledPrize(interaction.guildId, settings);
+        const repeatText = repeatRule ? `, then ${describeRepeatRule(repeatRule).toLowerCase()}` : '';
+        const poolNote = setup.prizeType === 'pounds' ? '\nThe prize is taken from the server pool each time it is posted.' : '';
+        await interaction.reply({
+          content: `✅ Scheduled giveaway **#${scheduleId}** (${prizeText}) in ${channel}: first posted <t:${Math.floor(firstRun.getTime() / 1000)}:F>${repeatText}.${poolNote}`,
+          ephemeral: true
+        });
+        logActivity('🗓️ Giveaway Scheduled', `<@${interaction.user.id}> scheduled giveaway #${scheduleId} in ${channel}: **${prizeText}**, ${describeRepeatRule(repeatRule).toLowerCase()}, first <t:${Math.floor(firstRun.getTime() / 1000)}:F>.`, 'Gold', null, interaction.guildId);
+
+      } else if (subcommand === 'list') {
+        const { rows } = await safeQuery('SELECT * FROM giveaway_schedules WHERE guild_id = $1 ORDER BY next_run ASC LIMIT 15', [interaction.guildId]);
+        const { rows: itemRows } = await safeQuery('SELECT id, name, emoji FROM shop_items WHERE guild_id = $1', [interaction.guildId]);
+        const items = new Map(itemRows.map(item => [item.id, item]));
+
+        const lines = rows.map(row => {
+          const nextRun = Math.floor(new Date(row.next_run).getTime() / 1000);
+          return `**#${row.id}** • <#${row.channel_id}> • ${describeRepeatRule(row.repeat_rule)} • next <t:${nextRun}:R>\n> ${describeScheduledPrize(row.guild_id, row.settings, items.get(row.settings.prizeItemId))} • runs ${describeDurationMs(row.settings.durationMs)}`;
+        });
+
+        const embed = new EmbedBuilder()
+          .setTitle('🗓️ Scheduled Giveaways')
+          .setDescription(lines.length ? lines.join('\n').substring(0, 4096) : 'Nothing scheduled. Use `/giveaway-schedule create` to add one.')
+          .setColor('Purple')
+          .setTimestamp();
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+
+      } else if (subcommand === 'remove') {
+        const scheduleId = interaction.options.getInteger('id');
+        const { rowCount } = await db.query('DELETE FROM giveaway_schedules WHERE id = $1 AND guild_id = $2', [scheduleId, interaction.guildId]);
+        if (!rowCount) {
+          return interaction.reply({ content: '❌ No scheduled giveaway with that ID in this server.', ephemeral: true });
+        }
+
+        scheduler.cancel('giveaway_schedule', scheduleId);
+        await interaction.reply({ content: `✅ Removed scheduled giveaway **#${scheduleId}**. Giveaways it already posted keep running.`, ephemeral: true });
+        logActivity('🗓️ Giveaway Schedule Removed', `<@${interaction.user.id}> removed scheduled giveaway #${scheduleId}.`, 'Orange', null, interaction.guildId);
+      }
     }
   }
 
@@ -2240,78 +3705,117 @@ client.on('interactionCreate', async interaction => {
 
       await interaction.reply({ content: `📜 **Transcript for Ticket ${channelId}**`, files: [attachment], ephemeral: true });
 
+    } else if (interaction.customId === 'setup_pricing_select') {
+      const type = resources.getResourceType(interaction.guildId, interaction.values[0]);
+      if (!type) return interaction.reply({ content: '❌ That resource no longer exists.', ephemeral: true });
+
+      const { saleActive } = resources.getEffectiveRate(type);
+      const saleValue = saleActive ? `${type.sale_multiplier} until ${type.sale_ends_at.toISOString().slice(0, 16).replace('T', ' ')}` : '';
+
+      const modal = new ModalBuilder().setCustomId(`modal_setup_pricing_${type.key}`).setTitle(`${type.name} Pricing`.substring(0, 45));
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('package_size').setLabel(`${type.name} per package`.substring(0, 45)).setStyle(TextInputStyle.Short).setValue(String(type.package_size)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('package_price').setLabel('Package price in Sovereign Pounds').setStyle(TextInputStyle.Short).setValue(String(type.package_price)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('min_purchase').setLabel(`Minimum ${type.name} per purchase (0 = none)`.substring(0, 45)).setStyle(TextInputStyle.Short).setValue(String(type.min_purchase)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('max_purchase').setLabel(`Maximum ${type.name} per purchase (0 = none)`.substring(0, 45)).setStyle(TextInputStyle.Short).setValue(String(type.max_purchase)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('sale').setLabel('Sale: multiplier until UTC date (blank = none)').setStyle(TextInputStyle.Short).setPlaceholder('1.5 until 2025-06-01 18:00, or 1.5 until 3d').setValue(saleValue).setRequired(false)
+        )
+      );
+      await interaction.showModal(modal);
+
+    } else if (interaction.customId.startsWith('shop_category_select_')) {
+      const sort = interaction.customId.replace('shop_category_select_', '');
+      const category = interaction.values[0] === '*' ? '' : interaction.values[0];
+      await interaction.update(await buildShopPage(interaction.guildId, interaction.member, { category, sort }));
+    } else if (interaction.customId.startsWith('shop_sort_select_')) {
+      const category = interaction.customId.replace('shop_sort_select_', '');
+      await interaction.update(await buildShopPage(interaction.guildId, interaction.member, { category, sort: interaction.values[0] }));
     } else if (interaction.customId === 'shop_buy_select') {
       const itemId = interaction.values[0];
       try {
-        const { rows } = await safeQuery('SELECT * FROM shop_items WHERE id = $1', [itemId]);
+        const { rows } = await safeQuery('SELECT * FROM shop_items WHERE id = $1 AND guild_id = $2', [itemId, interaction.guildId]);
         if (rows.length === 0) return interaction.reply({ content: `❌ Item no longer exists.`, ephemeral: true });
         const item = rows[0];
-
-
-        // Stock Check
-        if (item.stock !== -1 && item.stock <= 0) {
-          return interaction.reply({ content: `❌ This item is currently out of stock.`, ephemeral: true });
+        if (item.hidden || item.disabled) {
+          return interaction.reply({ content: `❌ **${item.name}** is not for sale right now.`, ephemeral: true });
         }
-
-        const { rows: userRows } = await safeQuery('SELECT balance FROM users WHERE id = $1', [interaction.user.id]);
-        const balance = userRows[0]?.balance || 0;
-
-        if (balance < item.price) {
-          return interaction.reply({ content: `❌ Insufficient funds. You need **${item.price.toLocaleString('en-US')}** 💰 to buy **${item.name}**.`, ephemeral: true });
+        if (item.required_role_id && !interaction.member.roles.cache.has(item.required_role_id)) {
+          return interaction.reply({ content: `❌ Only members with <@&${item.required_role_id}> can buy **${item.name}**.`, ephemeral: true });
+        }
+        if (item.min_level > 0) {
+          const { rows: levelRows } = await safeQuery('SELECT level FROM user_levels WHERE guild_id = $1 AND user_id = $2', [interaction.guildId, interaction.user.id]);
+          const level = levelRows[0]?.level || 0;
+          if (level < item.min_level) {
+            return interaction.reply({ content: `❌ You need to be level **${item.min_level}** to buy **${item.name}**. You are level **${level}**.`, ephemeral: true });
+          }
         }
+        const resourceCol = item.resource_type?.toLowerCase();
+        const givesResource = Boolean(resourceCol && resources.getResourceType(interaction.guildId, resourceCol));
+        const keepsItem = inventory.isKeptItem(interaction.guildId, item);
+        const promos = await getShopPromotions(interaction.guildId, interaction.member);
+        const quote = promotions.quotePrice({ item, ...promos });
 
-        await safeQuery('UPDATE users SET balance = balance - $1 WHERE id = $2', [item.price, interaction.user.id]);
+        let purchaseId;
+        try {
+          purchaseId = await purchases.buyItem({
+            guildId: interaction.guildId,
+            userId: interaction.user.id,
+            item,
+            quote,
+            coupon: promos.coupon,
+            resource: givesResource ? resourceCol : null,
+            keepsItem,
+          });
+        } catch (error) {
+          if (error instanceof purchases.PurchaseLimitError) {
+            return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+          }
+          if (error instanceof promotions.CouponError) {
+            shopCoupons.delete(`${interaction.guildId}:${interaction.user.id}`);
+            return interaction.reply({ content: `❌ Coupon **${error.code}** ${error.reason}. Nothing was charged; pick the item again to buy it without the coupon.`, ephemeral: true });
+          }
+          if (!(error instanceof economy.InsufficientFundsError)) throw error;
+          return interaction.reply({ content: `❌ Insufficient funds. You need **${quote.price.toLocaleString('en-US')}** 💰 to buy **${item.name}**.`, ephemeral: true });
+        }
 
-        // Decrement Stock
-        if (item.stock !== -1) {
-          await safeQuery('UPDATE shop_items SET stock = stock - 1 WHERE id = $1', [item.id]);
+        if (!purchaseId) {
+          return interaction.reply({ content: `❌ This item is currently out of stock.`, ephemeral: true });
         }
 
         let rewardMsg = '';
-        if (item.resource_type) {
-          const colName = item.resource_type.toLowerCase();
-          if (['gold', 'wood', 'food', 'stone'].includes(colName)) {
-            const qty = item.quantity || 1;
-            await safeQuery(`UPDATE users SET ${colName} = ${colName} + $1 WHERE id = $2`, [qty, interaction.user.id]);
-            await logPurchaseToSheet(interaction.user.tag, colName, qty, item.price);
-            rewardMsg = `Received **${qty.toLocaleString('en-US')}** ${item.resource_type}.`;
-          } else {
-            await logItemPurchaseToSheet(interaction.user.tag, item.name, item.price);
-          }
+        if (givesResource) {
+          const qty = item.quantity || 1;
+          await logPurchaseToSheet(interaction.guildId, interaction.user.tag, resourceCol, qty, quote.price, quote.discount);
+          rewardMsg = `Received **${qty.toLocaleString('en-US')}** ${resources.describeUnit(interaction.guildId, resourceCol)}.`;
         } else {
-          await logItemPurchaseToSheet(interaction.user.tag, item.name, item.price);
+          await logItemPurchaseToSheet(interaction.user.tag, item.name, quote.price, quote.discount);
+        }
+
+        if (keepsItem) {
+          rewardMsg += item.effect_type ? ' Added to your inventory. Use it with `/use`.' : ' Added to your inventory.';
         }
 
         if (item.role_id) {
           const role = interaction.guild.roles.cache.get(item.role_id);
           if (role) {
             await interaction.member.roles.add(role);
-            rewardMsg += ` Assigned role **${role.name}**.`;
+            const grant = await recordItemRole(interaction.guildId, interaction.user.id, item, 'shop');
+            rewardMsg += grant ? ` ${describeRoleGrant(role, grant)}` : ` Assigned role **${role.name}**.`;
           }
         }
 
         if (item.requires_ticket) {
           try {
-            const safeName = (item.name || 'item').replace(/[^a-zA-Z0-9-]/g, '');
-            const threadName = `order-${interaction.user.username}-${safeName}`.substring(0, 32);
-
-            const thread = await interaction.channel.threads.create({
-              name: threadName,
-              type: ChannelType.PrivateThread,
-              autoArchiveDuration: 1440,
-              reason: 'Shop Purchase Ticket'
-            });
-            await thread.members.add(interaction.user.id);
-
-            const orderEmbed = new EmbedBuilder()
-              .setTitle('🛍️ New Order')
-              .setDescription(`User <@${interaction.user.id}> purchased **${item.name}**.\n\n**Price:** ${item.price.toLocaleString('en-US')} 💰\n**Status:** Paid ✅\n\nPlease describe your request below. Staff will be with you shortly.`)
-              .setColor('Green');
-
-            const adminIds = (process.env.ADMIN_IDS || '').split(',');
-            const adminPings = adminIds.map(id => `<@${id}>`).join(' ');
-
-            await thread.send({ content: `${adminPings} <@${interaction.user.id}>`, embeds: [orderEmbed] });
+            const thread = await createOrderTicket(interaction.channel, interaction.user, item, `purchased **${item.name}**.\n\n**Price:** ${quote.price.toLocaleString('en-US')} 💰\n**Status:** Paid ✅`, 'Shop Purchase Ticket', { price: quote.price, purchaseId, inInventory: keepsItem });
             rewardMsg += `\n🎫 **Ticket created:** <#${thread.id}>`;
           } catch (error) {
             console.error('Failed to create ticket thread:', error);
@@ -2321,7 +3825,7 @@ client.on('interactionCreate', async interaction => {
 
         // Update the shop embed with new balance
         try {
-          const { rows: updatedCols } = await safeQuery('SELECT balance FROM users WHERE id = $1', [interaction.user.id]);
+          const { rows: updatedCols } = await safeQuery('SELECT balance FROM users WHERE guild_id = $1 AND id = $2', [interaction.guildId, interaction.user.id]);
           const newBalance = updatedCols[0]?.balance || 0;
 
           const oldEmbed = interaction.message.embeds[0];
@@ -2338,8 +3842,9 @@ client.on('interactionCreate', async interaction => {
           console.error("Failed to update shop message balance:", e);
         }
 
-        await interaction.reply({ content: `✅ Successfully purchased **${item.name}** for **${item.price.toLocaleString('en-US')}** 💰.\n${rewardMsg}`, ephemeral: true });
-        logActivity('🛒 Shop Purchase', `<@${interaction.user.id}> bought **${item.name}** for ${item.price} 💰.\n${rewardMsg}`, 'Blue');
+        const savedText = quote.discount > 0 ? ` (saved **${quote.discount.toLocaleString('en-US')}** 💰: ${describeDiscounts(quote)})` : '';
+        await interaction.reply({ content: `✅ Successfully purchased **${item.name}** for **${quote.price.toLocaleString('en-US')}** 💰${savedText}.\n${rewardMsg}`, ephemeral: true });
+        logActivity('🛒 Shop Purchase', `<@${interaction.user.id}> bought **${item.name}** for ${quote.price} 💰${savedText}.\n${rewardMsg}`, 'Blue', null, interaction.guildId);
 
       } catch (err) {
         console.error(err);
@@ -2762,6 +4267,26 @@ client.on('interactionCreate', async interaction => {
       await db.query('INSERT INTO guild_configs (guild_id, auto_role_id) VALUES ($1, $2) ON CONFLICT (guild_id) DO UPDATE SET auto_role_id = $2', [interaction.guildId, roleId]);
       await interaction.update({ content: `✅ Auto-role set to <@&${roleId}>`, components: [] });
 
+    } else if (interaction.customId === 'select_rewards_excluded') {
+      await rewards.setExcludedChannels(interaction.guildId, interaction.values);
+      await interaction.update(await buildActivityRewardsSetupPage(interaction.guildId));
+      logActivity('⚙️ Activity Rewards Updated', `<@${interaction.user.id}> set the channels that earn nothing to ${interaction.values.length ? interaction.values.map(id => `<#${id}>`).join(', ') : 'none'}.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId === 'select_rewards_channel_multiplier' || interaction.customId === 'select_rewards_role_multiplier') {
+      const targetType = interaction.customId === 'select_rewards_channel_multiplier' ? 'channel' : 'role';
+      const targetId = interaction.values[0];
+      const rule = (await rewards.getRules(interaction.guildId)).find(candidate => candidate.target_type === targetType && candidate.target_id === targetId);
+      const target = targetType === 'channel' ? interaction.guild.channels.cache.get(targetId)?.name : interaction.guild.roles.cache.get(targetId)?.name;
+
+      const modal = new ModalBuilder().setCustomId(`modal_rewards_multiplier_${targetType}_${targetId}`).setTitle(`Multiplier for ${targetType === 'channel' ? '#' : '@'}${target || targetId}`.substring(0, 45));
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('multiplier').setLabel('Reward multiplier (1 removes it)').setStyle(TextInputStyle.Short)
+            .setPlaceholder(targetType === 'channel' ? 'e.g. 1.5, or 0 so it earns nothing' : 'e.g. 1.5').setValue(String(rule ? rule.multiplier : 1)).setRequired(true)
+        )
+      );
+      await interaction.showModal(modal);
+
     } else if (interaction.customId.startsWith('wizard_select_parent_')) {
       const catId = interaction.customId.split('_')[3];
       const channelId = interaction.values[0];
@@ -2837,26 +4362,170 @@ client.on('interactionCreate', async interaction => {
       );
       await interaction.update({ embeds: [embed], components: [row1, row2] });
 
-    } else if (interaction.customId === 'modal_setup_welcome_image') {
-      const imageUrl = interaction.fields.getTextInputValue('img_url');
-      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
-      await db.query('UPDATE guild_configs SET welcome_image_url = $1 WHERE guild_id = $2', [imageUrl || null, interaction.guildId]);
+    } else if (interaction.customId === 'modal_setup_economy_pay') {
+      const dailyCap = parseShorthand(interaction.fields.getTextInputValue('daily_cap'));
+      const minAccountDays = parseInt(interaction.fields.getTextInputValue('min_account_days'));
+      const minLevel = parseInt(interaction.fields.getTextInputValue('min_level'));
+      const taxPercent = parseFloat(interaction.fields.getTextInputValue('tax_percent'));
 
-      // Re-render welcome menu
-      const { rows } = await safeQuery('SELECT * FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
-      const config = rows[0] || {};
-      const embed = new EmbedBuilder()
-        .setTitle('📢 Welcome Module Settings')
-        .setDescription(`Configure how new members are welcomed.
-             
-             **Status:** ${config.welcome_enabled ? '✅ Enabled' : '❌ Disabled'}
-             **Channel:** ${config.welcome_channel_id ? `<#${config.welcome_channel_id}>` : 'Not Set'}
-             **Auto-Role:** ${config.auto_role_id ? `<@&${config.auto_role_id}>` : 'None'}
-             `)
-        .addFields({ name: 'Message Preview', value: (config.welcome_message ? config.welcome_message.substring(0, 1000) : 'Default: "Welcome {user} to {guild}!"') + '\n\n*Variables: {user}, {guild}, {memberCount}, {avatar}*' })
-        .setColor('Green');
+      if ([dailyCap, minAccountDays, minLevel, taxPercent].some(v => isNaN(v) || v < 0) || taxPercent > 100) {
+        return interaction.reply({ content: '❌ Invalid values. Use non-negative numbers and a tax between 0 and 100.', ephemeral: true });
+      }
 
-      const row1 = new ActionRowBuilder().addComponents(
+      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
+      await db.query(
+        'UPDATE guild_configs SET pay_daily_cap = $1, pay_min_account_days = $2, pay_min_level = $3, pay_tax_percent = $4 WHERE guild_id = $5',
+        [dailyCap, minAccountDays, minLevel, taxPercent, interaction.guildId]
+      );
+      await interaction.update(await buildEconomySetupPage(interaction.guildId));
+      logActivity('⚙️ Transfer Settings Updated', `<@${interaction.user.id}> set /pay limits: cap ${dailyCap}, account age ${minAccountDays}d, level ${minLevel}, tax ${taxPercent}%.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId === 'modal_setup_economy_market') {
+      const spreadPercent = parseFloat(interaction.fields.getTextInputValue('sell_spread_percent'));
+      const feePercent = parseFloat(interaction.fields.getTextInputValue('market_fee_percent'));
+      const listingHours = parseInt(interaction.fields.getTextInputValue('market_listing_hours'));
+
+      if ([spreadPercent, feePercent].some(v => isNaN(v) || v < 0 || v > 100) || isNaN(listingHours) || listingHours < 1) {
+        return interaction.reply({ content: '❌ Invalid values. The spread and fee must be between 0 and 100, and listings must last at least 1 hour.', ephemeral: true });
+      }
+
+      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
+      await db.query(
+        'UPDATE guild_configs SET sell_spread_percent = $1, market_fee_percent = $2, market_listing_hours = $3 WHERE guild_id = $4',
+        [spreadPercent, feePercent, listingHours, interaction.guildId]
+      );
+      await interaction.update(await buildEconomySetupPage(interaction.guildId));
+      logActivity('⚙️ Market Settings Updated', `<@${interaction.user.id}> set the sell-back spread to ${spreadPercent}%, the market fee to ${feePercent}% and listings to last ${listingHours}h.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId === 'modal_setup_rewards_amounts') {
+      const messageAmount = parseFloat(interaction.fields.getTextInputValue('message_reward_amount'));
+      const messageThreshold = parseInt(interaction.fields.getTextInputValue('message_reward_threshold'));
+      const voiceAmount = parseFloat(interaction.fields.getTextInputValue('voice_reward_amount'));
+      const voiceMinutes = parseInt(interaction.fields.getTextInputValue('voice_reward_minutes'));
+      const dailyCap = parseFloat(interaction.fields.getTextInputValue('activity_daily_cap'));
+
+      if ([messageAmount, voiceAmount, dailyCap].some(v => isNaN(v) || v < 0) || [messageThreshold, voiceMinutes].some(v => isNaN(v) || v < 1)) {
+        return interaction.reply({ content: '❌ Invalid values. Amounts and the cap must be 0 or more, and batches at least 1 message or minute.', ephemeral: true });
+      }
+
+      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
+      await db.query(
+        'UPDATE guild_configs SET message_reward_amount = $1, message_reward_threshold = $2, voice_reward_amount = $3, voice_reward_minutes = $4, activity_daily_cap = $5 WHERE guild_id = $6',
+        [messageAmount, messageThreshold, voiceAmount, voiceMinutes, dailyCap, interaction.guildId]
+      );
+      await interaction.update(await buildActivityRewardsSetupPage(interaction.guildId));
+      logActivity('⚙️ Activity Rewards Updated', `<@${interaction.user.id}> set message rewards to ${messageAmount} 💰 per ${messageThreshold} messages, voice rewards to ${voiceAmount} 💰 per ${voiceMinutes} minutes and the daily cap to ${dailyCap > 0 ? `${dailyCap} 💰` : 'unlimited'}.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId === 'modal_setup_rewards_antifarm') {
+      const cooldownSeconds = parseInt(interaction.fields.getTextInputValue('cooldown_seconds'));
+      const minLength = parseInt(interaction.fields.getTextInputValue('min_length'));
+      const spamThreshold = parseInt(interaction.fields.getTextInputValue('spam_threshold'));
+      const suspendMinutes = parseInt(interaction.fields.getTextInputValue('suspend_minutes'));
+
+      if ([cooldownSeconds, minLength, spamThreshold].some(v => isNaN(v) || v < 0) || isNaN(suspendMinutes) || suspendMinutes < 1) {
+        return interaction.reply({ content: '❌ Invalid values. Use whole numbers of 0 or more, and a suspension of at least 1 minute.', ephemeral: true });
+      }
+
+      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
+      await db.query(
+        'UPDATE guild_configs SET message_reward_cooldown_seconds = $1, message_reward_min_length = $2, message_spam_threshold = $3, message_spam_suspend_minutes = $4 WHERE guild_id = $5',
+        [cooldownSeconds, minLength, spamThreshold, suspendMinutes, interaction.guildId]
+      );
+      await interaction.update(await buildActivityRewardsSetupPage(interaction.guildId));
+      logActivity('⚙️ Activity Rewards Updated', `<@${interaction.user.id}> set message rewards to count one message per ${cooldownSeconds}s of at least ${minLength} characters${spamThreshold > 0 ? `, suspending earning for ${suspendMinutes} minutes at a spam score of ${spamThreshold}` : ' with spam suspension off'}.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId.startsWith('modal_rewards_multiplier_')) {
+      const [targetType, targetId] = interaction.customId.replace('modal_rewards_multiplier_', '').split('_');
+      const multiplier = parseFloat(interaction.fields.getTextInputValue('multiplier'));
+      if (isNaN(multiplier) || multiplier < 0 || multiplier > 100 || (targetType === 'role' && multiplier === 0)) {
+        return interaction.reply({ content: `❌ The multiplier must be ${targetType === 'role' ? 'above 0' : '0 or more'} and at most 100.`, ephemeral: true });
+      }
+
+      if (multiplier === 1) {
+        await rewards.removeRule(interaction.guildId, targetType, targetId);
+      } else {
+        await rewards.setRule(interaction.guildId, targetType, targetId, multiplier);
+      }
+      await interaction.update(await buildActivityRewardsSetupPage(interaction.guildId));
+      const mention = targetType === 'channel' ? `<#${targetId}>` : `<@&${targetId}>`;
+      logActivity('⚙️ Activity Rewards Updated', `<@${interaction.user.id}> ${multiplier === 1 ? `removed the reward multiplier for ${mention}` : `set the reward multiplier for ${mention} to ×${multiplier}`}.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId === 'modal_setup_economy_invites') {
+      const reward = parseFloat(interaction.fields.getTextInputValue('invite_reward'));
+      const minAccountDays = parseFloat(interaction.fields.getTextInputValue('invite_min_account_days'));
+      const holdDays = parseFloat(interaction.fields.getTextInputValue('invite_hold_days'));
+      const minMessages = parseInt(interaction.fields.getTextInputValue('invite_min_messages'));
+      const windowDays = parseFloat(interaction.fields.getTextInputValue('invite_leave_window_days'));
+
+      if ([reward, minAccountDays, holdDays, minMessages, windowDays].some(v => isNaN(v) || v < 0)) {
+        return interaction.reply({ content: '❌ Invalid values. Every setting must be a number of 0 or more.', ephemeral: true });
+      }
+
+      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
+      await db.query(
+        'UPDATE guild_configs SET invite_reward = $1, invite_min_account_days = $2, invite_hold_days = $3, invite_min_messages = $4, invite_leave_window_days = $5 WHERE guild_id = $6',
+        [reward, minAccountDays, holdDays, minMessages, windowDays, interaction.guildId]
+      );
+      await interaction.update(await buildEconomySetupPage(interaction.guildId));
+      logActivity('⚙️ Invite Settings Updated', `<@${interaction.user.id}> set the invite reward to ${reward} 💰, paid once the member's account is ${minAccountDays}+ days old, they stayed ${holdDays} days and sent ${minMessages} messages, and taken back if they leave within ${windowDays} days.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId.startsWith('modal_setup_pricing_')) {
+      const key = interaction.customId.replace('modal_setup_pricing_', '');
+      if (!resources.getResourceType(interaction.guildId, key)) {
+        return interaction.reply({ content: '❌ That resource no longer exists.', ephemeral: true });
+      }
+
+      const packageSize = parseShorthand(interaction.fields.getTextInputValue('package_size'));
+      const packagePrice = parseFloat(interaction.fields.getTextInputValue('package_price'));
+      const minPurchase = parseShorthand(interaction.fields.getTextInputValue('min_purchase'));
+      const maxPurchase = parseShorthand(interaction.fields.getTextInputValue('max_purchase'));
+      if (!Number.isInteger(packageSize) || packageSize < 1 || !(packagePrice > 0)) {
+        return interaction.reply({ content: '❌ The package needs a whole amount of at least 1 and a price above 0.', ephemeral: true });
+      }
+      if ([minPurchase, maxPurchase].some(v => !Number.isInteger(v) || v < 0) || (minPurchase > 0 && maxPurchase > 0 && minPurchase > maxPurchase)) {
+        return interaction.reply({ content: '❌ Limits must be whole numbers (0 for none), and the minimum cannot be above the maximum.', ephemeral: true });
+      }
+
+      // "1.5 until 2025-06-01 18:00" or "1.5 until 3d"; blank ends any sale
+      const saleInput = interaction.fields.getTextInputValue('sale').trim();
+      let saleMultiplier = 1;
+      let saleEndsAt = null;
+      if (saleInput) {
+        const match = saleInput.match(/^(\d+(?:\.\d+)?)\s*x?\s+until\s+(.+)$/i);
+        saleMultiplier = match ? parseFloat(match[1]) : NaN;
+        saleEndsAt = match ? parseScheduleStart(match[2]) : null;
+        if (!(saleMultiplier > 0) || saleMultiplier === 1 || !saleEndsAt || saleEndsAt <= new Date()) {
+          return interaction.reply({ content: '❌ Write sales as a multiplier other than 1 and a future end, like `1.5 until 2025-06-01 18:00` (UTC) or `1.5 until 3d`.', ephemeral: true });
+        }
+      }
+
+      const type = await resources.updateResourceType(interaction.guildId, key, {
+        packageSize, packagePrice, minPurchase, maxPurchase, saleMultiplier, saleEndsAt
+      }, interaction.user.id);
+      await interaction.update(await buildPricingSetupPage(interaction.guildId));
+      const saleText = saleEndsAt ? `, ${saleMultiplier}× sale until <t:${Math.floor(saleEndsAt.getTime() / 1000)}:f>` : '';
+      logActivity('🏷️ Pricing Updated', `<@${interaction.user.id}> set ${type.emoji} **${type.name}** to ${describeResourcePrice(type)}${saleText}.`, 'Grey', null, interaction.guildId);
+
+    } else if (interaction.customId === 'modal_setup_welcome_image') {
+      const imageUrl = interaction.fields.getTextInputValue('img_url');
+      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
+      await db.query('UPDATE guild_configs SET welcome_image_url = $1 WHERE guild_id = $2', [imageUrl || null, interaction.guildId]);
+
+      // Re-render welcome menu
+      const { rows } = await safeQuery('SELECT * FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const config = rows[0] || {};
+      const embed = new EmbedBuilder()
+        .setTitle('📢 Welcome Module Settings')
+        .setDescription(`Configure how new members are welcomed.
+             
+             **Status:** ${config.welcome_enabled ? '✅ Enabled' : '❌ Disabled'}
+             **Channel:** ${config.welcome_channel_id ? `<#${config.welcome_channel_id}>` : 'Not Set'}
+             **Auto-Role:** ${config.auto_role_id ? `<@&${config.auto_role_id}>` : 'None'}
+             `)
+        .addFields({ name: 'Message Preview', value: (config.welcome_message ? config.welcome_message.substring(0, 1000) : 'Default: "Welcome {user} to {guild}!"') + '\n\n*Variables: {user}, {guild}, {memberCount}, {avatar}*' })
+        .setColor('Green');
+
+      const row1 = new ActionRowBuilder().addComponents(
         new ButtonBuilder().setCustomId('setup_welcome_toggle_btn').setLabel(config.welcome_enabled ? 'Disable' : 'Enable').setStyle(config.welcome_enabled ? ButtonStyle.Danger : ButtonStyle.Success),
         new ButtonBuilder().setCustomId('setup_welcome_channel_btn').setLabel('Set Channel').setStyle(ButtonStyle.Secondary).setEmoji('#️⃣'),
         new ButtonBuilder().setCustomId('setup_welcome_msg_btn').setLabel('Edit Message').setStyle(ButtonStyle.Secondary).setEmoji('📝')
@@ -3372,20 +5041,29 @@ client.on('interactionCreate', async interaction => {
         return interaction.reply({ content: '⚠️ Please provide a valid quantity of Sovereign Pounds to spend.', flags: [MessageFlags.Ephemeral] });
       }
 
-      // Define how many resources you get for 10 HP
-      const quantities = { gold: 50000, wood: 150000, food: 150000, stone: 112000 };
-      const pricePerPackage = 10;
+      // The resource's package sets the rate: package_size units per package_price pounds
+      const resourceType = resources.getResourceType(interaction.guildId, resource);
+      if (!resourceType || !(resourceType.package_price > 0)) {
+        return interaction.reply({ content: '❌ This resource is no longer sold here.', flags: [MessageFlags.Ephemeral] });
+      }
+      const unit = resources.describeUnit(interaction.guildId, resource);
+      const { unitsPerPound, saleActive } = resources.getEffectiveRate(resourceType);
 
       // Calculate the proportional amount of resources
-      const desiredResourceAmount = Math.floor((cost / pricePerPackage) * quantities[resource]);
+      const desiredResourceAmount = Math.floor(cost * unitsPerPound);
 
       if (desiredResourceAmount < 1) {
         return interaction.reply({ content: '⚠️ The amount of Sovereign Pounds is too small to buy at least 1 unit of this resource.', flags: [MessageFlags.Ephemeral] });
       }
+      const limitProblem = getResourcePurchaseLimitProblem(interaction.guildId, resourceType, desiredResourceAmount);
+      if (limitProblem) {
+        return interaction.reply({ content: `⚠️ ${limitProblem}`, flags: [MessageFlags.Ephemeral] });
+      }
 
+      const saleText = saleActive ? `\n🏷️ Includes a **${resourceType.sale_multiplier}× sale** ending <t:${Math.floor(resourceType.sale_ends_at.getTime() / 1000)}:R>.` : '';
       const confirmationEmbed = new EmbedBuilder()
         .setTitle('🛒 Purchase Confirmation')
-        .setDescription(`You are about to spend **${cost.toLocaleString('en-US')}** 💰 to receive **${desiredResourceAmount.toLocaleString('en-US')} ${resource}**.\n\nPlease confirm your purchase.`)
+        .setDescription(`You are about to spend **${cost.toLocaleString('en-US')}** 💰 to receive **${desiredResourceAmount.toLocaleString('en-US')} ${unit}**.${saleText}\n\nPlease confirm your purchase.`)
         .setColor('Orange');
 
       const row = new ActionRowBuilder()
@@ -3401,111 +5079,46 @@ client.on('interactionCreate', async interaction => {
       });
     } else if (interaction.customId.startsWith('giveaway_modal_')) {
       const durationStr = interaction.fields.getTextInputValue('giveaway_duration');
-      const totalPrize = parseFloat(interaction.fields.getTextInputValue('giveaway_total_prize'));
       const entryCost = parseFloat(interaction.fields.getTextInputValue('giveaway_entry_cost'));
-      const winnerCount = parseInt(interaction.fields.getTextInputValue('giveaway_winners'));
 
-      // Extract pingRole from customId
-      const pingRoleId = interaction.customId.split('_')[3];
-      const pingRole = pingRoleId && pingRoleId !== 'none' ? interaction.guild.roles.cache.get(pingRoleId) : null;
+      // The rest of the setup was parsed by /giveaway and waits under the modal's token
+      const modalToken = interaction.customId.replace('giveaway_modal_', '');
+      const setup = pendingGiveawaySetups.get(modalToken);
+      if (!setup) {
+        return interaction.reply({ content: '⚠️ This giveaway setup expired. Please run `/giveaway` again.', flags: [MessageFlags.Ephemeral] });
+      }
 
-      if (isNaN(totalPrize) || totalPrize <= 0) {
-        return interaction.reply({ content: '⚠️ Please provide a valid total prize amount.', flags: [MessageFlags.Ephemeral] });
+      const amounts = resolveGiveawayAmounts({
+        prizeType: setup.prizeType,
+        tiersInput: setup.tiersInput ? interaction.fields.getTextInputValue('giveaway_prize_tiers') : null,
+        totalPrize: setup.tiersInput || setup.prizeType === 'item' ? 0 : parseFloat(interaction.fields.getTextInputValue('giveaway_total_prize')),
+        winnerCount: setup.tiersInput ? 0 : parseInt(interaction.fields.getTextInputValue('giveaway_winners'))
+      });
+      if (amounts.error) {
+        return interaction.reply({ content: amounts.error, flags: [MessageFlags.Ephemeral] });
       }
 
       if (isNaN(entryCost) || entryCost <= 0) {
         return interaction.reply({ content: '⚠️ Please provide a valid entry cost.', flags: [MessageFlags.Ephemeral] });
       }
 
-      if (isNaN(winnerCount) || winnerCount <= 0) {
-        return interaction.reply({ content: '⚠️ Please provide a valid number of winners.', flags: [MessageFlags.Ephemeral] });
-      }
-
       const duration = parseDuration(durationStr);
       if (!duration) {
         return interaction.reply({ content: '⚠️ Please provide a valid duration (e.g., 1h, 30m, 2d).', flags: [MessageFlags.Ephemeral] });
       }
 
-      const endTime = Date.now() + duration;
-      const giveawayId = `giveaway_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-      // Calculate prize per winner
-      const prizePerWinner = Math.floor(totalPrize / winnerCount);
-
-      // Ensure server_stats record exists
-      await db.query('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 100000) ON CONFLICT (id) DO NOTHING', [interaction.guildId]);
-
-      // Check if server pool has enough funds
-      const result = await db.query('SELECT pool_balance FROM server_stats WHERE id = $1', [interaction.guildId]);
-      if (!result || !result.rows || result.rows.length === 0) {
-        return interaction.reply({
-          content: '❌ Error: Could not access server pool. Please try again.',
-          flags: [MessageFlags.Ephemeral]
-        });
-      }
-
-      const poolBalance = result.rows[0]?.pool_balance || 0;
-
-      if (poolBalance < totalPrize) {
-        return interaction.reply({
-          content: `❌ Not enough funds in server pool! Need **${totalPrize.toLocaleString('en-US')}** 💰 but pool only has **${poolBalance.toLocaleString('en-US')}** 💰.`,
-          flags: [MessageFlags.Ephemeral]
-        });
-      }
-
-      await db.query('UPDATE server_stats SET pool_balance = pool_balance - $1 WHERE id = $2', [totalPrize, interaction.guildId]);
-
-      // Create giveaway embed
-      const giveawayEmbed = new EmbedBuilder()
-        .setTitle(`🎁 **GIVEAWAY** 🎁`)
-        .setDescription(`🎉 **Prize:** ${totalPrize.toLocaleString('en-US')} 💰\n` +
-          `🎉 **Winners:** ${winnerCount}\n` +
-          `⏱️ **Ends:** <t:${Math.floor(endTime / 1000)}:R>\n` +
-          `💸 **Entry Cost:** ${entryCost.toLocaleString('en-US')} 💰\n` +
-          `\nClick the button below to join!`)
-        .setColor('Purple')
-        .setFooter({ text: `Hosted by ${interaction.user.tag}` });
-
-      const joinButton = new ButtonBuilder()
-        .setCustomId(`join_giveaway_${giveawayId}`)
-        .setLabel(`Join (${entryCost.toLocaleString('en-US')} SE)`)
-        .setStyle(ButtonStyle.Success)
-        .setEmoji('🎁');
-
-      const row = new ActionRowBuilder().addComponents(joinButton);
-
-
-
-      // Prepare content with ping if role is specified
-      const roleToPing = pingRole;
-
-      const content = roleToPing ? `${roleToPing} **New Giveaway Available!** 🎉` : undefined;
-      const allowedMentions = roleToPing ? { roles: [roleToPing.id] } : undefined;
-
-      // Send the giveaway message
-      const giveawayMessage = await interaction.reply({
-        content: content,
-        embeds: [giveawayEmbed],
-        components: [row],
-        allowedMentions: allowedMentions,
-        fetchReply: true
+      // Post the giveaway as the reply to this modal
+      const result = await startGiveaway({
+        guildId: interaction.guildId,
+        channelId: interaction.channelId,
+        host: interaction.user,
+        settings: { ...setup, ...amounts, entryCost, durationMs: duration },
+        post: (message) => interaction.reply({ ...message, fetchReply: true })
       });
-
-      // Get the reply message for database storage
-      const replyMessage = giveawayMessage; // Already fetched with fetchReply: true or explicitly fetched
-
-      // Store giveaway in database
-      await db.query(`
-        INSERT INTO giveaways (id, guild_id, channel_id, message_id, entry_cost, total_prize, winner_count, end_time, creator_id, participants, required_role_id)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      `, [giveawayId, interaction.guildId, interaction.channelId, replyMessage.id, entryCost, totalPrize, winnerCount, new Date(endTime), interaction.user.id, [], null]);
-
-      // Set timeout to end giveaway
-      setTimeout(async () => {
-        await endGiveaway(giveawayId);
-      }, duration);
-
-      logActivity('🎁 Giveaway Created', `<@${interaction.user.id}> created a giveaway: **${totalPrize.toLocaleString('en-US')} 💰** total prize (${entryCost.toLocaleString('en-US')} 💰 entry, ${winnerCount} winner(s))`, 'Gold');
+      if (result.error) {
+        return interaction.reply({ content: result.error, flags: [MessageFlags.Ephemeral] });
+      }
+      pendingGiveawaySetups.delete(modalToken);
     } else if (interaction.customId === 'modal_close_ticket_reason') {
       const reason = interaction.fields.getTextInputValue('close_reason');
 
@@ -3610,7 +5223,8 @@ client.on('interactionCreate', async interaction => {
           { name: '📢 Welcome Module', value: 'Customize welcome messages, images, and auto-roles.', inline: true },
           { name: '🎫 Ticket System', value: 'Manage support tickets and panels.', inline: true },
           { name: '🛡️ Logging', value: 'Set up audit logs for server events.', inline: true },
-          { name: '📈 Leveling', value: 'Configure XP rates and level up notifications.', inline: true }
+          { name: '📈 Leveling', value: 'Configure XP rates and level up notifications.', inline: true },
+          { name: '💬 Activity Rewards', value: 'Set what messages and voice time pay.', inline: true }
         )
         .setColor('Blurple');
 
@@ -3618,12 +5232,14 @@ client.on('interactionCreate', async interaction => {
         new ButtonBuilder().setCustomId('setup_welcome_btn').setLabel('Welcome').setStyle(ButtonStyle.Primary).setEmoji('📢'),
         new ButtonBuilder().setCustomId('setup_tickets_btn').setLabel('Tickets').setStyle(ButtonStyle.Primary).setEmoji('🎫'),
         new ButtonBuilder().setCustomId('setup_logs_btn').setLabel('Logging').setStyle(ButtonStyle.Primary).setEmoji('🛡️'),
-        new ButtonBuilder().setCustomId('setup_levels_btn').setLabel('Leveling').setStyle(ButtonStyle.Success).setEmoji('📈')
+        new ButtonBuilder().setCustomId('setup_levels_btn').setLabel('Leveling').setStyle(ButtonStyle.Success).setEmoji('📈'),
+        new ButtonBuilder().setCustomId('setup_rewards_btn').setLabel('Activity Rewards').setStyle(ButtonStyle.Success).setEmoji('💬')
       );
 
       const row2 = new ActionRowBuilder().addComponents(
         new ButtonBuilder().setCustomId('setup_admin_btn').setLabel('Admin Role').setStyle(ButtonStyle.Secondary).setEmoji('👮'),
         new ButtonBuilder().setCustomId('setup_giveaways_btn').setLabel('Giveaways').setStyle(ButtonStyle.Secondary).setEmoji('🎁'),
+        new ButtonBuilder().setCustomId('setup_economy_btn').setLabel('Economy').setStyle(ButtonStyle.Secondary).setEmoji('💰'),
         new ButtonBuilder().setCustomId('setup_close_btn').setLabel('Close').setStyle(ButtonStyle.Danger).setEmoji('❌')
       );
       await interaction.update({ embeds: [embed], components: [row1, row2] });
@@ -4329,6 +5945,123 @@ ${logOptions.commands !== false ? '✅' : '❌'} Commands • ${logOptions.serve
       );
       await interaction.update({ embeds: [embed], components: [row1, row2] });
 
+    } else if (interaction.customId === 'setup_economy_btn') {
+      await interaction.update(await buildEconomySetupPage(interaction.guildId));
+
+    } else if (interaction.customId === 'setup_rewards_btn') {
+      await interaction.update(await buildActivityRewardsSetupPage(interaction.guildId));
+
+    } else if (interaction.customId === 'setup_rewards_toggle_duplicates' || interaction.customId === 'setup_rewards_toggle_emoji') {
+      // Green while those messages are kept from counting
+      const column = interaction.customId === 'setup_rewards_toggle_duplicates' ? 'message_reward_skip_duplicates' : 'message_reward_skip_emoji';
+      await db.query('INSERT INTO guild_configs (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING', [interaction.guildId]);
+      await db.query(`UPDATE guild_configs SET ${column} = CASE WHEN ${column} = 1 THEN 0 ELSE 1 END WHERE guild_id = $1`, [interaction.guildId]);
+      await interaction.update(await buildActivityRewardsSetupPage(interaction.guildId));
+
+    } else if (interaction.customId === 'setup_rewards_antifarm_btn') {
+      const settings = await getActivityRewardSettings(interaction.guildId);
+      const modal = new ModalBuilder().setCustomId('modal_setup_rewards_antifarm').setTitle('Message Reward Anti-Farming');
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('cooldown_seconds').setLabel('Seconds between counted messages').setStyle(TextInputStyle.Short).setValue(String(settings.message_reward_cooldown_seconds)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('min_length').setLabel('Minimum message length').setStyle(TextInputStyle.Short).setValue(String(settings.message_reward_min_length)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('spam_threshold').setLabel('Spam score that suspends earning (0 = off)').setStyle(TextInputStyle.Short).setPlaceholder('Short +1, emoji-only +1, repeat +2; 1 fades per 30s').setValue(String(settings.message_spam_threshold)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('suspend_minutes').setLabel('Suspension length in minutes').setStyle(TextInputStyle.Short).setValue(String(settings.message_spam_suspend_minutes)).setRequired(true)
+        )
+      );
+      await interaction.showModal(modal);
+
+    } else if (interaction.customId === 'setup_rewards_amounts_btn') {
+      const settings = await getActivityRewardSettings(interaction.guildId);
+      const modal = new ModalBuilder().setCustomId('modal_setup_rewards_amounts').setTitle('Activity Reward Amounts');
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('message_reward_amount').setLabel('Pounds per batch of messages').setStyle(TextInputStyle.Short).setValue(String(settings.message_reward_amount)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('message_reward_threshold').setLabel('Messages per batch').setStyle(TextInputStyle.Short).setValue(String(settings.message_reward_threshold)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('voice_reward_amount').setLabel('Pounds per stretch of voice time').setStyle(TextInputStyle.Short).setValue(String(settings.voice_reward_amount)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('voice_reward_minutes').setLabel('Voice minutes per stretch').setStyle(TextInputStyle.Short).setValue(String(settings.voice_reward_minutes)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('activity_daily_cap').setLabel('Daily cap per member (0 = unlimited)').setStyle(TextInputStyle.Short).setValue(String(settings.activity_daily_cap)).setRequired(true)
+        )
+      );
+      await interaction.showModal(modal);
+
+    } else if (interaction.customId === 'setup_economy_market_btn') {
+      const settings = await getMarketSettings(interaction.guildId);
+      const modal = new ModalBuilder().setCustomId('modal_setup_economy_market').setTitle('Sell-Back & Market Settings');
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('sell_spread_percent').setLabel('Sell-back spread below shop price (%)').setStyle(TextInputStyle.Short).setPlaceholder('100 turns selling back off').setValue(String(settings.sell_spread_percent)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('market_fee_percent').setLabel('Market fee on each sale (%)').setStyle(TextInputStyle.Short).setValue(String(settings.market_fee_percent)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('market_listing_hours').setLabel('Hours before a listing expires').setStyle(TextInputStyle.Short).setValue(String(settings.market_listing_hours)).setRequired(true)
+        )
+      );
+      await interaction.showModal(modal);
+
+    } else if (interaction.customId === 'setup_economy_invites_btn') {
+      const settings = await getInviteSettings(interaction.guildId);
+      const modal = new ModalBuilder().setCustomId('modal_setup_economy_invites').setTitle('Invite Reward Settings');
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('invite_reward').setLabel('Pounds per invited member (0 = none)').setStyle(TextInputStyle.Short).setValue(String(settings.invite_reward)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('invite_min_account_days').setLabel('Minimum account age in days').setStyle(TextInputStyle.Short).setPlaceholder('Younger accounts count as fake').setValue(String(settings.invite_min_account_days)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('invite_hold_days').setLabel('Days they must stay before it is paid').setStyle(TextInputStyle.Short).setValue(String(settings.invite_hold_days)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('invite_min_messages').setLabel('Messages they must send before it is paid').setStyle(TextInputStyle.Short).setValue(String(settings.invite_min_messages)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('invite_leave_window_days').setLabel('Take it back if they leave within (days)').setStyle(TextInputStyle.Short).setPlaceholder('0 never takes it back').setValue(String(settings.invite_leave_window_days)).setRequired(true)
+        )
+      );
+      await interaction.showModal(modal);
+
+    } else if (interaction.customId === 'setup_pricing_btn') {
+      await interaction.update(await buildPricingSetupPage(interaction.guildId));
+
+    } else if (interaction.customId === 'setup_pricing_history_btn') {
+      await interaction.update(await buildPriceHistoryPage(interaction.guildId));
+
+    } else if (interaction.customId === 'setup_economy_pay_btn') {
+      const settings = await getPaySettings(interaction.guildId);
+      const modal = new ModalBuilder().setCustomId('modal_setup_economy_pay').setTitle('Member Transfer Settings');
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('daily_cap').setLabel('Daily cap per resource (0 = unlimited)').setStyle(TextInputStyle.Short).setValue(String(settings.pay_daily_cap)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('min_account_days').setLabel('Minimum account age in days').setStyle(TextInputStyle.Short).setValue(String(settings.pay_min_account_days)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('min_level').setLabel('Minimum level').setStyle(TextInputStyle.Short).setValue(String(settings.pay_min_level)).setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId('tax_percent').setLabel('Tax on pound transfers (%)').setStyle(TextInputStyle.Short).setValue(String(settings.pay_tax_percent)).setRequired(true)
+        )
+      );
+      await interaction.showModal(modal);
+
     } else if (interaction.customId === 'setup_levels_btn') {
       const { rows } = await safeQuery('SELECT * FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
       const config = rows[0] || {};
@@ -4865,6 +6598,193 @@ ${logOptions.commands !== false ? '✅' : '❌'} Commands • ${logOptions.serve
       const embed = EmbedBuilder.from(interaction.message.embeds[0]);
       embed.setDescription('Current Questions:\nNone');
       await interaction.update({ embeds: [embed] });
+    } else if (interaction.customId.startsWith('transactions_page_')) {
+      // transactions_page_<page>_<userId|all>_<resource|any>_<reason|any>
+      const [, , pageStr, userId, resource, ...reasonParts] = interaction.customId.split('_');
+      const reason = reasonParts.join('_');
+      const filters = {
+        userId: userId === 'all' ? null : userId,
+        resource: resource === 'any' ? null : resource,
+        reason: reason === 'any' ? null : reason,
+      };
+
+      try {
+        await interaction.update(await buildTransactionsPage(interaction.guildId, filters, parseInt(pageStr)));
+      } catch (error) {
+        console.error('Error paginating transactions:', error);
+        await interaction.reply({ content: '❌ An error occurred while fetching transactions.', ephemeral: true });
+      }
+    } else if (interaction.customId.startsWith('pay_confirm_')) {
+      // pay_confirm_<recipientId>_<resource>_<amount>
+      const [, , recipientId, resource, amountStr] = interaction.customId.split('_');
+      const amount = parseFloat(amountStr);
+      await interaction.deferUpdate();
+
+      try {
+        const recipient = await client.users.fetch(recipientId);
+        const settings = await getPaySettings(interaction.guildId);
+        const unit = resources.describeUnit(interaction.guildId, resource);
+
+        // Requirements may have changed since the confirmation was shown
+        const requirementError = await checkPayRequirements(interaction, recipient, amount, resource, settings);
+        if (requirementError) {
+          return interaction.editReply({ content: requirementError, embeds: [], components: [] });
+        }
+
+        const tax = getTransferTax(amount, resource, settings);
+        let result;
+        try {
+          result = await withTransaction(async (tx) => {
+            // Locking the sender's wallet makes parallel confirmations count against the cap one at a time
+            await tx.query('SELECT id FROM users WHERE guild_id = $1 AND id = $2 FOR UPDATE', [interaction.guildId, interaction.user.id]);
+            if (settings.pay_daily_cap > 0) {
+              const sentToday = await economy.getSentToday(interaction.guildId, interaction.user.id, resource, tx);
+              if (sentToday + amount > settings.pay_daily_cap) {
+                return { error: `❌ Daily transfer limit reached. You can send **${Math.max(0, settings.pay_daily_cap - sentToday).toLocaleString('en-US')}** more ${unit} today.` };
+              }
+            }
+            await economy.transfer({ client: tx, guildId: interaction.guildId, fromId: interaction.user.id, toId: recipientId, amount, resource, tax });
+            return {};
+          });
+        } catch (error) {
+          if (!(error instanceof economy.InsufficientFundsError)) throw error;
+          return interaction.editReply({ content: `❌ You no longer have **${amount.toLocaleString('en-US')}** ${unit} to send.`, embeds: [], components: [] });
+        }
+
+        if (result.error) {
+          return interaction.editReply({ content: result.error, embeds: [], components: [] });
+        }
+
+        const taxText = tax > 0 ? ` (${tax.toLocaleString('en-US')} ${unit} tax paid to the server pool)` : '';
+        await interaction.editReply({ content: `✅ Sent **${(amount - tax).toLocaleString('en-US')}** ${unit} to ${recipient}${taxText}.`, embeds: [], components: [] });
+        await interaction.followUp({ content: `💸 <@${interaction.user.id}> sent **${(amount - tax).toLocaleString('en-US')}** ${unit} to <@${recipientId}>.` });
+        logActivity('💸 Member Transfer', `<@${interaction.user.id}> sent **${amount.toLocaleString('en-US')}** ${unit} to <@${recipientId}>.${tax > 0 ? `\nTax: **${tax.toLocaleString('en-US')}** ${unit}` : ''}`, 'Green', null, interaction.guildId);
+      } catch (error) {
+        console.error('Error completing transfer:', error);
+        await interaction.editReply({ content: '❌ An error occurred while sending the transfer.', embeds: [], components: [] });
+      }
+    } else if (interaction.customId === 'pay_cancel') {
+      await interaction.update({ content: 'Transfer canceled.', embeds: [], components: [] });
+    } else if (interaction.customId.startsWith('sell_confirm_')) {
+      // sell_confirm_<resource>_<amount>_<payout>
+      const [, , resource, amountStr, payoutStr] = interaction.customId.split('_');
+      const amount = parseInt(amountStr, 10);
+      const payout = parseFloat(payoutStr);
+      await interaction.deferUpdate();
+
+      try {
+        const unit = resources.describeUnit(interaction.guildId, resource);
+        const type = resources.getResourceType(interaction.guildId, resource);
+        const settings = await getMarketSettings(interaction.guildId);
+
+        // The price or spread may have changed since the confirmation was shown
+        if (!type || settings.sell_spread_percent >= 100 || getSellBackPrice(type, amount, settings) !== payout) {
+          return interaction.editReply({ content: '⚠️ The buy-back price changed. Please use `/sell` again.', embeds: [], components: [] });
+        }
+        const referenceId = `rate_${await resources.getPriceHistoryId(interaction.guildId, resource)}`;
+
+        let sold;
+        try {
+          sold = await withTransaction(async (tx) => {
+            // The registry may be behind a price change committed meanwhile
+            const currentType = await resources.fetchResourceType(interaction.guildId, resource, tx);
+            if (!currentType || getSellBackPrice(currentType, amount, settings) !== payout) return false;
+            await economy.adjustBalance({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, amount: -amount, resource, counterpartyId: economy.POOL, reason: 'resource_sale', referenceId });
+            await economy.adjustBalance({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, amount: payout, counterpartyId: economy.POOL, reason: 'resource_sale', referenceId });
+            return true;
+          });
+        } catch (error) {
+          if (!(error instanceof economy.InsufficientFundsError)) throw error;
+          const content = error.accountId === economy.POOL
+            ? '❌ The server pool cannot pay for this right now. Try a smaller amount later.'
+            : `❌ You no longer have **${amount.toLocaleString('en-US')}** ${unit} to sell.`;
+          return interaction.editReply({ content, embeds: [], components: [] });
+        }
+        if (!sold) {
+          return interaction.editReply({ content: '⚠️ The buy-back price changed. Please use `/sell` again.', embeds: [], components: [] });
+        }
+
+        await interaction.editReply({ content: `✅ Sold **${amount.toLocaleString('en-US')} ${unit}** for **${payout.toLocaleString('en-US')}** 💰.`, embeds: [], components: [] });
+        logActivity('💱 Resource Sold', `<@${interaction.user.id}> sold **${amount.toLocaleString('en-US')} ${unit}** to the pool for **${payout.toLocaleString('en-US')}** 💰 (\`${referenceId}\`).`, 'Blue', null, interaction.guildId);
+      } catch (error) {
+        console.error('Error completing resource sale:', error);
+        await interaction.editReply({ content: '❌ An error occurred while selling.', embeds: [], components: [] });
+      }
+    } else if (interaction.customId.startsWith('shop_page_')) {
+      const [page, sort, ...categoryParts] = interaction.customId.replace('shop_page_', '').split('_');
+      await interaction.update(await buildShopPage(interaction.guildId, interaction.member, { category: categoryParts.join('_'), sort, page: parseInt(page) || 0 }));
+    } else if (/^(modal_)?order_(claim|fulfill|refund)_\d+$/.test(interaction.customId)) {
+      // Order thread buttons; fulfilling and refunding ask for a note first
+      const { rows: configRows } = await safeQuery('SELECT admin_role_id FROM guild_configs WHERE guild_id = $1', [interaction.guildId]);
+      const adminRole = configRows[0]?.admin_role_id;
+      const adminIds = (process.env.ADMIN_IDS || '').split(',');
+      if (!hasAdminPermission(interaction.member) && !(adminRole && interaction.member.roles.cache.has(adminRole)) && !adminIds.includes(interaction.user.id)) {
+        return interaction.reply({ content: '🚫 Only staff can manage orders.', ephemeral: true });
+      }
+
+      const [, action, orderId] = interaction.customId.replace('modal_', '').split('_');
+      const order = await orders.getOrder(interaction.guildId, parseInt(orderId));
+      if (!order) return interaction.reply({ content: '❌ Order not found.', ephemeral: true });
+      if (!orders.OPEN_STATUSES.includes(order.status)) {
+        return interaction.reply({ content: `❌ Order #${order.id} is already ${orders.STATUSES[order.status]}.`, ephemeral: true });
+      }
+
+      if (action === 'claim') {
+        const claimed = await orders.claimOrder(interaction.guildId, order.id, interaction.user.id);
+        if (!claimed) return interaction.reply({ content: '❌ This order was closed meanwhile.', ephemeral: true });
+        await interaction.update({ components: [buildOrderButtons(claimed)] });
+        await interaction.channel.send({ content: `🛠️ <@${interaction.user.id}> is working on this order.` });
+        return;
+      }
+
+      if (!interaction.isModalSubmit()) {
+        const refund = action === 'refund';
+        const modal = new ModalBuilder()
+          .setCustomId(`modal_order_${action}_${order.id}`)
+          .setTitle(`${refund ? 'Refund' : 'Fulfil'} Order #${order.id}`)
+          .addComponents(
+            new ActionRowBuilder().addComponents(
+              new TextInputBuilder()
+                .setCustomId('note')
+                .setLabel(refund ? 'Why is it refunded? (sent to the member)' : 'Delivery note for the member (optional)')
+                .setStyle(TextInputStyle.Paragraph)
+                .setRequired(refund)
+                .setMaxLength(500)
+            )
+          );
+        return interaction.showModal(modal);
+      }
+
+      const note = interaction.fields.getTextInputValue('note')?.trim() || '';
+      await interaction.deferReply();
+      try {
+        const closed = action === 'refund'
+          ? await orders.refundOrder(interaction.guildId, order.id, interaction.user.id)
+          : await orders.fulfillOrder(interaction.guildId, order.id, interaction.user.id);
+        if (!closed) return interaction.editReply({ content: '❌ This order was closed meanwhile.' });
+
+        const refundText = closed.source === 'shop'
+          ? `**${Number(closed.price).toLocaleString('en-US')}** 💰 was returned to your balance.`
+          : `**${closed.item_name}** was returned to your inventory.`;
+        const summary = action === 'refund'
+          ? `↩️ Order **#${closed.id}** (${closed.item_name}) was refunded. ${refundText}`
+          : `✅ Order **#${closed.id}** (${closed.item_name}) was fulfilled.`;
+        await interaction.editReply({ content: `${summary}${note ? `\n> ${note}` : ''}\n\nThis thread closes in 5 seconds.` });
+
+        try {
+          const member = await client.users.fetch(closed.user_id);
+          await member.send({ content: `${summary}${note ? `\n> ${note}` : ''}\n*Server: ${interaction.guild.name}*` });
+        } catch (e) {
+          console.log(`Could not DM user ${closed.user_id}: ${e.message}`);
+        }
+
+        await closeOrderThread(interaction, closed, note || (action === 'refund' ? 'Refunded' : 'Fulfilled'));
+      } catch (error) {
+        console.error('Error closing order:', error);
+        await interaction.editReply({ content: '❌ Failed to update the order.' });
+      }
+    } else if (interaction.customId === 'sell_cancel') {
+      await interaction.update({ content: 'Sale canceled.', embeds: [], components: [] });
     } else if (interaction.customId === 'close_ticket_btn') {
       await interaction.reply({ content: '🔒 Closing ticket...' });
 
@@ -4907,13 +6827,17 @@ ${logOptions.commands !== false ? '✅' : '❌'} Commands • ${logOptions.serve
       }, 5000);
       return;
     }
-    if (interaction.customId.startsWith('buy_') && ['buy_gold', 'buy_wood', 'buy_food', 'buy_stone'].includes(interaction.customId)) {
-      // Handle shop buy buttons - show modal
+    if (/^buy_[a-z0-9]+$/.test(interaction.customId)) {
+      // Handle shop buy buttons (buy_<resource key>) - show modal
       const resource = interaction.customId.split('_')[1];
+      const resourceType = resources.getResourceType(interaction.guildId, resource);
+      if (!resourceType) {
+        return interaction.reply({ content: '❌ This resource is no longer sold here.', flags: [MessageFlags.Ephemeral] });
+      }
 
       const modal = new ModalBuilder()
         .setCustomId(`buy_modal_${resource}`)
-        .setTitle(`Buy ${resource.charAt(0).toUpperCase() + resource.slice(1)}`);
+        .setTitle(`Buy ${resourceType.name}`.substring(0, 45));
 
       const quantityInput = new TextInputBuilder()
         .setCustomId('hp_quantity_input')
@@ -4938,78 +6862,129 @@ ${logOptions.commands !== false ? '✅' : '❌'} Commands • ${logOptions.serve
       const cost = parseFloat(costStr);
       const resourceAmount = parseInt(resourceAmountStr, 10);
 
-      const { rows: userRows } = await db.query('SELECT balance FROM users WHERE id = $1', [interaction.user.id]);
-      if ((userRows[0]?.balance || 0) < cost) {
+      // The price or a sale may have changed since the confirmation was shown
+      const resourceType = resources.getResourceType(interaction.guildId, resource);
+      if (!resourceType || Math.floor(cost * resources.getEffectiveRate(resourceType).unitsPerPound) !== resourceAmount) {
+        return interaction.editReply({ content: '⚠️ The price of this resource changed. Please start your purchase again.', embeds: [], components: [] });
+      }
+      const referenceId = `rate_${await resources.getPriceHistoryId(interaction.guildId, resource)}`;
+
+      try {
+        await withTransaction(async (tx) => {
+          // The limits may have changed, or the button be an old one
+          const currentType = await resources.fetchResourceType(interaction.guildId, resource, tx);
+          if (!currentType || !(currentType.package_price > 0)) throw new purchases.PurchaseLimitError('This resource is no longer sold here.');
+          if (Math.floor(cost * resources.getEffectiveRate(currentType).unitsPerPound) !== resourceAmount) throw new purchases.PurchaseLimitError('The price of this resource changed.');
+          const limitProblem = getResourcePurchaseLimitProblem(interaction.guildId, currentType, resourceAmount);
+          if (limitProblem) throw new purchases.PurchaseLimitError(limitProblem);
+          await economy.adjustBalance({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, amount: -cost, counterpartyId: economy.POOL, reason: 'resource_purchase', referenceId });
+          await economy.adjustBalance({ client: tx, guildId: interaction.guildId, userId: interaction.user.id, amount: resourceAmount, resource, counterpartyId: economy.POOL, reason: 'resource_purchase', referenceId });
+        });
+      } catch (error) {
+        if (error instanceof purchases.PurchaseLimitError) {
+          return interaction.editReply({ content: `⚠️ ${error.message} Please start your purchase again.`, embeds: [], components: [] });
+        }
+        if (!(error instanceof economy.InsufficientFundsError)) throw error;
         return interaction.editReply({ content: `❌ Oops! You no longer have enough Sovereign Pounds.`, embeds: [], components: [] });
       }
-      await db.query(`UPDATE users SET balance = balance - $1, ${resource} = ${resource} + $2 WHERE id = $3`, [cost, resourceAmount, interaction.user.id]);
-      await db.query('UPDATE server_stats SET pool_balance = pool_balance + $1 WHERE id = $2', [cost, interaction.guildId]);
-      await interaction.editReply({ content: `✅ Success! You spent **${cost.toLocaleString('en-US')}** 💰 and received **${resourceAmount.toLocaleString('en-US')} ${resource}**!`, embeds: [], components: [] });
-      logActivity('🛒 Shop Purchase', `<@${interaction.user.id}> bought **${resourceAmount.toLocaleString('en-US')} ${resource}** for **${cost.toLocaleString('en-US')}** Sovereign Pounds.`, 'Blue')
-        .then(() => logPurchaseToSheet(interaction.user.username, resource, resourceAmount, cost));
+      const unit = resources.describeUnit(interaction.guildId, resource);
+      await interaction.editReply({ content: `✅ Success! You spent **${cost.toLocaleString('en-US')}** 💰 and received **${resourceAmount.toLocaleString('en-US')} ${unit}**!`, embeds: [], components: [] });
+      logActivity('🛒 Shop Purchase', `<@${interaction.user.id}> bought **${resourceAmount.toLocaleString('en-US')} ${unit}** for **${cost.toLocaleString('en-US')}** Sovereign Pounds (\`${referenceId}\`).`, 'Blue', null, interaction.guildId)
+        .then(() => logPurchaseToSheet(interaction.guildId, interaction.user.username, resource, resourceAmount, cost));
     } else if (interaction.customId === 'cancel_buy') {
       await interaction.editReply({ content: 'Purchase canceled.', embeds: [], components: [] });
     } else if (interaction.customId.startsWith('join_giveaway_')) {
       const giveawayId = interaction.customId.replace('join_giveaway_', '');
 
       try {
-        // Get giveaway info
-        const { rows } = await db.query('SELECT * FROM giveaways WHERE id = $1', [giveawayId]);
-        if (rows.length === 0) {
-          return interaction.editReply({ content: '❌ Giveaway not found or has ended.' });
-        }
+        // Check if user has excluded roles
+        const userRoleIds = interaction.member.roles.cache.map(role => role.id);
+        const hasExcludedRole = userRoleIds.some(roleId => EXCLUDED_GIVEAWAY_ROLES.includes(roleId));
 
-        const giveaway = rows[0];
+        if (hasExcludedRole) {
+          return interaction.editReply({
+            content: `❌ You cannot join this giveaway due to your current roles. Please contact an administrator if you believe this is an error.`
+          });
+        }
 
-        // Check if giveaway has ended
-        if (new Date() > new Date(giveaway.end_time)) {
-          return interaction.editReply({ content: '❌ This giveaway has already ended.' });
+        // Per-giveaway entry requirements
+        const { rows: requirementRows } = await db.query('SELECT requirements, required_role_id FROM giveaways WHERE id = $1', [giveawayId]);
+        if (requirementRows.length > 0) {
+          const failures = await checkGiveawayRequirements(interaction.member, requirementRows[0]);
+          if (failures.length > 0) {
+            return interaction.editReply({
+              content: `❌ You don't meet the requirements for this giveaway:\n${failures.map(failure => `• ${failure}`).join('\n')}`
+            });
+          }
         }
 
+        // The giveaway row stays locked until the entry is paid and recorded, so
+        // double clicks cannot join twice or charge twice
+        let joinResult;
+        try {
+          joinResult = await withTransaction(async (tx) => {
+            const { rows } = await tx.query('SELECT * FROM giveaways WHERE id = $1 FOR UPDATE', [giveawayId]);
+            if (rows.length === 0 || rows[0].ended) {
+              return { error: '❌ Giveaway not found or has ended.' };
+            }
 
-        // Check if user already joined
-        const participants = giveaway.participants || [];
-        if (participants.includes(interaction.user.id)) {
-          return interaction.editReply({ content: '❌ You have already joined this giveaway!' });
-        }
+            const giveaway = rows[0];
 
-        // Check if user has enough balance
-        const { rows: userRows } = await db.query('SELECT balance FROM users WHERE id = $1', [interaction.user.id]);
-        const userBalance = userRows[0]?.balance || 0;
+            // Check if giveaway has ended
+            if (new Date() > new Date(giveaway.end_time)) {
+              return { error: '❌ This giveaway has already ended.' };
+            }
 
-        if (userBalance < giveaway.entry_cost) {
-          return interaction.editReply({
-            content: `❌ You need **${giveaway.entry_cost.toLocaleString('en-US')}** 💰 to join this giveaway. You only have **${userBalance.toLocaleString('en-US')}** 💰.`
-          });
-        }
+            // Joining again buys another entry, up to the giveaway's cap
+            const participants = giveaway.participants || [];
+            const entries = getGiveawayEntries(giveaway);
+            const maxEntries = giveaway.max_entries || 1;
+            const current = entries[interaction.user.id];
+            if (current && current.bought >= maxEntries) {
+              return { error: maxEntries > 1 ? `❌ You already have the maximum of **${maxEntries}** entries in this giveaway!` : '❌ You have already joined this giveaway!' };
+            }
 
-        // Check if user has excluded roles
-        const userRoleIds = interaction.member.roles.cache.map(role => role.id);
-        const hasExcludedRole = userRoleIds.some(roleId => EXCLUDED_GIVEAWAY_ROLES.includes(roleId));
+            // Deduct entry cost from user and add to pool
+            await economy.adjustBalance({ client: tx, guildId: giveaway.guild_id, userId: interaction.user.id, amount: -giveaway.entry_cost, counterpartyId: economy.POOL, reason: 'giveaway_entry', referenceId: giveawayId });
 
-        if (hasExcludedRole) {
+            // Add user to participants; the bonus follows the member's roles at their latest entry
+            if (!current) participants.push(interaction.user.id);
+            entries[interaction.user.id] = { bought: (current?.bought || 0) + 1, multiplier: getEntryMultiplier(interaction.member, giveaway) };
+            await tx.query('UPDATE giveaways SET participants = $1, entries = $2 WHERE id = $3', [participants, entries, giveawayId]);
+            return { giveaway, participants, entry: entries[interaction.user.id] };
+          });
+        } catch (error) {
+          if (!(error instanceof economy.InsufficientFundsError)) throw error;
+          const { rows } = await db.query('SELECT entry_cost FROM giveaways WHERE id = $1', [giveawayId]);
+          const { rows: userRows } = await db.query('SELECT balance FROM users WHERE guild_id = $1 AND id = $2', [interaction.guildId, interaction.user.id]);
+          const entryCost = rows[0]?.entry_cost || 0;
+          const userBalance = userRows[0]?.balance || 0;
           return interaction.editReply({
-            content: `❌ You cannot join this giveaway due to your current roles. Please contact an administrator if you believe this is an error.`
+            content: `❌ You need **${entryCost.toLocaleString('en-US')}** 💰 to join this giveaway. You only have **${userBalance.toLocaleString('en-US')}** 💰.`
           });
         }
 
-        // Deduct entry cost from user and add to pool
-        await db.query('UPDATE users SET balance = balance - $1 WHERE id = $2', [giveaway.entry_cost, interaction.user.id]);
-        await db.query('UPDATE server_stats SET pool_balance = pool_balance + $1 WHERE id = $2', [giveaway.entry_cost, interaction.guildId]);
-
+        if (joinResult.error) {
+          return interaction.editReply({ content: joinResult.error });
+        }
 
-        // Add user to participants
-        participants.push(interaction.user.id);
-        await db.query('UPDATE giveaways SET participants = $1 WHERE id = $2', [participants, giveawayId]);
+        const { giveaway, participants, entry } = joinResult;
 
         // Update the giveaway embed to show new participant count
         await updateGiveawayEmbed(giveawayId, participants.length);
 
+        const maxEntries = giveaway.max_entries || 1;
+        const joinedText = entry.bought === 1
+          ? '✅ You have successfully joined the giveaway!'
+          : `✅ You bought another entry (**${entry.bought}/${maxEntries}**)!`;
+        const bonusText = entry.multiplier > 1
+          ? `\n✨ Your role bonus counts each entry **${entry.multiplier}x**, so you have **${getEntryWeight(entry)}** entries in the draw.`
+          : '';
         await interaction.editReply({
-          content: `✅ You have successfully joined the giveaway! **${giveaway.entry_cost.toLocaleString('en-US')}** 💰 entry cost deducted from your balance.`
+          content: `${joinedText} **${giveaway.entry_cost.toLocaleString('en-US')}** 💰 entry cost deducted from your balance.${bonusText}`
         });
 
-        logActivity('🎁 Giveaway Joined', `<@${interaction.user.id}> joined giveaway`, 'Blue');
+        logActivity('🎁 Giveaway Joined', `<@${interaction.user.id}> ${entry.bought === 1 ? 'joined giveaway' : `bought entry ${entry.bought}/${maxEntries} in giveaway`} \`${giveawayId}\``, 'Blue', null, giveaway.guild_id);
       } catch (error) {
         console.error('Error joining giveaway:', error);
         await interaction.editReply({ content: '❌ An error occurred.' });
@@ -5148,257 +7123,1943 @@ app.get('/privacy', (req, res) => {
   `);
 });
 
-app.listen(port, () => console.log(`Health check server listening on port ${port}`));
+app.listen(port, () => console.log(`Health check server listening on port ${port}`));
+
+// --- Healthchecks.io Ping ---
+function setupHealthchecksPing() {
+  const healthcheckUrl = process.env.HEALTHCHECK_URL;
+  if (!healthcheckUrl) {
+    console.log('HEALTHCHECK_URL not found, skipping Healthchecks.io setup.');
+    return;
+  }
+
+  console.log('Setting up ping to Healthchecks.io...');
+  // Ping immediately on start and then every 50 seconds
+  const ping = () => {
+    fetch(healthcheckUrl)
+      .then(res => {
+        if (res.ok) {
+          console.log(`[${new Date().toUTCString()}] Successfully pinged Healthchecks.io.`);
+        } else {
+          console.error(`[${new Date().toUTCString()}] Failed to ping Healthchecks.io. Status: ${res.status}`);
+        }
+      })
+      .catch(err => console.error('Failed to ping Healthchecks.io:', err.message));
+  };
+
+  ping();
+  setInterval(ping, 50 * 1000); // 50 seconds
+}
+
+
+// --- Giveaway Functions ---
+// --- Giveaway Prizes ---
+const PLACE_MEDALS = ['🥇', '🥈', '🥉'];
+
+function formatPrizeAmount(amount, resource, guildId) {
+  return `${amount.toLocaleString('en-US')} ${resources.describeUnit(guildId, resource)}`;
+}
+
+// 0-based place -> 🥇 🥈 🥉 #4 ...
+function formatPlace(place) {
+  return PLACE_MEDALS[place] || `#${place + 1}`;
+}
+
+// Amount won by each place, best first (an even split repeats the same amount).
+// Item prizes have no amounts.
+function getGiveawayPrizeAmounts(giveaway) {
+  if ((giveaway.prize_type || 'pounds') === 'item') return [];
+  if (giveaway.prize_tiers?.length) return giveaway.prize_tiers;
+  const totalPrize = giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count;
+  return Array(giveaway.winner_count).fill(Math.floor(totalPrize / giveaway.winner_count));
+}
+
+// Pounds taken from the pool when the giveaway was created; other prizes are issued at the draw
+function getGiveawayEscrow(giveaway) {
+  if ((giveaway.prize_type || 'pounds') !== 'pounds') return 0;
+  return giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count;
+}
+
+async function getGiveawayPrizeItem(giveaway, queryClient = db) {
+  if ((giveaway.prize_type || 'pounds') !== 'item') return null;
+  const { rows } = await queryClient.query('SELECT * FROM shop_items WHERE id = $1', [giveaway.prize_item_id]);
+  return rows[0] || null;
+}
+
+function describePrizeItem(giveaway, item) {
+  if (item) return `${item.emoji || '🛍️'} ${item.name}`;
+  return `🛍️ ${giveaway.prize_item_name || 'Shop item'}`;
+}
+
+// The whole prize, for embeds, lists and logs
+function describeGiveawayPrize(giveaway, item = null) {
+  const prizeType = giveaway.prize_type || 'pounds';
+  if (prizeType === 'item') {
+    return giveaway.winner_count > 1 ? `${describePrizeItem(giveaway, item)} for each winner` : describePrizeItem(giveaway, item);
+  }
+  if (giveaway.prize_tiers?.length) {
+    return giveaway.prize_tiers.map((amount, place) => `${formatPlace(place)} ${formatPrizeAmount(amount, prizeType, giveaway.guild_id)}`).join(' • ');
+  }
+  return formatPrizeAmount(giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count, prizeType, giveaway.guild_id);
+}
+
+// What the winner in `place` (0-based) receives; places past the last tier get the last tier
+function describePlacePrize(giveaway, place, item = null) {
+  const prizeType = giveaway.prize_type || 'pounds';
+  if (prizeType === 'item') return describePrizeItem(giveaway, item);
+  const amounts = getGiveawayPrizeAmounts(giveaway);
+  return formatPrizeAmount(amounts[Math.min(place, amounts.length - 1)], prizeType, giveaway.guild_id);
+}
+
+// Credits one winner inside the settling transaction. Pounds come from `poundsSource`
+// (escrow at the draw, the pool on rerolls); resources are newly issued. Roles and
+// order tickets for item prizes are handed out after commit by deliverGiveawayItem.
+async function creditGiveawayPrize(tx, giveaway, winnerId, place, item, poundsSource) {
+  const prizeType = giveaway.prize_type || 'pounds';
+  const entry = { client: tx, guildId: giveaway.guild_id, userId: winnerId, reason: 'giveaway_prize', referenceId: giveaway.id };
+
+  if (prizeType === 'item') {
+    const resource = item?.resource_type?.toLowerCase();
+    if (resource && resources.getResourceType(giveaway.guild_id, resource)) {
+      await economy.adjustBalance({ ...entry, amount: item.quantity || 1, resource });
+    }
+    if (item && inventory.isKeptItem(giveaway.guild_id, item)) {
+      await inventory.addItem({ client: tx, guildId: giveaway.guild_id, userId: winnerId, itemId: item.id });
+    }
+    return;
+  }
+
+  const amounts = getGiveawayPrizeAmounts(giveaway);
+  await economy.adjustBalance({
+    ...entry,
+    amount: amounts[Math.min(place, amounts.length - 1)],
+    resource: prizeType,
+    counterpartyId: prizeType === 'pounds' ? poundsSource : economy.SYSTEM
+  });
+}
+
+// Gives a shop item winner its role and, when staff have to fulfil it, an order ticket.
+// Returns notes for the winner's DM.
+async function deliverGiveawayItem(giveaway, winnerId, item, channel) {
+  const notes = [];
+  const resource = item.resource_type?.toLowerCase();
+  if (resource && resources.getResourceType(giveaway.guild_id, resource)) {
+    notes.push(`Received **${(item.quantity || 1).toLocaleString('en-US')}** ${resources.describeUnit(giveaway.guild_id, resource)}.`);
+  }
+  if (inventory.isKeptItem(giveaway.guild_id, item)) {
+    notes.push(item.effect_type ? 'Added to your inventory. Use it with `/use`.' : 'Added to your inventory.');
+  }
+
+  if (item.role_id) {
+    try {
+      const guild = client.guilds.cache.get(giveaway.guild_id);
+      const role = guild?.roles.cache.get(item.role_id);
+      if (role) {
+        const member = await guild.members.fetch(winnerId);
+        await member.roles.add(role);
+        const grant = await recordItemRole(giveaway.guild_id, winnerId, item, 'giveaway');
+        notes.push(grant ? describeRoleGrant(role, grant) : `Assigned role **${role.name}**.`);
+      }
+    } catch (error) {
+      console.error(`Failed to give giveaway prize role to ${winnerId}:`, error);
+    }
+  }
+
+  if (item.requires_ticket) {
+    try {
+      if (!channel) throw new Error('Giveaway channel not found');
+      const winner = await client.users.fetch(winnerId);
+      const thread = await createOrderTicket(channel, winner, item, `won **${item.name}** in a giveaway.\n\n**Status:** Giveaway Prize 🎁`, 'Giveaway Prize Ticket', { source: 'giveaway' });
+      notes.push(`🎫 **Ticket created:** <#${thread.id}>`);
+    } catch (error) {
+      console.error('Failed to create giveaway prize ticket:', error);
+      notes.push('⚠️ Staff will contact you to deliver your prize.');
+    }
+  }
+
+  return notes;
+}
+
+// Opens a private order thread so staff can fulfil a shop item
+// and records the order. `order` is { source, price, purchaseId, inInventory }. Call it
+// after any transaction has committed; it talks to Discord and writes on its own.
+async function createOrderTicket(channel, user, item, details, reason = 'Shop Purchase Ticket', order = {}) {
+  const safeName = (item.name || 'item').replace(/[^a-zA-Z0-9-]/g, '');
+  const threadName = `order-${user.username}-${safeName}`.substring(0, 32);
+
+  const thread = await channel.threads.create({
+    name: threadName,
+    type: ChannelType.PrivateThread,
+    autoArchiveDuration: 1440,
+    reason
+  });
+  await thread.members.add(user.id);
+
+  const record = await orders.createOrder({ ...order, source: order.source || 'shop', guildId: channel.guild.id, userId: user.id, item, threadId: thread.id });
+
+  const orderEmbed = new EmbedBuilder()
+    .setTitle(`🛍️ New Order #${record.id}`)
+    .setDescription(`User <@${user.id}> ${details}\n\nPlease describe your request below. Staff will be with you shortly.`)
+    .setColor('Green');
+
+  const adminIds = (process.env.ADMIN_IDS || '').split(',');
+  const adminPings = adminIds.map(id => `<@${id}>`).join(' ');
+
+  await thread.send({ content: `${adminPings} <@${user.id}>`, embeds: [orderEmbed], components: [buildOrderButtons(record)] });
+  return thread;
+}
+
+// --- Giveaway Entries ---
+// user id -> { bought, multiplier }. Giveaways from before multi-entry count one entry each.
+function getGiveawayEntries(giveaway) {
+  const entries = {};
+  for (const userId of giveaway.participants || []) {
+    entries[userId] = { bought: 1, multiplier: 1, ...(giveaway.entries?.[userId] || {}) };
+  }
+  return entries;
+}
+
+// Tickets a member holds in the draw
+function getEntryWeight(entry) {
+  return entry.bought * entry.multiplier;
+}
+
+// [{ id, weight }] as the draw sees it
+function getDrawEntries(giveaway) {
+  return Object.entries(getGiveawayEntries(giveaway)).map(([id, entry]) => ({ id, weight: getEntryWeight(entry) }));
+}
+
+function countGiveawayEntries(giveaway) {
+  return Object.values(getGiveawayEntries(giveaway)).reduce((sum, entry) => sum + getEntryWeight(entry), 0);
+}
+
+// Best bonus among the member's roles, 1 without a bonus role
+function getEntryMultiplier(member, giveaway) {
+  return (giveaway.bonus_roles || [])
+    .filter(bonus => member.roles.cache.has(bonus.roleId))
+    .reduce((best, bonus) => Math.max(best, bonus.multiplier), 1);
+}
+
+// Entry cap and bonus roles for the giveaway embed, or '' for one plain entry each
+function describeGiveawayEntryRules(giveaway) {
+  const lines = [];
+  if ((giveaway.max_entries || 1) > 1) lines.push(`🎟️ **Entries:** up to ${giveaway.max_entries} per member`);
+  if (giveaway.bonus_roles?.length) {
+    lines.push(`✨ **Bonus Entries:** ${giveaway.bonus_roles.map(bonus => `<@&${bonus.roleId}> ${bonus.multiplier}x`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// --- Giveaway Entry Requirements ---
+// Stored requirements plus the legacy single required_role_id column
+function getGiveawayRequirements(giveaway) {
+  const requirements = {
+    roles: [],
+    roleMode: 'any',
+    blacklistRoles: [],
+    minLevel: 0,
+    minMemberDays: 0,
+    minInvites: 0,
+    minMessages: 0,
+    ...(giveaway.requirements || {})
+  };
+  if (giveaway.required_role_id && !requirements.roles.includes(giveaway.required_role_id)) {
+    requirements.roles = [...requirements.roles, giveaway.required_role_id];
+  }
+  return requirements;
+}
+
+// One line per requirement for the giveaway embed, or '' when anyone can join
+function describeGiveawayRequirements(requirements) {
+  const roleMentions = (ids) => ids.map(id => `<@&${id}>`).join(', ');
+  const lines = [];
+  if (requirements.roles.length > 0) {
+    const mode = requirements.roles.length === 1 ? '' : (requirements.roleMode === 'all' ? 'all of ' : 'any of ');
+    lines.push(`🎭 **Roles:** ${mode}${roleMentions(requirements.roles)}`);
+  }
+  if (requirements.blacklistRoles.length > 0) lines.push(`🚫 **Not Allowed:** ${roleMentions(requirements.blacklistRoles)}`);
+  if (requirements.minLevel > 0) lines.push(`📈 **Level:** ${requirements.minLevel}+`);
+  if (requirements.minMemberDays > 0) lines.push(`📅 **Member For:** ${requirements.minMemberDays}+ days`);
+  if (requirements.minInvites > 0) lines.push(`📨 **Invites:** ${requirements.minInvites}+`);
+  if (requirements.minMessages > 0) lines.push(`💬 **Messages:** ${requirements.minMessages.toLocaleString('en-US')}+`);
+  return lines.join('\n');
+}
+
+// Returns a message for every requirement the member fails (empty when they may join)
+async function checkGiveawayRequirements(member, giveaway) {
+  const requirements = getGiveawayRequirements(giveaway);
+  const roleMentions = (ids) => ids.map(id => `<@&${id}>`).join(', ');
+  const hasRole = (id) => member.roles.cache.has(id);
+  const failures = [];
+
+  if (requirements.roles.length > 0) {
+    const allRequired = requirements.roleMode === 'all';
+    const meetsRoles = allRequired ? requirements.roles.every(hasRole) : requirements.roles.some(hasRole);
+    if (!meetsRoles) {
+      failures.push(allRequired && requirements.roles.length > 1
+        ? `You need all of these roles: ${roleMentions(requirements.roles)}.`
+        : `You need ${requirements.roles.length > 1 ? 'one of these roles' : 'the role'}: ${roleMentions(requirements.roles)}.`);
+    }
+  }
+
+  const blockedRoles = requirements.blacklistRoles.filter(hasRole);
+  if (blockedRoles.length > 0) {
+    failures.push(`Members with ${roleMentions(blockedRoles)} cannot join this giveaway.`);
+  }
+
+  if (requirements.minLevel > 0) {
+    const { rows } = await safeQuery('SELECT level FROM user_levels WHERE guild_id = $1 AND user_id = $2', [member.guild.id, member.id]);
+    const level = rows[0]?.level || 0;
+    if (level < requirements.minLevel) {
+      failures.push(`You need to be level **${requirements.minLevel}** (you are level **${level}**).`);
+    }
+  }
+
+  if (requirements.minMemberDays > 0) {
+    const memberDays = (Date.now() - member.joinedTimestamp) / (24 * 60 * 60 * 1000);
+    if (memberDays < requirements.minMemberDays) {
+      failures.push(`You need to have been in the server for **${requirements.minMemberDays}** days (you joined <t:${Math.floor(member.joinedTimestamp / 1000)}:R>).`);
+    }
+  }
+
+  if (requirements.minInvites > 0) {
+    const { rows } = await safeQuery('SELECT invites FROM invites WHERE guild_id = $1 AND user_id = $2', [member.guild.id, member.id]);
+    const invites = rows[0]?.invites || 0;
+    if (invites < requirements.minInvites) {
+      failures.push(`You need **${requirements.minInvites}** invites (you have **${invites}**).`);
+    }
+  }
+
+  if (requirements.minMessages > 0) {
+    // Only messages that passed the anti-farming checks count
+    const { rows } = await safeQuery('SELECT eligible_count FROM message_counts WHERE guild_id = $1 AND user_id = $2', [member.guild.id, member.id]);
+    const messages = parseInt(rows[0]?.eligible_count || 0);
+    if (messages < requirements.minMessages) {
+      failures.push(`You need **${requirements.minMessages.toLocaleString('en-US')}** messages (you have **${messages.toLocaleString('en-US')}**).`);
+    }
+  }
+
+  return failures;
+}
+
+async function updateGiveawayEmbed(giveawayId, participantCount) {
+  try {
+    const { rows } = await db.query('SELECT * FROM giveaways WHERE id = $1', [giveawayId]);
+    if (rows.length === 0) return;
+
+    const giveaway = rows[0];
+    const channel = await client.channels.fetch(giveaway.channel_id);
+    if (!channel) return;
+
+    // Find the giveaway message (older giveaways were only findable by their footer)
+    let giveawayMessage = giveaway.message_id ? await channel.messages.fetch(giveaway.message_id).catch(() => null) : null;
+    if (!giveawayMessage) {
+      const messages = await channel.messages.fetch({ limit: 50 });
+      giveawayMessage = messages.find(msg =>
+        msg.embeds.length > 0 &&
+        msg.embeds[0].footer &&
+        msg.embeds[0].footer.text &&
+        msg.embeds[0].footer.text.includes(giveawayId)
+      );
+    }
+
+    if (!giveawayMessage) return;
+
+    // Create updated embed
+    const item = await getGiveawayPrizeItem(giveaway);
+    const evenSplit = (giveaway.prize_type || 'pounds') !== 'item' && !giveaway.prize_tiers?.length;
+    const perWinnerText = evenSplit ? `**Prize per Winner:** ${describePlacePrize(giveaway, 0)}\n` : '';
+
+    // Check if there are enough participants and set appropriate color/warning
+    const hasEnoughParticipants = participantCount >= giveaway.winner_count;
+    const embedColor = hasEnoughParticipants ? 'Gold' : 'Orange';
+    const warningText = !hasEnoughParticipants ? `\n\n⚠️ **Warning:** Need at least ${giveaway.winner_count} participants! (Currently: ${participantCount})` : '';
+    const requirementsText = describeGiveawayRequirements(getGiveawayRequirements(giveaway));
+    const entryRulesText = describeGiveawayEntryRules(giveaway);
+
+    const updatedEmbed = new EmbedBuilder()
+      .setTitle('🎉 Giveaway! 🎉')
+      .setDescription(`**Prize:** ${describeGiveawayPrize(giveaway, item)}\n${perWinnerText}**Entry Cost:** ${giveaway.entry_cost.toLocaleString('en-US')} 💰\n**Participants:** ${participantCount}\n**Total Entries:** ${countGiveawayEntries(giveaway)}\n**Winners:** ${giveaway.winner_count}\n${entryRulesText ? `${entryRulesText}\n` : ''}**Ends:** <t:${Math.floor(new Date(giveaway.end_time).getTime() / 1000)}:R>${giveaway.seed_hash ? `\n🔒 **Fairness Hash:** \`${giveaway.seed_hash}\`` : ''}${requirementsText ? `\n\n📋 **Requirements:**\n${requirementsText}` : ''}${warningText}`)
+      .setColor(embedColor)
+      .setFooter({ text: `Giveaway ID: ${giveawayId}` })
+      .setTimestamp();
+
+    const joinButton = new ButtonBuilder()
+      .setCustomId(`join_giveaway_${giveawayId}`)
+      .setLabel(`Join Giveaway (${giveaway.entry_cost.toLocaleString('en-US')} 💰)`)
+      .setStyle(ButtonStyle.Primary)
+      .setEmoji('🎁');
+
+    const row = new ActionRowBuilder().addComponents(joinButton);
+
+    await giveawayMessage.edit({ embeds: [updatedEmbed], components: [row] });
+
+  } catch (error) {
+    console.error('Error updating giveaway embed:', error);
+  }
+}
+
+// --- Giveaway Creation ---
+// Reads the prize, entry and requirement options shared by /giveaway and
+// /giveaway-schedule create. Returns { setup } or { error }.
+async function readGiveawayOptions(interaction) {
+  const prizeType = interaction.options.getString('prize_type') || 'pounds';
+  const prizeItemInput = interaction.options.getString('prize_item');
+  const tiersInput = interaction.options.getString('prize_tiers');
+
+  if (!['pounds', 'item'].includes(prizeType) && !resources.getResourceType(interaction.guildId, prizeType)) {
+    return { error: '⚠️ Unknown prize type. Pick one from the list.' };
+  }
+
+  let prizeItemId = null;
+  if (prizeType === 'item') {
+    if (!prizeItemInput) {
+      return { error: '⚠️ Choose the shop item to give away with the `prize_item` option.' };
+    }
+    if (tiersInput) {
+      return { error: '⚠️ Tiered prizes are only available for Sovereign Pounds and resources.' };
+    }
+    prizeItemId = parseInt(prizeItemInput);
+    const { rows: itemRows } = isNaN(prizeItemId) ? { rows: [] } : await safeQuery('SELECT id FROM shop_items WHERE id = $1 AND guild_id = $2', [prizeItemId, interaction.guildId]);
+    if (itemRows.length === 0) {
+      return { error: '❌ That shop item does not exist. Pick one from the list.' };
+    }
+  }
+
+  // Role options accept one or more role mentions
+  const parseRoleIds = (value) => [...new Set((value || '').match(/\d{17,20}/g) || [])];
+  const requiredRolesInput = interaction.options.getString('required_roles');
+  const blacklistRolesInput = interaction.options.getString('blacklist_roles');
+  const requirements = {
+    roles: parseRoleIds(requiredRolesInput),
+    roleMode: interaction.options.getString('required_roles_mode') || 'any',
+    blacklistRoles: parseRoleIds(blacklistRolesInput),
+    minLevel: interaction.options.getInteger('min_level') || 0,
+    minMemberDays: interaction.options.getInteger('min_member_days') || 0,
+    minInvites: interaction.options.getInteger('min_invites') || 0,
+    minMessages: interaction.options.getInteger('min_messages') || 0,
+  };
+
+  if ((requiredRolesInput && requirements.roles.length === 0) || (blacklistRolesInput && requirements.blacklistRoles.length === 0)) {
+    return { error: '⚠️ Please mention the roles (e.g. @Members) in the role options.' };
+  }
+
+  // "@Booster 2, @VIP 3x" -> [{ roleId, multiplier }]
+  const bonusRolesInput = interaction.options.getString('bonus_roles');
+  const bonusRoles = [...(bonusRolesInput || '').matchAll(/<@&(\d{17,20})>\s*[x×]?\s*(\d+)/gi)]
+    .map(match => ({ roleId: match[1], multiplier: parseInt(match[2]) }));
+  if (bonusRolesInput && (bonusRoles.length === 0 || bonusRoles.some(bonus => bonus.multiplier < 2 || bonus.multiplier > 10))) {
+    return { error: '⚠️ List bonus roles as a role mention followed by a multiplier from 2 to 10, e.g. `@Booster 2, @VIP 3`.' };
+  }
+
+  return {
+    setup: {
+      requirements: describeGiveawayRequirements(requirements) !== '' ? requirements : null,
+      prizeType,
+      prizeItemId,
+      tiersInput,
+      maxEntries: interaction.options.getInteger('max_entries') || 1,
+      bonusRoles,
+      pingRoleId: interaction.options.getRole('ping_role')?.id || null
+    }
+  };
+}
+
+// Turns the prize inputs into { totalPrize, winnerCount, prizeTiers } or { error }.
+// Tiered prizes list one amount per place; otherwise the total is split evenly.
+function resolveGiveawayAmounts({ prizeType, tiersInput, totalPrize, winnerCount }) {
+  let prizeTiers = null;
+  if (tiersInput) {
+    prizeTiers = tiersInput.split(',').map(value => parseFloat(value.trim()));
+    if (prizeTiers.some(amount => isNaN(amount) || amount <= 0)) {
+      return { error: '⚠️ Please list a valid prize for each place, separated by commas (e.g. 5000, 3000, 1000).' };
+    }
+    if (prizeTiers.length > 10) {
+      return { error: '⚠️ Tiered giveaways can have at most 10 places.' };
+    }
+    winnerCount = prizeTiers.length;
+    totalPrize = prizeTiers.reduce((sum, amount) => sum + amount, 0);
+  } else if (prizeType === 'item') {
+    totalPrize = 0;
+  } else if (!(totalPrize > 0)) {
+    return { error: '⚠️ Please provide a valid total prize amount.' };
+  }
+
+  if (isNaN(winnerCount) || winnerCount <= 0) {
+    return { error: '⚠️ Please provide a valid number of winners.' };
+  }
+
+  if (prizeType !== 'pounds' && prizeType !== 'item' && !(prizeTiers || [totalPrize]).every(Number.isInteger)) {
+    return { error: '⚠️ Resource prizes must be whole numbers.' };
+  }
+
+  return { totalPrize, winnerCount, prizeTiers };
+}
+
+// Escrows the prize, posts the giveaway with `post` (a modal reply or a channel
+// send), stores it and arms its end timer. Returns { giveawayId } or { error }.
+async function startGiveaway({ guildId, channelId, host, settings, post }) {
+  const { durationMs, entryCost, totalPrize, winnerCount, prizeTiers, prizeType, prizeItemId, requirements, maxEntries, bonusRoles, pingRoleId } = settings;
+
+  let prizeItem = null;
+  if (prizeType === 'item') {
+    const { rows: itemRows } = await safeQuery('SELECT * FROM shop_items WHERE id = $1', [prizeItemId]);
+    prizeItem = itemRows[0];
+    if (!prizeItem) {
+      return { error: '❌ The shop item for this giveaway no longer exists.' };
+    }
+  }
+
+  const endTime = Date.now() + durationMs;
+  const giveawayId = `giveaway_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  // Commit to the draw now: the hash is published, the seed stays secret until the end
+  const serverSeed = fairness.generateSeed();
+  const seedHash = fairness.hashSeed(serverSeed);
+
+  // Pound prizes are held in escrow from the pool once the message is up; resources and items are issued when winners are drawn
+  if (prizeType === 'pounds') {
+    // Ensure server_stats record exists
+    await db.query('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 100000) ON CONFLICT (id) DO NOTHING', [guildId]);
+
+    // Check if server pool has enough funds
+    const result = await db.query('SELECT pool_balance FROM server_stats WHERE id = $1', [guildId]);
+    if (!result || !result.rows || result.rows.length === 0) {
+      return { error: '❌ Error: Could not access server pool. Please try again.' };
+    }
+
+    const poolBalance = result.rows[0]?.pool_balance || 0;
+
+    if (poolBalance < totalPrize) {
+      return { error: `❌ Not enough funds in server pool! Need **${totalPrize.toLocaleString('en-US')}** 💰 but pool only has **${poolBalance.toLocaleString('en-US')}** 💰.` };
+    }
+  }
+
+  // Create giveaway embed
+  const requirementsText = requirements ? describeGiveawayRequirements(requirements) : '';
+  const prizeText = describeGiveawayPrize({ guild_id: guildId, prize_type: prizeType, prize_tiers: prizeTiers, total_prize: totalPrize, winner_count: winnerCount, entry_cost: entryCost }, prizeItem);
+  const entryRulesText = describeGiveawayEntryRules({ max_entries: maxEntries, bonus_roles: bonusRoles });
+  const giveawayEmbed = new EmbedBuilder()
+    .setTitle(`🎁 **GIVEAWAY** 🎁`)
+    .setDescription(`🎉 **Prize:** ${prizeText}\n` +
+      `🎉 **Winners:** ${winnerCount}\n` +
+      `⏱️ **Ends:** <t:${Math.floor(endTime / 1000)}:R>\n` +
+      `💸 **Entry Cost:** ${entryCost.toLocaleString('en-US')} 💰${maxEntries > 1 ? ' per entry' : ''}\n` +
+      (entryRulesText ? `${entryRulesText}\n` : '') +
+      (requirementsText ? `\n📋 **Requirements:**\n${requirementsText}\n` : '') +
+      `\n🔒 **Fairness Hash:** \`${seedHash}\`\n` +
+      `\nClick the button below to join!`)
+    .setColor('Purple')
+    .setFooter({ text: `Hosted by ${host.tag}` });
+
+  const joinButton = new ButtonBuilder()
+    .setCustomId(`join_giveaway_${giveawayId}`)
+    .setLabel(`Join (${entryCost.toLocaleString('en-US')} SE)`)
+    .setStyle(ButtonStyle.Success)
+    .setEmoji('🎁');
+
+  const row = new ActionRowBuilder().addComponents(joinButton);
+
+  // Prepare content with ping if role is specified
+  const roleToPing = pingRoleId ? client.guilds.cache.get(guildId)?.roles.cache.get(pingRoleId) : null;
+
+  const content = roleToPing ? `${roleToPing} **New Giveaway Available!** 🎉` : undefined;
+  const allowedMentions = roleToPing ? { roles: [roleToPing.id] } : undefined;
+
+  // Send the giveaway message
+  const giveawayMessage = await post({
+    content: content,
+    embeds: [giveawayEmbed],
+    components: [row],
+    allowedMentions: allowedMentions
+  });
+
+  // The escrow and the giveaway row commit together, so held pounds always have a giveaway to return them
+  try {
+    await withTransaction(async (tx) => {
+      if (prizeType === 'pounds') {
+        await economy.adjustPool({ client: tx, guildId, amount: -totalPrize, counterpartyId: economy.ESCROW, reason: 'giveaway_escrow', referenceId: giveawayId });
+      }
+      await tx.query(`
+        INSERT INTO giveaways (id, guild_id, channel_id, message_id, entry_cost, total_prize, winner_count, end_time, creator_id, participants, required_role_id, requirements, prize_type, prize_item_id, prize_tiers, max_entries, bonus_roles, entries, server_seed, seed_hash)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      `, [giveawayId, guildId, channelId, giveawayMessage.id, entryCost, totalPrize, winnerCount, new Date(endTime), host.id, [], null, requirements, prizeType, prizeItemId, prizeTiers, maxEntries, bonusRoles, {}, serverSeed, seedHash]);
+    });
+  } catch (error) {
+    // Nobody can join a giveaway that was never stored
+    await giveawayMessage.delete().catch(() => { });
+    if (error instanceof economy.InsufficientFundsError) {
+      return { error: `❌ Not enough funds in server pool! Need **${totalPrize.toLocaleString('en-US')}** 💰.` };
+    }
+    throw error;
+  }
+
+  // Schedule the end; the row above lets it be re-armed after a restart
+  scheduler.schedule('giveaway_end', giveawayId, endTime);
+
+  logActivity('🎁 Giveaway Created', `<@${host.id}> created a giveaway: **${prizeText}** (${entryCost.toLocaleString('en-US')} 💰 entry, ${winnerCount} winner(s))`, 'Gold', null, guildId);
+  return { giveawayId };
+}
+
+async function cancelGiveaway(giveawayId, reason = 'Cancelled') {
+  try {
+    // Refunds and the ended flag commit together, so a giveaway is only ever settled once
+    const giveaway = await withTransaction(async (tx) => {
+      const { rows } = await tx.query('SELECT * FROM giveaways WHERE id = $1 AND ended = FALSE FOR UPDATE', [giveawayId]);
+      if (rows.length === 0) return null;
+
+      const giveaway = rows[0];
+      const participants = giveaway.participants || [];
+
+      // Refund all participants every entry they bought
+      const entries = getGiveawayEntries(giveaway);
+      for (const participantId of participants) {
+        await economy.adjustBalance({ client: tx, guildId: giveaway.guild_id, userId: participantId, amount: giveaway.entry_cost * entries[participantId].bought, counterpartyId: economy.POOL, reason: 'giveaway_refund', referenceId: giveawayId });
+      }
+
+      // Return the prize held in escrow to the pool
+      const escrow = getGiveawayEscrow(giveaway);
+      if (escrow > 0) {
+        await economy.adjustPool({ client: tx, guildId: giveaway.guild_id, amount: escrow, counterpartyId: economy.ESCROW, reason: 'giveaway_escrow_return', referenceId: giveawayId });
+      }
+
+      // Mark giveaway as ended
+      await tx.query('UPDATE giveaways SET ended = TRUE WHERE id = $1', [giveawayId]);
+      return giveaway;
+    });
+    if (!giveaway) return;
+
+    scheduler.cancel('giveaway_end', giveawayId);
+    const participants = giveaway.participants || [];
+    const prizeText = describeGiveawayPrize(giveaway, await getGiveawayPrizeItem(giveaway));
+
+    // Send cancellation message to the channel
+    try {
+      const channel = await client.channels.fetch(giveaway.channel_id);
+      if (channel) {
+        const embed = new EmbedBuilder()
+          .setTitle('❌ Giveaway Cancelled')
+          .setDescription(`**Prize:** ${prizeText}\n**Reason:** ${reason}\n**Participants:** ${participants.length}\n\n${participants.length > 0 ? `All participants have been refunded **${giveaway.entry_cost.toLocaleString('en-US')}** 💰 per entry.` : 'No participants joined this giveaway.'}`)
+          .setColor('Red')
+          .setFooter({ text: `Giveaway ID: ${giveawayId}` })
+          .setTimestamp();
+        await channel.send({ embeds: [embed] });
+      }
+    } catch (error) {
+      console.error('Error sending giveaway cancellation message:', error);
+    }
+
+    logActivity('❌ Giveaway Cancelled', `Giveaway **${prizeText}** was cancelled (${reason}). ${participants.length} participants refunded.`, 'Red', null, giveaway.guild_id);
+
+  } catch (error) {
+    console.error('Error cancelling giveaway:', error);
+  }
+}
+
+async function endGiveaway(giveawayId) {
+  try {
+    // Settle the giveaway (payouts, refunds and the ended flag) in one transaction
+    // before announcing anything, so a second run finds it already ended
+    const outcome = await withTransaction(async (tx) => {
+      const { rows } = await tx.query('SELECT * FROM giveaways WHERE id = $1 AND ended = FALSE FOR UPDATE', [giveawayId]);
+      if (rows.length === 0) return null;
+
+      const giveaway = rows[0];
+      const participants = giveaway.participants || [];
+      const escrow = getGiveawayEscrow(giveaway);
+      const item = await getGiveawayPrizeItem(giveaway, tx);
+      const entries = getGiveawayEntries(giveaway);
+
+      if (participants.length === 0) {
+        // No participants, refund to pool
+        if (escrow > 0) {
+          await economy.adjustPool({ client: tx, guildId: giveaway.guild_id, amount: escrow, counterpartyId: economy.ESCROW, reason: 'giveaway_escrow_return', referenceId: giveawayId });
+        }
+        await tx.query('UPDATE giveaways SET ended = TRUE WHERE id = $1', [giveawayId]);
+        return { giveaway, participants, escrow, item, result: 'empty' };
+      }
+
+      // Check if there are enough participants for the number of winners
+      if (participants.length < giveaway.winner_count) {
+        // Not enough participants - cancel giveaway and refund everyone
+        for (const participantId of participants) {
+          await economy.adjustBalance({ client: tx, guildId: giveaway.guild_id, userId: participantId, amount: giveaway.entry_cost * entries[participantId].bought, counterpartyId: economy.POOL, reason: 'giveaway_refund', referenceId: giveawayId });
+        }
+
+        // Return the prize amount to pool
+        if (escrow > 0) {
+          await economy.adjustPool({ client: tx, guildId: giveaway.guild_id, amount: escrow, counterpartyId: economy.ESCROW, reason: 'giveaway_escrow_return', referenceId: giveawayId });
+        }
+
+        // Mark giveaway as ended
+        await tx.query('UPDATE giveaways SET ended = TRUE WHERE id = $1', [giveawayId]);
+        return { giveaway, participants, escrow, item, result: 'cancelled' };
+      }
+
+      // Select winners from the committed seed, weighted by entries; the draw order is the
+      // finishing order for tiered prizes. Giveaways from before seeds existed get one now.
+      const seed = giveaway.server_seed || fairness.generateSeed();
+      const winners = fairness.drawWinners(seed, getDrawEntries(giveaway), giveaway.winner_count);
+
+      // Give rewards to winners
+      for (const [place, winnerId] of winners.entries()) {
+        await creditGiveawayPrize(tx, giveaway, winnerId, place, item, economy.ESCROW);
+      }
+
+      // Update giveaway as ended
+      await tx.query('UPDATE giveaways SET ended = TRUE, winners = $1, server_seed = $2 WHERE id = $3', [winners, seed, giveawayId]);
+      return { giveaway, participants, winners, item, seed, result: 'won' };
+    });
+    if (!outcome) return;
+
+    scheduler.cancel('giveaway_end', giveawayId);
+    const { giveaway, participants, item } = outcome;
+    const prizeText = describeGiveawayPrize(giveaway, item);
+    const channel = await client.channels.fetch(giveaway.channel_id).catch(() => null);
+
+    if (outcome.result === 'empty') {
+      if (channel) {
+        const refundText = outcome.escrow > 0 ? `\n**Refund:** ${formatPrizeAmount(outcome.escrow, 'pounds', giveaway.guild_id)} returned to server pool.` : '';
+        const embed = new EmbedBuilder()
+          .setTitle('🎉 Giveaway Ended')
+          .setDescription(`**Prize:** ${prizeText}\n**Result:** No participants joined this giveaway.${refundText}`)
+          .setColor('Red')
+          .setTimestamp();
+        await channel.send({ embeds: [embed] });
+      }
+      return;
+    }
+
+    if (outcome.result === 'cancelled') {
+      const refundText = outcome.escrow > 0 ? `\nThe prize amount (${formatPrizeAmount(outcome.escrow, 'pounds', giveaway.guild_id)}) has been returned to the server pool.` : '';
+
+      // Send cancellation message
+      if (channel) {
+        const embed = new EmbedBuilder()
+          .setTitle('❌ Giveaway Cancelled')
+          .setDescription(`**Prize:** ${prizeText}\n**Reason:** Not enough participants!\n**Participants:** ${participants.length}\n**Required Winners:** ${giveaway.winner_count}\n\nAll participants have been refunded their entry cost (${giveaway.entry_cost.toLocaleString('en-US')} 💰 per entry).${refundText}`)
+          .setColor('Red')
+          .setFooter({ text: `Giveaway ID: ${giveawayId}` })
+          .setTimestamp();
+        await channel.send({ embeds: [embed] });
+      }
+
+      logActivity('❌ Giveaway Cancelled', `Giveaway **${prizeText}** cancelled due to insufficient participants (${participants.length}/${giveaway.winner_count}). All participants refunded.`, 'Red', null, giveaway.guild_id);
+      return;
+    }
+
+    const { winners, seed } = outcome;
+    const tiered = giveaway.prize_tiers?.length > 0;
+
+    // Item prizes: roles and order tickets, now that the win is recorded
+    const deliveryNotes = new Map();
+    if (item) {
+      for (const winnerId of winners) {
+        deliveryNotes.set(winnerId, await deliverGiveawayItem(giveaway, winnerId, item, channel));
+      }
+    }
+
+    // Send ephemeral congratulations to each winner
+    if (channel) {
+      for (const [place, winnerId] of winners.entries()) {
+        try {
+          const placeText = tiered ? `**🏅 Place:** ${formatPlace(place)}\n` : '';
+          const notes = deliveryNotes.get(winnerId) || [];
+          const closing = item ? 'Your prize has been delivered! Enjoy! 🎊' : 'Your prize has been added to your balance! Enjoy your winnings! 🎊';
+          const winnerEmbed = new EmbedBuilder()
+            .setTitle('🎉 Congratulations! You Won! 🎉')
+            .setDescription(`**🎁 You won the giveaway!**\n\n${placeText}**💰 Prize Received:** ${describePlacePrize(giveaway, place, item)}\n**🏆 Total Winners:** ${winners.length}\n**👥 Total Participants:** ${participants.length}${notes.length ? `\n\n${notes.join('\n')}` : ''}\n\n${closing}`)
+            .setColor('Gold')
+            .setFooter({ text: `Giveaway ID: ${giveawayId}` })
+            .setTimestamp();
+
+          // Try to send ephemeral message to the winner
+          const winner = await client.users.fetch(winnerId);
+          if (winner) {
+            await winner.send({
+              content: `🎉 **Congratulations!** You won the giveaway in <#${channel.id}>! 🎊`,
+              embeds: [winnerEmbed]
+            });
+          }
+        } catch (error) {
+          console.log(`Could not send DM to winner ${winnerId}:`, error.message);
+          // If DM fails, we'll continue with other winners
+        }
+      }
+    }
+
+    // Send winner announcement message
+    if (channel) {
+      const winnerMentions = winners.map(id => `<@${id}>`).join(', ');
+      const winnerLines = winners.map((id, place) => `${tiered ? `${formatPlace(place)} ` : ''}<@${id}> — ${describePlacePrize(giveaway, place, item)}`).join('\n');
+      const missingItemText = (giveaway.prize_type === 'item' && !item) ? '\n\n⚠️ The prize item is no longer in the shop, so staff will arrange the prizes.' : '';
+
+      const winnerEmbed = new EmbedBuilder()
+        .setTitle('🎉 GIVEAWAY ENDED! 🎉')
+        .setDescription(`**🎁 Prize:** ${prizeText}\n**👥 Participants:** ${participants.length} (${countGiveawayEntries(giveaway)} entries)\n\n**🏆 Winner(s):**\n${winnerLines}${missingItemText}\n\nCongratulations to the winners! 🎊${giveaway.seed_hash ? `\n\n🔐 **Seed:** \`${seed}\`\nCheck the draw with \`/giveaway-verify\`.` : ''}`)
+        .setColor('Gold')
+        .setFooter({ text: `Giveaway ID: ${giveawayId}` })
+        .setTimestamp();
+
+      await channel.send({
+        content: `🎉 **GIVEAWAY RESULTS** 🎉\n\n**Winner(s):** ${winnerMentions}\n\nCongratulations! 🎊`,
+        embeds: [winnerEmbed]
+      });
+    }
+
+    logActivity('🎁 Giveaway Ended', `Giveaway **${prizeText}** ended with ${participants.length} participants. Winners: ${winners.map((id, place) => `<@${id}> (${describePlacePrize(giveaway, place, item)})`).join(', ')}`, 'Gold', null, giveaway.guild_id);
+
+  } catch (error) {
+    console.error('Error ending giveaway:', error);
+  }
+}
+
+// --- Scheduled Giveaways ---
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "daily 18:00" or "weekly sun 18:00" (UTC) -> { weekday, hour, minute }; weekday is null for daily
+function parseRepeatRule(rule) {
+  const match = (rule || '').trim().toLowerCase().match(/^(?:daily|weekly\s+([a-z]{3,9}))\s+(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const weekday = match[1] ? WEEKDAYS.findIndex(day => day.startsWith(match[1])) : null;
+  const hour = parseInt(match[2]);
+  const minute = parseInt(match[3]);
+  if (weekday === -1 || hour > 23 || minute > 59) return null;
+  return { weekday, hour, minute };
+}
+
+// First time the rule fires after `after`
+function getNextRepeatRun(rule, after = new Date()) {
+  const { weekday, hour, minute } = parseRepeatRule(rule);
+  const next = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate(), hour, minute));
+  while (next <= after || (weekday !== null && next.getUTCDay() !== weekday)) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+function describeRepeatRule(rule) {
+  const parsed = parseRepeatRule(rule);
+  if (!parsed) return 'Once';
+  const time = `${String(parsed.hour).padStart(2, '0')}:${String(parsed.minute).padStart(2, '0')} UTC`;
+  if (parsed.weekday === null) return `Daily at ${time}`;
+  const day = WEEKDAYS[parsed.weekday];
+  return `Weekly on ${day[0].toUpperCase()}${day.slice(1)} at ${time}`;
+}
+
+// "2025-06-01 18:00" in UTC, or a delay from now like "2h"
+function parseScheduleStart(value) {
+  const delay = parseDuration(value.trim());
+  if (delay) return new Date(Date.now() + delay);
+
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]), parseInt(match[4]), parseInt(match[5])));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// 5400000 -> "90m", 86400000 -> "1d"; the inverse of parseDuration's units
+function describeDurationMs(ms) {
+  if (ms % 86400000 === 0) return `${ms / 86400000}d`;
+  if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+  return `${Math.round(ms / 60000)}m`;
+}
+
+function describeScheduledPrize(guildId, settings, item = null) {
+  return describeGiveawayPrize({
+    guild_id: guildId,
+    prize_type: settings.prizeType,
+    prize_tiers: settings.prizeTiers,
+    total_prize: settings.totalPrize,
+    winner_count: settings.winnerCount,
+    entry_cost: settings.entryCost
+  }, item);
+}
+
+// Posts a scheduled giveaway and moves its series on (a one-off schedule is removed).
+// The schedule advances before posting, so a crash mid-post skips a giveaway rather
+// than posting it twice.
+async function runScheduledGiveaway(scheduleId) {
+  const schedule = await withTransaction(async (tx) => {
+    const { rows } = await tx.query('SELECT * FROM giveaway_schedules WHERE id = $1 FOR UPDATE', [scheduleId]);
+    const schedule = rows[0];
+    if (!schedule || new Date(schedule.next_run).getTime() > Date.now() + 1000) return null;
+
+    if (schedule.repeat_rule) {
+      schedule.followingRun = getNextRepeatRun(schedule.repeat_rule);
+      await tx.query('UPDATE giveaway_schedules SET next_run = $1 WHERE id = $2', [schedule.followingRun, scheduleId]);
+    } else {
+      await tx.query('DELETE FROM giveaway_schedules WHERE id = $1', [scheduleId]);
+    }
+    return schedule;
+  });
+  if (!schedule) return;
+
+  if (schedule.followingRun) {
+    scheduler.schedule('giveaway_schedule', scheduleId, schedule.followingRun);
+  }
+
+  try {
+    const channel = await client.channels.fetch(schedule.channel_id);
+    const host = await client.users.fetch(schedule.creator_id);
+    const result = await startGiveaway({
+      guildId: schedule.guild_id,
+      channelId: channel.id,
+      host,
+      settings: schedule.settings,
+      post: (message) => channel.send(message)
+    });
+    if (result.error) {
+      logActivity('⚠️ Scheduled Giveaway Skipped', `Scheduled giveaway #${scheduleId} in <#${schedule.channel_id}> was not posted: ${result.error}`, 'Orange', null, schedule.guild_id);
+    }
+  } catch (error) {
+    console.error(`Error posting scheduled giveaway ${scheduleId}:`, error);
+    logActivity('⚠️ Scheduled Giveaway Skipped', `Scheduled giveaway #${scheduleId} could not be posted in <#${schedule.channel_id}>. Check the channel still exists and the bot can send messages there.`, 'Orange', null, schedule.guild_id);
+  }
+}
+
+// --- Member Transfers ---
+async function getPaySettings(guildId) {
+  const { rows } = await safeQuery('SELECT pay_daily_cap, pay_min_account_days, pay_min_level, pay_tax_percent FROM guild_configs WHERE guild_id = $1', [guildId]);
+  const config = rows[0] || {};
+  return {
+    pay_daily_cap: config.pay_daily_cap || 0,
+    pay_min_account_days: config.pay_min_account_days || 0,
+    pay_min_level: config.pay_min_level || 0,
+    pay_tax_percent: config.pay_tax_percent || 0,
+  };
+}
+
+// Tax only applies to pounds, since the pool it goes into holds pounds
+function getTransferTax(amount, resource, settings) {
+  if (resource !== 'pounds' || !settings.pay_tax_percent) return 0;
+  return Math.round(amount * settings.pay_tax_percent) / 100;
+}
+
+// Returns an error message, or null when the sender may make this transfer.
+// Balance and cap are checked again under lock when the transfer runs.
+async function checkPayRequirements(interaction, recipient, amount, resource, settings) {
+  const unit = resources.describeUnit(interaction.guildId, resource);
+
+  if (recipient.bot) return '❌ You cannot send currency to a bot.';
+  if (recipient.id === interaction.user.id) return '❌ You cannot pay yourself.';
+
+  if (settings.pay_min_account_days > 0) {
+    const accountDays = (Date.now() - interaction.user.createdTimestamp) / (24 * 60 * 60 * 1000);
+    if (accountDays < settings.pay_min_account_days) {
+      return `❌ Your Discord account must be at least **${settings.pay_min_account_days}** days old to send transfers.`;
+    }
+  }
+
+  if (settings.pay_min_level > 0) {
+    const { rows } = await safeQuery('SELECT level FROM user_levels WHERE guild_id = $1 AND user_id = $2', [interaction.guildId, interaction.user.id]);
+    const level = rows[0]?.level || 0;
+    if (level < settings.pay_min_level) {
+      return `❌ You must be at least level **${settings.pay_min_level}** to send transfers. You are level **${level}**.`;
+    }
+  }
+
+  const available = await economy.getBalance(interaction.guildId, interaction.user.id, resource);
+  if (available < amount) {
+    return `❌ You only have **${available.toLocaleString('en-US')}** ${unit}.`;
+  }
+
+  if (settings.pay_daily_cap > 0) {
+    const sentToday = await economy.getSentToday(interaction.guildId, interaction.user.id, resource);
+    if (sentToday + amount > settings.pay_daily_cap) {
+      return `❌ Daily transfer limit reached. You can send **${Math.max(0, settings.pay_daily_cap - sentToday).toLocaleString('en-US')}** more ${unit} today.`;
+    }
+  }
+
+  return null;
+}
+
+async function buildEconomySetupPage(guildId) {
+  const settings = await getPaySettings(guildId);
+  const market = await getMarketSettings(guildId);
+  const invite = await getInviteSettings(guildId);
+  const inviteChecks = [
+    invite.invite_min_account_days > 0 ? `account ${invite.invite_min_account_days}+ days old` : null,
+    invite.invite_hold_days > 0 ? `stays ${invite.invite_hold_days} days` : null,
+    invite.invite_min_messages > 0 ? `sends ${invite.invite_min_messages} messages` : null,
+  ].filter(Boolean);
+
+  const embed = new EmbedBuilder()
+    .setTitle('💰 Economy Settings')
+    .setDescription(`Configure how members can send currency and resources to each other with \`/pay\`, sell resources back with \`/sell\`, and trade on the \`/market\`.
+
+             **Daily Cap:** ${settings.pay_daily_cap > 0 ? `${settings.pay_daily_cap.toLocaleString('en-US')} per resource` : 'Unlimited'}
+             **Minimum Account Age:** ${settings.pay_min_account_days > 0 ? `${settings.pay_min_account_days} days` : 'None'}
+             **Minimum Level:** ${settings.pay_min_level > 0 ? settings.pay_min_level : 'None'}
+             **Transfer Tax:** ${settings.pay_tax_percent > 0 ? `${settings.pay_tax_percent}% of pounds sent, paid into the server pool` : 'None'}
+
+             **Sell-Back Spread:** ${market.sell_spread_percent >= 100 ? 'Selling back is off' : `${market.sell_spread_percent}% below the shop price`}
+             **Market Fee:** ${market.market_fee_percent > 0 ? `${market.market_fee_percent}% of each sale, paid into the server pool` : 'None'}
+             **Listing Duration:** ${market.market_listing_hours} hours
+
+             **Invite Reward:** ${invite.invite_reward > 0 ? `${invite.invite_reward.toLocaleString('en-US')} 💰 per new member` : 'None'}
+             **Invite Checks:** ${inviteChecks.length ? inviteChecks.join(', ') : 'None, paid on join'}
+             **Leave Window:** ${invite.invite_leave_window_days > 0 ? `Taken back if they leave within ${invite.invite_leave_window_days} days` : 'Rewards are never taken back'}
+             `)
+    .setColor('Gold');
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('setup_economy_pay_btn').setLabel('Transfer Settings').setStyle(ButtonStyle.Primary).setEmoji('💸'),
+    new ButtonBuilder().setCustomId('setup_economy_market_btn').setLabel('Market Settings').setStyle(ButtonStyle.Primary).setEmoji('🏪'),
+    new ButtonBuilder().setCustomId('setup_economy_invites_btn').setLabel('Invite Rewards').setStyle(ButtonStyle.Primary).setEmoji('📨'),
+    new ButtonBuilder().setCustomId('setup_pricing_btn').setLabel('Pricing').setStyle(ButtonStyle.Primary).setEmoji('🏷️'),
+    new ButtonBuilder().setCustomId('setup_back_btn').setLabel('Back').setStyle(ButtonStyle.Secondary).setEmoji('⬅️')
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+async function buildActivityRewardsSetupPage(guildId) {
+  const settings = await getActivityRewardSettings(guildId);
+  const rules = await rewards.getRules(guildId);
+  const excluded = rules.filter(rule => rule.target_type === 'channel' && rule.multiplier === 0);
+  const channelRules = rules.filter(rule => rule.target_type === 'channel' && rule.multiplier > 0);
+  const roleRules = rules.filter(rule => rule.target_type === 'role');
+  const listRules = (list, mention) => list.length ? list.map(rule => `${mention(rule.target_id)} ×${rule.multiplier}`).join(', ') : 'None';
+
+  const embed = new EmbedBuilder()
+    .setTitle('💬 Activity Rewards')
+    .setDescription(`Members earn Sovereign Pounds for chatting and for time in voice. A channel multiplier also covers its threads, and on a category every channel in it; the member's best role multiplier stacks on top.
+
+             **Messages:** ${settings.message_reward_amount.toLocaleString('en-US')} 💰 per ${settings.message_reward_threshold.toLocaleString('en-US')} messages
+             **Voice:** ${settings.voice_reward_amount.toLocaleString('en-US')} 💰 per ${settings.voice_reward_minutes.toLocaleString('en-US')} minutes
+             **Daily Cap:** ${settings.activity_daily_cap > 0 ? `${settings.activity_daily_cap.toLocaleString('en-US')} 💰 per member` : 'Unlimited'}
+
+             **Channels That Earn Nothing:** ${excluded.length ? excluded.map(rule => `<#${rule.target_id}>`).join(', ') : 'None'}
+             **Channel Multipliers:** ${listRules(channelRules, id => `<#${id}>`)}
+             **Role Multipliers:** ${listRules(roleRules, id => `<@&${id}>`)}
+
+             **Message Cooldown:** ${settings.message_reward_cooldown_seconds > 0 ? `${settings.message_reward_cooldown_seconds}s between counted messages` : 'None'}
+             **Minimum Length:** ${settings.message_reward_min_length > 0 ? `${settings.message_reward_min_length} characters` : 'None'}
+             **Repeated Messages:** ${settings.message_reward_skip_duplicates ? 'Not counted' : 'Counted'}
+             **Emoji & Sticker-Only Messages:** ${settings.message_reward_skip_emoji ? 'Not counted' : 'Counted'}
+             **Spam Suspension:** ${settings.message_spam_threshold > 0 ? `At a spam score of ${settings.message_spam_threshold}, no message rewards for ${settings.message_spam_suspend_minutes} minutes` : 'Off'}
+             `.substring(0, 4096))
+    .setColor('Green');
+
+  const rewardChannelTypes = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildVoice, ChannelType.GuildStageVoice, ChannelType.GuildCategory, ChannelType.GuildForum];
+  const excludedSelect = new ChannelSelectMenuBuilder()
+    .setCustomId('select_rewards_excluded')
+    .setPlaceholder('Channels that earn nothing')
+    .setChannelTypes(rewardChannelTypes)
+    .setMinValues(0)
+    .setMaxValues(25);
+  if (excluded.length) excludedSelect.setDefaultChannels(excluded.slice(0, 25).map(rule => rule.target_id));
+
+  return {
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(excludedSelect),
+      new ActionRowBuilder().addComponents(
+        new ChannelSelectMenuBuilder().setCustomId('select_rewards_channel_multiplier').setPlaceholder('Set a channel multiplier').setChannelTypes(rewardChannelTypes)
+      ),
+      new ActionRowBuilder().addComponents(
+        new RoleSelectMenuBuilder().setCustomId('select_rewards_role_multiplier').setPlaceholder('Set a role multiplier')
+      ),
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('setup_rewards_amounts_btn').setLabel('Amounts & Cap').setStyle(ButtonStyle.Primary).setEmoji('💰'),
+        new ButtonBuilder().setCustomId('setup_rewards_antifarm_btn').setLabel('Anti-Farming').setStyle(ButtonStyle.Primary).setEmoji('🛡️'),
+        new ButtonBuilder().setCustomId('setup_rewards_toggle_duplicates').setLabel('Repeats').setStyle(settings.message_reward_skip_duplicates ? ButtonStyle.Success : ButtonStyle.Secondary).setEmoji('🔁'),
+        new ButtonBuilder().setCustomId('setup_rewards_toggle_emoji').setLabel('Emoji Only').setStyle(settings.message_reward_skip_emoji ? ButtonStyle.Success : ButtonStyle.Secondary).setEmoji('😀'),
+        new ButtonBuilder().setCustomId('setup_back_btn').setLabel('Back').setStyle(ButtonStyle.Secondary).setEmoji('⬅️')
+      ),
+    ],
+  };
+}
+
+// "50,000 per 10 💰", plus limits
+function describeResourcePrice(type) {
+  const limits = [
+    type.min_purchase > 0 ? `min ${type.min_purchase.toLocaleString('en-US')}` : null,
+    type.max_purchase > 0 ? `max ${type.max_purchase.toLocaleString('en-US')}` : null,
+  ].filter(Boolean);
+  return `${type.package_size.toLocaleString('en-US')} per ${type.package_price.toLocaleString('en-US')} 💰${limits.length ? ` (${limits.join(', ')})` : ''}`;
+}
+
+async function buildPricingSetupPage(guildId) {
+  const types = resources.listResourceTypes(guildId);
+
+  const lines = types.map(type => {
+    const { saleActive } = resources.getEffectiveRate(type);
+    const sale = saleActive ? `\n> 🏷️ **${type.sale_multiplier}× sale** until <t:${Math.floor(type.sale_ends_at.getTime() / 1000)}:f>` : '';
+    return `${type.emoji} **${type.name}**: ${describeResourcePrice(type)}${sale}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('🏷️ Resource Pricing')
+    .setDescription(`Set how much of each resource members get for their Sovereign Pounds, purchase limits, and temporary sales. Pick a resource below to edit it.
+
+${lines.length ? lines.join('\n') : 'This server has no resources yet. Add one with `/resource add`.'}`)
+    .setColor('Gold');
+
+  const components = [];
+  if (types.length) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('setup_pricing_select')
+        .setPlaceholder('Select a resource to price')
+        .addOptions(types.slice(0, 25).map(type => ({
+          label: `${type.emoji} ${type.name}`.substring(0, 100),
+          description: describeResourcePrice(type).replace('💰', 'pounds').substring(0, 100),
+          value: type.key
+        })))
+    ));
+  }
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('setup_pricing_history_btn').setLabel('Price History').setStyle(ButtonStyle.Secondary).setEmoji('📜'),
+    new ButtonBuilder().setCustomId('setup_economy_btn').setLabel('Back').setStyle(ButtonStyle.Secondary).setEmoji('⬅️')
+  ));
+
+  return { embeds: [embed], components };
+}
+
+async function buildPriceHistoryPage(guildId) {
+  const { rows } = await safeQuery('SELECT * FROM resource_price_history WHERE guild_id = $1 ORDER BY id DESC LIMIT 15', [guildId]);
+
+  const lines = rows.map(row => {
+    const { emoji, name } = resources.describeResource(guildId, row.resource);
+    const changedAt = Math.floor(new Date(row.created_at).getTime() / 1000);
+    const sale = row.sale_ends_at && row.sale_multiplier !== 1 ? ` • ${row.sale_multiplier}× sale until <t:${Math.floor(new Date(row.sale_ends_at).getTime() / 1000)}:f>` : '';
+    const by = row.changed_by ? ` • <@${row.changed_by}>` : '';
+    return `\`#${row.id}\` <t:${changedAt}:f>\n> ${emoji} **${name}**: ${Number(row.package_size).toLocaleString('en-US')} per ${row.package_price.toLocaleString('en-US')} 💰${sale}${by}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('📜 Price History')
+    .setDescription(lines.length ? `Resource purchases list the \`rate_#\` they were priced with in \`/transactions\`.\n\n${lines.join('\n')}` : 'No price changes yet.')
+    .setColor('Gold');
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('setup_pricing_btn').setLabel('Back').setStyle(ButtonStyle.Secondary).setEmoji('⬅️')
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+// --- Shop ---
+const SHOP_PAGE_SIZE = 10;
+const shopCoupons = new Map(); // `${guildId}:${userId}` -> coupon code entered with /shop
+const SHOP_SORTS = {
+  price: { label: 'Price: low to high', order: 'price ASC, LOWER(name) ASC' },
+  'price-desc': { label: 'Price: high to low', order: 'price DESC, LOWER(name) ASC' },
+  name: { label: 'Name', order: 'LOWER(name) ASC' },
+  newest: { label: 'Newest', order: 'id DESC' },
+};
+
+// Category for items added without one; the shop_items migration sorts old items the same way
+function defaultShopCategory(item) {
+  if (item.resource_type) return 'Resources';
+  if (item.role_id || item.effect_type === 'role') return 'Roles';
+  if (item.requires_ticket || item.effect_type === 'ticket') return 'Services';
+  if (item.effect_type) return 'Boosts';
+  return 'General';
+}
+
+// "30m", "12h" or "1d" to minutes; "0" or "none" clears the cooldown. Null when invalid.
+function parseCooldownMinutes(input) {
+  const value = input.trim().toLowerCase();
+  if (value === '0' || value === 'none') return 0;
+  const ms = parseDuration(value);
+  return ms ? Math.max(1, Math.round(ms / 60000)) : null;
+}
+
+// Requirement and limit lines for the /shop listing, empty without any
+function describePurchaseRules(item) {
+  const requirements = [];
+  if (item.required_role_id) requirements.push(`<@&${item.required_role_id}> only`);
+  if (item.min_level > 0) requirements.push(`Level ${item.min_level}+`);
+
+  const limits = [];
+  if (item.limit_total > 0) limits.push(`${item.limit_total} per member`);
+  if (item.limit_daily > 0) limits.push(`${item.limit_daily} per day`);
+  if (item.limit_weekly > 0) limits.push(`${item.limit_weekly} per week`);
+  if (item.cooldown_minutes > 0) limits.push(`${describeDurationMs(item.cooldown_minutes * 60000)} cooldown`);
+
+  return (requirements.length ? `\n> 🔒 ${requirements.join(' • ')}` : '') + (limits.length ? `\n> ⏱️ ${limits.join(' • ')}` : '');
+}
+
+// Ids are assigned by hand for Postgres compatibility without a sequence. Returns the new id.
+async function addShopItem(guildId, item) {
+  const { rows: maxRows } = await safeQuery('SELECT MAX(id) as max_id FROM shop_items');
+  const fields = { id: (maxRows[0]?.max_id || 0) + 1, guild_id: guildId, ...item };
+  const columns = Object.keys(fields);
+  await safeQuery(
+    `INSERT INTO shop_items (${columns.join(', ')}) VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})`,
+    Object.values(fields)
+  );
+  return fields.id;
+}
+
+// An item picked from autocomplete (its id) or typed by name
+async function findShopItem(guildId, input) {
+  const value = String(input || '').trim();
+  if (/^\d+$/.test(value)) {
+    const { rows } = await safeQuery('SELECT * FROM shop_items WHERE guild_id = $1 AND id = $2', [guildId, parseInt(value)]);
+    if (rows.length) return rows[0];
+  }
+  const { rows } = await safeQuery('SELECT * FROM shop_items WHERE guild_id = $1 AND LOWER(name) = $2 ORDER BY id ASC LIMIT 1', [guildId, value.toLowerCase()]);
+  return rows[0] || null;
+}
+
+// Autocomplete choices for this server's items, hidden ones included
+async function getShopItemChoices(guildId, focusedValue) {
+  const { rows } = await safeQuery('SELECT id, name, emoji, price, hidden, disabled FROM shop_items WHERE guild_id = $1 ORDER BY LOWER(name)', [guildId]);
+  return rows
+    .filter(row => row.name.toLowerCase().includes(focusedValue))
+    .slice(0, 25)
+    .map(row => ({
+      name: `${row.emoji || '🛍️'} ${row.name} (${row.price.toLocaleString('en-US')} 💰)${row.hidden ? ' • hidden' : ''}${row.disabled ? ' • disabled' : ''}`.substring(0, 100),
+      value: row.id.toString()
+    }));
+}
+
+// Everything that changes what a member pays, loaded once per page or purchase.
+// A coupon entered with /shop that can no longer be used is dropped.
+async function getShopPromotions(guildId, member) {
+  const sales = await promotions.getActiveSales(guildId);
+  const roleDiscounts = await promotions.getRoleDiscounts(guildId);
+  const roleIds = [...member.roles.cache.keys()];
+
+  const couponKey = `${guildId}:${member.id}`;
+  let coupon = shopCoupons.has(couponKey) ? await promotions.getCoupon(guildId, shopCoupons.get(couponKey)) : null;
+  if (coupon && promotions.getCouponProblem(coupon)) coupon = null;
+  if (!coupon) shopCoupons.delete(couponKey);
+
+  return { sales, roleDiscounts, roleIds, coupon };
+}
+
+// "~~100~~ **80** 💰", or just the price without a discount
+function describeShopPrice(quote) {
+  if (quote.discount <= 0) return `**${quote.original.toLocaleString('en-US')}** 💰`;
+  return `~~${quote.original.toLocaleString('en-US')}~~ **${quote.price.toLocaleString('en-US')}** 💰`;
+}
+
+// "20% sale, 10% @Booster discount, coupon SPRING (-5)"
+function describeDiscounts(quote) {
+  return quote.parts.map(part => {
+    if (part.kind === 'sale') return `${part.percent}% sale`;
+    if (part.kind === 'role') return `${part.percent}% <@&${part.roleId}> discount`;
+    return `coupon ${part.code} (-${part.saved.toLocaleString('en-US')})`;
+  }).join(', ');
+}
+
+// "10% off Roles, expires <t:…:R>, 1 use per member"
+function describeCoupon(coupon, item = null) {
+  const amount = coupon.discount_type === 'percent' ? `${coupon.value}% off` : `${coupon.value.toLocaleString('en-US')} 💰 off`;
+  const scope = coupon.item_id ? ` ${item ? item.name : `item #${coupon.item_id}`}` : (coupon.category ? ` ${coupon.category}` : '');
+  const expiry = coupon.expires_at ? `, expires <t:${Math.floor(new Date(coupon.expires_at).getTime() / 1000)}:R>` : '';
+  const perUser = coupon.per_user_limit > 0 ? `, ${coupon.per_user_limit} use${coupon.per_user_limit === 1 ? '' : 's'} per member` : '';
+  return `${amount}${scope}${expiry}${perUser}`;
+}
+
+// One page of /shop. Category and sort ride along in the component IDs, with
+// the category last since it may contain "_".
+async function buildShopPage(guildId, member, { category = '', sort = 'price', page = 0 } = {}) {
+  if (!SHOP_SORTS[sort]) sort = 'price';
+  const userId = member.id;
+  const promos = await getShopPromotions(guildId, member);
+  const { rows: categoryRows } = await safeQuery('SELECT DISTINCT category FROM shop_items WHERE guild_id = $1 AND hidden = 0 ORDER BY category ASC', [guildId]);
+  const categories = categoryRows.map(row => row.category).filter(Boolean);
+
+  const { rows: items } = category
+    ? await safeQuery(`SELECT * FROM shop_items WHERE guild_id = $1 AND hidden = 0 AND category = $2 ORDER BY ${SHOP_SORTS[sort].order}`, [guildId, category])
+    : await safeQuery(`SELECT * FROM shop_items WHERE guild_id = $1 AND hidden = 0 ORDER BY ${SHOP_SORTS[sort].order}`, [guildId]);
+  const pageCount = Math.max(1, Math.ceil(items.length / SHOP_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
+  const pageItems = items.slice(page * SHOP_PAGE_SIZE, (page + 1) * SHOP_PAGE_SIZE);
+
+  const { rows: userRows } = await safeQuery('SELECT balance FROM users WHERE guild_id = $1 AND id = $2', [guildId, userId]);
+  const balance = userRows[0]?.balance || 0;
+
+  let description = `Select an item below to purchase.\n\n💰 **Your Balance:** ${balance.toLocaleString('en-US')} 💰\n\n`;
+  const promoLines = [
+    ...promos.sales.map(sale => `🔥 **${sale.percent}% off ${sale.category || 'everything'}** — ends <t:${Math.floor(new Date(sale.ends_at).getTime() / 1000)}:R>`),
+    ...promos.roleDiscounts.filter(discount => promos.roleIds.includes(discount.role_id)).slice(0, 1)
+      .map(discount => `🏷️ Your <@&${discount.role_id}> role takes **${discount.percent}%** off`),
+    ...(promos.coupon ? [`🎟️ Coupon **${promos.coupon.code}** applied${promos.coupon.item_id || promos.coupon.category ? ' to eligible items' : ''}`] : []),
+  ];
+  if (promoLines.length) description += `${promoLines.join('\n')}\n\n`;
+  if (pageItems.length > 0) {
+    description += `**__${category || 'Available Items'}__**\n`;
+    pageItems.forEach(item => {
+      const stockDisplay = item.disabled ? '🚫 Unavailable' : (item.stock === -1 ? '♾️ Infinite' : item.stock);
+      const itemDesc = item.description ? `\n> *${item.description}*` : '';
+      const effectDesc = item.effect_type ? `\n> ✨ ${describeItemEffect(item)}` : '';
+      const roleDesc = item.role_id && item.role_duration_days > 0 ? `\n> ⏳ <@&${item.role_id}> for ${item.role_duration_days} day${item.role_duration_days === 1 ? '' : 's'}` : '';
+      const quote = promotions.quotePrice({ item, ...promos });
+      description += `> ${item.emoji || '📦'} **${item.name}** — ${describeShopPrice(quote)}\n> 📦 Stock: ${stockDisplay}${itemDesc}${roleDesc}${effectDesc}${describePurchaseRules(item)}\n\n`;
+    });
+  } else {
+    description += category ? `\n🚫 Nothing is listed under **${category}**.` : '\n🚫 The shop is currently empty.';
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor('Blue')
+    .setTitle(`💰 Sovereign Empire Shop${category ? ` • ${category}` : ''}`)
+    .setDescription(description.substring(0, 4096))
+    .setFooter({ text: `Page ${page + 1}/${pageCount} • ${items.length} item${items.length === 1 ? '' : 's'} • ${SHOP_SORTS[sort].label}` });
+
+  const components = [];
+  if (categories.length > 1) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`shop_category_select_${sort}`)
+        .setPlaceholder('Choose a category...')
+        .addOptions(
+          [{ label: 'All categories', value: '*', default: !category }]
+            .concat(categories.slice(0, 24).map(name => ({ label: name, value: name, default: name === category })))
+        )
+    ));
+  }
+
+  const forSale = pageItems.filter(item => !item.disabled);
+  if (forSale.length > 0) {
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId('shop_buy_select')
+      .setPlaceholder('Browse the catalog...');
+    forSale.forEach(item => {
+      // StringSelectMenuOptionBuilder setEmoji takes a custom emoji ID or a unicode emoji
+      let emojiIdOrChar = '📦';
+      if (item.emoji) {
+        const match = item.emoji.match(/:(\d+)>/);
+        emojiIdOrChar = match ? match[1] : item.emoji;
+      }
+      selectMenu.addOptions(
+        new StringSelectMenuOptionBuilder()
+          .setLabel(`${item.name}`.substring(0, 100))
+          .setValue(item.id.toString())
+          .setDescription(`${promotions.quotePrice({ item, ...promos }).price.toLocaleString('en-US')} 💰 - ${item.description || ''}`.substring(0, 100))
+          .setEmoji(emojiIdOrChar)
+      );
+    });
+    components.push(new ActionRowBuilder().addComponents(selectMenu));
+  }
+
+  if (items.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`shop_sort_select_${category}`)
+        .setPlaceholder('Sort by...')
+        .addOptions(Object.entries(SHOP_SORTS).map(([value, { label }]) => ({ label, value, default: value === sort })))
+    ));
+  }
+
+  if (pageCount > 1) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`shop_page_${page - 1}_${sort}_${category}`).setLabel('◀ Previous').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+      new ButtonBuilder().setCustomId(`shop_page_${page + 1}_${sort}_${category}`).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pageCount - 1)
+    ));
+  }
+
+  return { embeds: [embed], components };
+}
+
+// --- Invites ---
+function toCachedInvite(invite) {
+  return { uses: invite.uses || 0, maxUses: invite.maxUses || 0, inviterId: invite.inviterId || invite.inviter?.id || null };
+}
+
+// Needs Manage Server; without it every join counts as unknown
+async function cacheGuildInvites(guild) {
+  try {
+    const fetched = await guild.invites.fetch();
+    cachedInvites.set(guild.id, new Map(fetched.map(invite => [invite.code, toCachedInvite(invite)])));
+  } catch (err) {
+    console.log(`Failed to fetch invites for guild ${guild.name}: ${err.message}`);
+  }
+  if (guild.vanityURLCode) {
+    const vanity = await guild.fetchVanityData().catch(() => null);
+    if (vanity) cachedVanityUses.set(guild.id, vanity.uses);
+  }
+}
+
+// Lookups diff against the cache, so joins in one server are handled one at a time
+function queueInviteLookup(guildId, task) {
+  const run = (inviteQueues.get(guildId) || Promise.resolve()).catch(() => { }).then(task);
+  inviteQueues.set(guildId, run);
+  return run;
+}
 
-// --- Healthchecks.io Ping ---
-function setupHealthchecksPing() {
-  const healthcheckUrl = process.env.HEALTHCHECK_URL;
-  if (!healthcheckUrl) {
-    console.log('HEALTHCHECK_URL not found, skipping Healthchecks.io setup.');
-    return;
+// Which invite a member just joined through: { kind: 'invite', code, inviterId },
+// { kind: 'vanity', code } or { kind: 'unknown', why }
+async function findUsedInvite(guild) {
+  const before = cachedInvites.get(guild.id) || new Map();
+  let fetched;
+  try {
+    fetched = await guild.invites.fetch();
+  } catch (err) {
+    return { kind: 'unknown', why: 'the bot cannot see this server\'s invites' };
   }
+  const after = new Map(fetched.map(invite => [invite.code, toCachedInvite(invite)]));
+  cachedInvites.set(guild.id, after);
 
-  console.log('Setting up ping to Healthchecks.io...');
-  // Ping immediately on start and then every 50 seconds
-  const ping = () => {
-    fetch(healthcheckUrl)
-      .then(res => {
-        if (res.ok) {
-          console.log(`[${new Date().toUTCString()}] Successfully pinged Healthchecks.io.`);
-        } else {
-          console.error(`[${new Date().toUTCString()}] Failed to ping Healthchecks.io. Status: ${res.status}`);
-        }
-      })
-      .catch(err => console.error('Failed to ping Healthchecks.io:', err.message));
+  const used = [...after].filter(([code, invite]) => invite.uses > (before.get(code)?.uses || 0));
+  if (used.length === 1) {
+    const [code, invite] = used[0];
+    return { kind: 'invite', code, inviterId: invite.inviterId };
+  }
+  if (used.length > 1) return { kind: 'unknown', why: 'several invites were used at once' };
+
+  if (guild.vanityURLCode) {
+    const vanity = await guild.fetchVanityData().catch(() => null);
+    if (vanity) {
+      const previous = cachedVanityUses.get(guild.id);
+      cachedVanityUses.set(guild.id, vanity.uses);
+      if (previous !== undefined && vanity.uses > previous) return { kind: 'vanity', code: vanity.code };
+    }
+  }
+
+  // A limited invite is deleted as soon as its last use is taken
+  const spent = [...before].filter(([code, invite]) => !after.has(code) && invite.maxUses > 0 && invite.uses + 1 >= invite.maxUses);
+  if (spent.length === 1) {
+    const [code, invite] = spent[0];
+    return { kind: 'invite', code, inviterId: invite.inviterId };
+  }
+  return { kind: 'unknown', why: 'no invite use changed' };
+}
+
+async function getInviteSettings(guildId) {
+  const { rows } = await safeQuery(
+    'SELECT invite_reward, invite_leave_window_days, invite_min_account_days, invite_hold_days, invite_min_messages FROM guild_configs WHERE guild_id = $1',
+    [guildId]
+  );
+  const config = rows[0] || {};
+  return {
+    invite_reward: config.invite_reward ?? 20,
+    invite_leave_window_days: config.invite_leave_window_days ?? 7,
+    invite_min_account_days: config.invite_min_account_days ?? 7,
+    invite_hold_days: config.invite_hold_days ?? 3,
+    invite_min_messages: config.invite_min_messages ?? 5,
   };
+}
 
-  ping();
-  setInterval(ping, 50 * 1000); // 50 seconds
+// What a new member must do before their inviter is paid, for /invites and /help
+function describeInviteChecks(settings) {
+  const checks = [
+    settings.invite_min_account_days > 0 ? `their account is ${settings.invite_min_account_days}+ days old` : null,
+    settings.invite_hold_days > 0 ? `they stay ${settings.invite_hold_days} days` : null,
+    settings.invite_min_messages > 0 ? `they send ${settings.invite_min_messages} messages` : null,
+  ].filter(Boolean);
+  return checks.length ? `Paid once ${checks.join(', ')}.` : 'Paid as soon as they join.';
 }
 
+function describeInviteRecord(record) {
+  const joinedAt = new Date(record.joined_at || record.first_invited_at);
+  const when = `<t:${Math.floor(joinedAt.getTime() / 1000)}:R>`;
+  const notes = {
+    pending: record.confirm_at ? ` • checked <t:${Math.floor(new Date(record.confirm_at).getTime() / 1000)}:R>` : '',
+    confirmed: record.left_at ? ' • has left' : '',
+    fake: record.fake_reason ? ` • ${record.fake_reason}` : '',
+    left: '',
+  };
+  return `${invites.STATUSES[record.status] || record.status} <@${record.invited_member_id}> ${when}${notes[record.status] || ''}`;
+}
 
-// --- Giveaway Functions ---
-async function updateGiveawayEmbed(giveawayId, participantCount) {
-  try {
-    const { rows } = await db.query('SELECT * FROM giveaways WHERE id = $1', [giveawayId]);
-    if (rows.length === 0) return;
+async function buildInviteLeaderboard(guildId, userId) {
+  const ranking = await invites.getLeaderboard(guildId);
+  const lines = ranking.slice(0, 10).map((row, i) => `${['🥇', '🥈', '🥉'][i] || `**${i + 1}.**`} <@${row.user_id}> - **${row.invites.toLocaleString('en-US')}** invites`);
 
-    const giveaway = rows[0];
-    const channel = await client.channels.fetch(giveaway.channel_id);
-    if (!channel) return;
+  const rankIndex = ranking.findIndex(row => row.user_id === userId);
+  if (rankIndex >= 10) {
+    lines.push('...', `**${rankIndex + 1}.** <@${userId}> - **${ranking[rankIndex].invites.toLocaleString('en-US')}** invites`);
+  }
 
-    // Find the giveaway message
-    const messages = await channel.messages.fetch({ limit: 50 });
-    const giveawayMessage = messages.find(msg =>
-      msg.embeds.length > 0 &&
-      msg.embeds[0].footer &&
-      msg.embeds[0].footer.text &&
-      msg.embeds[0].footer.text.includes(giveawayId)
-    );
+  return new EmbedBuilder()
+    .setTitle('📨 Invites Leaderboard')
+    .setDescription(lines.length ? lines.join('\n') : 'No one has invited anyone yet!')
+    .setColor('Gold');
+}
 
-    if (!giveawayMessage) return;
+async function trackInviteJoin(member) {
+  const guild = member.guild;
+  const used = await queueInviteLookup(guild.id, () => findUsedInvite(guild));
+  if (member.user.bot) return;
 
-    // Create updated embed
-    const prizePerWinner = Math.floor((giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count) / giveaway.winner_count);
+  if (used.kind === 'vanity') {
+    return logActivity('📨 Member Joined', `<@${member.id}> joined through the vanity URL \`${used.code}\`. No one is credited.`, 'Blue', null, guild.id);
+  }
+  if (used.kind === 'unknown' || !used.inviterId) {
+    return logActivity('📨 Member Joined', `<@${member.id}> joined, but the invite could not be found (${used.why || 'the invite has no creator'}). No one is credited.`, 'Blue', null, guild.id);
+  }
+  if (used.inviterId === member.id) {
+    return logActivity('📨 Member Joined', `<@${member.id}> joined through their own invite \`${used.code}\`. No one is credited.`, 'Blue', null, guild.id);
+  }
 
-    // Check if there are enough participants and set appropriate color/warning
-    const hasEnoughParticipants = participantCount >= giveaway.winner_count;
-    const embedColor = hasEnoughParticipants ? 'Gold' : 'Orange';
-    const warningText = !hasEnoughParticipants ? `\n\n⚠️ **Warning:** Need at least ${giveaway.winner_count} participants! (Currently: ${participantCount})` : '';
+  const settings = await getInviteSettings(guild.id);
+  const accountDays = (Date.now() - member.user.createdTimestamp) / (24 * 60 * 60 * 1000);
+  const fakeReason = accountDays < settings.invite_min_account_days ? `account was ${Math.floor(accountDays)} days old` : null;
+
+  const record = await invites.recordInvite({
+    guildId: guild.id,
+    inviterId: used.inviterId,
+    memberId: member.id,
+    code: used.code,
+    reward: settings.invite_reward,
+    holdDays: settings.invite_hold_days,
+    fakeReason,
+  });
+  if (!record) {
+    await invites.markRejoined(guild.id, member.id);
+    return logActivity('📨 Member Rejoined', `<@${member.id}> joined through <@${used.inviterId}>'s invite \`${used.code}\` again, so there is no new reward.`, 'Blue', null, guild.id);
+  }
+  if (record.status === 'fake') {
+    return logActivity('🚫 Fake Invite', `<@${member.id}> joined through <@${used.inviterId}>'s invite \`${used.code}\`, but ${record.fake_reason}. No reward is paid; staff can approve it with \`/invite-review approve\`.`, 'Orange', null, guild.id);
+  }
 
-    const updatedEmbed = new EmbedBuilder()
-      .setTitle('🎉 Giveaway! 🎉')
-      .setDescription(`**Total Prize:** ${(giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count).toLocaleString('en-US')} 💰\n**Prize per Winner:** ${prizePerWinner.toLocaleString('en-US')} 💰\n**Entry Cost:** ${giveaway.entry_cost.toLocaleString('en-US')} 💰\n**Participants:** ${participantCount}\n**Winners:** ${giveaway.winner_count}\n**Ends:** <t:${Math.floor(new Date(giveaway.end_time).getTime() / 1000)}:R>${warningText}`)
-      .setColor(embedColor)
-      .setFooter({ text: `Giveaway ID: ${giveawayId}` })
-      .setTimestamp();
+  scheduler.schedule('invite_hold', `${guild.id}:${member.id}`, record.confirm_at);
+  logActivity('📨 Member Invited', `<@${used.inviterId}> invited <@${member.id}> with \`${used.code}\`. The **${settings.invite_reward.toLocaleString('en-US')}** 💰 reward is pending. ${describeInviteChecks(settings)}`, 'Blue', null, guild.id);
+}
 
-    const joinButton = new ButtonBuilder()
-      .setCustomId(`join_giveaway_${giveawayId}`)
-      .setLabel(`Join Giveaway (${giveaway.entry_cost.toLocaleString('en-US')} 💰)`)
-      .setStyle(ButtonStyle.Primary)
-      .setEmoji('🎁');
+// Scheduled at the end of a pending invite's hold, then hourly until the member
+// has sent enough messages
+async function runInviteHold(jobId) {
+  const [guildId, memberId] = String(jobId).split(':');
+  const guild = client.guilds.cache.get(guildId);
+  const member = guild && await guild.members.fetch(memberId).catch(err => {
+    if (err.code === 10007) return null; // Unknown Member
+    throw err;
+  });
+  const settings = await getInviteSettings(guildId);
 
-    const row = new ActionRowBuilder().addComponents(joinButton);
+  // Left while the bot was offline, or the bot has left the server
+  if (!member) {
+    await invites.recordLeave({ guildId, memberId, windowDays: settings.invite_leave_window_days });
+    return;
+  }
 
-    await giveawayMessage.edit({ embeds: [updatedEmbed], components: [row] });
+  const recheckAt = new Date(Date.now() + INVITE_RECHECK_MS);
+  const result = await invites.checkPendingInvite({ guildId, memberId, minMessages: settings.invite_min_messages, recheckAt });
+  if (!result) return;
+  if (!result.confirmed) {
+    scheduler.schedule('invite_hold', jobId, recheckAt);
+    return;
+  }
+  logActivity('📨 Invite Reward', `<@${result.record.inviter_id}> received **${Number(result.record.reward).toLocaleString('en-US')}** 💰 for inviting <@${memberId}>.`, 'Green', null, guildId);
+}
 
-  } catch (error) {
-    console.error('Error updating giveaway embed:', error);
+async function trackInviteLeave(member) {
+  const settings = await getInviteSettings(member.guild.id);
+  scheduler.cancel('invite_hold', `${member.guild.id}:${member.id}`);
+  const result = await invites.recordLeave({ guildId: member.guild.id, memberId: member.id, windowDays: settings.invite_leave_window_days });
+  if (!result) return;
+
+  const { record, wasPending, reversed } = result;
+  if (wasPending) {
+    return logActivity('📨 Pending Invite Closed', `<@${member.id}> left before <@${record.inviter_id}>'s invite reward was paid.`, 'Orange', null, member.guild.id);
   }
+  const shortfall = Number(record.reward) - reversed;
+  logActivity(
+    '📨 Invite Reward Reversed',
+    `<@${member.id}> left within ${settings.invite_leave_window_days} days of joining, so <@${record.inviter_id}> lost the invite and **${reversed.toLocaleString('en-US')}** 💰.${shortfall > 0 ? ` The other **${shortfall.toLocaleString('en-US')}** 💰 had already been spent.` : ''}`,
+    'Orange', null, member.guild.id
+  );
 }
 
-async function cancelGiveaway(giveawayId, reason = 'Cancelled') {
-  try {
-    const { rows } = await db.query('SELECT * FROM giveaways WHERE id = $1 AND ended = FALSE', [giveawayId]);
-    if (rows.length === 0) return;
+// --- Voice Sessions ---
+// Why the member's voice time is not counting right now, or null if it is
+function getVoiceIdleReason(state) {
+  if (!state.channel) return 'not in voice';
+  if (state.channelId === state.guild.afkChannelId) return 'in the AFK channel';
+  if (state.deaf) return 'deafened';
+  if (state.mute) return 'muted';
+  if (!state.channel.members.some(m => !m.user.bot && m.id !== state.id)) return 'alone in the channel';
+  return null;
+}
 
-    const giveaway = rows[0];
-    const participants = giveaway.participants || [];
+// Adds voice minutes spent in `channel` to the member's total, their voice
+// reward progress and their XP
+async function creditVoiceMinutes(member, channel, minutes) {
+  const guildId = member.guild.id;
+  await economy.ensureUser(guildId, member.id);
+  await db.query(`
+    INSERT INTO voice_times (guild_id, user_id, minutes, rewarded_minutes)
+    VALUES ($1, $2, $3, 0)
+    ON CONFLICT (guild_id, user_id)
+    DO UPDATE SET minutes = voice_times.minutes + $3
+  `, [guildId, member.id, minutes]);
+
+  const settings = await getActivityRewardSettings(guildId);
+  const multiplier = rewards.getMultiplier(await rewards.getRules(guildId), getRewardChannelIds(channel), [...member.roles.cache.keys()]);
+  const result = multiplier > 0 ? await rewards.addProgress({
+    guildId,
+    userId: member.id,
+    kind: 'voice',
+    progress: minutes * multiplier,
+    amount: settings.voice_reward_amount,
+    threshold: settings.voice_reward_minutes,
+    dailyCap: settings.activity_daily_cap,
+  }) : { units: 0 };
+
+  if (result.units > 0) {
+    const capNote = result.capped ? ` (daily cap of ${settings.activity_daily_cap.toLocaleString('en-US')} 💰 reached)` : '';
+    logActivity('🎙️ Voice Reward', `<@${member.id}> received **${result.paid.toLocaleString('en-US')}** 💰 for spending ${describeDurationMs(result.units * settings.voice_reward_minutes * 60 * 1000)} in voice channels${capNote}.`, 'Green', null, guildId);
+  }
+
+  const { rows: configRows } = await safeQuery('SELECT xp_rate_voice FROM guild_configs WHERE guild_id = $1', [guildId]);
+  const xpToGive = Math.floor(minutes * (configRows[0]?.xp_rate_voice || 10));
+  if (xpToGive > 0) {
+    await addXp(guildId, member.id, xpToGive);
+  }
+}
+
+// Counts the session's whole minutes since it was last accrued, as spent in
+// `state`. Time while the member could not earn is skipped; a part minute
+// carries over to the next accrual.
+async function accrueVoiceSession(session, state, now = Date.now()) {
+  if (!voiceSessionsResumed) return;
+  if (!state.member || getVoiceIdleReason(state)) {
+    await voice.advanceSession(session, new Date(now));
+    return;
+  }
+  const since = new Date(session.last_accrued_at).getTime();
+  const minutes = Math.floor((now - since) / 60000);
+  if (minutes < 1) return;
+  if (!(await voice.advanceSession(session, new Date(since + minutes * 60000)))) return;
+  await creditVoiceMinutes(state.member, state.channel, minutes);
+}
 
-    // Refund all participants their entry cost
-    for (const participantId of participants) {
-      await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [participantId]);
-      await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [giveaway.entry_cost, participantId]);
+async function accrueVoiceSessions() {
+  const now = Date.now();
+  for (const session of await voice.getSessions()) {
+    const state = client.guilds.cache.get(session.guild_id)?.voiceStates.cache.get(session.user_id);
+    // Leaves and switches are settled by voiceStateUpdate
+    if (!state || state.channelId !== session.channel_id) continue;
+    try {
+      await accrueVoiceSession(session, state, now);
+    } catch (err) {
+      console.error(`Failed to count voice time for ${session.user_id}:`, err);
     }
+  }
+}
 
-    // Return the original prize amount to pool (if no participants joined)
-    if (participants.length === 0) {
-      await db.query('UPDATE server_stats SET pool_balance = pool_balance + $1 WHERE id = $2', [giveaway.entry_cost * giveaway.winner_count, giveaway.guild_id]);
+// Picks up open sessions after a restart. Time while the bot was offline is not
+// counted; members who left meanwhile are closed and ones who joined are opened.
+async function resumeVoiceSessions() {
+  const now = new Date();
+  const open = new Map((await voice.getSessions()).map(session => [`${session.guild_id}:${session.user_id}`, session]));
+  for (const guild of client.guilds.cache.values()) {
+    for (const state of guild.voiceStates.cache.values()) {
+      if (!state.channelId || !state.member || state.member.user.bot) continue;
+      const key = `${guild.id}:${state.id}`;
+      const session = open.get(key);
+      open.delete(key);
+      if (session?.channel_id === state.channelId) {
+        await voice.advanceSession(session, now);
+      } else {
+        await voice.openSession(guild.id, state.id, state.channelId, now);
+      }
     }
+  }
+  for (const session of open.values()) {
+    if (client.guilds.cache.has(session.guild_id)) await voice.closeSession(session.guild_id, session.user_id);
+  }
+  voiceSessionsResumed = true;
+}
+
+// --- Orders ---
+// Claim, fulfil and refund buttons for the order thread. Giveaway prizes cost nothing to refund.
+function buildOrderButtons(order) {
+  const open = orders.OPEN_STATUSES.includes(order.status);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`order_claim_${order.id}`).setLabel(order.claimed_by ? 'Claimed' : 'Claim').setStyle(ButtonStyle.Primary).setEmoji('🛠️').setDisabled(!open || Boolean(order.claimed_by)),
+    new ButtonBuilder().setCustomId(`order_fulfill_${order.id}`).setLabel('Mark Fulfilled').setStyle(ButtonStyle.Success).setEmoji('✅').setDisabled(!open)
+  );
+  if (order.source !== 'giveaway') {
+    row.addComponents(
+      new ButtonBuilder().setCustomId(`order_refund_${order.id}`).setLabel('Refund').setStyle(ButtonStyle.Danger).setEmoji('↩️').setDisabled(!open)
+    );
+  }
+  return row;
+}
 
-    // Mark giveaway as ended
-    await db.query('UPDATE giveaways SET ended = TRUE WHERE id = $1', [giveawayId]);
+// "#12 • Logo Design • 50 💰 • 🕒 Pending • <t:…:R>"
+function describeOrder(order) {
+  const status = orders.STATUSES[order.status] || order.status;
+  const price = order.price > 0 ? ` • ${Number(order.price).toLocaleString('en-US')} 💰` : (order.source === 'giveaway' ? ' • 🎁 Giveaway' : '');
+  const thread = order.thread_id && orders.OPEN_STATUSES.includes(order.status) ? ` • <#${order.thread_id}>` : '';
+  return `**#${order.id}** • ${order.item_name}${price} • ${status} • <t:${Math.floor(new Date(order.created_at).getTime() / 1000)}:R>${thread}`;
+}
 
-    // Send cancellation message to the channel
+// Saves the order thread's transcript the way a closed ticket's is saved, then deletes the thread
+async function closeOrderThread(interaction, order, reason) {
+  const transcriptFile = await generateTranscriptFile(interaction, { user_id: order.user_id }, reason);
+  try {
+    await db.query(
+      'INSERT INTO ticket_transcripts (channel_id, guild_id, user_id, transcript, reason, closed_by, closed_at) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+      [interaction.channelId, interaction.guildId, order.user_id, transcriptFile.attachment.toString('utf-8'), reason, interaction.user.id, new Date()]
+    );
+  } catch (err) {
+    console.error('Error saving order transcript:', err);
+  }
+
+  logActivity(
+    order.status === 'refunded' ? '↩️ Order Refunded' : '✅ Order Fulfilled',
+    `**Order:** #${order.id} (${order.item_name})\n**Member:** <@${order.user_id}>\n**Closed by:** <@${interaction.user.id}>\n**Reason:** ${reason}\n\n*Transcript attached.*`,
+    order.status === 'refunded' ? 'Orange' : 'Green',
+    transcriptFile,
+    interaction.guildId
+  );
+
+  setTimeout(async () => {
     try {
-      const channel = await client.channels.fetch(giveaway.channel_id);
-      if (channel) {
-        const embed = new EmbedBuilder()
-          .setTitle('❌ Giveaway Cancelled')
-          .setDescription(`**Prize:** ${giveaway.prize}\n**Reason:** ${reason}\n**Participants:** ${participants.length}\n\n${participants.length > 0 ? `All participants have been refunded **${giveaway.entry_cost.toLocaleString('en-US')}** 💰 each.` : 'No participants joined this giveaway.'}`)
-          .setColor('Red')
-          .setTimestamp();
-        await channel.send({ embeds: [embed] });
-      }
-    } catch (error) {
-      console.error('Error sending giveaway cancellation message:', error);
+      await interaction.channel.delete();
+    } catch (err) {
+      console.error('Failed to delete order thread:', err);
     }
+  }, 5000);
+}
 
-    logActivity('❌ Giveaway Cancelled', `Giveaway **${giveaway.prize}** was cancelled (${reason}). ${participants.length} participants refunded.`, 'Red');
+// --- Inventory ---
+// "2× XP for 3 days", "Grants @Role for 7 days"
+function describeItemEffect(item) {
+  const days = Number(item.effect_days) || 0;
+  const duration = `for ${days} day${days === 1 ? '' : 's'}`;
+  switch (item.effect_type) {
+    case 'role': return `Grants <@&${item.effect_role_id}> ${days > 0 ? duration : 'permanently'}`;
+    case 'xp_boost': return `${item.effect_multiplier}× XP ${duration}`;
+    case 'daily_multiplier': return `${item.effect_multiplier}× daily reward ${duration}`;
+    case 'ticket': return 'Opens a ticket with staff';
+    default: return null;
+  }
+}
 
-  } catch (error) {
-    console.error('Error cancelling giveaway:', error);
+// --- Timed Roles ---
+function scheduleRoleGrant(grant) {
+  scheduler.schedule('role_grant_expiry', grant.id, grant.expiresAt);
+  if (!grant.reminded) {
+    scheduler.schedule('role_grant_reminder', grant.id, new Date(grant.expiresAt.getTime() - subscriptions.REMINDER_LEAD_MS));
   }
 }
 
-async function endGiveaway(giveawayId) {
-  try {
-    const { rows } = await db.query('SELECT * FROM giveaways WHERE id = $1 AND ended = FALSE', [giveawayId]);
-    if (rows.length === 0) return;
+function describeRoleGrant(role, grant) {
+  return `${grant.renewed ? 'Extended' : 'Assigned'} role **${role.name}** until <t:${Math.floor(grant.expiresAt.getTime() / 1000)}:f>.`;
+}
 
-    const giveaway = rows[0];
-    const participants = giveaway.participants || [];
+// Tracks the role a shop item grants. Timed roles get a grant (renewals add to the
+// time left); a permanent one drops any running grant so the role no longer expires.
+async function recordItemRole(guildId, userId, item, source) {
+  const days = Number(item.role_duration_days) || 0;
+  if (days <= 0) {
+    await subscriptions.removeGrant({ guildId, userId, roleId: item.role_id });
+    return null;
+  }
+  const grant = await subscriptions.grantTimedRole({ guildId, userId, roleId: item.role_id, days, source, itemId: item.id });
+  scheduleRoleGrant(grant);
+  return grant;
+}
 
-    if (participants.length === 0) {
-      // No participants, refund to pool
-      await db.query('UPDATE server_stats SET pool_balance = pool_balance + $1 WHERE id = $2', [giveaway.entry_cost * giveaway.winner_count, giveaway.guild_id]);
-      await db.query('UPDATE giveaways SET ended = TRUE WHERE id = $1', [giveawayId]);
+async function remindRoleGrant(grantId) {
+  const grant = await subscriptions.claimReminder(grantId);
+  if (!grant) return;
 
-      const channel = await client.channels.fetch(giveaway.channel_id);
-      if (channel) {
-        const embed = new EmbedBuilder()
-          .setTitle('🎉 Giveaway Ended')
-          .setDescription(`**Prize:** ${giveaway.prize}\n**Result:** No participants joined this giveaway.\n**Refund:** ${(giveaway.entry_cost * giveaway.winner_count).toLocaleString('en-US')} 💰 returned to server pool.`)
-          .setColor('Red')
-          .setTimestamp();
-        await channel.send({ embeds: [embed] });
-      }
-      return;
+  const guild = client.guilds.cache.get(grant.guild_id);
+  const roleName = guild?.roles.cache.get(grant.role_id)?.name || 'timed';
+  const renewHint = grant.source === 'shop' ? ' Buy it again in `/shop` to add more time.' : '';
+  try {
+    const user = await client.users.fetch(grant.user_id);
+    await user.send(`⏰ Your **${roleName}** role in **${guild?.name || 'the server'}** ends <t:${Math.floor(new Date(grant.expires_at).getTime() / 1000)}:R>.${renewHint}`);
+  } catch (error) {
+    console.log(`Could not send role expiry reminder to ${grant.user_id}: ${error.message}`);
+  }
+}
+
+async function expireRoleGrant(grantId) {
+  const grant = await subscriptions.endGrant(grantId);
+  if (!grant) return;
+
+  const guild = client.guilds.cache.get(grant.guild_id);
+  const role = guild?.roles.cache.get(grant.role_id);
+  try {
+    const member = await guild?.members.fetch(grant.user_id);
+    if (member && role) {
+      await member.roles.remove(role);
+      const renewHint = grant.source === 'shop' ? ' Buy it again in `/shop` to get it back.' : '';
+      await member.send(`⌛ Your **${role.name}** role in **${guild.name}** has ended.${renewHint}`).catch(() => { });
     }
+  } catch (error) {
+    console.error(`Failed to remove expired role from ${grant.user_id}:`, error);
+  }
+  logActivity('⌛ Timed Role Expired', `<@${grant.user_id}> no longer has <@&${grant.role_id}>.`, 'Grey', null, grant.guild_id);
+}
 
-    // Check if there are enough participants for the number of winners
-    if (participants.length < giveaway.winner_count) {
-      // Not enough participants - cancel giveaway and refund everyone
-      for (const participantId of participants) {
-        await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [participantId]);
-        await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [giveaway.entry_cost, participantId]);
-      }
+// --- Resource Market ---
+const MAX_MARKET_LISTINGS = 10; // active listings per member
 
-      // Return the prize amount to pool
-      const totalPrize = giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count;
-      await db.query('UPDATE server_stats SET pool_balance = pool_balance + $1 WHERE id = $2', [totalPrize, giveaway.guild_id]);
+async function getMarketSettings(guildId) {
+  const { rows } = await safeQuery('SELECT sell_spread_percent, market_fee_percent, market_listing_hours FROM guild_configs WHERE guild_id = $1', [guildId]);
+  const config = rows[0] || {};
+  return {
+    sell_spread_percent: config.sell_spread_percent ?? 20,
+    market_fee_percent: config.market_fee_percent ?? 5,
+    market_listing_hours: config.market_listing_hours || 72,
+  };
+}
 
-      // Mark giveaway as ended
-      await db.query('UPDATE giveaways SET ended = TRUE WHERE id = $1', [giveawayId]);
+async function getActivityRewardSettings(guildId) {
+  const { rows } = await safeQuery(
+    `SELECT message_reward_amount, message_reward_threshold, voice_reward_amount, voice_reward_minutes, activity_daily_cap,
+       message_reward_cooldown_seconds, message_reward_min_length, message_reward_skip_duplicates, message_reward_skip_emoji,
+       message_spam_threshold, message_spam_suspend_minutes
+     FROM guild_configs WHERE guild_id = $1`,
+    [guildId]
+  );
+  const config = rows[0] || {};
+  return {
+    message_reward_amount: config.message_reward_amount ?? 5,
+    message_reward_threshold: config.message_reward_threshold || 100,
+    voice_reward_amount: config.voice_reward_amount ?? 20,
+    voice_reward_minutes: config.voice_reward_minutes || 60,
+    activity_daily_cap: config.activity_daily_cap ?? 0,
+    message_reward_cooldown_seconds: config.message_reward_cooldown_seconds ?? 10,
+    message_reward_min_length: config.message_reward_min_length ?? 3,
+    message_reward_skip_duplicates: Number(config.message_reward_skip_duplicates ?? 1) === 1,
+    message_reward_skip_emoji: Number(config.message_reward_skip_emoji ?? 1) === 1,
+    message_spam_threshold: config.message_spam_threshold ?? 10,
+    message_spam_suspend_minutes: config.message_spam_suspend_minutes ?? 30,
+  };
+}
 
-      // Send cancellation message
-      const channel = await client.channels.fetch(giveaway.channel_id);
-      if (channel) {
-        const embed = new EmbedBuilder()
-          .setTitle('❌ Giveaway Cancelled')
-          .setDescription(`**Reason:** Not enough participants!\n**Participants:** ${participants.length}\n**Required Winners:** ${giveaway.winner_count}\n\nAll participants have been refunded their entry cost (${giveaway.entry_cost.toLocaleString('en-US')} 💰 each).\nThe prize amount (${totalPrize.toLocaleString('en-US')} 💰) has been returned to the server pool.`)
-          .setColor('Red')
-          .setFooter({ text: `Giveaway ID: ${giveawayId}` })
-          .setTimestamp();
-        await channel.send({ embeds: [embed] });
-      }
+// A channel and the channels around it that a reward rule can be set on: a
+// thread's parent, then the category
+function getRewardChannelIds(channel) {
+  if (!channel) return [];
+  const ids = [channel.id, channel.parentId];
+  if (channel.isThread?.()) ids.push(channel.parent?.parentId);
+  return ids.filter(Boolean);
+}
 
-      logActivity('❌ Giveaway Cancelled', `Giveaway **${totalPrize.toLocaleString('en-US')} 💰** cancelled due to insufficient participants (${participants.length}/${giveaway.winner_count}). All participants refunded.`, 'Red');
-      return;
-    }
+// Why `amount` of a resource cannot be bought in one purchase, or null
+function getResourcePurchaseLimitProblem(guildId, type, amount) {
+  const unit = resources.describeUnit(guildId, type.key);
+  const { unitsPerPound } = resources.getEffectiveRate(type);
+  if (type.min_purchase > 0 && amount < type.min_purchase) {
+    return `The minimum purchase is **${type.min_purchase.toLocaleString('en-US')} ${unit}** (about ${Math.ceil(type.min_purchase / unitsPerPound).toLocaleString('en-US')} 💰).`;
+  }
+  if (type.max_purchase > 0 && amount > type.max_purchase) {
+    return `The maximum purchase is **${type.max_purchase.toLocaleString('en-US')} ${unit}** (about ${Math.floor(type.max_purchase / unitsPerPound).toLocaleString('en-US')} 💰).`;
+  }
+  return null;
+}
 
-    // Select winners
-    const shuffled = participants.sort(() => 0.5 - Math.random());
-    const winners = shuffled.slice(0, Math.min(giveaway.winner_count, participants.length));
+// What the pool pays for `amount` of a resource: its current shop price, sales
+// included so they cannot be bought cheap and sold straight back, less the spread
+function getSellBackPrice(type, amount, settings) {
+  const { unitsPerPound } = resources.getEffectiveRate(type);
+  return Math.floor((amount / unitsPerPound) * (100 - settings.sell_spread_percent)) / 100;
+}
 
-    // Give rewards to winners
-    const prizePerWinner = Math.floor((giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count) / giveaway.winner_count);
-    for (const winnerId of winners) {
-      await db.query('INSERT INTO users (id) VALUES ($1) ON CONFLICT (id) DO NOTHING', [winnerId]);
-      await db.query('UPDATE users SET balance = balance + $1 WHERE id = $2', [prizePerWinner, winnerId]);
-    }
+// The fee is taken from what the seller receives, like the /pay transfer tax
+function getMarketFee(price, settings) {
+  return Math.round(price * settings.market_fee_percent) / 100;
+}
 
-    // Send ephemeral congratulations to each winner
-    const giveawayChannel = await client.channels.fetch(giveaway.channel_id);
-    if (giveawayChannel) {
-      for (const winnerId of winners) {
-        try {
-          const winnerEmbed = new EmbedBuilder()
-            .setTitle('🎉 Congratulations! You Won! 🎉')
-            .setDescription(`**🎁 You won the giveaway!**\n\n**💰 Prize Received:** ${prizePerWinner.toLocaleString('en-US')} 💰\n**🏆 Total Winners:** ${winners.length}\n**👥 Total Participants:** ${participants.length}\n\nYour prize has been added to your balance! Enjoy your winnings! 🎊`)
-            .setColor('Gold')
-            .setFooter({ text: `Giveaway ID: ${giveawayId}` })
-            .setTimestamp();
+// "0.0002" for cheap bulk resources, "1.5" for dear ones
+function describeUnitPrice(price, amount) {
+  return (price / amount).toLocaleString('en-US', { maximumSignificantDigits: 3 });
+}
 
-          // Try to send ephemeral message to the winner
-          const winner = await client.users.fetch(winnerId);
-          if (winner) {
-            await winner.send({
-              content: `🎉 **Congratulations!** You won the giveaway in <#${giveawayChannel.id}>! 🎊`,
-              embeds: [winnerEmbed]
-            });
-          }
-        } catch (error) {
-          console.log(`Could not send DM to winner ${winnerId}:`, error.message);
-          // If DM fails, we'll continue with other winners
-        }
-      }
-    }
+// Closes an active listing and hands the escrowed resources back to the seller.
+// Returns the listing, or null when it was already sold, cancelled or expired.
+async function returnMarketListing(listingId, status) {
+  return withTransaction(async (tx) => {
+    const { rows } = await tx.query(
+      "UPDATE market_listings SET status = $1, closed_at = $2 WHERE id = $3 AND status = 'active' RETURNING *",
+      [status, new Date(), listingId]
+    );
+    const listing = rows[0];
+    if (!listing) return null;
+    await economy.adjustBalance({ client: tx, guildId: listing.guild_id, userId: listing.seller_id, amount: Number(listing.amount), resource: listing.resource, counterpartyId: economy.ESCROW, reason: 'market_escrow_return', referenceId: `listing_${listing.id}` });
+    return listing;
+  });
+}
 
-    // Update giveaway as ended
-    await db.query('UPDATE giveaways SET ended = TRUE, winners = $1 WHERE id = $2', [winners, giveawayId]);
+async function expireMarketListing(listingId) {
+  const listing = await returnMarketListing(listingId, 'expired');
+  if (!listing) return;
+  logActivity('🏪 Market Listing Expired', `Listing #${listing.id} by <@${listing.seller_id}> expired unsold. **${Number(listing.amount).toLocaleString('en-US')} ${resources.describeUnit(listing.guild_id, listing.resource)}** went back to the seller.`, 'Grey', null, listing.guild_id);
+}
 
-    // Send winner announcement message
-    const channel = await client.channels.fetch(giveaway.channel_id);
-    if (channel) {
-      const winnerMentions = winners.map(id => `<@${id}>`).join(', ');
-      const totalPrize = giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count;
+// Pays the seller (less the fee, which goes to the pool) and releases the escrow
+// to the buyer in one transaction. Returns { listing } or { error }; a buyer who
+// cannot pay gets an InsufficientFundsError.
+async function buyMarketListing(guildId, listingId, buyerId) {
+  return withTransaction(async (tx) => {
+    const { rows } = await tx.query('SELECT * FROM market_listings WHERE id = $1 AND guild_id = $2 FOR UPDATE', [listingId, guildId]);
+    const listing = rows[0];
+    if (!listing || listing.status !== 'active' || new Date(listing.expires_at) <= new Date()) {
+      return { error: '❌ That listing is no longer on the market.' };
+    }
+    if (listing.seller_id === buyerId) {
+      return { error: '❌ You cannot buy your own listing. Use `/market cancel` to take it down.' };
+    }
 
-      const winnerEmbed = new EmbedBuilder()
-        .setTitle('🎉 GIVEAWAY ENDED! 🎉')
-        .setDescription(`**🎁 Total Prize Pool:** ${totalPrize.toLocaleString('en-US')} 💰\n**👥 Participants:** ${participants.length}\n**🏆 Winner(s):** ${winnerMentions}\n\n**💰 Each winner received:** ${prizePerWinner.toLocaleString('en-US')} 💰!\n\nCongratulations to the winners! 🎊`)
-        .setColor('Gold')
-        .setFooter({ text: `Giveaway ID: ${giveawayId}` })
-        .setTimestamp();
+    await tx.query("UPDATE market_listings SET status = 'sold', buyer_id = $1, closed_at = $2 WHERE id = $3", [buyerId, new Date(), listing.id]);
 
-      await channel.send({
-        content: `🎉 **GIVEAWAY RESULTS** 🎉\n\n**Winner(s):** ${winnerMentions}\n\nCongratulations! 🎊`,
-        embeds: [winnerEmbed]
-      });
+    const referenceId = `listing_${listing.id}`;
+    const sellerReceives = Math.round((listing.price - listing.fee) * 100) / 100;
+    await economy.adjustBalance({ client: tx, guildId, userId: buyerId, amount: -listing.price, counterpartyId: listing.seller_id, reason: 'market_purchase', referenceId });
+    await economy.adjustBalance({ client: tx, guildId, userId: buyerId, amount: Number(listing.amount), resource: listing.resource, counterpartyId: economy.ESCROW, reason: 'market_purchase', referenceId });
+    await economy.adjustBalance({ client: tx, guildId, userId: listing.seller_id, amount: sellerReceives, counterpartyId: buyerId, reason: 'market_sale', referenceId });
+    if (listing.fee > 0) {
+      await economy.adjustPool({ client: tx, guildId, amount: listing.fee, counterpartyId: listing.seller_id, reason: 'market_fee', referenceId });
     }
+    return { listing };
+  });
+}
 
-    logActivity('🎁 Giveaway Ended', `Giveaway **${(giveaway.total_prize || giveaway.entry_cost * giveaway.winner_count).toLocaleString('en-US')} 💰** ended with ${participants.length} participants. Winners: ${winners.join(', ')}`, 'Gold');
+// --- Transaction Ledger ---
+async function buildTransactionsPage(guildId, filters, page) {
+  const perPage = 10;
+  const { rows, total } = await economy.getTransactions({ guildId, ...filters, limit: perPage, offset: page * perPage });
+  const totalPages = Math.max(1, Math.ceil(total / perPage));
+
+  // Giveaways and market listings both hold funds in ESCROW; the reason says which
+  const describeAccount = (id, reason = '') => {
+    if (id === economy.POOL) return '🏦 Server Pool';
+    if (id === economy.ESCROW) return reason.startsWith('market_') ? '🏪 Market Listing' : '🎁 Giveaway';
+    if (!id || id === economy.SYSTEM) return '⚙️ System';
+    return `<@${id}>`;
+  };
 
-  } catch (error) {
-    console.error('Error ending giveaway:', error);
-  }
+  const lines = rows.map(t => {
+    const unit = resources.describeUnit(guildId, t.resource);
+    const sign = t.amount > 0 ? '+' : '';
+    const who = filters.userId ? '' : `${describeAccount(t.user_id)} • `;
+    const ref = t.reference_id ? ` • \`${t.reference_id}\`` : '';
+    return `\`#${t.id}\` <t:${Math.floor(new Date(t.created_at).getTime() / 1000)}:f>\n> ${who}**${sign}${t.amount.toLocaleString('en-US')}** ${unit} • ${economy.REASONS[t.reason] || t.reason} • ${describeAccount(t.counterparty_id, t.reason)}${ref}`;
+  });
+
+  const filterText = [
+    filters.userId ? `**User:** <@${filters.userId}>` : '**User:** Everyone',
+    filters.resource ? `**Resource:** ${filters.resource}` : null,
+    filters.reason ? `**Reason:** ${economy.REASONS[filters.reason] || filters.reason}` : null,
+  ].filter(Boolean).join(' • ');
+
+  const embed = new EmbedBuilder()
+    .setTitle('📒 Transaction History')
+    .setDescription(`${filterText}\n\n${lines.length > 0 ? lines.join('\n') : '📭 No transactions found.'}`.substring(0, 4096))
+    .setColor('Blue')
+    .setFooter({ text: `Page ${page + 1}/${totalPages} • ${total} transaction(s)` });
+
+  const idSuffix = `${filters.userId || 'all'}_${filters.resource || 'any'}_${filters.reason || 'any'}`;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`transactions_page_${page - 1}_${idSuffix}`).setLabel('⬅️ Previous').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(`transactions_page_${page + 1}_${idSuffix}`).setLabel('Next ➡️').setStyle(ButtonStyle.Secondary).setDisabled(page >= totalPages - 1)
+  );
+
+  return { embeds: [embed], components: [row] };
 }
 
 async function startBot() {
   try {
     // Ensure the database is initialized before logging in
     await initializeDatabase();
+    await resources.loadResourceTypes();
 
     // Log in to Discord
     await client.login(process.env.DISCORD_TOKEN);
@@ -5489,6 +9150,9 @@ client.on('guildBanRemove', async (ban) => {
 
 client.on('guildMemberRemove', async (member) => {
   logActivity('👋 Member Left', `**User:** ${member.user.tag} (${member.id})\n**Joined At:** ${member.joinedAt ? member.joinedAt.toLocaleDateString() : 'Unknown'}`, 'Red', null, member.guild.id);
+  if (!member.user.bot) {
+    trackInviteLeave(member).catch(err => console.error('Error reversing invite reward:', err));
+  }
 });
 
 client.on('guildMemberAdd', async (member) => {
@@ -5509,6 +9173,8 @@ client.on('guildMemberAdd', async (member) => {
   if (alert) {
     logActivity('👤 New Member Suspect', `**User:** ${member.user.tag} (${member.id})\n**Account Age:** ${daysOld} days.${alert}`, 'Orange', null, member.guild.id);
   }
+
+  trackInviteJoin(member).catch(err => console.error('Error tracking invite:', err));
 });
 
 client.on('guildMemberUpdate', async (oldMember, newMember) => {
@@ -5518,9 +9184,24 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
 });
 
 client.on('inviteCreate', async (invite) => {
+  if (invite.guild) {
+    if (!cachedInvites.has(invite.guild.id)) cachedInvites.set(invite.guild.id, new Map());
+    cachedInvites.get(invite.guild.id).set(invite.code, toCachedInvite(invite));
+  }
   logActivity('✉️ Invite Created', `**Creator:** ${invite.inviter?.tag || 'Unknown'}\n**Code:** ${invite.code}\n**Channel:** <#${invite.channelId}>`, 'Blue', null, invite.guild.id);
 });
 
+client.on('inviteDelete', async (invite) => {
+  const cached = invite.guild && cachedInvites.get(invite.guild.id);
+  if (!cached) return;
+  // Invites are also deleted when their last use is taken, which can arrive
+  // before the join it belongs to; those stay until the next lookup.
+  const entry = cached.get(invite.code);
+  if (!entry || !(entry.maxUses > 0 && entry.uses + 1 >= entry.maxUses)) {
+    cached.delete(invite.code);
+  }
+});
+
 client.on('channelUpdate', async (oldChannel, newChannel) => {
   if (oldChannel.type !== ChannelType.GuildText) return; // Focus on text channels for now
 
@@ -5590,6 +9271,9 @@ async function addXp(guildId, userId, xpToAdd, channel = null) {
 
     const config = configRows[0];
 
+    // XP boosts from used items
+    xpToAdd = Math.round(xpToAdd * await inventory.getActiveMultiplier(guildId, userId, 'xp_boost'));
+
     // Get current XP
     const { rows } = await safeQuery('SELECT * FROM user_levels WHERE guild_id = $1 AND user_id = $2', [guildId, userId]);
     let userData = rows[0];
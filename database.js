@@ -4,17 +4,28 @@ require('dotenv').config();
 
 const isSqlite = !!process.env.DB_PATH && !process.env.DATABASE_URL;
 let pool;
+let sqliteDb;
+
+// SQLite has a single connection, so transactions and plain queries share one
+// queue: a transaction holds it from BEGIN to COMMIT and nothing interleaves.
+let sqliteQueue = Promise.resolve();
+
+function runExclusive(task) {
+  const result = sqliteQueue.then(task, task);
+  sqliteQueue = result.catch(() => { });
+  return result;
+}
 
 if (isSqlite) {
   console.log(`Using SQLite database at ${process.env.DB_PATH}`);
-  const db = new sqlite3.Database(process.env.DB_PATH);
+  sqliteDb = new sqlite3.Database(process.env.DB_PATH);
 
   pool = {
     connect: async () => ({
-      query: (text, params) => executeSqlite(db, text, params),
+      query: (text, params) => runExclusive(() => executeSqlite(sqliteDb, text, params)),
       release: () => { }
     }),
-    query: (text, params) => executeSqlite(db, text, params),
+    query: (text, params) => runExclusive(() => executeSqlite(sqliteDb, text, params)),
   };
 } else {
   if (!process.env.DATABASE_URL) {
@@ -27,12 +38,16 @@ if (isSqlite) {
 }
 
 function executeSqlite(db, text, params = []) {
-  // Convert Postgres $n syntax to SQLite ? syntax
-  const sql = text.replace(/\$\d+/g, '?');
+  // Convert Postgres $n syntax to SQLite ?n syntax (keeps reused placeholders bound correctly).
+  // Row locks are implicit because SQLite transactions run one at a time.
+  const sql = text.replace(/\$(\d+)/g, '?$1').replace(/\s+FOR UPDATE\b/gi, '');
   // console.log(`[SQL] Executing: ${sql.substring(0, 100)}...`); // Uncomment for verbose SQL logging
 
-  // Serialize array/object parameters to JSON strings for SQLite
-  const serializedParams = params.map(p => (typeof p === 'object' && p !== null) ? JSON.stringify(p) : p);
+  // Serialize array/object parameters to JSON strings for SQLite (dates as plain ISO strings)
+  const serializedParams = params.map(p => {
+    if (p instanceof Date) return p.toISOString();
+    return (typeof p === 'object' && p !== null) ? JSON.stringify(p) : p;
+  });
 
   return new Promise((resolve, reject) => {
     // Check if it's a SELECT or RETURNING query (needs .all) or UPDATE/INSERT/DELETE (needs .run)
@@ -65,100 +80,231 @@ function executeSqlite(db, text, params = []) {
   });
 }
 
+// Runs `fn(client)` inside a database transaction. Throwing from `fn` rolls
+// everything back; the returned value is passed through after COMMIT.
+async function withTransaction(fn) {
+  if (isSqlite) {
+    return runExclusive(async () => {
+      const client = { query: (text, params) => executeSqlite(sqliteDb, text, params) };
+      await client.query('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+      }
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => { });
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Tables that used to be keyed by user only, with the columns copied over
+// when their rows are assigned to the home guild.
+const GUILD_SCOPED_TABLES = {
+  users: ['id', 'balance', 'gold', 'wood', 'food', 'stone', 'last_daily', 'daily_streak'],
+  message_counts: ['user_id', 'count', 'rewarded_messages', 'daily_count', 'last_message_date'],
+  voice_times: ['user_id', 'minutes', 'rewarded_minutes'],
+  invites: ['user_id', 'invites'],
+  invited_members: ['inviter_id', 'invited_member_id', 'first_invited_at'],
+  boosts: ['user_id', 'boosts'],
+};
+
+// Columns added since guilds were scoped, seeded for adopted legacy rows the way
+// their own migrations seeded the rows already there. `match` tells a row just
+// adopted from one the home guild already had.
+const ADOPTED_ROW_SEEDS = {
+  message_counts: {
+    match: 'count',
+    set: 'reward_progress = CASE WHEN count > rewarded_messages THEN count - rewarded_messages ELSE 0 END, eligible_count = count',
+  },
+  voice_times: {
+    match: 'minutes',
+    set: 'reward_progress = CASE WHEN minutes > rewarded_minutes THEN minutes - rewarded_minutes ELSE 0 END',
+  },
+};
+
+async function renameUnscopedTables(client) {
+  for (const table of Object.keys(GUILD_SCOPED_TABLES)) {
+    try {
+      await client.query(`SELECT guild_id FROM ${table} LIMIT 1`);
+    } catch (err) {
+      // Either the table does not exist yet or it predates guild scoping
+      try {
+        await client.query(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+        console.log(`Migration: moved unscoped table ${table} to ${table}_legacy.`);
+      } catch (renameErr) { }
+    }
+  }
+}
+
+async function adoptLegacyRows(client) {
+  // The guild that receives balances created before per-guild wallets
+  const homeGuildId = process.env.HOME_GUILD_ID || process.env.GUILD_ID;
+
+  for (const [table, columns] of Object.entries(GUILD_SCOPED_TABLES)) {
+    try {
+      await client.query(`SELECT 1 FROM ${table}_legacy LIMIT 1`);
+    } catch (err) {
+      continue; // Nothing to migrate
+    }
+
+    if (!homeGuildId) {
+      console.log(`Migration warning: ${table}_legacy was kept because HOME_GUILD_ID is not set. Set it and restart to migrate these rows.`);
+      continue;
+    }
+
+    try {
+      const columnList = columns.join(', ');
+      const { rowCount } = await client.query(
+        `INSERT INTO ${table} (guild_id, ${columnList}) SELECT $1, ${columnList} FROM ${table}_legacy WHERE TRUE ON CONFLICT DO NOTHING`,
+        [homeGuildId]
+      );
+      const seed = ADOPTED_ROW_SEEDS[table];
+      if (seed) {
+        await client.query(
+          `UPDATE ${table} SET ${seed.set} WHERE guild_id = $1 AND EXISTS (
+             SELECT 1 FROM ${table}_legacy legacy WHERE legacy.user_id = ${table}.user_id AND legacy.${seed.match} = ${table}.${seed.match}
+           )`,
+          [homeGuildId]
+        );
+      }
+      await client.query(`DROP TABLE ${table}_legacy`);
+      console.log(`Migration: assigned ${rowCount || 0} ${table} rows to home guild ${homeGuildId}.`);
+    } catch (err) {
+      console.log(`Migration note (${table}_legacy):`, err.message);
+    }
+  }
+}
+
+// Gold, wood, food and stone were fixed columns on users before servers could define
+// their own resources. Servers from that time get them registered, with these packages.
+const LEGACY_RESOURCE_TYPES = [
+  { key: 'gold', name: 'Gold', emoji: '🪙', package_size: 50000, package_price: 10 },
+  { key: 'wood', name: 'Wood', emoji: '🪵', package_size: 150000, package_price: 10 },
+  { key: 'food', name: 'Food', emoji: '🌽', package_size: 150000, package_price: 10 },
+  { key: 'stone', name: 'Stone', emoji: '🪨', package_size: 112000, package_price: 10 },
+];
+
+async function migrateLegacyResources(client, registryIsNew) {
+  if (registryIsNew) {
+    const { rows } = await client.query('SELECT DISTINCT guild_id FROM users');
+    const guildIds = new Set(rows.map(row => row.guild_id));
+    const homeGuildId = process.env.HOME_GUILD_ID || process.env.GUILD_ID;
+    if (homeGuildId) guildIds.add(homeGuildId);
+
+    for (const guildId of guildIds) {
+      for (const [position, type] of LEGACY_RESOURCE_TYPES.entries()) {
+        await client.query(
+          'INSERT INTO resource_types (guild_id, key, name, emoji, package_size, package_price, position) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (guild_id, key) DO NOTHING',
+          [guildId, type.key, type.name, type.emoji, type.package_size, type.package_price, position]
+        );
+      }
+    }
+    console.log(`Migration: registered the default resource types for ${guildIds.size} guild(s).`);
+  }
+
+  // Balances still in the old columns move to user_resources; zeroing the column
+  // in the same transaction means they are only ever moved once
+  for (const { key } of LEGACY_RESOURCE_TYPES) {
+    try {
+      const rowCount = await withTransaction(async (tx) => {
+        const result = await tx.query(
+          `INSERT INTO user_resources (guild_id, user_id, resource, amount) SELECT guild_id, id, $1, ${key} FROM users WHERE ${key} > 0
+           ON CONFLICT (guild_id, user_id, resource) DO UPDATE SET amount = user_resources.amount + excluded.amount`,
+          [key]
+        );
+        await tx.query(`UPDATE users SET ${key} = 0 WHERE ${key} > 0`);
+        return result.rowCount;
+      });
+      if (rowCount) console.log(`Migration: moved ${rowCount} ${key} balances to user_resources.`);
+    } catch (err) {
+      console.log(`Migration note (${key} balances):`, err.message);
+    }
+  }
+}
+
 async function initializeDatabase() {
   // ... (Update CREATE statements) use isSqlite flag
   const client = await pool.connect();
   try {
     // ...
 
+    // Wallets and activity counters are scoped per guild. Older installs keyed
+    // these tables by user only, so move them aside before recreating them.
+    await renameUnscopedTables(client);
+
+    // gold, wood, food and stone are legacy: migrateLegacyResources empties them into user_resources
     await client.query(`
       CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        id TEXT NOT NULL,
         balance REAL DEFAULT 0,
         gold BIGINT DEFAULT 0,
         wood BIGINT DEFAULT 0,
         food BIGINT DEFAULT 0,
         stone BIGINT DEFAULT 0,
         last_daily DATE,
-        daily_streak INTEGER DEFAULT 0
+        daily_streak INTEGER DEFAULT 0,
+        CONSTRAINT users_guild_pkey PRIMARY KEY (guild_id, id)
       )
     `);
 
     // Message count for rewards
     await client.query(`
       CREATE TABLE IF NOT EXISTS message_counts (
-        user_id TEXT PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
         count BIGINT DEFAULT 0,
-        rewarded_messages BIGINT DEFAULT 0
+        rewarded_messages BIGINT DEFAULT 0,
+        daily_count BIGINT DEFAULT 0,
+        last_message_date TEXT,
+        CONSTRAINT message_counts_guild_pkey PRIMARY KEY (guild_id, user_id)
       )
     `);
 
-    // Migration: Add rewarded_messages to message_counts
-    try {
-      await client.query('ALTER TABLE message_counts ADD COLUMN rewarded_messages BIGINT DEFAULT 0');
-    } catch (err) {
-      if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
-        console.log('Migration note (message_counts):', err.message);
-      }
-    }
-
-    // Migration: Add daily_count and last_message_date to message_counts
-    try {
-      await client.query('ALTER TABLE message_counts ADD COLUMN daily_count BIGINT DEFAULT 0');
-      await client.query('ALTER TABLE message_counts ADD COLUMN last_message_date TEXT');
-    } catch (err) {
-      if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
-        console.log('Migration note (message_counts daily):', err.message);
-      }
-    }
-
-    // Migration: Fix missing PK/Unique constraint for message_counts (fixing ON CONFLICT error)
-    try {
-      await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_message_counts_user_id ON message_counts(user_id)');
-    } catch (err) {
-      console.log('Migration warning (message_counts index):', err.message);
-    }
-
     // Voice time in minutes
     await client.query(`
       CREATE TABLE IF NOT EXISTS voice_times (
-        user_id TEXT PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
         minutes BIGINT DEFAULT 0,
-        rewarded_minutes BIGINT DEFAULT 0
+        rewarded_minutes BIGINT DEFAULT 0,
+        CONSTRAINT voice_times_guild_pkey PRIMARY KEY (guild_id, user_id)
       )
     `);
 
-    // Migration: Add rewarded_minutes to voice_times
-    try {
-      await client.query('ALTER TABLE voice_times ADD COLUMN rewarded_minutes BIGINT DEFAULT 0');
-    } catch (err) {
-      if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
-        console.log('Migration note (voice_times):', err.message);
-      }
-    }
-
-    // Migration: Fix missing PK/Unique constraint for voice_times
-    try {
-      await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_times_user_id ON voice_times(user_id)');
-    } catch (err) {
-      console.log('Migration warning (voice_times index):', err.message);
-    }
-
     // Invites
     await client.query(`
       CREATE TABLE IF NOT EXISTS invites (
-        user_id TEXT PRIMARY KEY,
-        invites INTEGER DEFAULT 0
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        invites INTEGER DEFAULT 0,
+        CONSTRAINT invites_guild_pkey PRIMARY KEY (guild_id, user_id)
       )
     `);
 
     // Track invited members to prevent duplicate rewards
     await client.query(`
       CREATE TABLE IF NOT EXISTS invited_members (
+        guild_id TEXT NOT NULL,
         inviter_id TEXT NOT NULL,
         invited_member_id TEXT NOT NULL,
         first_invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (inviter_id, invited_member_id)
+        CONSTRAINT invited_members_guild_pkey PRIMARY KEY (guild_id, inviter_id, invited_member_id)
       )
     `);
 
@@ -205,11 +351,187 @@ async function initializeDatabase() {
       }
     }
 
+    // Migration: Add consumable effects to shop_items. effect_type is role, xp_boost,
+    // daily_multiplier or ticket; effect_days of 0 makes a role permanent.
+    // role_duration_days limits the role_id a purchase grants (0 keeps it for good).
+    const itemEffectColumns = [
+      'effect_type TEXT',
+      'effect_role_id TEXT',
+      'effect_multiplier REAL DEFAULT 1',
+      'effect_days REAL DEFAULT 0',
+      'role_duration_days REAL DEFAULT 0',
+    ];
+    for (const column of itemEffectColumns) {
+      try {
+        await client.query(`ALTER TABLE shop_items ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (shop_items effects):', err.message);
+        }
+      }
+    }
+
+    // Migration: Scope shop items to a guild and sort them into categories.
+    // Hidden items stay out of /shop (e.g. giveaway-only prizes); disabled ones
+    // are listed but cannot be bought.
+    const shopCatalogColumns = [
+      'guild_id TEXT',
+      'category TEXT',
+      'hidden INTEGER DEFAULT 0',
+      'disabled INTEGER DEFAULT 0',
+    ];
+    for (const column of shopCatalogColumns) {
+      try {
+        await client.query(`ALTER TABLE shop_items ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (shop_items catalog):', err.message);
+        }
+      }
+    }
+    await client.query('CREATE INDEX IF NOT EXISTS idx_shop_items_guild ON shop_items (guild_id, category)');
+    await client.query(`
+      UPDATE shop_items SET category = CASE
+        WHEN resource_type IS NOT NULL AND resource_type <> '' THEN 'Resources'
+        WHEN role_id IS NOT NULL OR effect_type = 'role' THEN 'Roles'
+        WHEN requires_ticket = 1 OR effect_type = 'ticket' THEN 'Services'
+        WHEN effect_type IS NOT NULL THEN 'Boosts'
+        ELSE 'General'
+      END
+      WHERE category IS NULL
+    `);
+
+    // Migration: Per-member purchase rules. Limits of 0 mean none; daily and weekly
+    // limits count purchases in the last 24 hours and 7 days.
+    const purchaseRuleColumns = [
+      'limit_total INTEGER DEFAULT 0',
+      'limit_daily INTEGER DEFAULT 0',
+      'limit_weekly INTEGER DEFAULT 0',
+      'cooldown_minutes INTEGER DEFAULT 0',
+      'required_role_id TEXT',
+      'min_level INTEGER DEFAULT 0',
+    ];
+    for (const column of purchaseRuleColumns) {
+      try {
+        await client.query(`ALTER TABLE shop_items ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (shop_items purchase rules):', err.message);
+        }
+      }
+    }
+
+    // Every shop purchase, for the purchase rules above
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shop_purchases (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        item_id INTEGER NOT NULL,
+        price REAL NOT NULL,
+        discount REAL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_shop_purchases_member ON shop_purchases (guild_id, user_id, item_id)');
+
+    // Items staff deliver by hand (requires_ticket), one private thread each.
+    // status: pending, in_progress, fulfilled or refunded; source: shop, item_use or giveaway.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        item_id INTEGER NOT NULL,
+        item_name TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT 'shop',
+        price REAL DEFAULT 0,
+        purchase_id INTEGER,
+        in_inventory INTEGER DEFAULT 0,
+        thread_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        claimed_by TEXT,
+        closed_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        closed_at TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_orders_guild_status ON orders (guild_id, status)');
+
+    // Items from the shared catalog belong to the home guild
+    const shopHomeGuildId = process.env.HOME_GUILD_ID || process.env.GUILD_ID;
+    if (shopHomeGuildId) {
+      const { rowCount } = await client.query('UPDATE shop_items SET guild_id = $1 WHERE guild_id IS NULL', [shopHomeGuildId]);
+      if (rowCount) console.log(`Migration: assigned ${rowCount} shop items to home guild ${shopHomeGuildId}.`);
+    } else {
+      const { rows } = await client.query('SELECT COUNT(*) AS count FROM shop_items WHERE guild_id IS NULL');
+      if (Number(rows[0].count) > 0) {
+        console.log('Migration warning: shop items without a guild were kept out of every shop because HOME_GUILD_ID is not set. Set it and restart to migrate them.');
+      }
+    }
+
+    // Shop items members own
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inventory (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        item_id INTEGER NOT NULL,
+        quantity INTEGER DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, item_id)
+      )
+    `);
+
+    // Timed boosts of used items, one row per member and effect
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS item_effects (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        effect_type TEXT NOT NULL,
+        role_id TEXT,
+        multiplier REAL DEFAULT 1,
+        item_id INTEGER,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Roles held for a limited time. reminded is set once the expiry DM went out.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS role_grants (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        role_id TEXT NOT NULL,
+        source TEXT,
+        item_id INTEGER,
+        expires_at TIMESTAMP NOT NULL,
+        reminded BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (guild_id, user_id, role_id)
+      )
+    `);
+
+    // Migration: Temporary roles from used items were item_effects rows before role_grants
+    try {
+      await client.query(`
+        INSERT INTO role_grants (guild_id, user_id, role_id, source, item_id, expires_at)
+        SELECT guild_id, user_id, role_id, 'item', item_id, expires_at FROM item_effects WHERE effect_type = 'role' AND role_id IS NOT NULL
+        ON CONFLICT (guild_id, user_id, role_id) DO NOTHING
+      `);
+      await client.query("DELETE FROM item_effects WHERE effect_type = 'role'");
+    } catch (err) {
+      console.log('Migration note (item role effects):', err.message);
+    }
+
     // Boosts
     await client.query(`
       CREATE TABLE IF NOT EXISTS boosts (
-        user_id TEXT PRIMARY KEY,
-        boosts INTEGER DEFAULT 0
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        boosts INTEGER DEFAULT 0,
+        CONSTRAINT boosts_guild_pkey PRIMARY KEY (guild_id, user_id)
       )
     `);
 
@@ -288,6 +610,73 @@ async function initializeDatabase() {
       }
     }
 
+    // Migration: Add requirements column (per-giveaway entry requirements)
+    try {
+      await client.query(`ALTER TABLE giveaways ADD COLUMN requirements ${isSqlite ? 'TEXT' : 'JSONB'}`);
+    } catch (err) {
+      if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+        console.log('Migration note (giveaways requirements):', err.message);
+      }
+    }
+
+    // Migration: Add prize columns (resource, shop item and tiered giveaway prizes)
+    const giveawayPrizeColumns = [
+      "prize_type TEXT DEFAULT 'pounds'",
+      'prize_item_id INTEGER',
+      `prize_tiers ${isSqlite ? 'TEXT' : 'REAL[]'}`,
+    ];
+    for (const column of giveawayPrizeColumns) {
+      try {
+        await client.query(`ALTER TABLE giveaways ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (giveaways prize):', err.message);
+        }
+      }
+    }
+
+    // Migration: Add multi-entry columns. entries maps user id -> { bought, multiplier }.
+    const giveawayEntryColumns = [
+      'max_entries INTEGER DEFAULT 1',
+      `bonus_roles ${isSqlite ? 'TEXT' : 'JSONB'}`,
+      `entries ${isSqlite ? 'TEXT' : 'JSONB'}`,
+    ];
+    for (const column of giveawayEntryColumns) {
+      try {
+        await client.query(`ALTER TABLE giveaways ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (giveaways entries):', err.message);
+        }
+      }
+    }
+
+    // Migration: Add provably fair draw columns (seed_hash is published, server_seed revealed at the end)
+    for (const column of ['server_seed TEXT', 'seed_hash TEXT']) {
+      try {
+        await client.query(`ALTER TABLE giveaways ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (giveaways fairness):', err.message);
+        }
+      }
+    }
+
+    // Scheduled and recurring giveaways. settings holds the /giveaway options;
+    // repeat_rule is NULL for a one-off post.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS giveaway_schedules (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        creator_id TEXT NOT NULL,
+        settings ${isSqlite ? 'TEXT' : 'JSONB'} NOT NULL,
+        repeat_rule TEXT,
+        next_run TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Migration: Remove giveaway_rewards table if it exists (no longer needed)
     try {
       await client.query('DROP TABLE IF EXISTS giveaway_rewards');
@@ -296,6 +685,183 @@ async function initializeDatabase() {
       console.log('Migration note:', err.message);
     }
 
+    // Transaction Ledger (every currency and resource movement)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        counterparty_id TEXT,
+        amount REAL NOT NULL,
+        resource TEXT NOT NULL DEFAULT 'pounds',
+        reason TEXT NOT NULL,
+        reference_id TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    try {
+      await client.query('CREATE INDEX IF NOT EXISTS idx_transactions_guild_user ON transactions(guild_id, user_id, created_at)');
+    } catch (err) {
+      console.log('Migration warning (transactions index):', err.message);
+    }
+
+    // Resource types each guild trades in. key is what user_resources, the ledger,
+    // shop items and giveaways store; the package is what the buy buttons sell.
+    let registryIsNew = false;
+    try {
+      await client.query('SELECT 1 FROM resource_types LIMIT 1');
+    } catch (err) {
+      registryIsNew = true;
+    }
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resource_types (
+        guild_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        name TEXT NOT NULL,
+        emoji TEXT,
+        package_size BIGINT DEFAULT 1,
+        package_price REAL DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, key)
+      )
+    `);
+
+    // Migration: Add purchase limits and sales to resource_types. A limit of 0 means
+    // none; sale_multiplier scales what a pound buys until sale_ends_at.
+    const resourcePricingColumns = [
+      'min_purchase BIGINT DEFAULT 0',
+      'max_purchase BIGINT DEFAULT 0',
+      'sale_multiplier REAL DEFAULT 1',
+      'sale_ends_at TIMESTAMP',
+    ];
+    for (const column of resourcePricingColumns) {
+      try {
+        await client.query(`ALTER TABLE resource_types ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (resource pricing):', err.message);
+        }
+      }
+    }
+
+    // Every rate a resource has been sold at. Resource purchases reference the row
+    // they were priced with in the transactions ledger.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resource_price_history (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        package_size BIGINT NOT NULL,
+        package_price REAL NOT NULL,
+        sale_multiplier REAL DEFAULT 1,
+        sale_ends_at TIMESTAMP,
+        changed_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Member-to-member resource listings. The listed amount sits in escrow until
+    // the listing is sold, cancelled or expires; fee is fixed when it is listed.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS market_listings (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        seller_id TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        amount BIGINT NOT NULL,
+        price REAL NOT NULL,
+        fee REAL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'active',
+        buyer_id TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    try {
+      await client.query('CREATE INDEX IF NOT EXISTS idx_market_listings_guild_status ON market_listings(guild_id, status)');
+    } catch (err) {
+      console.log('Migration warning (market listings index):', err.message);
+    }
+
+    // Shop promotions. A coupon takes a percent or a flat amount off, optionally
+    // only for one item or category; max_uses and per_user_limit of 0 mean no limit.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS coupons (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        code TEXT NOT NULL,
+        discount_type TEXT NOT NULL,
+        value REAL NOT NULL,
+        max_uses INTEGER DEFAULT 0,
+        per_user_limit INTEGER DEFAULT 1,
+        uses INTEGER DEFAULT 0,
+        item_id INTEGER,
+        category TEXT,
+        expires_at TIMESTAMP,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (guild_id, code)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS coupon_redemptions (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        coupon_id INTEGER NOT NULL,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        item_id INTEGER,
+        discount REAL NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    try {
+      await client.query('CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_user ON coupon_redemptions(coupon_id, user_id)');
+    } catch (err) {
+      console.log('Migration warning (coupon redemptions index):', err.message);
+    }
+
+    // Timed percent-off sales, for the whole shop or one category
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shop_sales (
+        id ${isSqlite ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'SERIAL PRIMARY KEY'},
+        guild_id TEXT NOT NULL,
+        percent REAL NOT NULL,
+        category TEXT,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        created_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Standing percent-off for members with a role, e.g. server boosters
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS shop_role_discounts (
+        guild_id TEXT NOT NULL,
+        role_id TEXT NOT NULL,
+        percent REAL NOT NULL,
+        PRIMARY KEY (guild_id, role_id)
+      )
+    `);
+
+    // Member balances of every resource except pounds (users.balance)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_resources (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        amount BIGINT DEFAULT 0,
+        PRIMARY KEY (guild_id, user_id, resource)
+      )
+    `);
+
     // Server Growth Tracking
 
     // Global Guild Configuration (For "All in One" Public Bot)
@@ -470,6 +1036,179 @@ async function initializeDatabase() {
       console.log('Migration note (general config):', err.message);
     }
 
+    // Member transfer (/pay) settings. 0 means no cap / no requirement / no tax.
+    const payColumns = [
+      'pay_daily_cap REAL DEFAULT 0',
+      'pay_min_account_days INTEGER DEFAULT 0',
+      'pay_min_level INTEGER DEFAULT 0',
+      'pay_tax_percent REAL DEFAULT 0',
+    ];
+    for (const column of payColumns) {
+      try {
+        await client.query(`ALTER TABLE guild_configs ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (pay settings):', err.message);
+        }
+      }
+    }
+
+    // Resource sell-back and market settings. A spread of 100% turns selling back off.
+    const marketColumns = [
+      'sell_spread_percent REAL DEFAULT 20',
+      'market_fee_percent REAL DEFAULT 5',
+      'market_listing_hours INTEGER DEFAULT 72',
+    ];
+    for (const column of marketColumns) {
+      try {
+        await client.query(`ALTER TABLE guild_configs ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (market settings):', err.message);
+        }
+      }
+    }
+
+    // Invite rewards. Members who leave within the window cost their inviter the reward again.
+    // A reward is only paid once the member's account is old enough, they stayed
+    // for the hold and sent enough messages.
+    const inviteColumns = [
+      'invite_reward REAL DEFAULT 20',
+      'invite_leave_window_days REAL DEFAULT 7',
+      'invite_min_account_days REAL DEFAULT 7',
+      'invite_hold_days REAL DEFAULT 3',
+      'invite_min_messages INTEGER DEFAULT 5',
+    ];
+    for (const column of inviteColumns) {
+      try {
+        await client.query(`ALTER TABLE guild_configs ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (invite settings):', err.message);
+        }
+      }
+    }
+
+    // Which invite brought each member in and what it pays. status is pending until
+    // the checks pass at confirm_at, then confirmed; fake when a check failed or
+    // staff revoked it; left when the member left before it was paid or within the window.
+    const invitedMemberColumns = [
+      'invite_code TEXT',
+      'reward REAL DEFAULT 0',
+      "status TEXT DEFAULT 'confirmed'",
+      'joined_at TIMESTAMP',
+      'left_at TIMESTAMP',
+      'fake_reason TEXT',
+      'messages_at_join INTEGER DEFAULT 0',
+      'confirm_at TIMESTAMP',
+      'confirmed_at TIMESTAMP',
+      'reviewed_by TEXT',
+    ];
+    for (const column of invitedMemberColumns) {
+      try {
+        await client.query(`ALTER TABLE invited_members ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (invited members):', err.message);
+        }
+      }
+    }
+    await client.query('CREATE INDEX IF NOT EXISTS idx_invited_members_member ON invited_members (guild_id, invited_member_id)');
+
+    // Activity rewards: `amount` pounds per `threshold` messages or voice minutes,
+    // and a cap on what both can pay a member per day (0 for none)
+    const activityColumns = [
+      'message_reward_amount REAL DEFAULT 5',
+      'message_reward_threshold INTEGER DEFAULT 100',
+      'voice_reward_amount REAL DEFAULT 20',
+      'voice_reward_minutes INTEGER DEFAULT 60',
+      'activity_daily_cap REAL DEFAULT 0',
+      // Which messages count towards rewards, and when a member is suspended for farming
+      'message_reward_cooldown_seconds INTEGER DEFAULT 10',
+      'message_reward_min_length INTEGER DEFAULT 3',
+      'message_reward_skip_duplicates INTEGER DEFAULT 1',
+      'message_reward_skip_emoji INTEGER DEFAULT 1',
+      'message_spam_threshold INTEGER DEFAULT 10',
+      'message_spam_suspend_minutes INTEGER DEFAULT 30',
+    ];
+    for (const column of activityColumns) {
+      try {
+        await client.query(`ALTER TABLE guild_configs ADD COLUMN ${column}`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (activity rewards):', err.message);
+        }
+      }
+    }
+
+    // Channel and role multipliers for activity rewards. A channel at 0 earns nothing.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS activity_reward_rules (
+        guild_id TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        multiplier REAL NOT NULL,
+        PRIMARY KEY (guild_id, target_type, target_id)
+      )
+    `);
+
+    // Members earning nothing from messages after tripping the anti-farming checks
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reward_suspensions (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        suspended_until TIMESTAMP NOT NULL,
+        PRIMARY KEY (guild_id, user_id)
+      )
+    `);
+
+    // Members in voice right now, so a restart does not lose their session.
+    // Time up to last_accrued_at has already been counted.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS voice_sessions (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        started_at TIMESTAMP NOT NULL,
+        last_accrued_at TIMESTAMP NOT NULL,
+        PRIMARY KEY (guild_id, user_id)
+      )
+    `);
+
+    // Progress towards the next reward, weighted by the multipliers. Seeded from
+    // what was still unrewarded when it was added.
+    const progressColumns = {
+      message_counts: 'count - rewarded_messages',
+      voice_times: 'minutes - rewarded_minutes',
+    };
+    for (const [table, unrewarded] of Object.entries(progressColumns)) {
+      try {
+        await client.query(`ALTER TABLE ${table} ADD COLUMN reward_progress REAL DEFAULT 0`);
+        await client.query(`UPDATE ${table} SET reward_progress = ${unrewarded} WHERE ${unrewarded} > 0`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+          console.log('Migration note (reward progress):', err.message);
+        }
+      }
+    }
+
+    // Messages that passed the anti-farming checks; invite and giveaway message
+    // requirements count these so spam cannot meet them. Seeded from the total.
+    try {
+      await client.query('ALTER TABLE message_counts ADD COLUMN eligible_count INTEGER DEFAULT 0');
+      await client.query('UPDATE message_counts SET eligible_count = count');
+    } catch (err) {
+      if (!err.message.includes('duplicate column') && !err.message.includes('already exists')) {
+        console.log('Migration note (eligible messages):', err.message);
+      }
+    }
+
+    // Assign rows from the pre-guild tables to the home guild
+    await adoptLegacyRows(client);
+
+    // Needs the adopted users rows, so it runs last
+    await migrateLegacyResources(client, registryIsNew);
+
     console.log('Database tables checked/created successfully.');
   } catch (err) {
     console.error('Error initializing database:', err);
@@ -481,4 +1220,5 @@ async function initializeDatabase() {
 module.exports = {
   pool,
   initializeDatabase,
+  withTransaction,
 };
\ No newline at end of file
@@ -3,6 +3,91 @@ const { Routes } = require('discord-api-types/v9');
 const { SlashCommandBuilder } = require('discord.js');
 require('dotenv').config();
 
+// Prize, entry and requirement options shared by /giveaway and /giveaway-schedule create
+function addGiveawayOptions(command) {
+  return command
+    .addNumberOption(option =>
+      option.setName('total_prize')
+        .setDescription('Total amount to be split evenly among winners (not used for item or tiered prizes)')
+        .setRequired(false)
+        .setMinValue(1))
+    .addIntegerOption(option =>
+      option.setName('winners')
+        .setDescription('Number of winners (default: 1)')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(10))
+    .addNumberOption(option =>
+      option.setName('entry_cost')
+        .setDescription('Cost in Sovereign Pounds to participate (default: 10)')
+        .setRequired(false)
+        .setMinValue(1))
+    .addRoleOption(option =>
+      option.setName('ping_role')
+        .setDescription('Role to ping when giveaway is created (optional)')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('prize_type')
+        .setDescription('What winners receive: pounds, a resource or a shop item (default: Sovereign Pounds)')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('prize_item')
+        .setDescription('Shop item each winner receives (prize type: Shop Item)')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('prize_tiers')
+        .setDescription('Different prize per place, best first (e.g. 5000, 3000, 1000)')
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('max_entries')
+        .setDescription('How many entries a member can buy (default: 1)')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(100))
+    .addStringOption(option =>
+      option.setName('bonus_roles')
+        .setDescription('Roles whose entries count extra, e.g. @Booster 2, @VIP 3 (optional)')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('required_roles')
+        .setDescription('Roles needed to join, mention one or more (optional)')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('required_roles_mode')
+        .setDescription('Whether members need any or all of the required roles (default: any)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Any of them', value: 'any' },
+          { name: 'All of them', value: 'all' }
+        ))
+    .addStringOption(option =>
+      option.setName('blacklist_roles')
+        .setDescription('Roles that cannot join, mention one or more (optional)')
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('min_level')
+        .setDescription('Minimum level needed to join (optional)')
+        .setRequired(false)
+        .setMinValue(1))
+    .addIntegerOption(option =>
+      option.setName('min_member_days')
+        .setDescription('Days a member must have been in the server (optional)')
+        .setRequired(false)
+        .setMinValue(1))
+    .addIntegerOption(option =>
+      option.setName('min_invites')
+        .setDescription('Minimum invites needed to join (optional)')
+        .setRequired(false)
+        .setMinValue(1))
+    .addIntegerOption(option =>
+      option.setName('min_messages')
+        .setDescription('Minimum messages sent in the server (optional)')
+        .setRequired(false)
+        .setMinValue(1));
+}
+
 const commands = [
   new SlashCommandBuilder()
     .setName('set-bot-profile')
@@ -22,7 +107,65 @@ const commands = [
 
   new SlashCommandBuilder()
     .setName('shop')
-    .setDescription('View the shop to exchange Sovereign Pounds for resources'),
+    .setDescription('View the shop to exchange Sovereign Pounds for resources')
+    .addStringOption(option =>
+      option.setName('category')
+        .setDescription('Only show one category')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('coupon')
+        .setDescription('Coupon code to apply to your purchases')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('sort')
+        .setDescription('How to order the items (default: cheapest first)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Price: low to high', value: 'price' },
+          { name: 'Price: high to low', value: 'price-desc' },
+          { name: 'Name', value: 'name' },
+          { name: 'Newest', value: 'newest' }
+        )),
+  new SlashCommandBuilder()
+    .setName('inventory')
+    .setDescription('See the shop items you own and your active boosts')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The member to view (admins only for other members)')
+        .setRequired(false)),
+  new SlashCommandBuilder()
+    .setName('subscriptions')
+    .setDescription('See your timed roles and when they end')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The member to view (admins only for other members)')
+        .setRequired(false)),
+  new SlashCommandBuilder()
+    .setName('use')
+    .setDescription('Use an item from your inventory')
+    .addStringOption(option =>
+      option.setName('item')
+        .setDescription('The item to use')
+        .setRequired(true)
+        .setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName('gift')
+    .setDescription('Give items from your inventory to another member')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The member to gift')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('item')
+        .setDescription('The item to give')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addIntegerOption(option =>
+      option.setName('quantity')
+        .setDescription('How many to give (default: 1)')
+        .setRequired(false)
+        .setMinValue(1)),
   new SlashCommandBuilder()
     .setName('help')
     .setDescription('Shows how to earn currency and lists all commands'),
@@ -54,7 +197,190 @@ const commands = [
 
   new SlashCommandBuilder()
     .setName('leaderboard')
-    .setDescription('Shows the top users with the most Sovereign Pounds'),
+    .setDescription('Shows the top users with the most Sovereign Pounds or invites')
+    .addStringOption(option =>
+      option.setName('type')
+        .setDescription('What to rank members by')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Sovereign Pounds', value: 'pounds' },
+          { name: 'Invites', value: 'invites' }
+        )),
+
+  new SlashCommandBuilder()
+    .setName('invites')
+    .setDescription('Shows how many members someone has invited')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The member to check (defaults to you)')
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('invite-review')
+    .setDescription('Staff: Review invite rewards held for checks or flagged as fake')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List invites by status')
+        .addStringOption(option =>
+          option.setName('status')
+            .setDescription('Which invites to show (default: pending)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Pending', value: 'pending' },
+              { name: 'Confirmed', value: 'confirmed' },
+              { name: 'Fake', value: 'fake' },
+              { name: 'Left', value: 'left' },
+              { name: 'All', value: 'all' }
+            ))
+        .addUserOption(option =>
+          option.setName('inviter')
+            .setDescription('Only show this member\'s invites')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('approve')
+        .setDescription('Pay a pending or fake invite now')
+        .addUserOption(option =>
+          option.setName('member')
+            .setDescription('The member who was invited')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('revoke')
+        .setDescription('Mark an invite as fake and take back its reward')
+        .addUserOption(option =>
+          option.setName('member')
+            .setDescription('The member who was invited')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('reason')
+            .setDescription('Why the invite is fake')
+            .setRequired(false)
+            .setMaxLength(200))),
+
+  new SlashCommandBuilder()
+    .setName('transactions')
+    .setDescription('View the history of Sovereign Pounds and resource movements')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The user to view (admins only for other users)')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('resource')
+        .setDescription('Only show one currency or resource')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('reason')
+        .setDescription('Only show one kind of transaction')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Daily Reward', value: 'daily_claim' },
+          { name: 'Message Reward', value: 'message_reward' },
+          { name: 'Voice Reward', value: 'voice_reward' },
+          { name: 'Boost Reward', value: 'boost_reward' },
+          { name: 'Invite Reward', value: 'invite_reward' },
+          { name: 'Invite Reward Reversed', value: 'invite_reward_reversal' },
+          { name: 'Admin Give', value: 'admin_give' },
+          { name: 'Admin Take', value: 'admin_take' },
+          { name: 'Admin Take Resource', value: 'admin_take_resource' },
+          { name: 'Shop Purchase', value: 'shop_purchase' },
+          { name: 'Resource Purchase', value: 'resource_purchase' },
+          { name: 'Giveaway Entry', value: 'giveaway_entry' },
+          { name: 'Giveaway Refund', value: 'giveaway_refund' },
+          { name: 'Giveaway Prize', value: 'giveaway_prize' },
+          { name: 'Transfer Sent', value: 'transfer_sent' },
+          { name: 'Transfer Received', value: 'transfer_received' },
+          { name: 'Transfer Tax', value: 'transfer_tax' },
+          { name: 'Resource Sold to Pool', value: 'resource_sale' },
+          { name: 'Market Purchase', value: 'market_purchase' },
+          { name: 'Market Sale', value: 'market_sale' },
+          { name: 'Shop Refund', value: 'shop_refund' },
+          { name: 'Data Reset', value: 'reset' }
+        )),
+
+  new SlashCommandBuilder()
+    .setName('pay')
+    .setDescription('Send Sovereign Pounds or resources to another member')
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('The member to pay')
+        .setRequired(true))
+    .addNumberOption(option =>
+      option.setName('amount')
+        .setDescription('How much to send')
+        .setRequired(true)
+        .setMinValue(0.01))
+    .addStringOption(option =>
+      option.setName('resource')
+        .setDescription('What to send (defaults to Sovereign Pounds)')
+        .setRequired(false)
+        .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('sell')
+    .setDescription('Sell resources back to the server pool for Sovereign Pounds')
+    .addStringOption(option =>
+      option.setName('resource')
+        .setDescription('What to sell')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addIntegerOption(option =>
+      option.setName('amount')
+        .setDescription('How much to sell')
+        .setRequired(true)
+        .setMinValue(1)),
+
+  new SlashCommandBuilder()
+    .setName('market')
+    .setDescription('Buy and sell resources with other members')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Put resources up for sale')
+        .addStringOption(option =>
+          option.setName('resource')
+            .setDescription('What to sell')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addIntegerOption(option =>
+          option.setName('amount')
+            .setDescription('How much to sell')
+            .setRequired(true)
+            .setMinValue(1))
+        .addNumberOption(option =>
+          option.setName('price')
+            .setDescription('Total price in Sovereign Pounds')
+            .setRequired(true)
+            .setMinValue(0.01)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('browse')
+        .setDescription('See the cheapest listings')
+        .addStringOption(option =>
+          option.setName('resource')
+            .setDescription('Only show this resource')
+            .setRequired(false)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('buy')
+        .setDescription('Buy a listing')
+        .addIntegerOption(option =>
+          option.setName('listing')
+            .setDescription('The listing to buy')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('cancel')
+        .setDescription('Take down one of your listings and get the resources back')
+        .addIntegerOption(option =>
+          option.setName('listing')
+            .setDescription('The listing to cancel')
+            .setRequired(true)
+            .setAutocomplete(true))),
 
   new SlashCommandBuilder()
     .setName('pool')
@@ -88,7 +414,7 @@ const commands = [
 
   new SlashCommandBuilder()
     .setName('take-resource')
-    .setDescription('Admin: Take resources (wood, food, etc.) from a user.')
+    .setDescription('Admin: Take resources from a user.')
     .addUserOption(option =>
       option.setName('user')
         .setDescription('The user to take resources from.')
@@ -97,18 +423,86 @@ const commands = [
       option.setName('resource')
         .setDescription('Resource type')
         .setRequired(true)
-        .addChoices(
-          { name: 'Wood', value: 'wood' },
-          { name: 'Food', value: 'food' },
-          { name: 'Stone', value: 'stone' },
-          { name: 'Gold', value: 'gold' }
-        ))
+        .setAutocomplete(true))
     .addIntegerOption(option =>
       option.setName('amount')
         .setDescription('Amount to take')
         .setRequired(true)
         .setMinValue(1)),
 
+  new SlashCommandBuilder()
+    .setName('resource')
+    .setDescription('Admin: Manage the resource types this server uses')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Add a resource type')
+        .addStringOption(option =>
+          option.setName('key')
+            .setDescription('Short ID, lowercase letters and digits (e.g. iron)')
+            .setRequired(true)
+            .setMaxLength(20))
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Display name (e.g. Iron)')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addStringOption(option =>
+          option.setName('emoji')
+            .setDescription('Emoji shown next to the name (default: 📦)')
+            .setRequired(false))
+        .addIntegerOption(option =>
+          option.setName('package_size')
+            .setDescription('Amount in one package (default: 1)')
+            .setRequired(false)
+            .setMinValue(1))
+        .addNumberOption(option =>
+          option.setName('package_price')
+            .setDescription('Sovereign Pounds per package (default: 10)')
+            .setRequired(false)
+            .setMinValue(0.01)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('edit')
+        .setDescription('Change a resource type')
+        .addStringOption(option =>
+          option.setName('resource')
+            .setDescription('The resource to edit')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('New display name')
+            .setRequired(false)
+            .setMaxLength(50))
+        .addStringOption(option =>
+          option.setName('emoji')
+            .setDescription('New emoji')
+            .setRequired(false))
+        .addIntegerOption(option =>
+          option.setName('package_size')
+            .setDescription('New amount in one package')
+            .setRequired(false)
+            .setMinValue(1))
+        .addNumberOption(option =>
+          option.setName('package_price')
+            .setDescription('New Sovereign Pounds per package')
+            .setRequired(false)
+            .setMinValue(0.01)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Stop using a resource type (member balances are kept)')
+        .addStringOption(option =>
+          option.setName('resource')
+            .setDescription('The resource to remove')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List this server\'s resource types')),
+
   new SlashCommandBuilder()
     .setName('shop-add')
     .setDescription('Admin: Add an item to the shop')
@@ -133,16 +527,17 @@ const commands = [
       option.setName('role')
         .setDescription('Role to give upon purchase (optional)')
         .setRequired(false))
+    .addNumberOption(option =>
+      option.setName('role_days')
+        .setDescription('Days the role lasts before it is removed (default: forever)')
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(3650))
     .addStringOption(option =>
       option.setName('resource')
-        .setDescription('Resource type (wood, food, stone, gold) (optional)')
+        .setDescription('Resource the item gives (optional)')
         .setRequired(false)
-        .addChoices(
-          { name: 'Wood', value: 'wood' },
-          { name: 'Food', value: 'food' },
-          { name: 'Stone', value: 'stone' },
-          { name: 'Gold', value: 'gold' }
-        ))
+        .setAutocomplete(true))
     .addIntegerOption(option =>
       option.setName('quantity')
         .setDescription('Amount of resource to give (default: 1)')
@@ -151,56 +546,422 @@ const commands = [
     .addBooleanOption(option =>
       option.setName('requires_ticket')
         .setDescription('Create a staff ticket upon purchase?')
-        .setRequired(false)),
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('effect')
+        .setDescription('Make the item a consumable that members /use (optional)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Temporary Role', value: 'role' },
+          { name: 'XP Boost', value: 'xp_boost' },
+          { name: 'Daily Reward Boost', value: 'daily_multiplier' },
+          { name: 'Staff Ticket', value: 'ticket' }
+        ))
+    .addRoleOption(option =>
+      option.setName('effect_role')
+        .setDescription('Role a Temporary Role item grants')
+        .setRequired(false))
+    .addNumberOption(option =>
+      option.setName('effect_multiplier')
+        .setDescription('Multiplier for boosts (e.g. 2 for double XP)')
+        .setRequired(false)
+        .setMinValue(1.01)
+        .setMaxValue(10))
+    .addNumberOption(option =>
+      option.setName('effect_days')
+        .setDescription('How many days the effect lasts (0 keeps a role for good)')
+        .setRequired(false)
+        .setMinValue(0)
+        .setMaxValue(365))
+    .addStringOption(option =>
+      option.setName('category')
+        .setDescription('Shop category, e.g. Resources, Roles, Services (default: picked from the item)')
+        .setRequired(false)
+        .setMaxLength(32)
+        .setAutocomplete(true))
+    .addBooleanOption(option =>
+      option.setName('hidden')
+        .setDescription('Keep the item out of /shop, e.g. for giveaway prizes')
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('disabled')
+        .setDescription('List the item but do not sell it yet')
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('limit_total')
+        .setDescription('Times each member can buy it, 0 for no limit')
+        .setRequired(false)
+        .setMinValue(0))
+    .addIntegerOption(option =>
+      option.setName('limit_daily')
+        .setDescription('Times each member can buy it per 24 hours, 0 for no limit')
+        .setRequired(false)
+        .setMinValue(0))
+    .addIntegerOption(option =>
+      option.setName('limit_weekly')
+        .setDescription('Times each member can buy it per 7 days, 0 for no limit')
+        .setRequired(false)
+        .setMinValue(0))
+    .addStringOption(option =>
+      option.setName('cooldown')
+        .setDescription('Wait between purchases per member (e.g. 30m, 12h, 1d; 0 for none)')
+        .setRequired(false))
+    .addRoleOption(option =>
+      option.setName('required_role')
+        .setDescription('Only members with this role can buy it')
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('min_level')
+        .setDescription('Level members need to buy it, 0 for none')
+        .setRequired(false)
+        .setMinValue(0)),
+
+  new SlashCommandBuilder()
+    .setName('shop-edit')
+    .setDescription('Admin: Change a shop item')
+    .addStringOption(option =>
+      option.setName('item')
+        .setDescription('The item to change')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('name')
+        .setDescription('New name')
+        .setRequired(false))
+    .addNumberOption(option =>
+      option.setName('price')
+        .setDescription('New price in Sovereign Pounds')
+        .setRequired(false)
+        .setMinValue(0.01))
+    .addStringOption(option =>
+      option.setName('emoji')
+        .setDescription('New emoji')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('description')
+        .setDescription('New description')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('category')
+        .setDescription('Move the item to another category')
+        .setRequired(false)
+        .setMaxLength(32)
+        .setAutocomplete(true))
+    .addBooleanOption(option =>
+      option.setName('hidden')
+        .setDescription('Keep the item out of /shop')
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('disabled')
+        .setDescription('List the item but stop selling it')
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('limit_total')
+        .setDescription('Times each member can buy it, 0 for no limit')
+        .setRequired(false)
+        .setMinValue(0))
+    .addIntegerOption(option =>
+      option.setName('limit_daily')
+        .setDescription('Times each member can buy it per 24 hours, 0 for no limit')
+        .setRequired(false)
+        .setMinValue(0))
+    .addIntegerOption(option =>
+      option.setName('limit_weekly')
+        .setDescription('Times each member can buy it per 7 days, 0 for no limit')
+        .setRequired(false)
+        .setMinValue(0))
+    .addStringOption(option =>
+      option.setName('cooldown')
+        .setDescription('Wait between purchases per member (e.g. 30m, 12h, 1d; 0 for none)')
+        .setRequired(false))
+    .addRoleOption(option =>
+      option.setName('required_role')
+        .setDescription('Only members with this role can buy it')
+        .setRequired(false))
+    .addBooleanOption(option =>
+      option.setName('remove_required_role')
+        .setDescription('Let members without a role buy it again')
+        .setRequired(false))
+    .addIntegerOption(option =>
+      option.setName('min_level')
+        .setDescription('Level members need to buy it, 0 for none')
+        .setRequired(false)
+        .setMinValue(0)),
 
   new SlashCommandBuilder()
     .setName('shop-remove')
     .setDescription('Admin: Remove an item from the shop')
-    .addIntegerOption(option =>
-      option.setName('id')
-        .setDescription('ID of the item to remove')
-        .setRequired(true)),
+    .addStringOption(option =>
+      option.setName('item')
+        .setDescription('The item to remove')
+        .setRequired(true)
+        .setAutocomplete(true)),
 
   new SlashCommandBuilder()
     .setName('shop-stock')
     .setDescription('Admin: Add stock to a shop item')
-    .addIntegerOption(option =>
-      option.setName('id')
-        .setDescription('ID of the shop item')
-        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('item')
+        .setDescription('The shop item')
+        .setRequired(true)
+        .setAutocomplete(true))
     .addStringOption(option =>
       option.setName('amount')
         .setDescription('Amount of stock to add (e.g. 1k, 1m)')
         .setRequired(true)),
 
   new SlashCommandBuilder()
+    .setName('orders')
+    .setDescription('Staff: The queue of shop orders staff deliver by hand')
+    .addStringOption(option =>
+      option.setName('status')
+        .setDescription('Which orders to show (default: open)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Open', value: 'open' },
+          { name: 'Pending', value: 'pending' },
+          { name: 'In Progress', value: 'in_progress' },
+          { name: 'Fulfilled', value: 'fulfilled' },
+          { name: 'Refunded', value: 'refunded' },
+          { name: 'All', value: 'all' }
+        ))
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('Only show this member\'s orders')
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('my-orders')
+    .setDescription('See your shop orders and their status'),
+
+  new SlashCommandBuilder()
+    .setName('coupon')
+    .setDescription('Admin: Manage shop coupon codes')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('create')
+        .setDescription('Create a coupon code')
+        .addStringOption(option =>
+          option.setName('code')
+            .setDescription('The code members enter with /shop (letters, numbers and -)')
+            .setRequired(true)
+            .setMinLength(3)
+            .setMaxLength(20))
+        .addStringOption(option =>
+          option.setName('type')
+            .setDescription('Take a percentage or a flat amount off')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Percent off', value: 'percent' },
+              { name: 'Sovereign Pounds off', value: 'flat' }
+            ))
+        .addNumberOption(option =>
+          option.setName('value')
+            .setDescription('Percent or pounds off')
+            .setRequired(true)
+            .setMinValue(0.01))
+        .addIntegerOption(option =>
+          option.setName('uses')
+            .setDescription('Total uses across all members (default: unlimited)')
+            .setRequired(false)
+            .setMinValue(1))
+        .addIntegerOption(option =>
+          option.setName('per_user')
+            .setDescription('Uses per member, 0 for unlimited (default: 1)')
+            .setRequired(false)
+            .setMinValue(0))
+        .addStringOption(option =>
+          option.setName('expires')
+            .setDescription('When it stops working: a delay like 7d or a UTC date like 2025-06-01 18:00')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('item')
+            .setDescription('Only for this item')
+            .setRequired(false)
+            .setAutocomplete(true))
+        .addStringOption(option =>
+          option.setName('category')
+            .setDescription('Only for items in this category')
+            .setRequired(false)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List coupon codes and their uses'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('delete')
+        .setDescription('Delete a coupon code')
+        .addStringOption(option =>
+          option.setName('code')
+            .setDescription('The code to delete')
+            .setRequired(true)
+            .setAutocomplete(true))),
+
+  new SlashCommandBuilder()
+    .setName('shop-sale')
+    .setDescription('Admin: Run timed shop sales')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('start')
+        .setDescription('Start a sale')
+        .addNumberOption(option =>
+          option.setName('percent')
+            .setDescription('Percent off')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(100))
+        .addStringOption(option =>
+          option.setName('duration')
+            .setDescription('How long the sale runs (e.g. 30m, 6h, 2d)')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('category')
+            .setDescription('Only discount this category (default: the whole shop)')
+            .setRequired(false)
+            .setAutocomplete(true))
+        .addStringOption(option =>
+          option.setName('starts')
+            .setDescription('Start later: a delay like 2h or a UTC date like 2025-06-01 18:00')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('end')
+        .setDescription('End a running or upcoming sale')
+        .addIntegerOption(option =>
+          option.setName('sale')
+            .setDescription('The sale to end')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List running and upcoming sales')),
+
+  new SlashCommandBuilder()
+    .setName('shop-discount')
+    .setDescription('Admin: Give members with a role a standing shop discount')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Set the discount for a role')
+        .addRoleOption(option =>
+          option.setName('role')
+            .setDescription('Role that gets the discount, e.g. Server Booster')
+            .setRequired(true))
+        .addNumberOption(option =>
+          option.setName('percent')
+            .setDescription('Percent off')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(100)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a role\'s discount')
+        .addRoleOption(option =>
+          option.setName('role')
+            .setDescription('The role')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List role discounts')),
+
+  addGiveawayOptions(new SlashCommandBuilder()
     .setName('giveaway')
     .setDescription('Admin: Create a paid giveaway')
     .addStringOption(option =>
       option.setName('duration')
         .setDescription('How long the giveaway should last (e.g., 1h, 30m, 2d)')
-        .setRequired(true))
-    .addNumberOption(option =>
-      option.setName('total_prize')
-        .setDescription('Total amount of Sovereign Pounds to be distributed among winners')
+        .setRequired(true))),
+
+  new SlashCommandBuilder()
+    .setName('giveaway-end')
+    .setDescription('Admin: End a running giveaway now and draw its winners')
+    .addStringOption(option =>
+      option.setName('id')
+        .setDescription('The giveaway to end')
         .setRequired(true)
-        .setMinValue(1))
+        .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('giveaway-reroll')
+    .setDescription('Admin: Draw replacement winners for an ended giveaway')
+    .addStringOption(option =>
+      option.setName('id')
+        .setDescription('The giveaway to reroll')
+        .setRequired(true)
+        .setAutocomplete(true))
     .addIntegerOption(option =>
-      option.setName('winners')
-        .setDescription('Number of winners (default: 1)')
+      option.setName('count')
+        .setDescription('How many new winners to draw (default: 1)')
         .setRequired(false)
         .setMinValue(1)
-        .setMaxValue(10))
-    .addNumberOption(option =>
-      option.setName('entry_cost')
-        .setDescription('Cost in Sovereign Pounds to participate (default: 10)')
-        .setRequired(false)
-        .setMinValue(1))
-    .addRoleOption(option =>
-      option.setName('ping_role')
-        .setDescription('Role to ping when giveaway is created (optional)')
+        .setMaxValue(10)),
+
+  new SlashCommandBuilder()
+    .setName('giveaway-cancel')
+    .setDescription('Admin: Cancel a running giveaway and refund all entries')
+    .addStringOption(option =>
+      option.setName('id')
+        .setDescription('The giveaway to cancel')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('reason')
+        .setDescription('Reason shown in the cancellation message')
         .setRequired(false)),
 
+  new SlashCommandBuilder()
+    .setName('giveaway-list')
+    .setDescription('Admin: List running and recently ended giveaways'),
+
+  new SlashCommandBuilder()
+    .setName('giveaway-verify')
+    .setDescription('Check that a giveaway draw was fair by recomputing its winners')
+    .addStringOption(option =>
+      option.setName('id')
+        .setDescription('The giveaway to verify')
+        .setRequired(true)
+        .setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName('giveaway-schedule')
+    .setDescription('Admin: Schedule giveaways in advance or as a recurring series')
+    .addSubcommand(subcommand => addGiveawayOptions(subcommand
+      .setName('create')
+      .setDescription('Schedule a giveaway to post once or on repeat')
+      .addChannelOption(option =>
+        option.setName('channel')
+          .setDescription('Channel the giveaway is posted in')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('duration')
+          .setDescription('How long each giveaway runs (e.g., 1h, 30m, 2d)')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('start')
+          .setDescription('First post in UTC, "2025-06-01 18:00", or a delay like 2h (default: next repeat)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('repeat')
+          .setDescription('Repeat rule in UTC: "daily 18:00" or "weekly sun 18:00" (default: post once)')
+          .setRequired(false))))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List scheduled giveaways'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a scheduled giveaway')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('The schedule to remove')
+            .setRequired(true)
+            .setAutocomplete(true))),
+
   new SlashCommandBuilder()
     .setName('qotd-setup')
     .setDescription('Admin: Configure Question of the Day')
@@ -0,0 +1,236 @@
+const { pool: db, withTransaction } = require('./database');
+
+// Accounts that can sit on the other side of a movement besides a member
+const POOL = 'pool';       // The server pool (server_stats.pool_balance)
+const SYSTEM = 'system';   // Rewards minted by the bot and purchases that leave the economy
+const ESCROW = 'escrow';   // Prize funds held by a running giveaway, resources held by a market listing
+
+// Reason codes written to the ledger, with a label for display
+const REASONS = {
+  daily_claim: 'Daily Reward',
+  message_reward: 'Message Reward',
+  voice_reward: 'Voice Reward',
+  boost_reward: 'Boost Reward',
+  invite_reward: 'Invite Reward',
+  invite_reward_reversal: 'Invite Reward Reversed',
+  admin_give: 'Admin Give',
+  admin_take: 'Admin Take',
+  admin_take_resource: 'Admin Take Resource',
+  shop_purchase: 'Shop Purchase',
+  shop_refund: 'Shop Refund',
+  resource_purchase: 'Resource Purchase',
+  giveaway_escrow: 'Giveaway Prize Escrow',
+  giveaway_escrow_return: 'Giveaway Prize Returned',
+  giveaway_entry: 'Giveaway Entry',
+  giveaway_refund: 'Giveaway Refund',
+  giveaway_prize: 'Giveaway Prize',
+  transfer_sent: 'Transfer Sent',
+  transfer_received: 'Transfer Received',
+  transfer_tax: 'Transfer Tax',
+  resource_sale: 'Resource Sold to Pool',
+  market_escrow: 'Market Listing Escrow',
+  market_escrow_return: 'Market Listing Returned',
+  market_purchase: 'Market Purchase',
+  market_sale: 'Market Sale',
+  market_fee: 'Market Fee',
+  reset: 'Data Reset',
+};
+
+// Thrown when a debit would take a wallet or the pool below zero. Inside
+// withTransaction it rolls back everything the operation already wrote.
+class InsufficientFundsError extends Error {
+  constructor(accountId, resource) {
+    super(`Insufficient ${resource} in ${accountId}`);
+    this.name = 'InsufficientFundsError';
+    this.accountId = accountId;
+    this.resource = resource;
+  }
+}
+
+// Every helper takes an optional `client` so callers can group several writes
+// into one withTransaction; without it each call runs in its own transaction.
+async function ensureUser(guildId, userId, client = db) {
+  await client.query('INSERT INTO users (guild_id, id) VALUES ($1, $2) ON CONFLICT (guild_id, id) DO NOTHING', [guildId, userId]);
+}
+
+async function recordTransaction({ client = db, guildId, userId, counterpartyId = null, amount, resource = 'pounds', reason, referenceId = null }) {
+  await client.query(
+    'INSERT INTO transactions (guild_id, user_id, counterparty_id, amount, resource, reason, reference_id) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+    [guildId, userId, counterpartyId, amount, resource, reason, referenceId]
+  );
+}
+
+// Debits only apply while the pool holds enough, checked in the same UPDATE
+async function movePool(client, guildId, amount) {
+  const guard = amount < 0 ? ' AND pool_balance >= $3' : '';
+  const params = amount < 0 ? [amount, guildId, -amount] : [amount, guildId];
+  const { rowCount } = await client.query(`UPDATE server_stats SET pool_balance = pool_balance + $1 WHERE id = $2${guard}`, params);
+  if (amount < 0 && rowCount === 0) throw new InsufficientFundsError(POOL, 'pounds');
+}
+
+// Pounds are users.balance; every other resource is a user_resources row
+async function moveWallet(client, guildId, userId, amount, resource) {
+  if (resource === 'pounds') {
+    const guard = amount < 0 ? ' AND balance >= $4' : '';
+    const params = amount < 0 ? [amount, guildId, userId, -amount] : [amount, guildId, userId];
+    const { rowCount } = await client.query(`UPDATE users SET balance = balance + $1 WHERE guild_id = $2 AND id = $3${guard}`, params);
+    return rowCount > 0;
+  }
+
+  if (amount >= 0) {
+    await client.query(
+      `INSERT INTO user_resources (guild_id, user_id, resource, amount) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (guild_id, user_id, resource) DO UPDATE SET amount = user_resources.amount + excluded.amount`,
+      [guildId, userId, resource, amount]
+    );
+    return true;
+  }
+  const { rowCount } = await client.query(
+    'UPDATE user_resources SET amount = amount + $1 WHERE guild_id = $2 AND user_id = $3 AND resource = $4 AND amount >= $5',
+    [amount, guildId, userId, resource, -amount]
+  );
+  return rowCount > 0;
+}
+
+// Adds `amount` (negative to remove) of a resource to a member's wallet and records it.
+// Pounds exchanged with POOL move the server pool balance the opposite way.
+// Debits are conditional on the wallet covering them and throw InsufficientFundsError otherwise.
+async function adjustBalance(options) {
+  if (!options.client) return withTransaction(client => adjustBalance({ ...options, client }));
+
+  const { client, guildId, userId, amount, resource = 'pounds', counterpartyId = SYSTEM, reason, referenceId = null } = options;
+  if (!resource) throw new Error('Missing resource');
+
+  await ensureUser(guildId, userId, client);
+  const applied = await moveWallet(client, guildId, userId, amount, resource);
+  if (amount < 0 && !applied) throw new InsufficientFundsError(userId, resource);
+
+  if (counterpartyId === POOL && resource === 'pounds') {
+    await movePool(client, guildId, -amount);
+  }
+
+  await recordTransaction({ client, guildId, userId, counterpartyId, amount, resource, reason, referenceId });
+}
+
+// Moves pounds in (positive) or out (negative) of the server pool without touching a wallet
+async function adjustPool(options) {
+  if (!options.client) return withTransaction(client => adjustPool({ ...options, client }));
+
+  const { client, guildId, amount, counterpartyId = SYSTEM, reason, referenceId = null } = options;
+  await movePool(client, guildId, amount);
+  await recordTransaction({ client, guildId, userId: POOL, counterpartyId, amount, resource: 'pounds', reason, referenceId });
+}
+
+// Moves a resource from one member to another. `tax` pounds are withheld from
+// what the recipient receives and paid into the server pool.
+async function transfer(options) {
+  if (!options.client) return withTransaction(client => transfer({ ...options, client }));
+
+  const { client, guildId, fromId, toId, amount, resource = 'pounds', tax = 0, referenceId = null } = options;
+  if (tax > 0 && resource !== 'pounds') throw new Error('Transfer tax only applies to pounds');
+
+  await adjustBalance({ client, guildId, userId: fromId, amount: -amount, resource, counterpartyId: toId, reason: 'transfer_sent', referenceId });
+  await adjustBalance({ client, guildId, userId: toId, amount: amount - tax, resource, counterpartyId: fromId, reason: 'transfer_received', referenceId });
+  if (tax > 0) {
+    await adjustPool({ client, guildId, amount: tax, counterpartyId: fromId, reason: 'transfer_tax', referenceId });
+  }
+}
+
+// Empties every wallet in the guild and sets its pool to `poolBalance`. Each
+// change is written to the ledger as a `reset` so it still adds up to the balances.
+async function resetBalances(options) {
+  if (!options.client) return withTransaction(client => resetBalances({ ...options, client }));
+
+  const { client, guildId, poolBalance } = options;
+  const { rows: wallets } = await client.query('SELECT id, balance FROM users WHERE guild_id = $1 AND balance <> 0', [guildId]);
+  for (const wallet of wallets) {
+    await recordTransaction({ client, guildId, userId: wallet.id, amount: -wallet.balance, reason: 'reset' });
+  }
+  await client.query('UPDATE users SET balance = 0 WHERE guild_id = $1', [guildId]);
+
+  const { rows: holdings } = await client.query('SELECT user_id, resource, amount FROM user_resources WHERE guild_id = $1 AND amount <> 0', [guildId]);
+  for (const holding of holdings) {
+    await recordTransaction({ client, guildId, userId: holding.user_id, amount: -holding.amount, resource: holding.resource, reason: 'reset' });
+  }
+  await client.query('DELETE FROM user_resources WHERE guild_id = $1', [guildId]);
+
+  await client.query('INSERT INTO server_stats (id, pool_balance) VALUES ($1, 0) ON CONFLICT (id) DO NOTHING', [guildId]);
+  const { rows: poolRows } = await client.query('SELECT pool_balance FROM server_stats WHERE id = $1', [guildId]);
+  const poolChange = poolBalance - (Number(poolRows[0]?.pool_balance) || 0);
+  if (poolChange !== 0) {
+    await adjustPool({ client, guildId, amount: poolChange, reason: 'reset' });
+  }
+  return { wallets: wallets.length, holdings: holdings.length };
+}
+
+// A member's current amount of one resource
+async function getBalance(guildId, userId, resource = 'pounds', client = db) {
+  if (resource === 'pounds') {
+    const { rows } = await client.query('SELECT balance FROM users WHERE guild_id = $1 AND id = $2', [guildId, userId]);
+    return rows[0]?.balance || 0;
+  }
+  const { rows } = await client.query('SELECT amount FROM user_resources WHERE guild_id = $1 AND user_id = $2 AND resource = $3', [guildId, userId, resource]);
+  return Number(rows[0]?.amount || 0);
+}
+
+// resource key -> amount for every resource a member holds (pounds not included)
+async function getResourceBalances(guildId, userId) {
+  const { rows } = await db.query('SELECT resource, amount FROM user_resources WHERE guild_id = $1 AND user_id = $2', [guildId, userId]);
+  return Object.fromEntries(rows.map(row => [row.resource, Number(row.amount)]));
+}
+
+// How much of a resource a member has sent to others since midnight UTC
+async function getSentToday(guildId, userId, resource, client = db) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { rows } = await client.query(
+    "SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE guild_id = $1 AND user_id = $2 AND resource = $3 AND reason = 'transfer_sent' AND created_at >= $4",
+    [guildId, userId, resource, today]
+  );
+  return -parseFloat(rows[0]?.total || 0);
+}
+
+// Returns one page of ledger rows, newest first, plus the total matching count
+async function getTransactions({ guildId, userId = null, resource = null, reason = null, limit = 10, offset = 0 }) {
+  const conditions = ['guild_id = $1'];
+  const params = [guildId];
+
+  if (userId) {
+    params.push(userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  if (resource) {
+    params.push(resource);
+    conditions.push(`resource = $${params.length}`);
+  }
+  if (reason) {
+    params.push(reason);
+    conditions.push(`reason = $${params.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+  const { rows: countRows } = await db.query(`SELECT COUNT(*) as total FROM transactions WHERE ${where}`, params);
+  const { rows } = await db.query(
+    `SELECT * FROM transactions WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { rows, total: parseInt(countRows[0]?.total || 0) };
+}
+
+module.exports = {
+  POOL,
+  SYSTEM,
+  ESCROW,
+  REASONS,
+  InsufficientFundsError,
+  ensureUser,
+  recordTransaction,
+  adjustBalance,
+  adjustPool,
+  transfer,
+  resetBalances,
+  getBalance,
+  getResourceBalances,
+  getSentToday,
+  getTransactions,
+};
@@ -0,0 +1,96 @@
+// Provably fair giveaway draws. A giveaway commits to sha256(seed) when it is
+// posted and reveals the seed when it ends; the winners follow from the seed and
+// the final entry list alone, so anyone can recompute them.
+//
+// Standalone check: node fairness.js <seed> <entries> <count>
+// where <entries> is the "id:weight,id:weight,..." list shown by /giveaway-verify.
+
+const crypto = require('crypto');
+
+const RANGE = 2 ** 48; // 12 hex digits of each HMAC
+
+function generateSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Entries in draw order: sorted by id, members without tickets left out
+function normalizeEntries(entries) {
+  return entries
+    .filter(({ weight }) => weight > 0)
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+function formatEntries(entries) {
+  return normalizeEntries(entries).map(({ id, weight }) => `${id}:${weight}`).join(',');
+}
+
+function parseEntries(text) {
+  return text.split(',').filter(Boolean).map(pair => {
+    const [id, weight] = pair.split(':');
+    return { id, weight: parseInt(weight, 10) };
+  });
+}
+
+// Uniform integer in [0, max) from HMAC-SHA256(seed, message). Values past the
+// last whole multiple of max are rejected so no ticket is favoured.
+function seededInt(seed, message, max) {
+  const limit = RANGE - (RANGE % max);
+  for (let attempt = 0; ; attempt++) {
+    const digest = crypto.createHmac('sha256', seed).update(`${message}:${attempt}`).digest('hex');
+    const value = parseInt(digest.slice(0, 12), 16);
+    if (value < limit) return value % max;
+  }
+}
+
+// Draws up to `count` distinct ids from [{ id, weight }], where each whole unit of
+// weight is one ticket. Drawing more winners later continues the same sequence, so
+// the first picks never change (rerolls extend the original draw).
+function drawWinners(seed, entries, count) {
+  const pool = normalizeEntries(entries);
+  const entryList = formatEntries(pool);
+  let totalWeight = pool.reduce((sum, { weight }) => sum + weight, 0);
+  const winners = [];
+
+  for (let round = 0; winners.length < count && pool.length > 0; round++) {
+    let ticket = seededInt(seed, `${entryList}:${round}`, totalWeight);
+    const index = pool.findIndex(({ weight }) => (ticket -= weight) < 0);
+    const [picked] = pool.splice(index, 1);
+    totalWeight -= picked.weight;
+    winners.push(picked.id);
+  }
+  return winners;
+}
+
+// Recomputes a finished draw and reports whether the seed and winners check out
+function verifyDraw({ seed, seedHash, entries, winners }) {
+  const expectedWinners = drawWinners(seed, entries, winners.length);
+  return {
+    seedMatches: hashSeed(seed) === seedHash,
+    winnersMatch: expectedWinners.length === winners.length && expectedWinners.every((id, i) => id === winners[i]),
+    expectedWinners,
+  };
+}
+
+module.exports = {
+  generateSeed,
+  hashSeed,
+  formatEntries,
+  parseEntries,
+  drawWinners,
+  verifyDraw,
+};
+
+if (require.main === module) {
+  const [seed, entries, count] = process.argv.slice(2);
+  if (!seed || !entries || !count) {
+    console.log('Usage: node fairness.js <seed> <id:weight,id:weight,...> <winner count>');
+    process.exit(1);
+  }
+  console.log(`Seed hash: ${hashSeed(seed)}`);
+  drawWinners(seed, parseEntries(entries), parseInt(count, 10))
+    .forEach((id, i) => console.log(`#${i + 1} ${id}`));
+}
@@ -0,0 +1,118 @@
+const { pool: db, withTransaction } = require('./database');
+const resources = require('./resources');
+
+// Shop items members own. Items with an effect_type are consumables that /use
+// spends; everything else is kept as a collectible that can be gifted.
+
+// Effects a consumable can have, with a label for display
+const EFFECTS = {
+  role: 'Temporary Role',
+  xp_boost: 'XP Boost',
+  daily_multiplier: 'Daily Reward Boost',
+  ticket: 'Staff Ticket',
+};
+
+// Resource packages and role items are delivered on the spot; anything else is kept
+function isKeptItem(guildId, item) {
+  if (item.effect_type) return true;
+  const resource = item.resource_type?.toLowerCase();
+  return !(resource && resources.getResourceType(guildId, resource)) && !item.role_id;
+}
+
+async function addItem({ client = db, guildId, userId, itemId, quantity = 1 }) {
+  await client.query(
+    `INSERT INTO inventory (guild_id, user_id, item_id, quantity) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (guild_id, user_id, item_id) DO UPDATE SET quantity = inventory.quantity + excluded.quantity`,
+    [guildId, userId, itemId, quantity]
+  );
+}
+
+// Takes items only while the member holds enough; returns whether it did
+async function removeItem({ client = db, guildId, userId, itemId, quantity = 1 }) {
+  const { rowCount } = await client.query(
+    'UPDATE inventory SET quantity = quantity - $1 WHERE guild_id = $2 AND user_id = $3 AND item_id = $4 AND quantity >= $1',
+    [quantity, guildId, userId, itemId]
+  );
+  if (rowCount === 0) return false;
+  await client.query('DELETE FROM inventory WHERE guild_id = $1 AND user_id = $2 AND item_id = $3 AND quantity <= 0', [guildId, userId, itemId]);
+  return true;
+}
+
+// Owned items with their shop details. Items since removed from the shop have no name.
+async function getInventory(guildId, userId) {
+  const { rows } = await db.query(
+    `SELECT i.item_id, i.quantity AS owned, s.name, s.emoji, s.description, s.effect_type, s.effect_role_id, s.effect_multiplier, s.effect_days
+     FROM inventory i LEFT JOIN shop_items s ON s.id = i.item_id
+     WHERE i.guild_id = $1 AND i.user_id = $2 AND i.quantity > 0
+     ORDER BY s.name ASC, i.item_id ASC`,
+    [guildId, userId]
+  );
+  return rows.map(row => ({ ...row, owned: Number(row.owned) }));
+}
+
+async function giftItem({ guildId, fromId, toId, itemId, quantity = 1 }) {
+  return withTransaction(async (client) => {
+    if (!(await removeItem({ client, guildId, userId: fromId, itemId, quantity }))) return false;
+    await addItem({ client, guildId, userId: toId, itemId, quantity });
+    return true;
+  });
+}
+
+// Starts a timed boost, or extends the running one of the same kind and keeps
+// the larger multiplier. Returns { id, expiresAt }. Temporary roles are role
+// grants (see subscriptions.js).
+async function startEffect({ client = db, guildId, userId, effectType, multiplier = 1, days, itemId }) {
+  const now = new Date();
+  const { rows } = await client.query(
+    'SELECT * FROM item_effects WHERE guild_id = $1 AND user_id = $2 AND effect_type = $3 FOR UPDATE',
+    [guildId, userId, effectType]
+  );
+  const current = rows[0];
+  const from = current && new Date(current.expires_at) > now ? new Date(current.expires_at) : now;
+  const expiresAt = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+  if (current) {
+    const strongest = new Date(current.expires_at) > now ? Math.max(current.multiplier, multiplier) : multiplier;
+    await client.query('UPDATE item_effects SET expires_at = $1, multiplier = $2, item_id = $3 WHERE id = $4', [expiresAt, strongest, itemId, current.id]);
+    return { id: current.id, expiresAt };
+  }
+
+  const { rows: inserted } = await client.query(
+    'INSERT INTO item_effects (guild_id, user_id, effect_type, multiplier, item_id, expires_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+    [guildId, userId, effectType, multiplier, itemId, expiresAt]
+  );
+  return { id: inserted[0].id, expiresAt };
+}
+
+// Removes a boost that has run out and returns it, or null if it was extended meanwhile
+async function endEffect(effectId) {
+  const { rows } = await db.query('DELETE FROM item_effects WHERE id = $1 AND expires_at <= $2 RETURNING *', [effectId, new Date()]);
+  return rows[0] || null;
+}
+
+async function getActiveEffects(guildId, userId) {
+  const { rows } = await db.query('SELECT * FROM item_effects WHERE guild_id = $1 AND user_id = $2 AND expires_at > $3 ORDER BY expires_at ASC', [guildId, userId, new Date()]);
+  return rows;
+}
+
+// The running multiplier of a boost type, or 1 without one
+async function getActiveMultiplier(guildId, userId, effectType) {
+  const { rows } = await db.query(
+    'SELECT MAX(multiplier) AS multiplier FROM item_effects WHERE guild_id = $1 AND user_id = $2 AND effect_type = $3 AND expires_at > $4',
+    [guildId, userId, effectType, new Date()]
+  );
+  return Number(rows[0]?.multiplier) || 1;
+}
+
+module.exports = {
+  EFFECTS,
+  isKeptItem,
+  addItem,
+  removeItem,
+  getInventory,
+  giftItem,
+  startEffect,
+  endEffect,
+  getActiveEffects,
+  getActiveMultiplier,
+};
@@ -0,0 +1,240 @@
+const { pool: db, withTransaction } = require('./database');
+const economy = require('./economy');
+
+// Invite rewards. Each member can earn one inviter the reward once per server.
+// A new invite starts pending and is paid when the member passes the server's
+// checks at confirm_at; alts and members invited before are recorded as fake.
+// Leaving within the window takes the reward back. invites.invites holds each
+// inviter's confirmed count.
+
+const STATUSES = {
+  pending: '🕒 Pending',
+  confirmed: '✅ Confirmed',
+  fake: '🚫 Fake',
+  left: '👋 Left',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The member's first invite record in the server, if there is one
+async function getInviteRecord(guildId, memberId, client = db) {
+  const { rows } = await client.query(
+    'SELECT * FROM invited_members WHERE guild_id = $1 AND invited_member_id = $2 ORDER BY first_invited_at ASC LIMIT 1',
+    [guildId, memberId]
+  );
+  return rows[0] || null;
+}
+
+// The member's pending or confirmed record; there is at most one
+async function getActiveRecord(guildId, memberId, client = db) {
+  const { rows } = await client.query(
+    "SELECT * FROM invited_members WHERE guild_id = $1 AND invited_member_id = $2 AND status IN ('pending', 'confirmed') FOR UPDATE",
+    [guildId, memberId]
+  );
+  return rows[0] || null;
+}
+
+// Records a member who joined through someone's invite. `fakeReason` marks it
+// fake from the start; so does the member having been invited before. Returns
+// the new record, or null when the same inviter already has one for them.
+async function recordInvite({ guildId, inviterId, memberId, code, reward, holdDays, fakeReason = null }) {
+  return withTransaction(async (client) => {
+    const previous = await getInviteRecord(guildId, memberId, client);
+    const reason = previous ? 'was invited before' : fakeReason;
+
+    const { rows: countRows } = await client.query('SELECT eligible_count FROM message_counts WHERE guild_id = $1 AND user_id = $2', [guildId, memberId]);
+    const now = new Date();
+    const { rows } = await client.query(
+      `INSERT INTO invited_members (guild_id, inviter_id, invited_member_id, invite_code, reward, status, fake_reason, messages_at_join, first_invited_at, joined_at, confirm_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, $10) ON CONFLICT DO NOTHING RETURNING *`,
+      [guildId, inviterId, memberId, code, reward, reason ? 'fake' : 'pending', reason, Number(countRows[0]?.eligible_count) || 0, now, new Date(now.getTime() + holdDays * DAY_MS)]
+    );
+    return rows[0] || null;
+  });
+}
+
+// Pays a pending or fake record and counts it for its inviter
+async function confirmRecord(client, record, reviewerId = null) {
+  await client.query(
+    "UPDATE invited_members SET status = 'confirmed', fake_reason = NULL, confirmed_at = $1, reviewed_by = $2 WHERE guild_id = $3 AND inviter_id = $4 AND invited_member_id = $5",
+    [new Date(), reviewerId, record.guild_id, record.inviter_id, record.invited_member_id]
+  );
+  await client.query(
+    `INSERT INTO invites (guild_id, user_id, invites) VALUES ($1, $2, 1)
+     ON CONFLICT (guild_id, user_id) DO UPDATE SET invites = invites.invites + 1`,
+    [record.guild_id, record.inviter_id]
+  );
+  if (record.reward > 0) {
+    await economy.adjustBalance({ client, guildId: record.guild_id, userId: record.inviter_id, amount: record.reward, reason: 'invite_reward', referenceId: `invite_${record.invited_member_id}` });
+  }
+}
+
+// Takes a confirmed record's reward and count back. What the inviter has
+// already spent is let go. Returns the pounds taken back.
+async function unconfirmRecord(client, record) {
+  await client.query('UPDATE invites SET invites = invites - 1 WHERE guild_id = $1 AND user_id = $2 AND invites > 0', [record.guild_id, record.inviter_id]);
+
+  const balance = await economy.getBalance(record.guild_id, record.inviter_id, 'pounds', client);
+  const reversed = Math.min(Number(record.reward) || 0, Math.max(0, balance));
+  if (reversed > 0) {
+    await economy.adjustBalance({ client, guildId: record.guild_id, userId: record.inviter_id, amount: -reversed, reason: 'invite_reward_reversal', referenceId: `invite_${record.invited_member_id}` });
+  }
+  return reversed;
+}
+
+// Confirms the member's pending invite once they have sent `minMessages` since
+// joining that passed the anti-farming checks; short of that it is checked again at `recheckAt`. Returns
+// { record, confirmed, messages }, or null when nothing is pending.
+async function checkPendingInvite({ guildId, memberId, minMessages, recheckAt }) {
+  return withTransaction(async (client) => {
+    const record = await getActiveRecord(guildId, memberId, client);
+    if (!record || record.status !== 'pending') return null;
+
+    const { rows } = await client.query('SELECT eligible_count FROM message_counts WHERE guild_id = $1 AND user_id = $2', [guildId, memberId]);
+    const messages = Math.max(0, (Number(rows[0]?.eligible_count) || 0) - (Number(record.messages_at_join) || 0));
+    if (messages < minMessages) {
+      await client.query(
+        'UPDATE invited_members SET confirm_at = $1 WHERE guild_id = $2 AND inviter_id = $3 AND invited_member_id = $4',
+        [recheckAt, guildId, record.inviter_id, memberId]
+      );
+      return { record, confirmed: false, messages };
+    }
+
+    await confirmRecord(client, record);
+    return { record, confirmed: true, messages };
+  });
+}
+
+// Settles the member's invite when they leave. A pending one is simply closed;
+// a confirmed one within the window loses its reward. Returns
+// { record, wasPending, reversed }, or null when nothing changed hands.
+async function recordLeave({ guildId, memberId, windowDays }) {
+  return withTransaction(async (client) => {
+    const now = new Date();
+    const record = await getActiveRecord(guildId, memberId, client);
+    const joinedAt = record && new Date(record.joined_at || record.first_invited_at);
+    const withinWindow = record && joinedAt.getTime() > now.getTime() - windowDays * DAY_MS;
+
+    if (!record || (record.status === 'confirmed' && !withinWindow)) {
+      await client.query('UPDATE invited_members SET left_at = $1 WHERE guild_id = $2 AND invited_member_id = $3 AND left_at IS NULL', [now, guildId, memberId]);
+      return null;
+    }
+
+    await client.query(
+      "UPDATE invited_members SET status = 'left', left_at = $1 WHERE guild_id = $2 AND inviter_id = $3 AND invited_member_id = $4",
+      [now, guildId, record.inviter_id, memberId]
+    );
+    const wasPending = record.status === 'pending';
+    const reversed = wasPending ? 0 : await unconfirmRecord(client, record);
+    return { record, wasPending, reversed };
+  });
+}
+
+// Clears left_at when a member comes back; a closed invite stays closed
+async function markRejoined(guildId, memberId) {
+  await db.query("UPDATE invited_members SET left_at = NULL WHERE guild_id = $1 AND invited_member_id = $2 AND status IN ('pending', 'confirmed')", [guildId, memberId]);
+}
+
+// Staff: marks the member's pending or confirmed invite fake, taking back a paid
+// reward. Returns { record, reversed }, or null when there was none.
+async function revokeInvite({ guildId, memberId, staffId, reason }) {
+  return withTransaction(async (client) => {
+    const record = await getActiveRecord(guildId, memberId, client);
+    if (!record) return null;
+
+    await client.query(
+      "UPDATE invited_members SET status = 'fake', fake_reason = $1, reviewed_by = $2 WHERE guild_id = $3 AND inviter_id = $4 AND invited_member_id = $5",
+      [reason, staffId, guildId, record.inviter_id, memberId]
+    );
+    const reversed = record.status === 'confirmed' ? await unconfirmRecord(client, record) : 0;
+    return { record, reversed };
+  });
+}
+
+// Staff: pays the member's pending invite now, or clears their latest fake one.
+// Returns the record, or null when there is nothing to approve or the member
+// already counts for someone.
+async function approveInvite({ guildId, memberId, staffId }) {
+  return withTransaction(async (client) => {
+    const active = await getActiveRecord(guildId, memberId, client);
+    if (active?.status === 'confirmed') return null;
+
+    let record = active;
+    if (!record) {
+      const { rows } = await client.query(
+        "SELECT * FROM invited_members WHERE guild_id = $1 AND invited_member_id = $2 AND status = 'fake' ORDER BY first_invited_at DESC LIMIT 1",
+        [guildId, memberId]
+      );
+      record = rows[0];
+    }
+    if (!record) return null;
+
+    await confirmRecord(client, record, staffId);
+    return record;
+  });
+}
+
+// Newest first. `status` is one of STATUSES or null for all.
+async function listInvites(guildId, { status = null, inviterId = null, limit = 20 } = {}) {
+  const conditions = ['guild_id = $1'];
+  const params = [guildId];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (inviterId) {
+    params.push(inviterId);
+    conditions.push(`inviter_id = $${params.length}`);
+  }
+  const { rows } = await db.query(`SELECT * FROM invited_members WHERE ${conditions.join(' AND ')} ORDER BY first_invited_at DESC LIMIT ${Number(limit)}`, params);
+  return rows;
+}
+
+// Pending invites still to be checked, across every server
+async function getPendingInvites() {
+  const { rows } = await db.query("SELECT guild_id, invited_member_id, confirm_at FROM invited_members WHERE status = 'pending'");
+  return rows;
+}
+
+// { invites, earned, counts: { status -> count }, recent } for one inviter
+async function getInviterStats(guildId, inviterId) {
+  const { rows: countRows } = await db.query('SELECT invites FROM invites WHERE guild_id = $1 AND user_id = $2', [guildId, inviterId]);
+  const { rows: statusRows } = await db.query(
+    `SELECT status, COUNT(*) AS count, SUM(reward) AS reward FROM invited_members
+     WHERE guild_id = $1 AND inviter_id = $2 GROUP BY status`,
+    [guildId, inviterId]
+  );
+  const counts = Object.fromEntries(Object.keys(STATUSES).map(status => [status, 0]));
+  let earned = 0;
+  for (const row of statusRows) {
+    counts[row.status] = Number(row.count) || 0;
+    if (row.status === 'confirmed') earned = Number(row.reward) || 0;
+  }
+  return {
+    invites: Number(countRows[0]?.invites) || 0,
+    earned,
+    counts,
+    recent: await listInvites(guildId, { inviterId, limit: 10 }),
+  };
+}
+
+// Inviters by confirmed invites, most first
+async function getLeaderboard(guildId) {
+  const { rows } = await db.query('SELECT user_id, invites FROM invites WHERE guild_id = $1 AND invites > 0 ORDER BY invites DESC, user_id ASC', [guildId]);
+  return rows.map(row => ({ ...row, invites: Number(row.invites) }));
+}
+
+module.exports = {
+  STATUSES,
+  getInviteRecord,
+  recordInvite,
+  checkPendingInvite,
+  recordLeave,
+  markRejoined,
+  revokeInvite,
+  approveInvite,
+  listInvites,
+  getPendingInvites,
+  getInviterStats,
+  getLeaderboard,
+};
@@ -0,0 +1,113 @@
+const { pool: db, withTransaction } = require('./database');
+const economy = require('./economy');
+const inventory = require('./inventory');
+
+// Staff-fulfilled items (requires_ticket), each with a private order thread.
+// Orders move pending -> in_progress -> fulfilled or refunded. `source` is
+// shop, item_use or giveaway; only the first two can be refunded.
+
+const STATUSES = {
+  pending: '🕒 Pending',
+  in_progress: '🛠️ In Progress',
+  fulfilled: '✅ Fulfilled',
+  refunded: '↩️ Refunded',
+};
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+async function createOrder({ client = db, guildId, userId, item, threadId, source, price = 0, purchaseId = null, inInventory = false }) {
+  const now = new Date();
+  const { rows } = await client.query(
+    `INSERT INTO orders (guild_id, user_id, item_id, item_name, source, price, purchase_id, in_inventory, thread_id, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, $10) RETURNING *`,
+    [guildId, userId, item.id, item.name, source, price, purchaseId, inInventory ? 1 : 0, threadId, now]
+  );
+  return rows[0];
+}
+
+async function getOrder(guildId, orderId) {
+  const { rows } = await db.query('SELECT * FROM orders WHERE guild_id = $1 AND id = $2', [guildId, orderId]);
+  return rows[0] || null;
+}
+
+// Returns the claimed order, or null if it was closed meanwhile
+async function claimOrder(guildId, orderId, staffId) {
+  const { rows } = await db.query(
+    `UPDATE orders SET status = 'in_progress', claimed_by = $1, updated_at = $2 WHERE guild_id = $3 AND id = $4 AND status IN ('pending', 'in_progress') RETURNING *`,
+    [staffId, new Date(), guildId, orderId]
+  );
+  return rows[0] || null;
+}
+
+// Returns the fulfilled order, or null if it was already closed
+async function fulfillOrder(guildId, orderId, staffId) {
+  const now = new Date();
+  const { rows } = await db.query(
+    `UPDATE orders SET status = 'fulfilled', closed_by = $1, claimed_by = COALESCE(claimed_by, $1), updated_at = $2, closed_at = $2
+     WHERE guild_id = $3 AND id = $4 AND status IN ('pending', 'in_progress') RETURNING *`,
+    [staffId, now, guildId, orderId]
+  );
+  return rows[0] || null;
+}
+
+// Closes the order as refunded and gives back what it cost in one transaction:
+// pounds, a unit of stock and the purchase's slot in the item's limits for shop
+// orders, the used item for item_use orders. Returns the order, or null if it
+// was already closed or cannot be refunded.
+async function refundOrder(guildId, orderId, staffId) {
+  return withTransaction(async (client) => {
+    const now = new Date();
+    const { rows } = await client.query(
+      `UPDATE orders SET status = 'refunded', closed_by = $1, updated_at = $2, closed_at = $2
+       WHERE guild_id = $3 AND id = $4 AND status IN ('pending', 'in_progress') AND source IN ('shop', 'item_use') RETURNING *`,
+      [staffId, now, guildId, orderId]
+    );
+    const order = rows[0];
+    if (!order) return null;
+
+    if (order.source === 'shop') {
+      if (order.price > 0) {
+        await economy.adjustBalance({ client, guildId, userId: order.user_id, amount: order.price, reason: 'shop_refund', referenceId: `order_${order.id}` });
+      }
+      await client.query('UPDATE shop_items SET stock = stock + 1 WHERE id = $1 AND stock <> -1', [order.item_id]);
+      if (order.purchase_id) {
+        await client.query('DELETE FROM shop_purchases WHERE id = $1', [order.purchase_id]);
+      }
+      // The member may have gifted it on already; the refund stands either way
+      if (order.in_inventory) {
+        await inventory.removeItem({ client, guildId, userId: order.user_id, itemId: order.item_id });
+      }
+    } else {
+      await inventory.addItem({ client, guildId, userId: order.user_id, itemId: order.item_id });
+    }
+    return order;
+  });
+}
+
+// Newest first. `status` is one of STATUSES, 'open' for pending and in progress, or null for all.
+async function listOrders(guildId, { status = 'open', userId = null, limit = 20 } = {}) {
+  const conditions = ['guild_id = $1'];
+  const params = [guildId];
+  if (status === 'open') {
+    conditions.push(`status IN (${OPEN_STATUSES.map(value => `'${value}'`).join(', ')})`);
+  } else if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  const { rows } = await db.query(`SELECT * FROM orders WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ${Number(limit)}`, params);
+  return rows;
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  createOrder,
+  getOrder,
+  claimOrder,
+  fulfillOrder,
+  refundOrder,
+  listOrders,
+};
@@ -0,0 +1,200 @@
+const { pool: db } = require('./database');
+
+// Shop promotions: timed sales, standing role discounts and coupon codes. The
+// best sale and the best role discount stack; a coupon comes off what is left.
+
+// Codes are stored upper-case and matched case-insensitively
+const COUPON_CODE_PATTERN = /^[A-Z0-9-]{3,20}$/;
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Thrown inside a purchase transaction when the coupon ran out meanwhile
+class CouponError extends Error {
+  constructor(code, reason) {
+    super(`Coupon ${code} ${reason}`);
+    this.name = 'CouponError';
+    this.code = code;
+    this.reason = reason;
+  }
+}
+
+// --- Sales ---
+async function startSale({ guildId, percent, category = null, startsAt, endsAt, createdBy }) {
+  const { rows } = await db.query(
+    'INSERT INTO shop_sales (guild_id, percent, category, starts_at, ends_at, created_by) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+    [guildId, percent, category, startsAt, endsAt, createdBy]
+  );
+  return rows[0];
+}
+
+// Ends a running or upcoming sale now; returns whether there was one
+async function endSale(guildId, saleId) {
+  const now = new Date();
+  const { rowCount } = await db.query('UPDATE shop_sales SET ends_at = $1 WHERE id = $2 AND guild_id = $3 AND ends_at > $1', [now, saleId, guildId]);
+  return rowCount > 0;
+}
+
+// Sales running now
+async function getActiveSales(guildId) {
+  const { rows } = await db.query('SELECT * FROM shop_sales WHERE guild_id = $1 AND starts_at <= $2 AND ends_at > $2 ORDER BY ends_at ASC', [guildId, new Date()]);
+  return rows;
+}
+
+// Sales running now or still to come
+async function listSales(guildId) {
+  const { rows } = await db.query('SELECT * FROM shop_sales WHERE guild_id = $1 AND ends_at > $2 ORDER BY starts_at ASC', [guildId, new Date()]);
+  return rows;
+}
+
+// --- Role Discounts ---
+async function setRoleDiscount(guildId, roleId, percent) {
+  await db.query(
+    `INSERT INTO shop_role_discounts (guild_id, role_id, percent) VALUES ($1, $2, $3)
+     ON CONFLICT (guild_id, role_id) DO UPDATE SET percent = excluded.percent`,
+    [guildId, roleId, percent]
+  );
+}
+
+async function removeRoleDiscount(guildId, roleId) {
+  const { rowCount } = await db.query('DELETE FROM shop_role_discounts WHERE guild_id = $1 AND role_id = $2', [guildId, roleId]);
+  return rowCount > 0;
+}
+
+async function getRoleDiscounts(guildId) {
+  const { rows } = await db.query('SELECT * FROM shop_role_discounts WHERE guild_id = $1 ORDER BY percent DESC', [guildId]);
+  return rows;
+}
+
+// --- Coupons ---
+// Returns the coupon, or null when the code is taken
+async function createCoupon({ guildId, code, discountType, value, maxUses = 0, perUserLimit = 1, itemId = null, category = null, expiresAt = null, createdBy }) {
+  const { rows } = await db.query(
+    `INSERT INTO coupons (guild_id, code, discount_type, value, max_uses, per_user_limit, item_id, category, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) ON CONFLICT (guild_id, code) DO NOTHING RETURNING *`,
+    [guildId, normalizeCode(code), discountType, value, maxUses, perUserLimit, itemId, category, expiresAt, createdBy]
+  );
+  return rows[0] || null;
+}
+
+async function getCoupon(guildId, code) {
+  const { rows } = await db.query('SELECT * FROM coupons WHERE guild_id = $1 AND code = $2', [guildId, normalizeCode(code)]);
+  return rows[0] || null;
+}
+
+async function listCoupons(guildId) {
+  const { rows } = await db.query('SELECT * FROM coupons WHERE guild_id = $1 ORDER BY code ASC', [guildId]);
+  return rows;
+}
+
+// Redemptions are kept for the record
+async function deleteCoupon(guildId, code) {
+  const { rowCount } = await db.query('DELETE FROM coupons WHERE guild_id = $1 AND code = $2', [guildId, normalizeCode(code)]);
+  return rowCount > 0;
+}
+
+// Why a coupon cannot be used right now, or null if it can
+function getCouponProblem(coupon, now = new Date()) {
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) return 'has expired';
+  if (coupon.max_uses > 0 && coupon.uses >= coupon.max_uses) return 'has been used up';
+  return null;
+}
+
+function couponAppliesTo(coupon, item) {
+  if (coupon.item_id && coupon.item_id !== item.id) return false;
+  if (coupon.category && coupon.category !== item.category) return false;
+  return true;
+}
+
+async function countRedemptions(couponId, userId, client = db) {
+  const { rows } = await client.query('SELECT COUNT(*) AS count FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2', [couponId, userId]);
+  return Number(rows[0]?.count) || 0;
+}
+
+// Takes one use of the coupon for a purchase. Meant for the purchase transaction:
+// throws CouponError when the coupon is gone, used up or at the member's limit.
+async function redeemCoupon({ client = db, coupon, guildId, userId, itemId, discount }) {
+  const { rowCount } = await client.query(
+    'UPDATE coupons SET uses = uses + 1 WHERE id = $1 AND (max_uses = 0 OR uses < max_uses) AND (expires_at IS NULL OR expires_at > $2)',
+    [coupon.id, new Date()]
+  );
+  if (rowCount === 0) throw new CouponError(coupon.code, 'is no longer available');
+
+  // Counted after the UPDATE above has locked the coupon row
+  if (coupon.per_user_limit > 0 && (await countRedemptions(coupon.id, userId, client)) >= coupon.per_user_limit) {
+    throw new CouponError(coupon.code, 'has already been used the maximum number of times by you');
+  }
+
+  await client.query(
+    'INSERT INTO coupon_redemptions (coupon_id, guild_id, user_id, item_id, discount) VALUES ($1, $2, $3, $4, $5)',
+    [coupon.id, guildId, userId, itemId, discount]
+  );
+}
+
+// --- Pricing ---
+function roundPounds(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// What a member pays for an item. Returns { price, original, discount, parts }
+// where each part is { kind: 'sale' | 'role' | 'coupon', saved, ... }.
+function quotePrice({ item, sales = [], roleDiscounts = [], roleIds = [], coupon = null }) {
+  const original = Number(item.price);
+  const parts = [];
+  let price = original;
+
+  const sale = sales
+    .filter(candidate => !candidate.category || candidate.category === item.category)
+    .sort((a, b) => b.percent - a.percent)[0];
+  if (sale) {
+    const saved = price * sale.percent / 100;
+    price -= saved;
+    parts.push({ kind: 'sale', percent: sale.percent, saleId: sale.id, saved });
+  }
+
+  const roleDiscount = roleDiscounts
+    .filter(candidate => roleIds.includes(candidate.role_id))
+    .sort((a, b) => b.percent - a.percent)[0];
+  if (roleDiscount) {
+    const saved = price * roleDiscount.percent / 100;
+    price -= saved;
+    parts.push({ kind: 'role', percent: roleDiscount.percent, roleId: roleDiscount.role_id, saved });
+  }
+
+  if (coupon && couponAppliesTo(coupon, item)) {
+    const saved = coupon.discount_type === 'percent' ? price * coupon.value / 100 : Math.min(coupon.value, price);
+    price -= saved;
+    parts.push({ kind: 'coupon', code: coupon.code, saved });
+  }
+
+  price = Math.max(0, roundPounds(price));
+  return {
+    price,
+    original,
+    discount: roundPounds(original - price),
+    parts: parts.map(part => ({ ...part, saved: roundPounds(part.saved) })),
+  };
+}
+
+module.exports = {
+  COUPON_CODE_PATTERN,
+  CouponError,
+  normalizeCode,
+  startSale,
+  endSale,
+  getActiveSales,
+  listSales,
+  setRoleDiscount,
+  removeRoleDiscount,
+  getRoleDiscounts,
+  createCoupon,
+  getCoupon,
+  listCoupons,
+  deleteCoupon,
+  getCouponProblem,
+  couponAppliesTo,
+  countRedemptions,
+  redeemCoupon,
+  quotePrice,
+};
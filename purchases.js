@@ -0,0 +1,117 @@
+const { pool: db, withTransaction } = require('./database');
+const economy = require('./economy');
+const inventory = require('./inventory');
+const promotions = require('./promotions');
+
+// Every shop purchase, for per-member limits and cooldowns on items
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Thrown inside a purchase transaction so nothing is charged
+class PurchaseLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PurchaseLimitError';
+  }
+}
+
+// Returns the purchase id
+async function recordPurchase({ client = db, guildId, userId, itemId, price, discount = 0 }) {
+  const { rows } = await client.query(
+    'INSERT INTO shop_purchases (guild_id, user_id, item_id, price, discount, created_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+    [guildId, userId, itemId, price, discount, new Date()]
+  );
+  return rows[0].id;
+}
+
+// When the purchase that frees a slot in a rolling window drops out of it
+async function getWindowReopening(client, guildId, userId, item, windowMs, limit, count) {
+  const { rows } = await client.query(
+    `SELECT created_at FROM shop_purchases WHERE guild_id = $1 AND user_id = $2 AND item_id = $3 AND created_at > $4
+     ORDER BY created_at ASC LIMIT 1 OFFSET ${count - limit}`,
+    [guildId, userId, item.id, new Date(Date.now() - windowMs)]
+  );
+  return rows.length ? new Date(new Date(rows[0].created_at).getTime() + windowMs) : new Date(Date.now() + windowMs);
+}
+
+// Why the member cannot buy the item again yet, or null. Run it in the purchase
+// transaction after the wallet debit, which locks the member's row, so two
+// purchases at once cannot both pass.
+async function getPurchaseLimitProblem({ client = db, guildId, userId, item }) {
+  const limitTotal = Number(item.limit_total) || 0;
+  const limitDaily = Number(item.limit_daily) || 0;
+  const limitWeekly = Number(item.limit_weekly) || 0;
+  const cooldownMinutes = Number(item.cooldown_minutes) || 0;
+  if (!limitTotal && !limitDaily && !limitWeekly && !cooldownMinutes) return null;
+
+  const now = Date.now();
+  const { rows } = await client.query(
+    `SELECT COUNT(*) AS total,
+       SUM(CASE WHEN created_at > $4 THEN 1 ELSE 0 END) AS week,
+       SUM(CASE WHEN created_at > $5 THEN 1 ELSE 0 END) AS day,
+       MAX(created_at) AS last
+     FROM shop_purchases WHERE guild_id = $1 AND user_id = $2 AND item_id = $3`,
+    [guildId, userId, item.id, new Date(now - WEEK_MS), new Date(now - DAY_MS)]
+  );
+  const total = Number(rows[0]?.total) || 0;
+  const week = Number(rows[0]?.week) || 0;
+  const day = Number(rows[0]?.day) || 0;
+  const times = limit => `${limit} time${limit === 1 ? '' : 's'}`;
+  const timestamp = date => `<t:${Math.floor(date.getTime() / 1000)}:R>`;
+
+  if (limitTotal && total >= limitTotal) {
+    return `You can only buy **${item.name}** ${times(limitTotal)}.`;
+  }
+  if (cooldownMinutes && rows[0]?.last) {
+    const readyAt = new Date(new Date(rows[0].last).getTime() + cooldownMinutes * 60 * 1000);
+    if (readyAt.getTime() > now) return `**${item.name}** is on cooldown for you. You can buy it again ${timestamp(readyAt)}.`;
+  }
+  if (limitDaily && day >= limitDaily) {
+    const reopensAt = await getWindowReopening(client, guildId, userId, item, DAY_MS, limitDaily, day);
+    return `You can buy **${item.name}** ${times(limitDaily)} per day. You can buy it again ${timestamp(reopensAt)}.`;
+  }
+  if (limitWeekly && week >= limitWeekly) {
+    const reopensAt = await getWindowReopening(client, guildId, userId, item, WEEK_MS, limitWeekly, week);
+    return `You can buy **${item.name}** ${times(limitWeekly)} per week. You can buy it again ${timestamp(reopensAt)}.`;
+  }
+  return null;
+}
+
+// Buys one of a shop item: stock, coupon use, payment, the purchase record and
+// delivery of its resource and inventory copy succeed or fail together. `quote`
+// is from promotions.quotePrice, with `coupon` when it used one. Returns the
+// purchase id, or null when the item is out of stock. Throws
+// InsufficientFundsError, PurchaseLimitError or CouponError with nothing charged.
+async function buyItem({ guildId, userId, item, quote, coupon = null, resource = null, keepsItem = false }) {
+  return withTransaction(async (tx) => {
+    const { rowCount } = await tx.query(
+      'UPDATE shop_items SET stock = CASE WHEN stock = -1 THEN -1 ELSE stock - 1 END WHERE id = $1 AND (stock = -1 OR stock > 0)',
+      [item.id]
+    );
+    if (rowCount === 0) return null;
+
+    const couponPart = quote.parts.find(part => part.kind === 'coupon');
+    if (couponPart) {
+      await promotions.redeemCoupon({ client: tx, coupon, guildId, userId, itemId: item.id, discount: couponPart.saved });
+    }
+    await economy.adjustBalance({ client: tx, guildId, userId, amount: -quote.price, reason: 'shop_purchase', referenceId: item.id.toString() });
+    const limitProblem = await getPurchaseLimitProblem({ client: tx, guildId, userId, item });
+    if (limitProblem) throw new PurchaseLimitError(limitProblem);
+    const purchaseId = await recordPurchase({ client: tx, guildId, userId, itemId: item.id, price: quote.price, discount: quote.discount });
+    if (resource) {
+      await economy.adjustBalance({ client: tx, guildId, userId, amount: item.quantity || 1, resource, reason: 'shop_purchase', referenceId: item.id.toString() });
+    }
+    if (keepsItem) {
+      await inventory.addItem({ client: tx, guildId, userId, itemId: item.id });
+    }
+    return purchaseId;
+  });
+}
+
+module.exports = {
+  PurchaseLimitError,
+  recordPurchase,
+  getPurchaseLimitProblem,
+  buyItem,
+};
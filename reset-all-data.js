@@ -1,74 +1,83 @@
-const { pool, initializeDatabase } = require('./database');
 require('dotenv').config();
+const { withTransaction } = require('./database');
+const economy = require('./economy');
 
 async function resetAllData() {
-  const client = await pool.connect();
   try {
     console.log('🔄 Starting data reset...');
-    
-    // Reset user balances and resources
-    await client.query(`
-      UPDATE users 
-      SET balance = 0, 
-          gold = 0, 
-          wood = 0, 
-          food = 0, 
-          stone = 0,
-          daily_streak = 0,
-          last_daily = NULL
-    `);
-    console.log('✅ Reset all user balances and resources');
-    
-    // Reset message counts
-    await client.query(`
-      UPDATE message_counts 
-      SET count = 0, 
-          rewarded_messages = 0
-    `);
-    console.log('✅ Reset all message counts');
-    
-    // Reset voice times
-    await client.query(`
-      UPDATE voice_times 
-      SET minutes = 0, 
-          rewarded_minutes = 0
-    `);
-    console.log('✅ Reset all voice times');
-    
-    // Reset invites
-    await client.query(`
-      UPDATE invites 
-      SET invites = 0
-    `);
-    console.log('✅ Reset all invites');
-    
-    // Reset boosts
-    await client.query(`
-      UPDATE boosts 
-      SET boosts = 0
-    `);
-    console.log('✅ Reset all boosts');
-    
-    // Reset invited_members (optional - clears invite tracking)
-    await client.query(`
-      DELETE FROM invited_members
-    `);
-    console.log('✅ Reset invited members tracking');
-    
-    // Reset server pool to default (optional)
-    await client.query(`
-      UPDATE server_stats 
-      SET pool_balance = 100000
-      WHERE pool_balance != 100000
-    `);
-    console.log('✅ Reset server pool to 100,000');
-    
+
+    // All or nothing, so a failure cannot leave a partial wipe
+    await withTransaction(async (client) => {
+      // Balances, resources and each server's pool, recorded in the ledger as a reset
+      const { rows: guilds } = await client.query('SELECT guild_id FROM users UNION SELECT guild_id FROM user_resources UNION SELECT id FROM server_stats');
+      for (const { guild_id: guildId } of guilds) {
+        await economy.resetBalances({ client, guildId, poolBalance: 100000 });
+      }
+      await client.query(`
+        UPDATE users 
+        SET daily_streak = 0,
+            last_daily = NULL
+      `);
+      await client.query('DELETE FROM inventory');
+      await client.query('DELETE FROM market_listings');
+      await client.query('DELETE FROM item_effects');
+      console.log('✅ Reset all user balances, resources, inventories, market listings and boosts');
+
+      // Reset message counts
+      await client.query(`
+        UPDATE message_counts 
+        SET count = 0, 
+            eligible_count = 0,
+            rewarded_messages = 0,
+            reward_progress = 0
+      `);
+      console.log('✅ Reset all message counts');
+
+      // Reset voice times
+      await client.query(`
+        UPDATE voice_times 
+        SET minutes = 0, 
+            rewarded_minutes = 0,
+            reward_progress = 0
+      `);
+      console.log('✅ Reset all voice times');
+
+      // Members in voice keep their session but only earn from now on
+      const now = new Date();
+      await client.query('UPDATE voice_sessions SET started_at = $1, last_accrued_at = $1', [now]);
+      console.log('✅ Restarted all voice sessions');
+
+      // Reset invites
+      await client.query(`
+        UPDATE invites 
+        SET invites = 0
+      `);
+      console.log('✅ Reset all invites');
+
+      // Reset boosts
+      await client.query(`
+        UPDATE boosts 
+        SET boosts = 0
+      `);
+      console.log('✅ Reset all boosts');
+
+      // Reset invited_members (optional - clears invite tracking)
+      await client.query(`
+        DELETE FROM invited_members
+      `);
+      console.log('✅ Reset invited members tracking');
+
+      // Suspensions are also held in memory, so restart a running bot afterwards
+      await client.query('DELETE FROM reward_suspensions');
+      console.log('✅ Lifted all message reward suspensions');
+
+      console.log('✅ Reset server pools to 100,000');
+    });
+
     console.log('🎉 All data has been reset successfully!');
   } catch (error) {
     console.error('❌ Error resetting data:', error);
     throw error;
-  } finally {
-    client.release();
   }
 }
 
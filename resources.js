@@ -0,0 +1,158 @@
+const { pool: db } = require('./database');
+
+// Each server registers its own resource types. The ledger, shop items and
+// giveaways refer to a type by its key; balances live in user_resources.
+
+// Keys end up in button and modal IDs that are split on "_"
+const KEY_PATTERN = /^[a-z0-9]{1,20}$/;
+
+const POUNDS = { key: 'pounds', name: 'Sovereign Pounds', emoji: '💰' };
+
+// guildId -> resource types in display order. Loaded once at startup and
+// kept in step by the helpers below, so formatting code can read it synchronously.
+const registry = new Map();
+
+async function loadResourceTypes() {
+  const { rows } = await db.query('SELECT * FROM resource_types ORDER BY position ASC, key ASC');
+  registry.clear();
+  for (const row of rows) {
+    if (!registry.has(row.guild_id)) registry.set(row.guild_id, []);
+    registry.get(row.guild_id).push(normalize(row));
+  }
+}
+
+// BIGINT comes back from pg as a string, timestamps from SQLite as strings
+function normalize(row) {
+  return {
+    key: row.key,
+    name: row.name,
+    emoji: row.emoji || '📦',
+    package_size: Number(row.package_size) || 1,
+    package_price: Number(row.package_price) || 0,
+    min_purchase: Number(row.min_purchase) || 0,
+    max_purchase: Number(row.max_purchase) || 0,
+    sale_multiplier: Number(row.sale_multiplier) || 1,
+    sale_ends_at: row.sale_ends_at ? new Date(row.sale_ends_at) : null,
+  };
+}
+
+function listResourceTypes(guildId) {
+  return registry.get(guildId) || [];
+}
+
+function getResourceType(guildId, key) {
+  return listResourceTypes(guildId).find(type => type.key === key) || null;
+}
+
+// Reads the type from the database rather than the registry, for checks that
+// must see the latest limits and prices inside a transaction
+async function fetchResourceType(guildId, key, client = db) {
+  const { rows } = await client.query('SELECT * FROM resource_types WHERE guild_id = $1 AND key = $2 FOR UPDATE', [guildId, key]);
+  return rows[0] ? normalize(rows[0]) : null;
+}
+
+// Name and emoji for display. Pounds are always known; a type removed since keeps its key.
+function describeResource(guildId, key) {
+  if (key === 'pounds') return POUNDS;
+  return getResourceType(guildId, key) || { key, name: key, emoji: '📦' };
+}
+
+// Unit after an amount: 💰 for pounds, otherwise the emoji and name
+function describeUnit(guildId, key) {
+  if (key === 'pounds') return POUNDS.emoji;
+  const { emoji, name } = describeResource(guildId, key);
+  return `${emoji} ${name}`;
+}
+
+// What one pound buys right now, with a running sale applied
+function getEffectiveRate(type, now = new Date()) {
+  const saleActive = type.sale_multiplier !== 1 && type.sale_ends_at !== null && type.sale_ends_at > now;
+  const multiplier = saleActive ? type.sale_multiplier : 1;
+  return { unitsPerPound: (type.package_size / type.package_price) * multiplier, multiplier, saleActive };
+}
+
+async function recordPriceHistory(guildId, type, changedBy = null) {
+  const { rows } = await db.query(
+    'INSERT INTO resource_price_history (guild_id, resource, package_size, package_price, sale_multiplier, sale_ends_at, changed_by) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+    [guildId, type.key, type.package_size, type.package_price, type.sale_multiplier, type.sale_ends_at, changedBy]
+  );
+  return rows[0].id;
+}
+
+// The price history row describing the current rate. Types priced before the
+// history existed get their first row here.
+async function getPriceHistoryId(guildId, key) {
+  const { rows } = await db.query('SELECT id FROM resource_price_history WHERE guild_id = $1 AND resource = $2 ORDER BY id DESC LIMIT 1', [guildId, key]);
+  if (rows.length) return rows[0].id;
+  const type = getResourceType(guildId, key);
+  return type ? recordPriceHistory(guildId, type) : null;
+}
+
+async function addResourceType(guildId, { key, name, emoji, packageSize, packagePrice }, changedBy = null) {
+  const { rows } = await db.query(
+    'INSERT INTO resource_types (guild_id, key, name, emoji, package_size, package_price, position) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+    [guildId, key, name, emoji, packageSize, packagePrice, listResourceTypes(guildId).length]
+  );
+  const type = normalize(rows[0]);
+  registry.set(guildId, [...listResourceTypes(guildId), type]);
+  await recordPriceHistory(guildId, type, changedBy);
+  return type;
+}
+
+// Option name -> column. Fields left undefined in `changes` keep their value;
+// saleEndsAt may be set to null to end a sale.
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  emoji: 'emoji',
+  packageSize: 'package_size',
+  packagePrice: 'package_price',
+  minPurchase: 'min_purchase',
+  maxPurchase: 'max_purchase',
+  saleMultiplier: 'sale_multiplier',
+  saleEndsAt: 'sale_ends_at',
+};
+const RATE_FIELDS = ['packageSize', 'packagePrice', 'saleMultiplier', 'saleEndsAt'];
+
+async function updateResourceType(guildId, key, changes, changedBy = null) {
+  const current = getResourceType(guildId, key);
+  if (!current) return null;
+
+  const updates = Object.entries(UPDATABLE_FIELDS).filter(([field]) => changes[field] !== undefined);
+  if (updates.length === 0) return current;
+
+  const assignments = updates.map(([, column], index) => `${column} = $${index + 1}`).join(', ');
+  const { rows } = await db.query(
+    `UPDATE resource_types SET ${assignments} WHERE guild_id = $${updates.length + 1} AND key = $${updates.length + 2} RETURNING *`,
+    [...updates.map(([field]) => changes[field]), guildId, key]
+  );
+  const type = normalize(rows[0]);
+  registry.set(guildId, listResourceTypes(guildId).map(existing => (existing.key === key ? type : existing)));
+
+  // Only changes to what a pound buys go into the price history
+  if (RATE_FIELDS.some(field => changes[field] !== undefined)) {
+    await recordPriceHistory(guildId, type, changedBy);
+  }
+  return type;
+}
+
+// Member balances are kept, so adding the key back restores them
+async function removeResourceType(guildId, key) {
+  const { rowCount } = await db.query('DELETE FROM resource_types WHERE guild_id = $1 AND key = $2', [guildId, key]);
+  registry.set(guildId, listResourceTypes(guildId).filter(type => type.key !== key));
+  return rowCount > 0;
+}
+
+module.exports = {
+  KEY_PATTERN,
+  loadResourceTypes,
+  listResourceTypes,
+  getResourceType,
+  fetchResourceType,
+  describeResource,
+  describeUnit,
+  getEffectiveRate,
+  getPriceHistoryId,
+  addResourceType,
+  updateResourceType,
+  removeResourceType,
+};
@@ -0,0 +1,220 @@
+const { pool: db, withTransaction } = require('./database');
+const economy = require('./economy');
+
+// Message and voice rewards. Each message or voice minute adds to a member's
+// progress, weighted by channel and role multipliers; every full threshold of
+// progress pays the server's amount, up to its daily cap across both. Messages
+// only count when they pass the server's anti-farming checks. What the checks
+// remember is kept in memory and dropped once it no longer matters; only
+// suspensions are stored, so a restart does not lift them.
+
+const KINDS = {
+  message: { table: 'message_counts', rewarded: 'rewarded_messages', reason: 'message_reward' },
+  voice: { table: 'voice_times', rewarded: 'rewarded_minutes', reason: 'voice_reward' },
+};
+
+// Points a failed message check adds to the member's spam score
+const SPAM_WEIGHTS = {
+  too_short: 1,
+  duplicate: 2,
+  emoji_only: 1,
+};
+const SPAM_DECAY_MS = 30 * 1000; // one point fades every 30 seconds
+const REPEAT_WINDOW_MS = 10 * 60 * 1000; // a message only repeats one sent within this
+
+const CUSTOM_EMOJI = /<a?:\w+:\d+>/g;
+const UNICODE_EMOJI = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200d\ufe0f\u20e3]/gu;
+
+const messageStates = new Map(); // `${guildId}:${userId}` -> { lastCountedAt, lastContent, score, scoredAt, suspendedUntil, expiresAt }
+
+async function getRules(guildId) {
+  const { rows } = await db.query('SELECT * FROM activity_reward_rules WHERE guild_id = $1 ORDER BY target_type ASC, multiplier DESC', [guildId]);
+  return rows;
+}
+
+async function setRule(guildId, targetType, targetId, multiplier) {
+  await db.query(
+    `INSERT INTO activity_reward_rules (guild_id, target_type, target_id, multiplier) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (guild_id, target_type, target_id) DO UPDATE SET multiplier = excluded.multiplier`,
+    [guildId, targetType, targetId, multiplier]
+  );
+}
+
+async function removeRule(guildId, targetType, targetId) {
+  const { rowCount } = await db.query('DELETE FROM activity_reward_rules WHERE guild_id = $1 AND target_type = $2 AND target_id = $3', [guildId, targetType, targetId]);
+  return rowCount > 0;
+}
+
+// Makes exactly these channels earn nothing
+async function setExcludedChannels(guildId, channelIds) {
+  await withTransaction(async (client) => {
+    await client.query("DELETE FROM activity_reward_rules WHERE guild_id = $1 AND target_type = 'channel' AND multiplier = 0", [guildId]);
+    for (const channelId of channelIds) {
+      await client.query(
+        `INSERT INTO activity_reward_rules (guild_id, target_type, target_id, multiplier) VALUES ($1, 'channel', $2, 0)
+         ON CONFLICT (guild_id, target_type, target_id) DO UPDATE SET multiplier = 0`,
+        [guildId, channelId]
+      );
+    }
+  });
+}
+
+// `channelIds` runs from the channel out to its category; the nearest rule wins.
+// Stacks with the member's best role multiplier. 0 means the activity earns nothing.
+function getMultiplier(rules, channelIds, roleIds) {
+  const channelRule = channelIds
+    .map(id => rules.find(rule => rule.target_type === 'channel' && rule.target_id === id))
+    .find(Boolean);
+  const roleMultipliers = rules
+    .filter(rule => rule.target_type === 'role' && roleIds.includes(rule.target_id))
+    .map(rule => rule.multiplier);
+  return (channelRule ? channelRule.multiplier : 1) * (roleMultipliers.length ? Math.max(...roleMultipliers) : 1);
+}
+
+// Pounds a member has earned from messages and voice since midnight UTC
+async function getEarnedToday(guildId, userId, client = db) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { rows } = await client.query(
+    "SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE guild_id = $1 AND user_id = $2 AND reason IN ('message_reward', 'voice_reward') AND created_at >= $3",
+    [guildId, userId, today]
+  );
+  return parseFloat(rows[0]?.total || 0);
+}
+
+// Adds progress to a member's message_counts or voice_times row, which must
+// exist, and pays for every full threshold. Progress past the daily cap is
+// used up without pay. Returns { paid, units, capped }.
+async function addProgress({ guildId, userId, kind, progress, amount, threshold, dailyCap = 0 }) {
+  const { table, rewarded, reason } = KINDS[kind];
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE ${table} SET reward_progress = COALESCE(reward_progress, 0) + $1 WHERE guild_id = $2 AND user_id = $3 RETURNING reward_progress`,
+      [progress, guildId, userId]
+    );
+    const units = threshold > 0 ? Math.floor((Number(rows[0]?.reward_progress) || 0) / threshold) : 0;
+    if (units < 1) return { paid: 0, units: 0, capped: false };
+
+    await client.query(
+      `UPDATE ${table} SET reward_progress = reward_progress - $1, ${rewarded} = ${rewarded} + $1 WHERE guild_id = $2 AND user_id = $3`,
+      [units * threshold, guildId, userId]
+    );
+
+    const earned = units * amount;
+    let paid = earned;
+    if (dailyCap > 0) {
+      paid = Math.max(0, Math.min(earned, dailyCap - (await getEarnedToday(guildId, userId, client))));
+    }
+    paid = Math.round(paid * 100) / 100;
+    if (paid > 0) {
+      await economy.adjustBalance({ client, guildId, userId, amount: paid, reason });
+    }
+    return { paid, units, capped: paid < earned };
+  });
+}
+
+// Only emoji, or only stickers with no text
+function isEmojiOnly(content, stickerCount) {
+  const text = content.replace(CUSTOM_EMOJI, '').replace(UNICODE_EMOJI, '').trim();
+  return !text && (stickerCount > 0 || content.trim().length > 0);
+}
+
+// Checks a message against the server's anti-farming rules. Returns the checks
+// it failed ([] when it counts towards rewards) and whether it just got the
+// member suspended. Failed checks raise a spam score that fades over time; at
+// the threshold the member earns nothing from messages until the suspension ends.
+async function screenMessage({ guildId, userId, content, stickerCount = 0, settings, now = Date.now() }) {
+  const key = `${guildId}:${userId}`;
+  const state = messageStates.get(key) || { lastCountedAt: 0, lastContent: null, score: 0, scoredAt: now, suspendedUntil: 0 };
+  const isRecent = now - state.scoredAt < REPEAT_WINDOW_MS;
+  const normalized = content.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const failed = [];
+  if (settings.message_reward_cooldown_seconds > 0 && now - state.lastCountedAt < settings.message_reward_cooldown_seconds * 1000) failed.push('cooldown');
+  if (content.replace(CUSTOM_EMOJI, '').trim().length < settings.message_reward_min_length) failed.push('too_short');
+  if (settings.message_reward_skip_duplicates && normalized && isRecent && normalized === state.lastContent) failed.push('duplicate');
+  if (settings.message_reward_skip_emoji && isEmojiOnly(content, stickerCount)) failed.push('emoji_only');
+
+  const decayed = Math.max(0, state.score - (now - state.scoredAt) / SPAM_DECAY_MS);
+  state.score = decayed + failed.reduce((sum, check) => sum + (SPAM_WEIGHTS[check] || 0), 0);
+  state.scoredAt = now;
+  state.lastContent = normalized;
+
+  let suspended = false;
+  if (state.suspendedUntil > now) {
+    failed.push('suspended');
+  } else if (settings.message_spam_threshold > 0 && state.score >= settings.message_spam_threshold) {
+    state.suspendedUntil = now + settings.message_spam_suspend_minutes * 60 * 1000;
+    state.score = 0;
+    suspended = true;
+    failed.push('suspended');
+    await db.query(
+      `INSERT INTO reward_suspensions (guild_id, user_id, suspended_until) VALUES ($1, $2, $3)
+       ON CONFLICT (guild_id, user_id) DO UPDATE SET suspended_until = excluded.suspended_until`,
+      [guildId, userId, new Date(state.suspendedUntil)]
+    );
+  }
+
+  if (!failed.length) state.lastCountedAt = now;
+  // Past this the cooldown, repeat window, score and suspension have all run out
+  state.expiresAt = Math.max(
+    state.lastCountedAt + settings.message_reward_cooldown_seconds * 1000,
+    now + REPEAT_WINDOW_MS,
+    now + state.score * SPAM_DECAY_MS,
+    state.suspendedUntil
+  );
+  messageStates.set(key, state);
+  return { failed, suspended, suspendedUntil: state.suspendedUntil };
+}
+
+// When the member can earn from messages again, or null if they can now
+function getSuspension(guildId, userId, now = Date.now()) {
+  const state = messageStates.get(`${guildId}:${userId}`);
+  return state && state.suspendedUntil > now ? new Date(state.suspendedUntil) : null;
+}
+
+// Puts stored suspensions back in memory after a restart
+async function loadSuspensions(now = Date.now()) {
+  await db.query('DELETE FROM reward_suspensions WHERE suspended_until <= $1', [new Date(now)]);
+  const { rows } = await db.query('SELECT * FROM reward_suspensions');
+  for (const row of rows) {
+    const suspendedUntil = new Date(row.suspended_until).getTime();
+    messageStates.set(`${row.guild_id}:${row.user_id}`, { lastCountedAt: 0, lastContent: null, score: 0, scoredAt: now, suspendedUntil, expiresAt: suspendedUntil });
+  }
+  return rows.length;
+}
+
+// Forgets members whose checks have all run out. Returns how many were dropped.
+async function pruneMessageStates(now = Date.now()) {
+  let pruned = 0;
+  for (const [key, state] of messageStates) {
+    if (state.expiresAt <= now) {
+      messageStates.delete(key);
+      pruned++;
+    }
+  }
+  await db.query('DELETE FROM reward_suspensions WHERE suspended_until <= $1', [new Date(now)]);
+  return pruned;
+}
+
+// Drops what the checks remember about a server's members, after its stored
+// suspensions have been cleared
+function forgetGuild(guildId) {
+  for (const key of messageStates.keys()) {
+    if (key.startsWith(`${guildId}:`)) messageStates.delete(key);
+  }
+}
+
+module.exports = {
+  getRules,
+  setRule,
+  removeRule,
+  setExcludedChannels,
+  getMultiplier,
+  getEarnedToday,
+  addProgress,
+  screenMessage,
+  getSuspension,
+  loadSuspensions,
+  pruneMessageStates,
+  forgetGuild,
+};
@@ -0,0 +1,75 @@
+// Timed jobs that survive restarts. Each job type registers a loader that reads
+// its pending jobs ({ id, runAt }) from the database and a handler that runs one,
+// so the database is the only place a job has to be remembered.
+
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout fires immediately past ~24.8 days
+const DEFAULT_SWEEP_INTERVAL = 60 * 1000;
+
+const jobTypes = new Map(); // type -> { load, run }
+const timers = new Map();   // `${type}:${id}` -> timeout handle
+const running = new Set();  // keys whose handler is in progress
+let sweepTimer = null;
+
+function register(type, { load, run }) {
+  jobTypes.set(type, { load, run });
+}
+
+// Arms (or re-arms) the timer for one job; overdue jobs run on the next tick.
+// Jobs further out than setTimeout allows are left for a later sweep.
+function schedule(type, id, runAt) {
+  cancel(type, id);
+
+  const delay = new Date(runAt).getTime() - Date.now();
+  if (delay > MAX_TIMER_DELAY) return;
+
+  const key = `${type}:${id}`;
+  timers.set(key, setTimeout(() => runJob(type, id), Math.max(0, delay)));
+}
+
+function cancel(type, id) {
+  const key = `${type}:${id}`;
+  clearTimeout(timers.get(key));
+  timers.delete(key);
+}
+
+async function runJob(type, id) {
+  const key = `${type}:${id}`;
+  timers.delete(key);
+  if (running.has(key)) return;
+
+  running.add(key);
+  try {
+    await jobTypes.get(type).run(id);
+  } catch (err) {
+    console.error(`Scheduled job ${key} failed:`, err);
+  } finally {
+    running.delete(key);
+  }
+}
+
+// Reloads every job type and re-arms what is still pending. Handlers must be
+// idempotent: a job that has not been marked done yet is picked up again.
+async function sweep() {
+  for (const [type, { load }] of jobTypes) {
+    try {
+      const jobs = await load();
+      for (const job of jobs) schedule(type, job.id, job.runAt);
+    } catch (err) {
+      console.error(`Failed to load scheduled ${type} jobs:`, err);
+    }
+  }
+}
+
+// Runs the first sweep now and repeats it as a safety net for missed timers
+async function start(interval = DEFAULT_SWEEP_INTERVAL) {
+  if (!sweepTimer) sweepTimer = setInterval(sweep, interval);
+  await sweep();
+}
+
+module.exports = {
+  register,
+  schedule,
+  cancel,
+  sweep,
+  start,
+};
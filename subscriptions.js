@@ -0,0 +1,87 @@
+const { pool: db } = require('./database');
+
+// Roles members hold for a limited time, from timed shop items, used items and
+// giveaway prizes. One grant per member and role; getting the role again while
+// it runs adds to the remaining time.
+
+const REMINDER_LEAD_MS = 24 * 60 * 60 * 1000; // DM a day before a role runs out
+
+// Starts or renews a grant. Returns { id, expiresAt, renewed, reminded }; grants
+// shorter than the reminder lead are created as already reminded.
+async function grantTimedRole({ client = db, guildId, userId, roleId, days, source, itemId = null }) {
+  const now = new Date();
+  const { rows } = await client.query('SELECT * FROM role_grants WHERE guild_id = $1 AND user_id = $2 AND role_id = $3 FOR UPDATE', [guildId, userId, roleId]);
+  const current = rows[0];
+  const renewed = Boolean(current && new Date(current.expires_at) > now);
+  const from = renewed ? new Date(current.expires_at) : now;
+  const expiresAt = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+  const reminded = expiresAt.getTime() - now.getTime() <= REMINDER_LEAD_MS;
+
+  if (current) {
+    await client.query(
+      'UPDATE role_grants SET expires_at = $1, reminded = $2, source = $3, item_id = $4 WHERE id = $5',
+      [expiresAt, reminded, source, itemId, current.id]
+    );
+    return { id: current.id, expiresAt, renewed, reminded, previous: current };
+  }
+
+  const { rows: inserted } = await client.query(
+    'INSERT INTO role_grants (guild_id, user_id, role_id, source, item_id, expires_at, reminded) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+    [guildId, userId, roleId, source, itemId, expiresAt, reminded]
+  );
+  return { id: inserted[0].id, expiresAt, renewed, reminded, previous: null };
+}
+
+// Puts a grant back the way it was before grantTimedRole, e.g. when the role
+// could not be added after all
+async function undoGrant({ client = db, grant }) {
+  if (!grant.previous) {
+    await client.query('DELETE FROM role_grants WHERE id = $1', [grant.id]);
+    return;
+  }
+  const { expires_at, reminded, source, item_id } = grant.previous;
+  await client.query(
+    'UPDATE role_grants SET expires_at = $1, reminded = $2, source = $3, item_id = $4 WHERE id = $5',
+    [new Date(expires_at), reminded, source, item_id, grant.id]
+  );
+}
+
+// Drops a grant without touching the role, e.g. when the role is now held for good
+async function removeGrant({ client = db, guildId, userId, roleId }) {
+  await client.query('DELETE FROM role_grants WHERE guild_id = $1 AND user_id = $2 AND role_id = $3', [guildId, userId, roleId]);
+}
+
+// Removes a grant that has run out and returns it, or null if it was renewed meanwhile
+async function endGrant(grantId) {
+  const { rows } = await db.query('DELETE FROM role_grants WHERE id = $1 AND expires_at <= $2 RETURNING *', [grantId, new Date()]);
+  return rows[0] || null;
+}
+
+// Marks a grant reminded and returns it, or null when it is not due a reminder
+// (already sent, or renewed since the reminder was armed)
+async function claimReminder(grantId) {
+  const now = new Date();
+  const { rows } = await db.query(
+    'UPDATE role_grants SET reminded = TRUE WHERE id = $1 AND reminded = FALSE AND expires_at > $2 AND expires_at <= $3 RETURNING *',
+    [grantId, now, new Date(now.getTime() + REMINDER_LEAD_MS)]
+  );
+  return rows[0] || null;
+}
+
+async function getActiveGrants(guildId, userId) {
+  const { rows } = await db.query(
+    'SELECT g.*, s.name AS item_name FROM role_grants g LEFT JOIN shop_items s ON s.id = g.item_id WHERE g.guild_id = $1 AND g.user_id = $2 AND g.expires_at > $3 ORDER BY g.expires_at ASC',
+    [guildId, userId, new Date()]
+  );
+  return rows;
+}
+
+module.exports = {
+  REMINDER_LEAD_MS,
+  grantTimedRole,
+  undoGrant,
+  removeGrant,
+  endGrant,
+  claimReminder,
+  getActiveGrants,
+};
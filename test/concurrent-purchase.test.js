@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Fires purchases at a fresh SQLite file all at once, the way fast double
+// clicks arrive, and checks nothing is overspent or oversold.
+
+const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sovereign-test-')), 'test.db');
+process.env.DB_PATH = dbPath;
+delete process.env.DATABASE_URL;
+
+const { pool: db, initializeDatabase } = require('../database');
+const economy = require('../economy');
+const promotions = require('../promotions');
+const purchases = require('../purchases');
+
+const GUILD_ID = 'guild-1';
+
+before(async () => {
+  await initializeDatabase();
+});
+
+after(() => {
+  fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+});
+
+async function createItem({ price, stock, limitTotal = 0 }) {
+  const { rows } = await db.query(
+    'INSERT INTO shop_items (guild_id, name, price, stock, limit_total) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [GUILD_ID, `Item ${Date.now()}-${Math.random()}`, price, stock, limitTotal]
+  );
+  return rows[0];
+}
+
+async function createMember(userId, balance) {
+  await economy.adjustBalance({ guildId: GUILD_ID, userId, amount: balance, reason: 'admin_give' });
+}
+
+// A shop purchase through the same path as shop_buy_select. Resolves true
+// when it went through.
+async function buy(userId, item) {
+  try {
+    return Boolean(await purchases.buyItem({ guildId: GUILD_ID, userId, item, quote: promotions.quotePrice({ item }) }));
+  } catch (error) {
+    if (error instanceof economy.InsufficientFundsError || error instanceof purchases.PurchaseLimitError) return false;
+    throw error;
+  }
+}
+
+async function getLedgerTotal(userId) {
+  const { rows } = await db.query(
+    "SELECT COALESCE(SUM(amount), 0) AS total FROM transactions WHERE guild_id = $1 AND user_id = $2 AND resource = 'pounds'",
+    [GUILD_ID, userId]
+  );
+  return Number(rows[0].total);
+}
+
+async function getPurchaseCount(userId, itemId) {
+  const { rows } = await db.query('SELECT COUNT(*) AS count FROM shop_purchases WHERE guild_id = $1 AND user_id = $2 AND item_id = $3', [GUILD_ID, userId, itemId]);
+  return Number(rows[0].count);
+}
+
+test('concurrent purchases never spend more than the balance', async () => {
+  const item = await createItem({ price: 30, stock: -1 });
+  await createMember('buyer-1', 100);
+
+  const results = await Promise.all(Array.from({ length: 20 }, () => buy('buyer-1', item)));
+
+  assert.equal(results.filter(Boolean).length, 3);
+  assert.equal(await economy.getBalance(GUILD_ID, 'buyer-1'), 10);
+  assert.equal(await getLedgerTotal('buyer-1'), 10);
+  assert.equal(await getPurchaseCount('buyer-1', item.id), 3);
+});
+
+test('concurrent purchases never sell more than the stock', async () => {
+  const item = await createItem({ price: 5, stock: 4 });
+  const buyers = Array.from({ length: 10 }, (_, i) => `stock-buyer-${i}`);
+  for (const userId of buyers) await createMember(userId, 50);
+
+  const results = await Promise.all(buyers.flatMap(userId => [buy(userId, item), buy(userId, item)]));
+
+  const { rows } = await db.query('SELECT stock FROM shop_items WHERE id = $1', [item.id]);
+  assert.equal(results.filter(Boolean).length, 4);
+  assert.equal(Number(rows[0].stock), 0);
+
+  let spent = 0;
+  for (const userId of buyers) {
+    const balance = await economy.getBalance(GUILD_ID, userId);
+    assert.ok(balance >= 0);
+    assert.equal(await getLedgerTotal(userId), balance);
+    spent += 50 - balance;
+  }
+  assert.equal(spent, 4 * item.price);
+});
+
+test('concurrent purchases respect the per-member limit', async () => {
+  const item = await createItem({ price: 1, stock: -1, limitTotal: 2 });
+  await createMember('limit-buyer', 100);
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => buy('limit-buyer', item)));
+
+  assert.equal(results.filter(Boolean).length, 2);
+  assert.equal(await economy.getBalance(GUILD_ID, 'limit-buyer'), 98);
+  assert.equal(await getLedgerTotal('limit-buyer'), 98);
+  assert.equal(await getPurchaseCount('limit-buyer', item.id), 2);
+});
+
+test('concurrent transfers never overdraw the sender', async () => {
+  await createMember('payer', 50);
+  await createMember('payee', 0);
+
+  const results = await Promise.allSettled(Array.from({ length: 10 }, () => economy.transfer({ guildId: GUILD_ID, fromId: 'payer', toId: 'payee', amount: 20 })));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+  assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason instanceof economy.InsufficientFundsError));
+  assert.equal(await economy.getBalance(GUILD_ID, 'payer'), 10);
+  assert.equal(await economy.getBalance(GUILD_ID, 'payee'), 40);
+  assert.equal(await getLedgerTotal('payer'), 10);
+  assert.equal(await getLedgerTotal('payee'), 40);
+});
@@ -0,0 +1,46 @@
+const { pool: db } = require('./database');
+
+// Open voice sessions. Time is counted in whole minutes from last_accrued_at,
+// on a periodic tick and whenever the member's voice state changes; the
+// session row survives restarts.
+
+async function getSession(guildId, userId) {
+  const { rows } = await db.query('SELECT * FROM voice_sessions WHERE guild_id = $1 AND user_id = $2', [guildId, userId]);
+  return rows[0] || null;
+}
+
+async function getSessions() {
+  const { rows } = await db.query('SELECT * FROM voice_sessions');
+  return rows;
+}
+
+// Starts counting from now in the channel, replacing any open session
+async function openSession(guildId, userId, channelId, now = new Date()) {
+  await db.query(
+    `INSERT INTO voice_sessions (guild_id, user_id, channel_id, started_at, last_accrued_at) VALUES ($1, $2, $3, $4, $4)
+     ON CONFLICT (guild_id, user_id) DO UPDATE SET channel_id = excluded.channel_id, started_at = excluded.started_at, last_accrued_at = excluded.last_accrued_at`,
+    [guildId, userId, channelId, now]
+  );
+}
+
+async function closeSession(guildId, userId) {
+  await db.query('DELETE FROM voice_sessions WHERE guild_id = $1 AND user_id = $2', [guildId, userId]);
+}
+
+// Moves the session's counting point to `to`. Returns false when something
+// else moved it first, so the same minutes are never counted twice.
+async function advanceSession(session, to) {
+  const { rowCount } = await db.query(
+    'UPDATE voice_sessions SET last_accrued_at = $1 WHERE guild_id = $2 AND user_id = $3 AND last_accrued_at = $4',
+    [to, session.guild_id, session.user_id, new Date(session.last_accrued_at)]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  getSession,
+  getSessions,
+  openSession,
+  closeSession,
+  advanceSession,
+};